@@ -4,10 +4,30 @@ const router = Router();
 import { PrismaClient, Prisma } from '@prisma/client'
 const prisma = new PrismaClient();
 
+// the owner shown with an account, joint accounts are seen by other users so nothing but who the owner is
+const accountOwnerInclude = {
+    user: {
+        select: {
+            id: true,
+            name: true
+        }
+    }
+};
+
 import validateAccount from '../validation/account.js';
+import validateStatement from '../validation/statement.js';
+import validateOverdraft from '../validation/overdraft.js';
+import { postLedgerEntries, getLedgerBalance } from '../services/ledger.js';
+import { buildStatement, renderStatementCsv, renderStatementPdf } from '../services/statement.js';
+import { getAvailableBalance } from '../services/holds.js';
+import { getOverdraftUsage } from '../services/overdraft.js';
+import { findAccountByNumber, toAccountInquiry } from '../services/accountLookup.js';
+import { enqueueWebhookEvent } from '../services/webhooks.js';
+import { getAccountRole, canViewAccount, heldAccountsFilter } from '../services/accountHolders.js';
 
 import authMiddleware from '../middleware/auth.js';
 import adminMiddleware from '../middleware/admin.js';
+import idempotencyMiddleware from '../middleware/idempotency.js';
 
 /**
  * @swagger
@@ -19,6 +39,14 @@ import adminMiddleware from '../middleware/admin.js';
  *       - Accounts
  *     security:
  *       - bearerAuth: []  # This ensures the endpoint is secured with a Bearer token
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: 5f1c2a9e-3b7d-4f0a-9c1e-2d8b6a4e7f10
+ *         description: Optional unique key for safely retrying the request. A replay with the same key and body returns the original response without repeating the operation.
  *     requestBody:
  *       required: true
  *       content:
@@ -40,6 +68,10 @@ import adminMiddleware from '../middleware/admin.js';
  *                 type: number
  *                 example: 1000.00
  *                 description: Initial balance for the new bank account. Must be positive.
+ *               currency:
+ *                 type: string
+ *                 example: IDR
+ *                 description: ISO 4217 code of the account's currency. Defaults to IDR.
  *     responses:
  *       201:
  *         description: Successfully created the bank account.
@@ -93,6 +125,19 @@ import adminMiddleware from '../middleware/admin.js';
  *                 message:
  *                   type: string
  *                   example: No user with user_id 1
+ *       422:
+ *         description: The Idempotency-Key has already been used with a different request body.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failed
+ *                 message:
+ *                   type: string
+ *                   example: Idempotency-Key has already been used with a different request
  *       401:
  *         description: Unauthorized. Token is missing or invalid.
  *         content:
@@ -109,11 +154,12 @@ import adminMiddleware from '../middleware/admin.js';
  *       500:
  *         description: Internal server error.
  */
-router.post('/', adminMiddleware, async (req, res, next) => {
+router.post('/', adminMiddleware, idempotencyMiddleware, async (req, res, next) => {
     const validatedData = {
         user_id: Number(req.body.user_id),
         bank_name: req.body.bank_name,
         bank_account_number: req.body.bank_account_number,
+        currency: req.body.currency ?? 'IDR',
     };
 
     const response = validateAccount(validatedData)
@@ -130,13 +176,37 @@ router.post('/', adminMiddleware, async (req, res, next) => {
     }
 
     try {
-        let account = await prisma.bank_Account.create({
-            data: {
-                user_id: validatedData.user_id,
-                bank_name: validatedData.bank_name,
-                bank_account_number: validatedData.bank_account_number,
-                balance: balance
+        let account = await prisma.$transaction(async (tx) => {
+            let account = await tx.bank_Account.create({
+                data: {
+                    user_id: validatedData.user_id,
+                    bank_name: validatedData.bank_name,
+                    bank_account_number: validatedData.bank_account_number,
+                    currency: validatedData.currency,
+                    holders: {
+                        create: { // the account's user is its owner, other holders are invited later
+                            user_id: validatedData.user_id,
+                            role: 'owner',
+                            status: 'active',
+                            joined_at: new Date()
+                        }
+                    }
+                }
+            })
+
+            if(balance > 0){ // the starting balance is posted to the ledger like any other incoming money
+                let { creditAccount } = await postLedgerEntries(tx, {
+                    creditAccountId: account.id,
+                    amount: balance,
+                    description: 'Opening balance'
+                })
+
+                account = creditAccount;
             }
+
+            await enqueueWebhookEvent(tx, 'account.created', account, [account.id]);
+
+            return account;
         })
         
         return res.status(201).json({
@@ -262,7 +332,7 @@ router.get('/all', adminMiddleware, async (req, res, next) => {
  * /api/v1/accounts:
  *   get:
  *     summary: Get authenticated user's bank account information
- *     description: This endpoint retrieves the bank accounts linked to the authenticated user. The request must include a valid JWT token.
+ *     description: This endpoint retrieves the bank accounts linked to the authenticated user, including the joint accounts they are a co-owner or viewer of. The request must include a valid JWT token.
  *     tags:
  *       - Accounts
  *     security:
@@ -300,6 +370,7 @@ router.get('/all', adminMiddleware, async (req, res, next) => {
  *                         example: 5000.00
  *                       user:
  *                         type: object
+ *                         description: The account's owner.
  *                         properties:
  *                           id:
  *                             type: integer
@@ -307,9 +378,6 @@ router.get('/all', adminMiddleware, async (req, res, next) => {
  *                           name:
  *                             type: string
  *                             example: John Doe
- *                           email:
- *                             type: string
- *                             example: john@example.com
  *       401:
  *         description: Unauthorized. The request lacks a valid token or the token is invalid.
  *         content:
@@ -355,10 +423,8 @@ router.get('/', authMiddleware, async (req, res, next) => {
     const userId = req.user.id
     try {
         let account = await prisma.bank_Account.findMany({
-            where: {
-                user_id: userId
-            },
-            include: {user: true}
+            where: heldAccountsFilter(userId), // joint accounts included
+            include: accountOwnerInclude
         })
 
         return res.json({
@@ -370,12 +436,110 @@ router.get('/', authMiddleware, async (req, res, next) => {
     }
 })
 
+/**
+ * @swagger
+ * /api/v1/accounts/lookup:
+ *   get:
+ *     summary: Look up an account by its account number
+ *     description: Lets an authenticated user check who an account number belongs to before sending money to it. Only the bank, the currency and the holder's name with every letter but the first of each word masked are shown.
+ *     tags:
+ *       - Accounts
+ *     security:
+ *       - bearerAuth: []  # The endpoint requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: query
+ *         name: account_number
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "1234567890"
+ *         description: The bank account number to look up.
+ *     responses:
+ *       200:
+ *         description: The account exists.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 account:
+ *                   $ref: '#/components/schemas/AccountInquiry'
+ *       400:
+ *         description: The account_number query parameter is missing.
+ *       401:
+ *         description: Unauthorized. The request lacks a valid token or the token is invalid.
+ *       404:
+ *         description: No account has this account number.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failed
+ *                 message:
+ *                   type: string
+ *                   example: Account with number 1234567890 not found
+ *       500:
+ *         description: Internal server error.
+ *
+ * components:
+ *   schemas:
+ *     AccountInquiry:
+ *       type: object
+ *       properties:
+ *         bank_account_number:
+ *           type: string
+ *           example: "1234567890"
+ *         bank_name:
+ *           type: string
+ *           example: Bank of America
+ *         currency:
+ *           type: string
+ *           example: IDR
+ *         holder_name:
+ *           type: string
+ *           example: J*** D**
+ */
+router.get('/lookup', authMiddleware, async (req, res, next) => {
+    const accountNumber = typeof req.query.account_number === 'string' ? req.query.account_number.trim() : '';
+
+    if(!accountNumber){ // if the account_number query parameter is missing
+        return res.status(400).json({
+            status: 'failed',
+            message: 'account_number is required'
+        })
+    }
+
+    try {
+        let account = await findAccountByNumber(prisma, accountNumber);
+
+        if(!account){ // if no matching data by entered account number
+            return res.status(404).json({
+                status: 'failed',
+                message: `Account with number ${accountNumber} not found`
+            })
+        }
+
+        return res.json({
+            status: 'success',
+            account: toAccountInquiry(account)
+        })
+    } catch(err) {
+        next(err);
+    }
+})
+
 /**
  * @swagger
  * /api/v1/accounts/{accountId}:
  *   get:
  *     summary: Get specific account information
- *     description: Retrieves information for a specific bank account. The authenticated user can only access their own accounts unless they are an admin, in which case they can access all accounts.
+ *     description: Retrieves information for a specific bank account. The authenticated user can only access the accounts they hold, as owner, co-owner or viewer (see /api/v1/accounts/{accountId}/holders), unless they are an admin, in which case they can access all accounts.
  *     tags:
  *       - Accounts
  *     security:
@@ -417,8 +581,21 @@ router.get('/', authMiddleware, async (req, res, next) => {
  *                     balance:
  *                       type: number
  *                       example: 5000.00
+ *                     available_balance:
+ *                       type: string
+ *                       example: "4750.00"
+ *                       description: The balance plus the overdraft limit, minus the active holds. What can be spent right now.
+ *                     overdraft:
+ *                       $ref: '#/components/schemas/Overdraft'
+ *                     holder_role:
+ *                       type: string
+ *                       enum: [owner, co_owner, viewer]
+ *                       nullable: true
+ *                       example: owner
+ *                       description: The authenticated user's role on the account, null for an admin who doesn't hold it.
  *                     user:
  *                       type: object
+ *                       description: The account's owner.
  *                       properties:
  *                         id:
  *                           type: integer
@@ -426,9 +603,6 @@ router.get('/', authMiddleware, async (req, res, next) => {
  *                         name:
  *                           type: string
  *                           example: John Doe
- *                         email:
- *                           type: string
- *                           example: john@example.com
  *       401:
  *         description: Unauthorized. The request lacks a valid token or the token is invalid.
  *         content:
@@ -492,15 +666,17 @@ router.get('/:accountId', authMiddleware, async (req, res, next) => {
             where: {
                 id: accId, 
             },
-            include: {user: true}
+            include: accountOwnerInclude
         })
         
+        let holderRole = await getAccountRole(prisma, accId, userId);
+
         if(!account){ // if no matching data by entered account's id
             return res.status(404).json({
                 status: 'failed',
                 message: `Account with id ${accId} not found`
             })
-        } else if(account.user_id !== userId && role !== 'admin'){ // if the authenticated user don't have the entered account and not the admin
+        } else if(!canViewAccount(holderRole) && role !== 'admin'){ // if the authenticated user doesn't hold the entered account and not the admin
             // (only admin can access all accounts)
             return res.status(403).json({
                 status: 'failed',
@@ -510,13 +686,442 @@ router.get('/:accountId', authMiddleware, async (req, res, next) => {
 
         return res.json({
             status: 'success',
-            account_data: account
+            account_data: {
+                ...account,
+                holder_role: holderRole,
+                available_balance: await getAvailableBalance(prisma, account),
+                overdraft: getOverdraftUsage(account)
+            }
         })
     } catch(err) {
         next(err);
     }
 })
 
+/**
+ * @swagger
+ * /api/v1/accounts/{accountId}/ledger:
+ *   get:
+ *     summary: Get the ledger entries of a specific account
+ *     description: Retrieves every debit and credit posted to a bank account, oldest first, together with the balance recomputed from those entries. The authenticated user can only access their own accounts unless they are an admin.
+ *     tags:
+ *       - Accounts
+ *     security:
+ *       - bearerAuth: []  # The endpoint requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *         description: The ID of the bank account.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the account's ledger.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 balance:
+ *                   type: string
+ *                   example: "4900"
+ *                 ledger_balance:
+ *                   type: string
+ *                   example: "4900"
+ *                 is_balanced:
+ *                   type: boolean
+ *                   example: true
+ *                 ledger_entries:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         example: 3
+ *                       transaction_id:
+ *                         type: integer
+ *                         example: 1
+ *                       account_id:
+ *                         type: integer
+ *                         example: 1
+ *                       direction:
+ *                         type: string
+ *                         enum: [debit, credit]
+ *                         example: debit
+ *                       amount:
+ *                         type: string
+ *                         example: "100"
+ *                       balance_after:
+ *                         type: string
+ *                         example: "4900"
+ *                       description:
+ *                         type: string
+ *                         example: Transfer from account 1 to account 2
+ *                       created_at:
+ *                         type: string
+ *                         format: date-time
+ *       401:
+ *         description: Unauthorized. The request lacks a valid token or the token is invalid.
+ *       403:
+ *         description: Forbidden. The user does not own the account and is not an admin.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failed
+ *                 message:
+ *                   type: string
+ *                   example: This account doesn't belong to this user
+ *       404:
+ *         description: Account not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failed
+ *                 message:
+ *                   type: string
+ *                   example: Account with id 1 not found
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/:accountId/ledger', authMiddleware, async (req, res, next) => {
+    const accId = Number(req.params.accountId);
+    const userId = req.user.id;
+    const role = req.user.role;
+    try {
+        let account = await prisma.bank_Account.findUnique({
+            where: {
+                id: accId
+            }
+        })
+
+        let holderRole = await getAccountRole(prisma, accId, userId);
+
+        if(!account){ // if no matching data by entered account's id
+            return res.status(404).json({
+                status: 'failed',
+                message: `Account with id ${accId} not found`
+            })
+        } else if(!canViewAccount(holderRole) && role !== 'admin'){ // if the authenticated user doesn't hold the entered account and not the admin
+            return res.status(403).json({
+                status: 'failed',
+                message: `This account doesn't belong to this user`
+            })
+        }
+
+        let ledgerEntries = await prisma.ledger_Entry.findMany({
+            where: {
+                account_id: accId
+            },
+            orderBy: {
+                id: 'asc'
+            }
+        })
+
+        let ledgerBalance = await getLedgerBalance(prisma, accId);
+
+        return res.json({
+            status: 'success',
+            balance: account.balance,
+            ledger_balance: ledgerBalance,
+            is_balanced: ledgerBalance.equals(account.balance), // the cached balance must always match the ledger
+            ledger_entries: ledgerEntries
+        })
+    } catch(err) {
+        next(err);
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/accounts/{accountId}/statement:
+ *   get:
+ *     summary: Download an account statement
+ *     description: Exports the account's transactions for a period as CSV or PDF, with the counterparty of each transaction, the signed amount, the running balance and the opening and closing balances. The authenticated user can only access their own accounts unless they are an admin. Without from, the statement starts at the beginning of the month it ends in, and without to it ends now, so without either it covers the current month. A transfer's fee is its own line, with the account that collected the fee as its counterparty.
+ *     tags:
+ *       - Accounts
+ *     security:
+ *       - bearerAuth: []  # The endpoint requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *         description: The ID of the bank account.
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: 2024-10-01
+ *         description: Start of the period (ISO date or date-time, inclusive).
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           example: 2024-10-31
+ *         description: End of the period (ISO date-time, inclusive). A plain date includes that whole day.
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, pdf]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: The statement file.
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 Date,Transaction ID,Description,Counterparty,Amount,Balance
+ *                 ,,Opening balance,,,5000.00
+ *                 2024-10-02T03:00:00.000Z,1,Transfer from account 1 to account 2,Jane Smith,-100.00,4900.00
+ *                 ,,Closing balance,,,4900.00
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Validation error. Invalid period or format.
+ *       401:
+ *         description: Unauthorized. The request lacks a valid token or the token is invalid.
+ *       403:
+ *         description: Forbidden. The user does not own the account and is not an admin.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failed
+ *                 message:
+ *                   type: string
+ *                   example: This account doesn't belong to this user
+ *       404:
+ *         description: Account not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failed
+ *                 message:
+ *                   type: string
+ *                   example: Account with id 1 not found
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/:accountId/statement', authMiddleware, async (req, res, next) => {
+    const accId = Number(req.params.accountId);
+    const userId = req.user.id;
+    const role = req.user.role;
+
+    const response = validateStatement({
+        from: req.query.from,
+        to: req.query.to,
+        format: req.query.format
+    });
+
+    if(response.error){ // if the query parameters don't meet the requirements
+        return res.status(400).send(response.error.details);
+    }
+
+    const now = new Date();
+    let to = response.value.to ? new Date(response.value.to) : now;
+    const from = response.value.from ? new Date(response.value.from) : new Date(Date.UTC(to.getUTCFullYear(), to.getUTCMonth(), 1)); // default to the start of the month the statement ends in
+    if(response.value.to && /^\d{4}-\d{2}-\d{2}$/.test(response.value.to)){ // a plain date covers that whole day
+        to.setUTCDate(to.getUTCDate() + 1);
+    } else {
+        to = new Date(to.getTime() + 1); // the statement's end is exclusive
+    }
+
+    try {
+        let account = await prisma.bank_Account.findUnique({
+            where: {
+                id: accId
+            },
+            include: accountOwnerInclude
+        })
+
+        let holderRole = await getAccountRole(prisma, accId, userId);
+
+        if(!account){ // if no matching data by entered account's id
+            return res.status(404).json({
+                status: 'failed',
+                message: `Account with id ${accId} not found`
+            })
+        } else if(!canViewAccount(holderRole) && role !== 'admin'){ // if the authenticated user doesn't hold the entered account and not the admin
+            return res.status(403).json({
+                status: 'failed',
+                message: `This account doesn't belong to this user`
+            })
+        }
+
+        let statement = await buildStatement(prisma, account, from, to);
+        const filename = `statement-${account.bank_account_number}-${from.toISOString().slice(0, 10)}`;
+
+        if(response.value.format === 'pdf'){
+            let pdf = await renderStatementPdf(statement);
+
+            res.set('Content-Type', 'application/pdf');
+            res.set('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+            return res.send(pdf);
+        }
+
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+        return res.send(renderStatementCsv(statement));
+    } catch(err) {
+        next(err);
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/accounts/{accountId}/overdraft:
+ *   put:
+ *     summary: Set the overdraft of an account
+ *     description: This endpoint allows only **admin users** to set how far below zero an account may go, and the yearly interest rate charged every day on the negative balance. Set `overdraft_limit` to 0 to turn the overdraft off, an account already in overdraft stays negative until it is paid back.
+ *     tags:
+ *       - Accounts
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token with admin privileges.
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               overdraft_limit:
+ *                 type: number
+ *                 example: 50000000
+ *               overdraft_interest_rate:
+ *                 type: number
+ *                 example: 18
+ *                 description: Yearly interest rate in percent. Keeps the current rate when left out.
+ *     responses:
+ *       200:
+ *         description: Overdraft updated successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 account_data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 1
+ *                     balance:
+ *                       type: string
+ *                       example: "-1500000"
+ *                     overdraft_limit:
+ *                       type: string
+ *                       example: "50000000"
+ *                     overdraft_interest_rate:
+ *                       type: string
+ *                       example: "18"
+ *                 overdraft:
+ *                   $ref: '#/components/schemas/Overdraft'
+ *       400:
+ *         description: Validation error. Input data does not meet the required format.
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. Only admin users can set overdrafts.
+ *       404:
+ *         description: Account not found.
+ *       500:
+ *         description: Internal server error.
+ *
+ * components:
+ *   schemas:
+ *     Overdraft:
+ *       type: object
+ *       properties:
+ *         limit:
+ *           type: string
+ *           example: "50000000"
+ *         used:
+ *           type: string
+ *           example: "1500000"
+ *           description: The negative part of the balance.
+ *         remaining:
+ *           type: string
+ *           example: "48500000"
+ *         interest_rate:
+ *           type: string
+ *           example: "18"
+ */
+router.put('/:accountId/overdraft', adminMiddleware, async (req, res, next) => {
+    const accId = Number(req.params.accountId);
+
+    const validatedData = {
+        overdraft_limit: Number(req.body.overdraft_limit),
+        overdraft_interest_rate: req.body.overdraft_interest_rate === undefined ? undefined : Number(req.body.overdraft_interest_rate)
+    };
+
+    const response = validateOverdraft(validatedData);
+
+    if(response.error){ // if the fields don't meet the requirements
+        return res.status(400).send(response.error.details);
+    }
+
+    try {
+        let account = await prisma.bank_Account.update({
+            where: {
+                id: accId
+            },
+            data: validatedData
+        })
+
+        return res.json({
+            status: 'success',
+            account_data: account,
+            overdraft: getOverdraftUsage(account)
+        })
+    } catch(err) {
+        if(err.code === 'P2025'){ // if no matching data by entered account's id
+            return res.status(404).json({
+                status: 'failed',
+                message: `Account with id ${accId} not found`
+            })
+        }
+        next(err)
+    }
+})
+
 /**
  * @swagger
  * /api/v1/accounts/{accountId}:
@@ -606,6 +1211,19 @@ router.get('/:accountId', authMiddleware, async (req, res, next) => {
  *                 message:
  *                   type: string
  *                   example: Account with id 1 not found
+ *       409:
+ *         description: Conflict. The account has ledger entries, which are kept permanently for auditing.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failed
+ *                 message:
+ *                   type: string
+ *                   example: Account with id 1 has ledger history and cannot be deleted
  *       500:
  *         description: Internal server error.
  *         content:
@@ -640,6 +1258,11 @@ router.delete('/:accountId', adminMiddleware, async (req, res, next) => {
                 status: 'failed',
                 message: `Account with id ${accId} not found`
             })
+        } else if(err.code === 'P2003'){ // if the account already has ledger entries, which can't be removed
+            return res.status(409).json({
+                status: 'failed',
+                message: `Account with id ${accId} has ledger history and cannot be deleted`
+            })
         }
         next(err)
     }
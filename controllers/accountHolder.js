@@ -0,0 +1,488 @@
+import Router from 'express-promise-router';
+const router = Router({ mergeParams: true }); // accountId comes from /api/v1/accounts/:accountId/holders
+
+import { PrismaClient } from '@prisma/client'
+const prisma = new PrismaClient();
+
+import validateAccountHolderInvite from '../validation/accountHolderInvite.js';
+import { getAccountRole, canViewAccount, canManageHolders } from '../services/accountHolders.js';
+import { sendAccountInvitationEmail } from '../services/emailNotifications.js';
+
+import authMiddleware from '../middleware/auth.js';
+
+const holderSelect = {
+    id: true,
+    account_id: true,
+    user_id: true,
+    role: true,
+    status: true,
+    invited_by_id: true,
+    created_at: true,
+    joined_at: true,
+    user: {
+        select: {
+            name: true,
+            email: true
+        }
+    }
+};
+
+// resolves to the account and the user's role on it, admins can see the holders of every account
+async function findHeldAccount(accountId, user){
+    let account = await prisma.bank_Account.findUnique({
+        where: {
+            id: accountId
+        }
+    })
+
+    if(!account){ // if no matching data by entered account's id
+        return { error: { code: 404, message: `Account with id ${accountId} not found` } }
+    }
+
+    let role = await getAccountRole(prisma, accountId, user.id);
+
+    if(!canViewAccount(role) && user.role !== 'admin'){ // if the authenticated user doesn't hold the entered account and not the admin
+        return { error: { code: 403, message: `This account doesn't belong to this user` } }
+    }
+
+    return { account, role }
+}
+
+/**
+ * @swagger
+ * /api/v1/accounts/{accountId}/holders:
+ *   get:
+ *     summary: Retrieve the holders of an account
+ *     description: Retrieves everyone who holds the account or has been invited to, the owner first. Any holder of the account, or an admin, can see them.
+ *     tags:
+ *       - Account Holders
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the holders.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 holders_data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AccountHolder'
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. The account doesn't belong to this user.
+ *       404:
+ *         description: Account not found.
+ *       500:
+ *         description: Internal server error.
+ *
+ * components:
+ *   schemas:
+ *     AccountHolder:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         account_id:
+ *           type: integer
+ *           example: 1
+ *         user_id:
+ *           type: integer
+ *           example: 2
+ *         role:
+ *           type: string
+ *           enum: [owner, co_owner, viewer]
+ *           example: co_owner
+ *           description: The owner and the co-owners can transfer from the account, viewers can only see it. Only the owner invites and removes holders.
+ *         status:
+ *           type: string
+ *           enum: [invited, active]
+ *           example: active
+ *           description: An invited user doesn't hold the account until they accept the invitation.
+ *         invited_by_id:
+ *           type: integer
+ *           nullable: true
+ *           example: 1
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         joined_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         user:
+ *           type: object
+ *           properties:
+ *             name:
+ *               type: string
+ *               example: Jane Doe
+ *             email:
+ *               type: string
+ *               example: jane@example.com
+ */
+router.get('/', authMiddleware, async (req, res, next) => {
+    const accId = Number(req.params.accountId);
+
+    try {
+        let { error } = await findHeldAccount(accId, req.user);
+
+        if(error){
+            return res.status(error.code).json({
+                status: 'failed',
+                message: error.message
+            })
+        }
+
+        let holders = await prisma.account_Holder.findMany({
+            where: {
+                account_id: accId
+            },
+            select: holderSelect,
+            orderBy: [
+                { role: 'asc' }, // owner, co_owner, viewer
+                { id: 'asc' }
+            ]
+        })
+
+        return res.json({
+            status: 'success',
+            holders_data: holders
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/accounts/{accountId}/holders:
+ *   post:
+ *     summary: Invite a holder to an account
+ *     description: Allows the owner of the account to invite another registered user, by email, as a co-owner or a viewer. The invitee is emailed and becomes a holder once they accept the invitation.
+ *     tags:
+ *       - Account Holders
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: jane@example.com
+ *               role:
+ *                 type: string
+ *                 enum: [co_owner, viewer]
+ *                 example: co_owner
+ *     responses:
+ *       201:
+ *         description: Invitation sent successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 holder:
+ *                   $ref: '#/components/schemas/AccountHolder'
+ *       400:
+ *         description: Validation error. Input data does not meet the required format.
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. Only the owner of the account can invite holders.
+ *       404:
+ *         description: Account or user not found.
+ *       409:
+ *         description: Conflict. The user already holds or has been invited to the account.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/', authMiddleware, async (req, res, next) => {
+    const accId = Number(req.params.accountId);
+
+    const response = validateAccountHolderInvite({
+        email: req.body.email,
+        role: req.body.role
+    });
+
+    if(response.error){ // if the fields don't meet the requirements
+        return res.status(400).send(response.error.details);
+    }
+
+    try {
+        let { account, role, error } = await findHeldAccount(accId, req.user);
+
+        if(error){
+            return res.status(error.code).json({
+                status: 'failed',
+                message: error.message
+            })
+        } else if(!canManageHolders(role)){ // admins included, they don't hold customers' accounts
+            return res.status(403).json({
+                status: 'failed',
+                message: `Only the owner of this account can invite holders`
+            })
+        }
+
+        let invitee = await prisma.user.findUnique({
+            where: {
+                email: response.value.email
+            }
+        })
+
+        if(!invitee){ // holders must have registered first
+            return res.status(404).json({
+                status: 'failed',
+                message: `No user with email ${response.value.email}`
+            })
+        } else if(invitee.id === req.user.id){
+            return res.status(409).json({
+                status: 'failed',
+                message: `The owner already holds this account`
+            })
+        }
+
+        let holder = await prisma.account_Holder.create({
+            data: {
+                account_id: accId,
+                user_id: invitee.id,
+                role: response.value.role,
+                invited_by_id: req.user.id
+            },
+            select: holderSelect
+        })
+
+        let inviter = await prisma.user.findUnique({
+            where: {
+                id: req.user.id
+            }
+        })
+
+        sendAccountInvitationEmail(invitee, inviter, account, holder.role); // not awaited, the email never fails the request
+
+        return res.status(201).json({
+            status: 'success',
+            holder: holder
+        })
+    } catch(err) {
+        if(err.code === 'P2002'){ // if the user already holds or has been invited to the account
+            return res.status(409).json({
+                status: 'failed',
+                message: `User with email ${response.value.email} already holds or has been invited to this account`
+            })
+        }
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/accounts/{accountId}/holders/accept:
+ *   post:
+ *     summary: Accept an invitation to an account
+ *     description: Allows the authenticated user to accept their pending invitation to the account. From then on they see it in their accounts and, as a co-owner, can transfer from it.
+ *     tags:
+ *       - Account Holders
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Invitation accepted successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 holder:
+ *                   $ref: '#/components/schemas/AccountHolder'
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       404:
+ *         description: The user has no pending invitation to the account.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/accept', authMiddleware, async (req, res, next) => {
+    const accId = Number(req.params.accountId);
+    const userId = req.user.id;
+
+    try {
+        // only a pending invitation is accepted, so accepting twice doesn't move joined_at
+        let accepted = await prisma.account_Holder.updateMany({
+            where: {
+                account_id: accId,
+                user_id: userId,
+                status: 'invited'
+            },
+            data: {
+                status: 'active',
+                joined_at: new Date()
+            }
+        })
+
+        if(accepted.count === 0){
+            return res.status(404).json({
+                status: 'failed',
+                message: `No pending invitation to account with id ${accId}`
+            })
+        }
+
+        let holder = await prisma.account_Holder.findUnique({
+            where: {
+                account_id_user_id: {
+                    account_id: accId,
+                    user_id: userId
+                }
+            },
+            select: holderSelect
+        })
+
+        return res.json({
+            status: 'success',
+            holder: holder
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/accounts/{accountId}/holders/{userId}:
+ *   delete:
+ *     summary: Remove a holder from an account
+ *     description: Allows the owner of the account to remove a co-owner or a viewer, or to withdraw an invitation. Any other holder can remove themselves, which is also how an invitation is declined. The owner can't be removed.
+ *     tags:
+ *       - Account Holders
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 2
+ *     responses:
+ *       200:
+ *         description: Holder removed successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: User with id 2 removed from account with id 1
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. Only the owner of the account can remove other holders.
+ *       404:
+ *         description: The user doesn't hold and hasn't been invited to the account.
+ *       409:
+ *         description: Conflict. The owner of an account can't be removed.
+ *       500:
+ *         description: Internal server error.
+ */
+router.delete('/:userId', authMiddleware, async (req, res, next) => {
+    const accId = Number(req.params.accountId);
+    const holderId = Number(req.params.userId);
+
+    try {
+        let holder = await prisma.account_Holder.findUnique({
+            where: {
+                account_id_user_id: {
+                    account_id: accId,
+                    user_id: holderId
+                }
+            }
+        })
+
+        if(!holder){ // if the user neither holds nor has been invited to the entered account
+            return res.status(404).json({
+                status: 'failed',
+                message: `User with id ${holderId} doesn't hold account with id ${accId}`
+            })
+        }
+
+        if(holderId !== req.user.id && !canManageHolders(await getAccountRole(prisma, accId, req.user.id))){
+            return res.status(403).json({
+                status: 'failed',
+                message: `Only the owner of this account can remove other holders`
+            })
+        } else if(holder.role === 'owner'){ // the account would be left without an owner
+            return res.status(409).json({
+                status: 'failed',
+                message: `The owner of an account can't be removed`
+            })
+        }
+
+        await prisma.account_Holder.delete({
+            where: {
+                id: holder.id
+            }
+        })
+
+        return res.json({
+            status: 'success',
+            message: `User with id ${holderId} removed from account with id ${accId}`
+        })
+    } catch(err) {
+        if(err.code === 'P2025'){ // if the holder was removed in the meantime
+            return res.status(404).json({
+                status: 'failed',
+                message: `User with id ${holderId} doesn't hold account with id ${accId}`
+            })
+        }
+        next(err)
+    }
+})
+
+export default router;
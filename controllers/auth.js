@@ -16,13 +16,14 @@ const prisma = new PrismaClient()
 
 import validateUser from '../validation/user.js';
 import validateCredentials from '../validation/login.js';
+import { sendWelcomeEmail, notifyLoginDevice } from '../services/emailNotifications.js';
 
 /**
  * @swagger
  * /api/v1/auth/register:
  *   post:
  *     summary: Register a new user
- *     description: Registers a new user with a hashed password and profile details.
+ *     description: Registers a new user with a hashed password and profile details, and sends them a welcome email in their language.
  *     tags:
  *       - Authentication
  *     requestBody:
@@ -52,6 +53,11 @@ import validateCredentials from '../validation/login.js';
  *               address:
  *                 type: string
  *                 example: 123 Main St, Jakarta
+ *               locale:
+ *                 type: string
+ *                 enum: [en, id]
+ *                 example: id
+ *                 description: The language of the user's emails, taken from the Accept-Language header when left out.
  *     responses:
  *       201:
  *         description: User registered successfully.
@@ -133,6 +139,7 @@ router.post('/register', async (req, res, next) => {
         identity_type: req.body.identity_type,
         identity_number: req.body.identity_number,
         address: req.body.address,
+        locale: req.body.locale ?? (req.acceptsLanguages('en', 'id') || 'en'),
     }; 
 
     const response = validateUser(validatedData)
@@ -149,6 +156,7 @@ router.post('/register', async (req, res, next) => {
                 name: validatedData.name,
                 email: validatedData.email,
                 password: hashedPassword,
+                locale: validatedData.locale,
                 profile: {
                     create: 
                         {
@@ -160,6 +168,8 @@ router.post('/register', async (req, res, next) => {
             },
         })
 
+        sendWelcomeEmail(user); // not awaited, a failed email is queued for retry
+
         return res.status(201).json({
             status: 'success',
             message: `Successfully added ${user.name}'s data`,
@@ -181,9 +191,17 @@ router.post('/register', async (req, res, next) => {
  * /api/v1/auth/login:
  *   post:
  *     summary: User login
- *     description: Authenticates a user with email and password, and returns a JWT token if successful. Note that the token will expire in 6 hours.
+ *     description: Authenticates a user with email and password, and returns a JWT token if successful. Note that the token will expire in 6 hours. The user is emailed when they log in from a device they haven't used before.
  *     tags:
  *       - Authentication
+ *     parameters:
+ *       - in: header
+ *         name: X-Device-Id
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: 7d3c9a52-1f0e-4b8a-9c2d-5e6f7a8b9c0d
+ *         description: A random id the client keeps per install. Without it the device is recognised by its User-Agent.
  *     requestBody:
  *       required: true
  *       content:
@@ -281,6 +299,12 @@ router.post('/login', async (req, res, next) => {
 
         let token = jwt.sign(user, JWT_SECRET_KEY, {expiresIn: '6h'})
 
+        notifyLoginDevice(user, { // not awaited, the user is emailed when the device is new
+            deviceId: req.get('X-Device-Id'),
+            userAgent: req.get('User-Agent'),
+            ipAddress: req.ip
+        });
+
         return res.json({
             message: `Logged in as ${user.name}`,
             data: {
@@ -0,0 +1,468 @@
+import Router from 'express-promise-router';
+const router = Router();
+
+import { PrismaClient } from '@prisma/client'
+const prisma = new PrismaClient();
+
+import validateBeneficiary from '../validation/beneficiary.js';
+import validateBeneficiaryUpdate from '../validation/beneficiaryUpdate.js';
+import { findAccountByNumber, toAccountInquiry } from '../services/accountLookup.js';
+import { getCoolingOffEnd } from '../services/beneficiary.js';
+
+import authMiddleware from '../middleware/auth.js';
+
+function withCoolingOff(beneficiary){
+    return {
+        ...beneficiary,
+        cooling_off_until: getCoolingOffEnd(beneficiary)
+    };
+}
+
+async function findBeneficiary(beneficiaryId, userId){
+    let beneficiary = await prisma.beneficiary.findUnique({
+        where: {
+            id: beneficiaryId
+        }
+    })
+
+    if(!beneficiary){ // if no matching data by entered beneficiary's id
+        return { error: { code: 404, message: `Beneficiary with id ${beneficiaryId} not found` } }
+    } else if(beneficiary.user_id !== userId){ // every user has their own payee list, admins included
+        return { error: { code: 403, message: `This beneficiary doesn't belong to this user` } }
+    }
+
+    return { beneficiary }
+}
+
+/**
+ * @swagger
+ * /api/v1/beneficiaries:
+ *   post:
+ *     summary: Save a beneficiary
+ *     description: This endpoint allows an authenticated user to save an account they pay regularly under a nickname. The account number is looked up and the holder's masked name is saved with it, so the user can check it is the right person. Transfers can then be sent with beneficiary_id. When a cooling-off period is configured, a new beneficiary can't receive large transfers until it is over (see cooling_off_until).
+ *     tags:
+ *       - Beneficiaries
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               bank_account_number:
+ *                 type: string
+ *                 example: "2222111111"
+ *               nickname:
+ *                 type: string
+ *                 example: Mom
+ *     responses:
+ *       201:
+ *         description: Beneficiary saved successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 beneficiary:
+ *                   $ref: '#/components/schemas/Beneficiary'
+ *       400:
+ *         description: Validation error. Input data does not meet the required format.
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       404:
+ *         description: No account has this account number.
+ *       409:
+ *         description: Conflict error. The account is already saved, or it is one of the user's own accounts.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failed
+ *                 message:
+ *                   type: string
+ *                   example: Account number 2222111111 is already saved as a beneficiary
+ *       500:
+ *         description: Internal server error.
+ *
+ * components:
+ *   schemas:
+ *     Beneficiary:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         user_id:
+ *           type: integer
+ *           example: 1
+ *         account_id:
+ *           type: integer
+ *           example: 2
+ *         bank_account_number:
+ *           type: string
+ *           example: "2222111111"
+ *         bank_name:
+ *           type: string
+ *           example: Bank of America
+ *         holder_name:
+ *           type: string
+ *           example: J*** D**
+ *           description: The holder's masked name, checked when the beneficiary was saved.
+ *         nickname:
+ *           type: string
+ *           example: Mom
+ *         cooling_off_until:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Until when transfers above the cooling-off amount are refused, null when no cooling-off period is configured.
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+router.post('/', authMiddleware, async (req, res, next) => {
+    const validatedData = {
+        bank_account_number: req.body.bank_account_number === undefined ? undefined : String(req.body.bank_account_number).trim(),
+        nickname: req.body.nickname
+    };
+
+    const response = validateBeneficiary(validatedData);
+
+    if(response.error){ // if the fields don't meet the requirements
+        return res.status(400).send(response.error.details);
+    }
+
+    try {
+        let account = await findAccountByNumber(prisma, validatedData.bank_account_number);
+
+        if(!account){ // if no matching data by entered account number
+            return res.status(404).json({
+                status: 'failed',
+                message: `Account with number ${validatedData.bank_account_number} not found`
+            })
+        } else if(account.user_id === req.user.id){ // transfers between the user's own accounts don't need a payee
+            return res.status(409).json({
+                status: 'failed',
+                message: `Cannot save your own account as a beneficiary`
+            })
+        }
+
+        const inquiry = toAccountInquiry(account);
+
+        let beneficiary = await prisma.beneficiary.create({
+            data: {
+                user_id: req.user.id,
+                account_id: account.id,
+                bank_account_number: inquiry.bank_account_number,
+                bank_name: inquiry.bank_name,
+                holder_name: inquiry.holder_name,
+                nickname: response.value.nickname
+            }
+        })
+
+        return res.status(201).json({
+            status: 'success',
+            beneficiary: withCoolingOff(beneficiary)
+        })
+    } catch(err) {
+        if(err.code === 'P2002'){ // if the user has already saved this account
+            return res.status(409).json({
+                status: 'failed',
+                message: `Account number ${validatedData.bank_account_number} is already saved as a beneficiary`
+            })
+        }
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/beneficiaries:
+ *   get:
+ *     summary: Retrieve the saved beneficiaries
+ *     description: Retrieves the authenticated user's saved beneficiaries, by nickname.
+ *     tags:
+ *       - Beneficiaries
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the beneficiaries.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 beneficiaries_data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Beneficiary'
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/', authMiddleware, async (req, res, next) => {
+    try {
+        let beneficiaries = await prisma.beneficiary.findMany({
+            where: {
+                user_id: req.user.id
+            },
+            orderBy: {
+                nickname: 'asc'
+            }
+        })
+
+        return res.json({
+            status: 'success',
+            beneficiaries_data: beneficiaries.map(withCoolingOff)
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/beneficiaries/{beneficiaryId}:
+ *   get:
+ *     summary: Retrieve a saved beneficiary
+ *     description: Retrieves one of the authenticated user's saved beneficiaries.
+ *     tags:
+ *       - Beneficiaries
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: path
+ *         name: beneficiaryId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the beneficiary.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 beneficiary:
+ *                   $ref: '#/components/schemas/Beneficiary'
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. The beneficiary doesn't belong to this user.
+ *       404:
+ *         description: Beneficiary not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/:beneficiaryId', authMiddleware, async (req, res, next) => {
+    try {
+        let { beneficiary, error } = await findBeneficiary(Number(req.params.beneficiaryId), req.user.id);
+
+        if(error){
+            return res.status(error.code).json({
+                status: 'failed',
+                message: error.message
+            })
+        }
+
+        return res.json({
+            status: 'success',
+            beneficiary: withCoolingOff(beneficiary)
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/beneficiaries/{beneficiaryId}:
+ *   put:
+ *     summary: Rename a saved beneficiary
+ *     description: Changes the nickname of one of the authenticated user's beneficiaries. The account can't be changed, save a new beneficiary instead.
+ *     tags:
+ *       - Beneficiaries
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: path
+ *         name: beneficiaryId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               nickname:
+ *                 type: string
+ *                 example: Mother
+ *     responses:
+ *       200:
+ *         description: Beneficiary updated successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 beneficiary:
+ *                   $ref: '#/components/schemas/Beneficiary'
+ *       400:
+ *         description: Validation error. Input data does not meet the required format.
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. The beneficiary doesn't belong to this user.
+ *       404:
+ *         description: Beneficiary not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put('/:beneficiaryId', authMiddleware, async (req, res, next) => {
+    const beneficiaryId = Number(req.params.beneficiaryId);
+
+    const response = validateBeneficiaryUpdate({
+        nickname: req.body.nickname
+    });
+
+    if(response.error){ // if the fields don't meet the requirements
+        return res.status(400).send(response.error.details);
+    }
+
+    try {
+        let { error } = await findBeneficiary(beneficiaryId, req.user.id);
+
+        if(error){
+            return res.status(error.code).json({
+                status: 'failed',
+                message: error.message
+            })
+        }
+
+        let beneficiary = await prisma.beneficiary.update({
+            where: {
+                id: beneficiaryId
+            },
+            data: {
+                nickname: response.value.nickname
+            }
+        })
+
+        return res.json({
+            status: 'success',
+            beneficiary: withCoolingOff(beneficiary)
+        })
+    } catch(err) {
+        if(err.code === 'P2025'){ // if the beneficiary was deleted in the meantime
+            return res.status(404).json({
+                status: 'failed',
+                message: `Beneficiary with id ${beneficiaryId} not found`
+            })
+        }
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/beneficiaries/{beneficiaryId}:
+ *   delete:
+ *     summary: Delete a saved beneficiary
+ *     description: Removes one of the authenticated user's beneficiaries. Past transfers to it are kept.
+ *     tags:
+ *       - Beneficiaries
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: path
+ *         name: beneficiaryId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Beneficiary deleted successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Beneficiary with id 1 deleted
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. The beneficiary doesn't belong to this user.
+ *       404:
+ *         description: Beneficiary not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.delete('/:beneficiaryId', authMiddleware, async (req, res, next) => {
+    const beneficiaryId = Number(req.params.beneficiaryId);
+
+    try {
+        let { error } = await findBeneficiary(beneficiaryId, req.user.id);
+
+        if(error){
+            return res.status(error.code).json({
+                status: 'failed',
+                message: error.message
+            })
+        }
+
+        await prisma.beneficiary.delete({
+            where: {
+                id: beneficiaryId
+            }
+        })
+
+        return res.json({
+            status: 'success',
+            message: `Beneficiary with id ${beneficiaryId} deleted`
+        })
+    } catch(err) {
+        if(err.code === 'P2025'){ // if the beneficiary was deleted in the meantime
+            return res.status(404).json({
+                status: 'failed',
+                message: `Beneficiary with id ${beneficiaryId} not found`
+            })
+        }
+        next(err)
+    }
+})
+
+export default router;
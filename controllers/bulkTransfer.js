@@ -0,0 +1,679 @@
+import Router from 'express-promise-router';
+const router = Router();
+
+import express from 'express';
+
+import { PrismaClient, Prisma } from '@prisma/client'
+const prisma = new PrismaClient();
+
+import { parseBulkTransferCsv, renderBulkTransferCsv } from '../services/bulkTransferCsv.js';
+import { runBulkTransferBatch } from '../services/bulkTransfer.js';
+import { getAvailableBalance } from '../services/holds.js';
+import { checkSourceAccountAccess } from '../services/accountHolders.js';
+
+import authMiddleware from '../middleware/auth.js';
+
+// the file is sent as the raw request body
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' });
+
+async function findBatch(batchId, user){
+    let batch = await prisma.bulk_Transfer_Batch.findUnique({
+        where: {
+            id: batchId
+        },
+        include: {
+            rows: {
+                orderBy: {
+                    row_number: 'asc'
+                }
+            }
+        }
+    })
+
+    if(!batch){ // if no matching data by entered batch's id
+        return { error: { code: 404, message: `Bulk transfer batch with id ${batchId} not found` } }
+    } else if(batch.user_id !== user.id && user.role !== 'admin'){
+        return { error: { code: 403, message: `This bulk transfer batch doesn't belong to this user` } }
+    }
+
+    return { batch }
+}
+
+/**
+ * @swagger
+ * /api/v1/transactions/bulk:
+ *   post:
+ *     summary: Upload a bulk transfer file
+ *     description: This endpoint allows an authenticated user to upload a CSV of transfers from one of their own accounts, e.g. a payroll. Each line has the destination account number and the amount (in the source account's currency), a header line is optional, and a file can have up to 1000 lines. Every row is validated up front and the batch is saved for preview, nothing moves until it is confirmed with POST /api/v1/transactions/bulk/{batchId}/confirm. When a row is invalid the batch can't be confirmed, fix the file and upload it again.
+ *     tags:
+ *       - Bulk Transfers
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: query
+ *         name: source_account_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *         description: The account every transfer of the batch is paid from (must belong to the authenticated user).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: "destination_account_number,amount\n2222111111,7500000\n3333111111,8250000.50\n"
+ *     responses:
+ *       201:
+ *         description: Every row is valid, the batch is waiting for confirmation.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 batch:
+ *                   $ref: '#/components/schemas/BulkTransferBatch'
+ *                 preview:
+ *                   $ref: '#/components/schemas/BulkTransferPreview'
+ *       400:
+ *         description: Missing source_account_id, or the file is empty or has too many lines.
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. The source account doesn't belong to this user.
+ *       404:
+ *         description: Source account not found.
+ *       422:
+ *         description: Some rows are invalid. The batch is saved with status invalid so the errors can be reviewed or downloaded, but it can't be confirmed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failed
+ *                 message:
+ *                   type: string
+ *                   example: 2 rows are invalid, fix them and upload the file again
+ *                 batch:
+ *                   $ref: '#/components/schemas/BulkTransferBatch'
+ *                 preview:
+ *                   $ref: '#/components/schemas/BulkTransferPreview'
+ *       500:
+ *         description: Internal server error.
+ *
+ * components:
+ *   schemas:
+ *     BulkTransferBatch:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         user_id:
+ *           type: integer
+ *           example: 1
+ *         source_account_id:
+ *           type: integer
+ *           example: 1
+ *         status:
+ *           type: string
+ *           enum: [pending_confirmation, invalid, processing, completed, failed, cancelled]
+ *           example: pending_confirmation
+ *           description: A batch is failed when its run stopped on an error, its rows still valid weren't run.
+ *         row_count:
+ *           type: integer
+ *           example: 2
+ *         total_amount:
+ *           type: string
+ *           example: "15750000.5"
+ *         succeeded_count:
+ *           type: integer
+ *           example: 0
+ *         failed_count:
+ *           type: integer
+ *           example: 0
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         confirmed_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         completed_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         rows:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               row_number:
+ *                 type: integer
+ *                 example: 1
+ *               destination_account_number:
+ *                 type: string
+ *                 example: "2222111111"
+ *               destination_account_id:
+ *                 type: integer
+ *                 nullable: true
+ *                 example: 2
+ *               amount:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "7500000"
+ *               status:
+ *                 type: string
+ *                 enum: [valid, invalid, succeeded, pending_approval, pending_review, failed]
+ *                 example: valid
+ *                 description: Rows above the approval threshold are pending_approval and rows flagged by the fraud checks are pending_review until an admin decides on their transfer.
+ *               message:
+ *                 type: string
+ *                 nullable: true
+ *                 example: null
+ *               transaction_id:
+ *                 type: integer
+ *                 nullable: true
+ *                 example: null
+ *     BulkTransferPreview:
+ *       type: object
+ *       properties:
+ *         valid_count:
+ *           type: integer
+ *           example: 2
+ *         invalid_count:
+ *           type: integer
+ *           example: 0
+ *         total_amount:
+ *           type: string
+ *           example: "15750000.5"
+ *           description: Sum of the valid rows, transfer fees are charged on top of it.
+ *         currency:
+ *           type: string
+ *           example: IDR
+ *         available_balance:
+ *           type: string
+ *           example: "100000000"
+ *         has_sufficient_balance:
+ *           type: boolean
+ *           example: true
+ */
+router.post('/', authMiddleware, csvBody, async (req, res, next) => {
+    const sourceAccountId = Number(req.query.source_account_id);
+
+    if(!Number.isInteger(sourceAccountId) || sourceAccountId <= 0){ // if the source_account_id query parameter is missing or not an id
+        return res.status(400).json({
+            status: 'failed',
+            message: 'source_account_id is required'
+        })
+    }
+
+    const parsed = parseBulkTransferCsv(typeof req.body === 'string' ? req.body : '');
+
+    if(parsed.error){ // if the file is empty or too long
+        return res.status(400).json({
+            status: 'failed',
+            message: parsed.error
+        })
+    }
+
+    try {
+        let sourceAccount = await prisma.bank_Account.findUnique({
+            where: {
+                id: sourceAccountId
+            }
+        })
+
+        if(!sourceAccount){ // if no matching data by entered account's id
+            return res.status(404).json({
+                status: 'failed',
+                message: `Account with id ${sourceAccountId} not found`
+            })
+        }
+
+        let accessError = await checkSourceAccountAccess(prisma, sourceAccount.id, req.user.id);
+
+        if(accessError){ // if the user don't have the entered source account or can only view it
+            return res.status(accessError.code).json({
+                status: 'failed',
+                message: accessError.message
+            })
+        }
+
+        let destinationAccounts = await prisma.bank_Account.findMany({
+            where: {
+                bank_account_number: {
+                    in: parsed.rows.map((row) => row.destination_account_number)
+                }
+            },
+            select: {
+                id: true,
+                bank_account_number: true
+            }
+        })
+        const accountIdsByNumber = new Map(destinationAccounts.map((account) => [account.bank_account_number, account.id]));
+
+        let totalAmount = new Prisma.Decimal(0);
+        const rows = parsed.rows.map((row) => {
+            const destinationAccountId = accountIdsByNumber.get(row.destination_account_number) ?? null;
+            let message = row.error;
+
+            if(!message && destinationAccountId === null){
+                message = 'No account with this account number';
+            } else if(!message && destinationAccountId === sourceAccount.id){
+                message = 'Cannot transfer to the source account';
+            }
+
+            if(!message){
+                totalAmount = totalAmount.plus(row.amount);
+            }
+
+            return {
+                row_number: row.row_number,
+                destination_account_number: row.destination_account_number,
+                destination_account_id: destinationAccountId,
+                amount: row.amount,
+                status: message ? 'invalid' : 'valid',
+                message: message
+            };
+        });
+
+        const invalidCount = rows.filter((row) => row.status === 'invalid').length;
+
+        let batch = await prisma.bulk_Transfer_Batch.create({
+            data: {
+                user_id: req.user.id,
+                source_account_id: sourceAccount.id,
+                status: invalidCount > 0 ? 'invalid' : 'pending_confirmation',
+                row_count: rows.length,
+                total_amount: totalAmount,
+                rows: {
+                    createMany: {
+                        data: rows
+                    }
+                }
+            },
+            include: {
+                rows: {
+                    orderBy: {
+                        row_number: 'asc'
+                    }
+                }
+            }
+        })
+
+        const availableBalance = await getAvailableBalance(prisma, sourceAccount);
+        const preview = {
+            valid_count: rows.length - invalidCount,
+            invalid_count: invalidCount,
+            total_amount: totalAmount,
+            currency: sourceAccount.currency,
+            available_balance: availableBalance,
+            has_sufficient_balance: availableBalance.greaterThanOrEqualTo(totalAmount)
+        };
+
+        if(invalidCount > 0){
+            return res.status(422).json({
+                status: 'failed',
+                message: `${invalidCount} ${invalidCount === 1 ? 'row is' : 'rows are'} invalid, fix them and upload the file again`,
+                batch: batch,
+                preview: preview
+            })
+        }
+
+        return res.status(201).json({
+            status: 'success',
+            batch: batch,
+            preview: preview
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/transactions/bulk:
+ *   get:
+ *     summary: Retrieve bulk transfer batches
+ *     description: Retrieves the authenticated user's bulk transfer batches, newest first, without their rows. Admins see every batch.
+ *     tags:
+ *       - Bulk Transfers
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the batches.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 batches_data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BulkTransferBatch'
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/', authMiddleware, async (req, res, next) => {
+    try {
+        let batches = await prisma.bulk_Transfer_Batch.findMany({
+            where: {
+                user_id: req.user.role === 'admin' ? undefined : req.user.id
+            },
+            orderBy: {
+                id: 'desc'
+            }
+        })
+
+        return res.json({
+            status: 'success',
+            batches_data: batches
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/transactions/bulk/{batchId}:
+ *   get:
+ *     summary: Retrieve a bulk transfer batch
+ *     description: Retrieves a bulk transfer batch with every row and its outcome. Only the batch's owner and admins can see it.
+ *     tags:
+ *       - Bulk Transfers
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the batch.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 batch:
+ *                   $ref: '#/components/schemas/BulkTransferBatch'
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. The batch doesn't belong to this user.
+ *       404:
+ *         description: Batch not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/:batchId', authMiddleware, async (req, res, next) => {
+    try {
+        let { batch, error } = await findBatch(Number(req.params.batchId), req.user);
+
+        if(error){
+            return res.status(error.code).json({
+                status: 'failed',
+                message: error.message
+            })
+        }
+
+        return res.json({
+            status: 'success',
+            batch: batch
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/transactions/bulk/{batchId}/download:
+ *   get:
+ *     summary: Download a bulk transfer batch
+ *     description: Downloads every row of a bulk transfer batch with its status, message and transaction as a CSV file. Only the batch's owner and admins can download it.
+ *     tags:
+ *       - Bulk Transfers
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: The batch as a CSV file.
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. The batch doesn't belong to this user.
+ *       404:
+ *         description: Batch not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/:batchId/download', authMiddleware, async (req, res, next) => {
+    try {
+        let { batch, error } = await findBatch(Number(req.params.batchId), req.user);
+
+        if(error){
+            return res.status(error.code).json({
+                status: 'failed',
+                message: error.message
+            })
+        }
+
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="bulk-transfer-${batch.id}.csv"`);
+        return res.send(renderBulkTransferCsv(batch));
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/transactions/bulk/{batchId}/confirm:
+ *   post:
+ *     summary: Confirm and run a bulk transfer batch
+ *     description: Runs every row of a batch waiting for confirmation, in file order, through the same checks as POST /api/v1/transactions (balance, limits, fees and approvals). A failed row doesn't stop the others, and the outcome of every row is returned and kept. Only the user who uploaded the batch can confirm it, and a batch only runs once.
+ *     tags:
+ *       - Bulk Transfers
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: The batch ran, see each row's status for its outcome.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 batch:
+ *                   $ref: '#/components/schemas/BulkTransferBatch'
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. The batch doesn't belong to this user.
+ *       404:
+ *         description: Batch not found.
+ *       409:
+ *         description: Conflict error. The batch has invalid rows, was cancelled, or has already been confirmed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failed
+ *                 message:
+ *                   type: string
+ *                   example: Bulk transfer batch with id 1 is completed and can't be confirmed
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/:batchId/confirm', authMiddleware, async (req, res, next) => {
+    const batchId = Number(req.params.batchId);
+
+    try {
+        // only one request can move the batch out of pending_confirmation, so it never runs twice
+        let claimed = await prisma.bulk_Transfer_Batch.updateMany({
+            where: {
+                id: batchId,
+                user_id: req.user.id,
+                status: 'pending_confirmation'
+            },
+            data: {
+                status: 'processing',
+                confirmed_at: new Date()
+            }
+        })
+
+        if(claimed.count === 0){ // work out why the batch couldn't be claimed
+            let { batch, error } = await findBatch(batchId, req.user);
+
+            if(!error && batch.user_id !== req.user.id){ // admins can see batches, but only the owner moves their money
+                error = { code: 403, message: `This bulk transfer batch doesn't belong to this user` };
+            }
+
+            return res.status(error?.code ?? 409).json({
+                status: 'failed',
+                message: error?.message ?? `Bulk transfer batch with id ${batchId} is ${batch.status} and can't be confirmed`
+            })
+        }
+
+        let batch = await runBulkTransferBatch(await prisma.bulk_Transfer_Batch.findUnique({
+            where: {
+                id: batchId
+            }
+        }));
+
+        return res.json({
+            status: 'success',
+            batch: batch
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/transactions/bulk/{batchId}/cancel:
+ *   post:
+ *     summary: Cancel a bulk transfer batch
+ *     description: Cancels a batch that hasn't been confirmed yet, nothing is transferred. Only the user who uploaded the batch can cancel it.
+ *     tags:
+ *       - Bulk Transfers
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Batch cancelled successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Bulk transfer batch with id 1 cancelled
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. The batch doesn't belong to this user.
+ *       404:
+ *         description: Batch not found.
+ *       409:
+ *         description: Conflict error. The batch has already been confirmed or cancelled.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/:batchId/cancel', authMiddleware, async (req, res, next) => {
+    const batchId = Number(req.params.batchId);
+
+    try {
+        let cancelled = await prisma.bulk_Transfer_Batch.updateMany({
+            where: {
+                id: batchId,
+                user_id: req.user.id,
+                status: {
+                    in: ['pending_confirmation', 'invalid']
+                }
+            },
+            data: {
+                status: 'cancelled'
+            }
+        })
+
+        if(cancelled.count === 0){ // work out why the batch couldn't be cancelled
+            let { batch, error } = await findBatch(batchId, req.user);
+
+            if(!error && batch.user_id !== req.user.id){
+                error = { code: 403, message: `This bulk transfer batch doesn't belong to this user` };
+            }
+
+            return res.status(error?.code ?? 409).json({
+                status: 'failed',
+                message: error?.message ?? `Bulk transfer batch with id ${batchId} is ${batch.status} and can't be cancelled`
+            })
+        }
+
+        return res.json({
+            status: 'success',
+            message: `Bulk transfer batch with id ${batchId} cancelled`
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+export default router;
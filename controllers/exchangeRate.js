@@ -0,0 +1,312 @@
+import Router from 'express-promise-router';
+const router = Router();
+
+import { PrismaClient, Prisma } from '@prisma/client'
+const prisma = new PrismaClient();
+
+import validateExchangeRate from '../validation/exchangeRate.js';
+import { findExchangeRate, convertAmount } from '../services/fx.js';
+
+import authMiddleware from '../middleware/auth.js';
+import adminMiddleware from '../middleware/admin.js';
+
+/**
+ * @swagger
+ * /api/v1/exchange-rates:
+ *   post:
+ *     summary: Add an exchange rate
+ *     description: This endpoint allows only **admin users** to set the rate between two currencies, as "1 base_currency = rate quote_currency", from a point in time. Transfers between accounts in different currencies use the latest rate that is already in effect, and the same rate is used inverted for the opposite direction when no direct rate exists. The optional spread is taken off the converted amount.
+ *     tags:
+ *       - Exchange Rates
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token with admin privileges.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               base_currency:
+ *                 type: string
+ *                 example: USD
+ *               quote_currency:
+ *                 type: string
+ *                 example: IDR
+ *               rate:
+ *                 type: number
+ *                 example: 15650.5
+ *               spread_percent:
+ *                 type: number
+ *                 example: 0.5
+ *                 description: Percentage of the converted amount the bank keeps. Defaults to 0.
+ *               effective_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the rate starts to apply. Defaults to now.
+ *     responses:
+ *       201:
+ *         description: Exchange rate added successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 exchange_rate:
+ *                   $ref: '#/components/schemas/ExchangeRate'
+ *       400:
+ *         description: Validation error. Input data does not meet the required format.
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. Only admin users can add exchange rates.
+ *       500:
+ *         description: Internal server error.
+ *
+ * components:
+ *   schemas:
+ *     ExchangeRate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         base_currency:
+ *           type: string
+ *           example: USD
+ *         quote_currency:
+ *           type: string
+ *           example: IDR
+ *         rate:
+ *           type: string
+ *           example: "15650.5"
+ *         spread_percent:
+ *           type: string
+ *           example: "0.5"
+ *         effective_at:
+ *           type: string
+ *           format: date-time
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+router.post('/', adminMiddleware, async (req, res, next) => {
+    const validatedData = {
+        base_currency: req.body.base_currency,
+        quote_currency: req.body.quote_currency,
+        rate: Number(req.body.rate),
+        spread_percent: req.body.spread_percent === undefined ? undefined : Number(req.body.spread_percent),
+        effective_at: req.body.effective_at
+    };
+
+    const response = validateExchangeRate(validatedData);
+
+    if(response.error){ // if the fields don't meet the requirements
+        return res.status(400).send(response.error.details);
+    }
+
+    try {
+        let exchangeRate = await prisma.exchange_Rate.create({
+            data: {
+                base_currency: validatedData.base_currency,
+                quote_currency: validatedData.quote_currency,
+                rate: validatedData.rate,
+                spread_percent: validatedData.spread_percent,
+                effective_at: validatedData.effective_at ? new Date(validatedData.effective_at) : undefined
+            }
+        })
+
+        return res.status(201).json({
+            status: 'success',
+            exchange_rate: exchangeRate
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/exchange-rates:
+ *   get:
+ *     summary: Retrieve exchange rates
+ *     description: This endpoint retrieves every exchange rate, including past and future ones, newest first. It can be narrowed down to one pair of currencies.
+ *     tags:
+ *       - Exchange Rates
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: query
+ *         name: base_currency
+ *         schema:
+ *           type: string
+ *           example: USD
+ *       - in: query
+ *         name: quote_currency
+ *         schema:
+ *           type: string
+ *           example: IDR
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the exchange rates.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 exchange_rates_data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ExchangeRate'
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/', authMiddleware, async (req, res, next) => {
+    try {
+        let exchangeRates = await prisma.exchange_Rate.findMany({
+            where: {
+                base_currency: req.query.base_currency,
+                quote_currency: req.query.quote_currency
+            },
+            orderBy: [{ effective_at: 'desc' }, { id: 'desc' }]
+        })
+
+        return res.json({
+            status: 'success',
+            exchange_rates_data: exchangeRates
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/exchange-rates/quote:
+ *   get:
+ *     summary: Preview a currency conversion
+ *     description: Shows how much a transfer of `amount` in `from` currency would credit in `to` currency at the rate currently in effect, after the spread.
+ *     tags:
+ *       - Exchange Rates
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: USD
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: IDR
+ *       - in: query
+ *         name: amount
+ *         required: true
+ *         schema:
+ *           type: number
+ *           example: 100
+ *     responses:
+ *       200:
+ *         description: The converted amount.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 quote:
+ *                   type: object
+ *                   properties:
+ *                     amount:
+ *                       type: number
+ *                       example: 100
+ *                     currency:
+ *                       type: string
+ *                       example: USD
+ *                     converted_amount:
+ *                       type: string
+ *                       example: "1557224.75"
+ *                     converted_currency:
+ *                       type: string
+ *                       example: IDR
+ *                     exchange_rate:
+ *                       type: string
+ *                       example: "15650.5"
+ *                     spread_percent:
+ *                       type: string
+ *                       example: "0.5"
+ *       400:
+ *         description: Validation error. Missing currencies or a non-positive amount.
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       404:
+ *         description: No exchange rate is in effect for the pair.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failed
+ *                 message:
+ *                   type: string
+ *                   example: No exchange rate from USD to SGD
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/quote', authMiddleware, async (req, res, next) => {
+    const from = req.query.from;
+    const to = req.query.to;
+    const amount = Number(req.query.amount);
+
+    if(!from || !to || isNaN(amount) || amount <= 0){ // if the query parameters don't meet the requirements
+        return res.status(400).json({
+            status: 'failed',
+            message: 'from, to and a positive amount are required'
+        })
+    }
+
+    try {
+        let exchangeRate = from === to
+            ? { rate: new Prisma.Decimal(1), spread_percent: new Prisma.Decimal(0) }
+            : await findExchangeRate(prisma, from, to);
+
+        if(!exchangeRate){ // if admins haven't set a rate for this pair of currencies yet
+            return res.status(404).json({
+                status: 'failed',
+                message: `No exchange rate from ${from} to ${to}`
+            })
+        }
+
+        return res.json({
+            status: 'success',
+            quote: {
+                amount: amount,
+                currency: from,
+                converted_amount: convertAmount(amount, exchangeRate.rate, exchangeRate.spread_percent),
+                converted_currency: to,
+                exchange_rate: exchangeRate.rate,
+                spread_percent: exchangeRate.spread_percent
+            }
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+export default router;
@@ -0,0 +1,520 @@
+import Router from 'express-promise-router';
+const router = Router();
+
+import { PrismaClient } from '@prisma/client'
+const prisma = new PrismaClient();
+
+import validateFeeRule from '../validation/feeRule.js';
+import validateTransaction from '../validation/transaction.js';
+import { calculateTransferFee } from '../services/fees.js';
+import { checkSourceAccountAccess } from '../services/accountHolders.js';
+
+import authMiddleware from '../middleware/auth.js';
+import adminMiddleware from '../middleware/admin.js';
+
+// a fee rule is always sent whole, fields left out fall back to their defaults
+function toFeeRuleData(body){
+    const toNumber = (value) => value === null ? null : Number(value);
+
+    return {
+        name: body.name,
+        scope: body.scope ?? 'all',
+        identity_type: body.identity_type ?? null,
+        currency: body.currency ?? null,
+        flat_amount: body.flat_amount === undefined ? 0 : Number(body.flat_amount),
+        percent: body.percent === undefined ? 0 : Number(body.percent),
+        min_fee: body.min_fee === undefined ? null : toNumber(body.min_fee),
+        max_fee: body.max_fee === undefined ? null : toNumber(body.max_fee),
+        is_active: body.is_active ?? true
+    };
+}
+
+/**
+ * @swagger
+ * /api/v1/fee-rules:
+ *   post:
+ *     summary: Add a fee rule
+ *     description: This endpoint allows only **admin users** to add a transfer fee rule. A rule applies to every transfer that matches its scope, tier and currency (a null tier or currency matches all of them). Its fee is `flat_amount` plus `percent` of the transfer amount, kept between `min_fee` and `max_fee`. When several rules match a transfer, their fees are added up.
+ *     tags:
+ *       - Fee Rules
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token with admin privileges.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FeeRuleInput'
+ *     responses:
+ *       201:
+ *         description: Fee rule added successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 fee_rule:
+ *                   $ref: '#/components/schemas/FeeRule'
+ *       400:
+ *         description: Validation error. Input data does not meet the required format.
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. Only admin users can add fee rules.
+ *       500:
+ *         description: Internal server error.
+ *
+ * components:
+ *   schemas:
+ *     FeeRuleInput:
+ *       type: object
+ *       required: [name]
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Inter-bank transfer
+ *         scope:
+ *           type: string
+ *           enum: [all, inter_bank, intra_bank]
+ *           example: inter_bank
+ *           description: inter_bank transfers go to an account with a different bank_name. Defaults to all.
+ *         identity_type:
+ *           type: string
+ *           nullable: true
+ *           enum: [Silver, Gold, Platinum]
+ *           example: null
+ *           description: Only charge customers of this tier. Defaults to every tier.
+ *         currency:
+ *           type: string
+ *           nullable: true
+ *           example: IDR
+ *           description: Only charge transfers in this currency. Defaults to every currency.
+ *         flat_amount:
+ *           type: number
+ *           example: 6500
+ *         percent:
+ *           type: number
+ *           example: 0
+ *         min_fee:
+ *           type: number
+ *           nullable: true
+ *           example: null
+ *         max_fee:
+ *           type: number
+ *           nullable: true
+ *           example: null
+ *         is_active:
+ *           type: boolean
+ *           example: true
+ *     FeeRule:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         name:
+ *           type: string
+ *           example: Inter-bank transfer
+ *         scope:
+ *           type: string
+ *           enum: [all, inter_bank, intra_bank]
+ *           example: inter_bank
+ *         identity_type:
+ *           type: string
+ *           nullable: true
+ *           example: null
+ *         currency:
+ *           type: string
+ *           nullable: true
+ *           example: IDR
+ *         flat_amount:
+ *           type: string
+ *           example: "6500"
+ *         percent:
+ *           type: string
+ *           example: "0"
+ *         min_fee:
+ *           type: string
+ *           nullable: true
+ *           example: null
+ *         max_fee:
+ *           type: string
+ *           nullable: true
+ *           example: null
+ *         is_active:
+ *           type: boolean
+ *           example: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     TransferFee:
+ *       type: object
+ *       properties:
+ *         amount_before_fee:
+ *           type: string
+ *           example: "100000"
+ *         fee:
+ *           type: string
+ *           example: "6500"
+ *         amount_after_fee:
+ *           type: string
+ *           example: "106500"
+ *           description: What the source account is charged, the transfer amount plus the fee.
+ *         rules:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *                 example: 1
+ *               name:
+ *                 type: string
+ *                 example: Inter-bank transfer
+ *               fee:
+ *                 type: string
+ *                 example: "6500"
+ */
+router.post('/', adminMiddleware, async (req, res, next) => {
+    const validatedData = toFeeRuleData(req.body);
+
+    const response = validateFeeRule(validatedData);
+
+    if(response.error){ // if the fields don't meet the requirements
+        return res.status(400).send(response.error.details);
+    }
+
+    try {
+        let feeRule = await prisma.fee_Rule.create({
+            data: validatedData
+        })
+
+        return res.status(201).json({
+            status: 'success',
+            fee_rule: feeRule
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/fee-rules:
+ *   get:
+ *     summary: Retrieve fee rules
+ *     description: This endpoint allows only **admin users** to see every fee rule, including inactive ones.
+ *     tags:
+ *       - Fee Rules
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token with admin privileges.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the fee rules.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 fee_rules_data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FeeRule'
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. Only admin users can see fee rules.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/', adminMiddleware, async (req, res, next) => {
+    try {
+        let feeRules = await prisma.fee_Rule.findMany({
+            orderBy: {
+                id: 'asc'
+            }
+        })
+
+        return res.json({
+            status: 'success',
+            fee_rules_data: feeRules
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/fee-rules/quote:
+ *   get:
+ *     summary: Preview the fee of a transfer
+ *     description: Shows the fee a transfer between two accounts would be charged with the fee rules currently active, before it is made. The authenticated user must own the source account.
+ *     tags:
+ *       - Fee Rules
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: query
+ *         name: source_account_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: query
+ *         name: destination_account_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 2
+ *       - in: query
+ *         name: amount
+ *         required: true
+ *         schema:
+ *           type: number
+ *           example: 100000
+ *     responses:
+ *       200:
+ *         description: The fee of the transfer.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 currency:
+ *                   type: string
+ *                   example: IDR
+ *                 fee:
+ *                   $ref: '#/components/schemas/TransferFee'
+ *       400:
+ *         description: Validation error. Missing account IDs or a non-positive amount.
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. The authenticated user does not own the source account.
+ *       404:
+ *         description: The source or destination account does not exist.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/quote', authMiddleware, async (req, res, next) => {
+    const validatedData = {
+        source_account_id: Number(req.query.source_account_id),
+        destination_account_id: Number(req.query.destination_account_id),
+        amount: Number(req.query.amount)
+    };
+
+    const response = validateTransaction(validatedData);
+
+    if(response.error){ // if the query parameters don't meet the requirements
+        return res.status(400).send(response.error.details);
+    }
+
+    try {
+        let accounts = await prisma.bank_Account.findMany({
+            where: {
+                id: {
+                    in: [validatedData.source_account_id, validatedData.destination_account_id]
+                }
+            }
+        })
+
+        let sourceAccount = accounts.find((account) => account.id === validatedData.source_account_id)
+        let destinationAccount = accounts.find((account) => account.id === validatedData.destination_account_id)
+
+        if(!sourceAccount || !destinationAccount){ // if one of the accounts doesn't exist
+            return res.status(404).json({
+                status: 'failed',
+                message: `Invalid account id`
+            })
+        }
+
+        let accessError = await checkSourceAccountAccess(prisma, sourceAccount.id, req.user.id);
+
+        if(accessError){ // if the user don't have the entered source account or can only view it
+            return res.status(accessError.code).json({
+                status: 'failed',
+                message: accessError.message
+            })
+        }
+
+        let { fee, rules } = await calculateTransferFee(prisma, {
+            userId: req.user.id,
+            amount: validatedData.amount,
+            currency: sourceAccount.currency,
+            isInterBank: sourceAccount.bank_name !== destinationAccount.bank_name
+        });
+
+        return res.json({
+            status: 'success',
+            currency: sourceAccount.currency,
+            fee: {
+                amount_before_fee: validatedData.amount,
+                fee: fee,
+                amount_after_fee: fee.plus(validatedData.amount),
+                rules: rules
+            }
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/fee-rules/{ruleId}:
+ *   put:
+ *     summary: Replace a fee rule
+ *     description: This endpoint allows only **admin users** to change a fee rule. The whole rule is sent, fields left out fall back to their defaults. Set `is_active` to false to stop charging a rule without deleting it.
+ *     tags:
+ *       - Fee Rules
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token with admin privileges.
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FeeRuleInput'
+ *     responses:
+ *       200:
+ *         description: Fee rule updated successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 fee_rule:
+ *                   $ref: '#/components/schemas/FeeRule'
+ *       400:
+ *         description: Validation error. Input data does not meet the required format.
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. Only admin users can change fee rules.
+ *       404:
+ *         description: Fee rule not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put('/:ruleId', adminMiddleware, async (req, res, next) => {
+    const ruleId = Number(req.params.ruleId);
+    const validatedData = toFeeRuleData(req.body);
+
+    const response = validateFeeRule(validatedData);
+
+    if(response.error){ // if the fields don't meet the requirements
+        return res.status(400).send(response.error.details);
+    }
+
+    try {
+        let feeRule = await prisma.fee_Rule.update({
+            where: {
+                id: ruleId
+            },
+            data: validatedData
+        })
+
+        return res.json({
+            status: 'success',
+            fee_rule: feeRule
+        })
+    } catch(err) {
+        if(err.code === 'P2025'){ // if no matching data by entered fee rule's id
+            return res.status(404).json({
+                status: 'failed',
+                message: `Fee rule with id ${ruleId} not found`
+            })
+        }
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/fee-rules/{ruleId}:
+ *   delete:
+ *     summary: Delete a fee rule
+ *     description: This endpoint allows only **admin users** to delete a fee rule. Fees already charged are kept on their transactions.
+ *     tags:
+ *       - Fee Rules
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token with admin privileges.
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Fee rule deleted successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Fee rule with id 1 deleted successfully
+ *                 deleted_fee_rule:
+ *                   $ref: '#/components/schemas/FeeRule'
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. Only admin users can delete fee rules.
+ *       404:
+ *         description: Fee rule not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.delete('/:ruleId', adminMiddleware, async (req, res, next) => {
+    const ruleId = Number(req.params.ruleId);
+    try {
+        let feeRule = await prisma.fee_Rule.delete({
+            where: {
+                id: ruleId
+            }
+        })
+
+        return res.json({
+            status: 'success',
+            message: `Fee rule with id ${ruleId} deleted successfully`,
+            deleted_fee_rule: feeRule
+        })
+    } catch(err) {
+        if(err.code === 'P2025'){ // if no matching data by entered fee rule's id
+            return res.status(404).json({
+                status: 'failed',
+                message: `Fee rule with id ${ruleId} not found`
+            })
+        }
+        next(err)
+    }
+})
+
+export default router;
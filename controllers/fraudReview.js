@@ -0,0 +1,476 @@
+import Router from 'express-promise-router';
+const router = Router();
+
+import { PrismaClient } from '@prisma/client'
+const prisma = new PrismaClient();
+
+import validateFraudReviewDecision from '../validation/fraudReviewDecision.js';
+import { settleHeldTransfer } from '../services/transfer.js';
+import { requiresApproval } from '../services/transferApproval.js';
+import { endTransferHold } from '../services/holds.js';
+import { updateTransactionStatus } from '../services/transactionStatus.js';
+
+import adminMiddleware from '../middleware/admin.js';
+
+// Clears a flagged transfer, which settles it (or passes it on for approval when it is above the approval
+// threshold), or confirms it as fraud, which fails it and releases its funds.
+async function decideFraudReview(reviewId, reviewerId, decision, note){
+    return prisma.$transaction(async (tx) => {
+        // lock the review so two admins can't decide on it at the same time
+        let lockedReviews = await tx.$queryRaw`
+            SELECT id FROM fraud_reviews
+            WHERE id = ${reviewId}
+            FOR UPDATE
+        `
+
+        if(lockedReviews.length === 0){ // if no matching data by entered review's id
+            return { error: { code: 404, message: `Fraud review with id ${reviewId} not found` } }
+        }
+
+        let { transaction, ...review } = await tx.fraud_Review.findUnique({
+            where: {
+                id: reviewId
+            },
+            include: {
+                transaction: true
+            }
+        })
+
+        if(review.status !== 'pending'){
+            return { error: { code: 409, message: `Fraud review with id ${reviewId} has already been ${review.status}` } }
+        } else if(review.user_id === reviewerId){ // an admin can't clear their own transfer
+            return { error: { code: 403, message: `A transfer must be reviewed by a different admin from the one who made it` } }
+        }
+
+        const decisionData = {
+            status: decision,
+            reviewer_id: reviewerId,
+            decision_note: note ?? null,
+            decided_at: new Date()
+        };
+
+        if(decision === 'confirmed'){ // no money has moved, the funds on hold are released
+            let failedTransaction = await updateTransactionStatus(tx, transaction, 'failed', `Confirmed as fraud by admin ${reviewerId}: ${note}`);
+            await endTransferHold(tx, transaction.id, 'released');
+            let confirmedReview = await tx.fraud_Review.update({
+                where: {
+                    id: reviewId
+                },
+                data: decisionData
+            })
+
+            return { transaction: failedTransaction, review: confirmedReview }
+        }
+
+        if(requiresApproval(transaction.amount)){ // the funds stay on hold, now waiting for the approval
+            let approval = await tx.transfer_Approval.create({
+                data: {
+                    transaction_id: transaction.id,
+                    maker_id: review.user_id
+                }
+            })
+            let clearedReview = await tx.fraud_Review.update({
+                where: {
+                    id: reviewId
+                },
+                data: decisionData
+            })
+
+            return { transaction, review: clearedReview, approval }
+        }
+
+        let settled = await settleHeldTransfer(tx, transaction);
+
+        if(settled.error){
+            return settled;
+        }
+
+        let clearedReview = await tx.fraud_Review.update({
+            where: {
+                id: reviewId
+            },
+            data: decisionData
+        })
+
+        return { transaction: settled.transaction, review: clearedReview }
+    })
+}
+
+/**
+ * @swagger
+ * /api/v1/fraud-reviews:
+ *   get:
+ *     summary: Retrieve the fraud review queue
+ *     description: This endpoint allows only **admin users** to see the transfers flagged by the fraud checks, oldest first, with their transaction and the rules that flagged them. Filter by `status=pending` for the transfers still waiting for a review.
+ *     tags:
+ *       - Fraud Reviews
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token with admin privileges.
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, cleared, confirmed]
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the reviews.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 fraud_reviews_data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FraudReview'
+ *       400:
+ *         description: Unknown review status.
+ *       403:
+ *         description: Forbidden. Only admin users can see fraud reviews.
+ *       500:
+ *         description: Internal server error.
+ *
+ * components:
+ *   schemas:
+ *     FraudReview:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         transaction_id:
+ *           type: integer
+ *           example: 10
+ *         user_id:
+ *           type: integer
+ *           example: 3
+ *           description: The user who made the transfer.
+ *         rules:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               rule:
+ *                 type: string
+ *                 enum: [transfer_velocity, amount_above_average, first_time_payee, new_account_drain]
+ *                 example: first_time_payee
+ *               verdict:
+ *                 type: string
+ *                 enum: [flag, block]
+ *                 example: flag
+ *               reason:
+ *                 type: string
+ *                 example: First transfer to account 7, for 25000000
+ *         status:
+ *           type: string
+ *           enum: [pending, cleared, confirmed]
+ *           example: pending
+ *         reviewer_id:
+ *           type: integer
+ *           nullable: true
+ *         decision_note:
+ *           type: string
+ *           nullable: true
+ *         decided_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+router.get('/', adminMiddleware, async (req, res, next) => {
+    const status = req.query.status;
+
+    if(status !== undefined && !['pending', 'cleared', 'confirmed'].includes(status)){ // if the status filter is not a review status
+        return res.status(400).json({
+            status: 'failed',
+            message: 'status must be one of pending, cleared or confirmed'
+        })
+    }
+
+    try {
+        let reviews = await prisma.fraud_Review.findMany({
+            where: {
+                status: status
+            },
+            include: {
+                transaction: true
+            },
+            orderBy: {
+                id: 'asc'
+            }
+        })
+
+        return res.json({
+            status: 'success',
+            fraud_reviews_data: reviews
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/fraud-reviews/{reviewId}:
+ *   get:
+ *     summary: Retrieve a fraud review
+ *     description: This endpoint allows only **admin users** to see a flagged transfer with the rules that flagged it.
+ *     tags:
+ *       - Fraud Reviews
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token with admin privileges.
+ *     parameters:
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the review.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 fraud_review:
+ *                   $ref: '#/components/schemas/FraudReview'
+ *       403:
+ *         description: Forbidden. Only admin users can see fraud reviews.
+ *       404:
+ *         description: Review not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/:reviewId', adminMiddleware, async (req, res, next) => {
+    const reviewId = Number(req.params.reviewId);
+
+    try {
+        let review = await prisma.fraud_Review.findUnique({
+            where: {
+                id: reviewId
+            },
+            include: {
+                transaction: true
+            }
+        })
+
+        if(!review){ // if no matching data by entered review's id
+            return res.status(404).json({
+                status: 'failed',
+                message: `Fraud review with id ${reviewId} not found`
+            })
+        }
+
+        return res.json({
+            status: 'success',
+            fraud_review: review
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/fraud-reviews/{reviewId}/clear:
+ *   post:
+ *     summary: Clear a flagged transfer
+ *     description: This endpoint allows only **admin users** to clear a transfer flagged by the fraud checks. The transfer is settled and its hold ends, or, when it is above the approval threshold, it moves on to wait for approval with its funds still on hold. The reviewer must be a different admin from the one who made the transfer.
+ *     tags:
+ *       - Fraud Reviews
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token with admin privileges.
+ *     parameters:
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 example: Customer confirmed the payment by phone
+ *                 description: Optional note kept with the decision.
+ *     responses:
+ *       200:
+ *         description: Transfer cleared.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 transaction:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 10
+ *                     status:
+ *                       type: string
+ *                       example: completed
+ *                 fraud_review:
+ *                   $ref: '#/components/schemas/FraudReview'
+ *                 approval:
+ *                   $ref: '#/components/schemas/TransferApproval'
+ *       400:
+ *         description: Validation error. The note is too long.
+ *       403:
+ *         description: Forbidden. Only admin users can review transfers, and not the admin who made the transfer.
+ *       404:
+ *         description: Review not found.
+ *       409:
+ *         description: Conflict error. The review has already been decided, or the transfer can't be settled (e.g. the balance dropped in the meantime), in which case it stays pending.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/:reviewId/clear', adminMiddleware, async (req, res, next) => {
+    const reviewId = Number(req.params.reviewId);
+
+    const validatedData = {
+        decision: 'cleared',
+        note: req.body.note
+    };
+
+    const response = validateFraudReviewDecision(validatedData);
+
+    if(response.error){ // if the fields don't meet the requirements
+        return res.status(400).send(response.error.details);
+    }
+
+    try {
+        let result = await decideFraudReview(reviewId, req.user.id, validatedData.decision, validatedData.note);
+
+        if(result.error){
+            return res.status(result.error.code).json({
+                status: 'failed',
+                message: result.error.message
+            })
+        }
+
+        return res.json({
+            status: 'success',
+            transaction: result.transaction,
+            fraud_review: result.review,
+            approval: result.approval
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/fraud-reviews/{reviewId}/confirm:
+ *   post:
+ *     summary: Confirm a flagged transfer as fraud
+ *     description: This endpoint allows only **admin users** to confirm that a transfer flagged by the fraud checks is fraudulent. The transfer fails without moving any money, its hold ends, and the decision is recorded with its note. The reviewer must be a different admin from the one who made the transfer.
+ *     tags:
+ *       - Fraud Reviews
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token with admin privileges.
+ *     parameters:
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 example: Account holder did not make this transfer
+ *     responses:
+ *       200:
+ *         description: Transfer confirmed as fraud and failed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 transaction:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 10
+ *                     status:
+ *                       type: string
+ *                       example: failed
+ *                 fraud_review:
+ *                   $ref: '#/components/schemas/FraudReview'
+ *       400:
+ *         description: Validation error. The note is missing or too long.
+ *       403:
+ *         description: Forbidden. Only admin users can review transfers, and not the admin who made the transfer.
+ *       404:
+ *         description: Review not found.
+ *       409:
+ *         description: Conflict error. The review has already been decided.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/:reviewId/confirm', adminMiddleware, async (req, res, next) => {
+    const reviewId = Number(req.params.reviewId);
+
+    const validatedData = {
+        decision: 'confirmed',
+        note: req.body.note
+    };
+
+    const response = validateFraudReviewDecision(validatedData);
+
+    if(response.error){ // if the fields don't meet the requirements
+        return res.status(400).send(response.error.details);
+    }
+
+    try {
+        let result = await decideFraudReview(reviewId, req.user.id, validatedData.decision, validatedData.note);
+
+        if(result.error){
+            return res.status(result.error.code).json({
+                status: 'failed',
+                message: result.error.message
+            })
+        }
+
+        return res.json({
+            status: 'success',
+            transaction: result.transaction,
+            fraud_review: result.review
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+export default router;
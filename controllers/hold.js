@@ -0,0 +1,571 @@
+import Router from 'express-promise-router';
+const router = Router();
+
+import { PrismaClient, Prisma } from '@prisma/client'
+const prisma = new PrismaClient();
+
+import validateHold from '../validation/hold.js';
+import validateHoldCapture from '../validation/holdCapture.js';
+import { defaultHoldDuration, getAvailableBalance, lockActiveHold } from '../services/holds.js';
+import { postLedgerEntries } from '../services/ledger.js';
+import { createPendingTransaction, updateTransactionStatus } from '../services/transactionStatus.js';
+import { getAccountRole, canViewAccount } from '../services/accountHolders.js';
+
+import authMiddleware from '../middleware/auth.js';
+import adminMiddleware from '../middleware/admin.js';
+
+/**
+ * @swagger
+ * /api/v1/holds:
+ *   post:
+ *     summary: Put funds on hold
+ *     description: This endpoint allows only **admin users** (e.g. the card or merchant integration) to reserve part of an account's available balance, like a card authorization. The held funds stay in the account but can't be spent until the hold is captured, released or expires. The amount can't exceed the available balance (balance minus active holds).
+ *     tags:
+ *       - Holds
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token with admin privileges.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               account_id:
+ *                 type: integer
+ *                 example: 1
+ *               destination_account_id:
+ *                 type: integer
+ *                 example: 2
+ *                 description: The account a capture pays, e.g. the merchant's. It must use the same currency. Without it, captured funds leave the bank.
+ *               amount:
+ *                 type: number
+ *                 example: 250000
+ *               description:
+ *                 type: string
+ *                 example: Hotel booking authorization
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the hold is released if it hasn't been captured. Defaults to 7 days from now.
+ *     responses:
+ *       201:
+ *         description: Funds put on hold successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 hold:
+ *                   $ref: '#/components/schemas/AccountHold'
+ *                 available_balance:
+ *                   type: string
+ *                   example: "4750000"
+ *       400:
+ *         description: Validation error. Input data does not meet the required format.
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. Only admin users can put funds on hold.
+ *       404:
+ *         description: One of the accounts does not exist.
+ *       409:
+ *         description: Conflict error. Insufficient available balance, or the destination account uses another currency.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failed
+ *                 message:
+ *                   type: string
+ *                   example: Insufficient available balance, 100000 available
+ *       500:
+ *         description: Internal server error.
+ *
+ * components:
+ *   schemas:
+ *     AccountHold:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         account_id:
+ *           type: integer
+ *           example: 1
+ *         destination_account_id:
+ *           type: integer
+ *           nullable: true
+ *           example: 2
+ *         amount:
+ *           type: string
+ *           example: "250000"
+ *         captured_amount:
+ *           type: string
+ *           nullable: true
+ *           example: null
+ *         status:
+ *           type: string
+ *           enum: [active, captured, released, expired]
+ *           example: active
+ *         description:
+ *           type: string
+ *           nullable: true
+ *           example: Hotel booking authorization
+ *         transaction_id:
+ *           type: integer
+ *           nullable: true
+ *           example: null
+ *           description: The capture transaction, or the transfer waiting for approval the hold was made for.
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+router.post('/', adminMiddleware, async (req, res, next) => {
+    const validatedData = {
+        account_id: Number(req.body.account_id),
+        destination_account_id: req.body.destination_account_id === undefined ? undefined : Number(req.body.destination_account_id),
+        amount: Number(req.body.amount),
+        description: req.body.description,
+        expires_at: req.body.expires_at
+    };
+
+    const response = validateHold(validatedData);
+
+    if(response.error){ // if the fields don't meet the requirements
+        return res.status(400).send(response.error.details);
+    }
+
+    const accountIds = [validatedData.account_id, validatedData.destination_account_id].filter((id) => id !== undefined);
+
+    try {
+        let result = await prisma.$transaction(async (tx) => {
+            // lock the account so two holds (or a hold and a transfer) can't both spend the same available balance
+            let lockedAccounts = await tx.$queryRaw`
+                SELECT id, balance, overdraft_limit, currency FROM bank_accounts
+                WHERE id IN (${Prisma.join(accountIds)})
+                ORDER BY id
+                FOR UPDATE
+            `
+
+            let account = lockedAccounts.find((lockedAccount) => lockedAccount.id === validatedData.account_id);
+            let destinationAccount = lockedAccounts.find((lockedAccount) => lockedAccount.id === validatedData.destination_account_id);
+
+            if(!account || (validatedData.destination_account_id !== undefined && !destinationAccount)){ // if one of the accounts doesn't exist
+                return { error: { code: 404, message: `Invalid account id` } }
+            } else if(destinationAccount && destinationAccount.currency !== account.currency){ // captures don't convert currencies
+                return { error: { code: 409, message: `The destination account must use the same currency as the held account` } }
+            }
+
+            const availableBalance = await getAvailableBalance(tx, account);
+
+            if(new Prisma.Decimal(validatedData.amount).greaterThan(availableBalance)){ // if entered amount is greater than the account's balance minus its active holds
+                return { error: { code: 409, message: `Insufficient available balance, ${availableBalance} available` } }
+            }
+
+            let hold = await tx.account_Hold.create({
+                data: {
+                    account_id: validatedData.account_id,
+                    destination_account_id: validatedData.destination_account_id,
+                    amount: validatedData.amount,
+                    description: validatedData.description,
+                    expires_at: validatedData.expires_at ? new Date(validatedData.expires_at) : new Date(Date.now() + defaultHoldDuration)
+                }
+            })
+
+            return { hold, availableBalance: availableBalance.minus(validatedData.amount) }
+        })
+
+        if(result.error){
+            return res.status(result.error.code).json({
+                status: 'failed',
+                message: result.error.message
+            })
+        }
+
+        return res.status(201).json({
+            status: 'success',
+            hold: result.hold,
+            available_balance: result.availableBalance
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/holds:
+ *   get:
+ *     summary: Retrieve the holds of an account
+ *     description: Retrieves the holds of a bank account, newest first, with its balance and available balance. The authenticated user can only access their own accounts unless they are an admin.
+ *     tags:
+ *       - Holds
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: query
+ *         name: account_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, captured, released, expired]
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the holds.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 account_id:
+ *                   type: integer
+ *                   example: 1
+ *                 balance:
+ *                   type: string
+ *                   example: "5000000"
+ *                 available_balance:
+ *                   type: string
+ *                   example: "4750000"
+ *                 holds_data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AccountHold'
+ *       400:
+ *         description: Missing account_id or unknown hold status.
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. The account doesn't belong to this user.
+ *       404:
+ *         description: Account not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/', authMiddleware, async (req, res, next) => {
+    const accId = Number(req.query.account_id);
+    const status = req.query.status;
+
+    if(!Number.isInteger(accId) || accId <= 0){ // if the account_id query parameter is missing or not an id
+        return res.status(400).json({
+            status: 'failed',
+            message: 'account_id is required'
+        })
+    } else if(status !== undefined && !['active', 'captured', 'released', 'expired'].includes(status)){ // if the status filter is not a hold status
+        return res.status(400).json({
+            status: 'failed',
+            message: 'status must be one of active, captured, released or expired'
+        })
+    }
+
+    try {
+        let account = await prisma.bank_Account.findUnique({
+            where: {
+                id: accId
+            }
+        })
+
+        if(!account){ // if no matching data by entered account's id
+            return res.status(404).json({
+                status: 'failed',
+                message: `Account with id ${accId} not found`
+            })
+        } else if(req.user.role !== 'admin' && !canViewAccount(await getAccountRole(prisma, accId, req.user.id))){ // if the authenticated user don't hold the entered account and not the admin
+            return res.status(403).json({
+                status: 'failed',
+                message: `This account doesn't belong to this user`
+            })
+        }
+
+        let holds = await prisma.account_Hold.findMany({
+            where: {
+                account_id: accId,
+                status: status
+            },
+            orderBy: {
+                id: 'desc'
+            }
+        })
+
+        return res.json({
+            status: 'success',
+            account_id: accId,
+            balance: account.balance,
+            available_balance: await getAvailableBalance(prisma, account),
+            holds_data: holds
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/holds/{holdId}/capture:
+ *   post:
+ *     summary: Capture a hold
+ *     description: This endpoint allows only **admin users** to capture a hold, fully or partially. The captured amount moves from the held account to the hold's destination account (or out of the bank when it has none) as a `capture` transaction, and whatever is left of the hold is released. A hold can only be captured once.
+ *     tags:
+ *       - Holds
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token with admin privileges.
+ *     parameters:
+ *       - in: path
+ *         name: holdId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 200000
+ *                 description: The amount to capture. Defaults to the full held amount.
+ *     responses:
+ *       201:
+ *         description: Hold captured successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 hold:
+ *                   $ref: '#/components/schemas/AccountHold'
+ *                 transaction:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 12
+ *                     type:
+ *                       type: string
+ *                       example: capture
+ *                     amount:
+ *                       type: number
+ *                       example: 200000
+ *       400:
+ *         description: Validation error. The amount is not positive or exceeds the held amount.
+ *       403:
+ *         description: Forbidden. Only admin users can capture holds.
+ *       404:
+ *         description: Hold not found.
+ *       409:
+ *         description: Conflict error. The hold is no longer active (captured, released or expired), belongs to a transfer waiting for approval, or the account no longer has enough balance.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failed
+ *                 message:
+ *                   type: string
+ *                   example: Hold with id 1 is released
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/:holdId/capture', adminMiddleware, async (req, res, next) => {
+    const holdId = Number(req.params.holdId);
+
+    const validatedData = {
+        amount: req.body.amount === undefined ? undefined : Number(req.body.amount)
+    };
+
+    const response = validateHoldCapture(validatedData);
+
+    if(response.error){ // if the fields don't meet the requirements
+        return res.status(400).send(response.error.details);
+    }
+
+    try {
+        let result = await prisma.$transaction(async (tx) => {
+            let { hold, error } = await lockActiveHold(tx, holdId);
+
+            if(error){
+                return { error }
+            }
+
+            const amount = new Prisma.Decimal(validatedData.amount ?? hold.amount);
+
+            if(amount.greaterThan(hold.amount)){ // partial captures can't be larger than what was held
+                return { error: { code: 400, message: `Capture amount can't exceed the held amount of ${hold.amount}` } }
+            }
+
+            const accountIds = [hold.account_id, hold.destination_account_id].filter((id) => id !== null);
+
+            let lockedAccounts = await tx.$queryRaw`
+                SELECT id, balance, overdraft_limit, currency FROM bank_accounts
+                WHERE id IN (${Prisma.join(accountIds)})
+                ORDER BY id
+                FOR UPDATE
+            `
+
+            let account = lockedAccounts.find((lockedAccount) => lockedAccount.id === hold.account_id);
+
+            // this hold is still active, so add it back to see what the capture can use
+            const availableBalance = (await getAvailableBalance(tx, account)).plus(hold.amount);
+
+            if(amount.greaterThan(availableBalance)){ // the balance can still drop while the hold is active (e.g. a reversal)
+                return { error: { code: 409, message: `Insufficient balance in account ${hold.account_id} to capture this hold` } }
+            }
+
+            let transaction = await createPendingTransaction(tx, {
+                type: 'capture',
+                source_account_id: hold.account_id,
+                destination_account_id: hold.destination_account_id,
+                amount: amount,
+                currency: account.currency
+            })
+
+            // without a destination account the money leaves the bank, like a withdrawal
+            await postLedgerEntries(tx, {
+                transactionId: transaction.id,
+                debitAccountId: hold.account_id,
+                creditAccountId: hold.destination_account_id,
+                amount: amount,
+                description: `Capture of hold ${hold.id}`
+            })
+
+            transaction = await updateTransactionStatus(tx, transaction, 'completed');
+
+            hold = await tx.account_Hold.update({
+                where: {
+                    id: hold.id
+                },
+                data: {
+                    status: 'captured',
+                    captured_amount: amount,
+                    transaction_id: transaction.id
+                }
+            })
+
+            return { hold, transaction }
+        })
+
+        if(result.error){
+            return res.status(result.error.code).json({
+                status: 'failed',
+                message: result.error.message
+            })
+        }
+
+        return res.status(201).json({
+            status: 'success',
+            hold: result.hold,
+            transaction: result.transaction
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/holds/{holdId}/release:
+ *   post:
+ *     summary: Release a hold
+ *     description: This endpoint allows only **admin users** to release an active hold without moving any money, so the funds become available again.
+ *     tags:
+ *       - Holds
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token with admin privileges.
+ *     parameters:
+ *       - in: path
+ *         name: holdId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Hold released successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 hold:
+ *                   $ref: '#/components/schemas/AccountHold'
+ *       403:
+ *         description: Forbidden. Only admin users can release holds.
+ *       404:
+ *         description: Hold not found.
+ *       409:
+ *         description: Conflict error. The hold is no longer active or belongs to a transfer waiting for approval.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/:holdId/release', adminMiddleware, async (req, res, next) => {
+    const holdId = Number(req.params.holdId);
+
+    try {
+        let result = await prisma.$transaction(async (tx) => {
+            let { hold, error } = await lockActiveHold(tx, holdId);
+
+            if(error){
+                return { error }
+            }
+
+            hold = await tx.account_Hold.update({
+                where: {
+                    id: hold.id
+                },
+                data: {
+                    status: 'released'
+                }
+            })
+
+            return { hold }
+        })
+
+        if(result.error){
+            return res.status(result.error.code).json({
+                status: 'failed',
+                message: result.error.message
+            })
+        }
+
+        return res.json({
+            status: 'success',
+            hold: result.hold
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+export default router;
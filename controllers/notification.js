@@ -0,0 +1,138 @@
+import Router from 'express-promise-router';
+const router = Router();
+
+import { PrismaClient } from '@prisma/client'
+const prisma = new PrismaClient();
+
+import { createNotificationHub } from '../services/notifications.js';
+
+import authMiddleware from '../middleware/auth.js';
+
+const notificationHub = createNotificationHub(prisma);
+
+const heartbeatInterval = 25 * 1000;
+
+/**
+ * @swagger
+ * /api/v1/notifications/stream:
+ *   get:
+ *     summary: Stream account notifications
+ *     description: Opens a Server-Sent Events stream that pushes a credit or debit event each time one of the authenticated user's accounts receives or sends money, within a couple of seconds. Each event's id is the position of its ledger entry in the order entries were committed, which is not always the order of their ids. A client that reconnects with the Last-Event-ID header (or last_event_id, for the first connection) first receives every credit and debit it missed, in order. A comment line is sent every 25 seconds to keep the connection open.
+ *     tags:
+ *       - Notifications
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: integer
+ *           example: 42
+ *         description: The id of the last event received, set by EventSource when it reconnects.
+ *       - in: query
+ *         name: last_event_id
+ *         schema:
+ *           type: integer
+ *           example: 42
+ *         description: Same as Last-Event-ID, the header wins when both are given.
+ *     responses:
+ *       200:
+ *         description: The event stream. Every event carries an AccountNotification as data.
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: "id: 42\nevent: credit\ndata: {\"ledger_entry_id\":42,\"account_id\":2,\"bank_account_number\":\"2222111111\",\"currency\":\"IDR\",\"direction\":\"credit\",\"amount\":\"150000\",\"balance_after\":\"1150000\",\"description\":\"Transfer from account 1 to account 2\",\"transaction_id\":7,\"transaction_type\":\"transfer\",\"created_at\":\"2024-11-14T09:00:00.000Z\"}\n\n"
+ *       400:
+ *         description: Validation error. The last event id is not a whole number.
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       500:
+ *         description: Internal server error.
+ *
+ * components:
+ *   schemas:
+ *     AccountNotification:
+ *       type: object
+ *       properties:
+ *         ledger_entry_id:
+ *           type: integer
+ *           example: 42
+ *         account_id:
+ *           type: integer
+ *           example: 2
+ *         bank_account_number:
+ *           type: string
+ *           example: "2222111111"
+ *         currency:
+ *           type: string
+ *           example: IDR
+ *         direction:
+ *           type: string
+ *           enum: [credit, debit]
+ *           example: credit
+ *         amount:
+ *           type: string
+ *           example: "150000"
+ *         balance_after:
+ *           type: string
+ *           example: "1150000"
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         transaction_id:
+ *           type: integer
+ *           nullable: true
+ *           example: 7
+ *         transaction_type:
+ *           type: string
+ *           nullable: true
+ *           example: transfer
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+router.get('/stream', authMiddleware, async (req, res, next) => {
+    const lastEventId = req.get('Last-Event-ID') ?? req.query.last_event_id;
+
+    if(lastEventId !== undefined && !/^\d+$/.test(lastEventId)){
+        return res.status(400).json({
+            status: 'failed',
+            message: 'The last event id must be a whole number'
+        })
+    }
+
+    let isClosed = false;
+    let disconnect = null;
+    let heartbeat = null;
+
+    res.on('close', () => { // the client went away, or the stream ended
+        isClosed = true;
+        clearInterval(heartbeat);
+        disconnect?.();
+    })
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // stop proxies such as nginx from holding the events back
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    try {
+        disconnect = await notificationHub.connect(req.user.id, lastEventId === undefined ? null : Number(lastEventId), (chunk) => res.write(chunk));
+    } catch(err) {
+        console.error(err.stack)
+        return res.end(); // the headers are already sent, the client reconnects with its last event id
+    }
+
+    if(isClosed){ // closed while the missed events were being sent
+        return disconnect();
+    }
+
+    heartbeat = setInterval(() => res.write(': keep-alive\n\n'), heartbeatInterval);
+})
+
+export default router;
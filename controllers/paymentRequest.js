@@ -0,0 +1,872 @@
+import Router from 'express-promise-router';
+const router = Router();
+
+import { randomUUID } from 'crypto';
+
+import { PrismaClient } from '@prisma/client'
+const prisma = new PrismaClient();
+
+import validatePaymentRequest from '../validation/paymentRequest.js';
+import validateSplitBill from '../validation/splitBill.js';
+import { executeTransfer } from '../services/transfer.js';
+import { defaultPaymentRequestDuration, splitBill, expirePaymentRequests } from '../services/paymentRequest.js';
+import { toAccountInquiry } from '../services/accountLookup.js';
+
+import authMiddleware from '../middleware/auth.js';
+
+// the payer sees who is asking, the requester only sees the payer's masked name when creating the request
+const paymentRequestInclude = {
+    requester: {
+        select: {
+            name: true
+        }
+    },
+    requesterAccount: {
+        select: {
+            bank_account_number: true,
+            bank_name: true
+        }
+    },
+    payerAccount: {
+        select: {
+            bank_account_number: true,
+            bank_name: true
+        }
+    }
+};
+
+// checks the account the money is paid into and the accounts asked to pay
+async function findRequestAccounts(userId, requesterAccountId, payerAccountNumbers){
+    let requesterAccount = await prisma.bank_Account.findUnique({
+        where: {
+            id: requesterAccountId
+        }
+    })
+
+    if(!requesterAccount){ // if no matching data by entered account's id
+        return { error: { code: 404, message: `Account with id ${requesterAccountId} not found` } }
+    } else if(requesterAccount.user_id !== userId){ // money can only be requested into the user's own account
+        return { error: { code: 403, message: `The requester account doesn't belong to this user` } }
+    }
+
+    let payerAccounts = await prisma.bank_Account.findMany({
+        where: {
+            bank_account_number: {
+                in: payerAccountNumbers
+            }
+        },
+        include: {
+            user: {
+                select: {
+                    name: true
+                }
+            }
+        }
+    })
+
+    for(const accountNumber of payerAccountNumbers){
+        const payerAccount = payerAccounts.find((account) => account.bank_account_number === accountNumber);
+
+        if(!payerAccount){ // if no account has the entered account number
+            return { error: { code: 404, message: `Account with number ${accountNumber} not found` } }
+        } else if(payerAccount.user_id === userId){
+            return { error: { code: 409, message: `Cannot request money from your own account` } }
+        } else if(payerAccount.currency !== requesterAccount.currency){ // the requested amount must mean the same to both sides
+            return { error: { code: 409, message: `Account with number ${accountNumber} is in ${payerAccount.currency}, payment requests must be in ${requesterAccount.currency}` } }
+        }
+    }
+
+    return {
+        requesterAccount,
+        payerAccounts: payerAccountNumbers.map((accountNumber) => payerAccounts.find((account) => account.bank_account_number === accountNumber))
+    }
+}
+
+function toPaymentRequestData(userId, requesterAccount, payerAccount, amount, body, splitId = null){
+    return {
+        requester_id: userId,
+        requester_account_id: requesterAccount.id,
+        payer_id: payerAccount.user_id,
+        payer_account_id: payerAccount.id,
+        amount: amount,
+        currency: requesterAccount.currency,
+        note: body.note,
+        split_id: splitId,
+        expires_at: body.expires_at ?? new Date(Date.now() + defaultPaymentRequestDuration)
+    };
+}
+
+async function findPaymentRequest(requestId, user){
+    await expirePaymentRequests(prisma);
+
+    let paymentRequest = await prisma.payment_Request.findUnique({
+        where: {
+            id: requestId
+        },
+        include: paymentRequestInclude
+    })
+
+    if(!paymentRequest){ // if no matching data by entered request's id
+        return { error: { code: 404, message: `Payment request with id ${requestId} not found` } }
+    } else if(paymentRequest.requester_id !== user.id && paymentRequest.payer_id !== user.id && user.role !== 'admin'){
+        return { error: { code: 403, message: `This payment request doesn't belong to this user` } }
+    }
+
+    return { paymentRequest }
+}
+
+// Moves a pending request to its answer. Only one answer can win, so a request is never paid twice. Resolves to
+// false when the request isn't pending anymore or isn't the user's to answer.
+async function claimPaymentRequest(requestId, where, status){
+    let claimed = await prisma.payment_Request.updateMany({
+        where: {
+            id: requestId,
+            status: 'pending',
+            expires_at: {
+                gt: new Date()
+            },
+            ...where
+        },
+        data: {
+            status: status,
+            decided_at: new Date()
+        }
+    })
+
+    return claimed.count > 0;
+}
+
+// puts an accepted request whose transfer didn't go through back to pending, so the payer can try again
+async function releasePaymentRequest(requestId){
+    await prisma.payment_Request.updateMany({
+        where: {
+            id: requestId,
+            status: 'accepted',
+            transaction_id: null
+        },
+        data: {
+            status: 'pending',
+            decided_at: null
+        }
+    })
+}
+
+const claimedStatuses = { accept: 'accepted', decline: 'declined', cancel: 'cancelled' };
+
+// explains why a request couldn't be claimed
+async function claimError(requestId, user, role, action){
+    let { paymentRequest, error } = await findPaymentRequest(requestId, user);
+
+    if(error){
+        return error;
+    } else if(paymentRequest[`${role}_id`] !== user.id){
+        return { code: 403, message: `Only the ${role} can ${action} this payment request` };
+    }
+    return { code: 409, message: `Payment request with id ${requestId} is ${paymentRequest.status} and can't be ${claimedStatuses[action]}` };
+}
+
+/**
+ * @swagger
+ * /api/v1/payment-requests:
+ *   post:
+ *     summary: Request money from another customer
+ *     description: This endpoint allows an authenticated user to ask the holder of an account number to pay an amount into one of their own accounts. Both accounts must use the same currency. The payer can accept the request, which runs a normal transfer from the requested account, or decline it, until it expires.
+ *     tags:
+ *       - Payment Requests
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               requester_account_id:
+ *                 type: integer
+ *                 example: 1
+ *                 description: The account the money is paid into (must belong to the authenticated user).
+ *               payer_account_number:
+ *                 type: string
+ *                 example: "2222111111"
+ *               amount:
+ *                 type: number
+ *                 example: 150000
+ *               note:
+ *                 type: string
+ *                 example: Concert ticket
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Optional, defaults to 7 days from now.
+ *     responses:
+ *       201:
+ *         description: Payment request created successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 payment_request:
+ *                   $ref: '#/components/schemas/PaymentRequest'
+ *                 payer:
+ *                   $ref: '#/components/schemas/AccountInquiry'
+ *       400:
+ *         description: Validation error. Input data does not meet the required format.
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. The requester account doesn't belong to this user.
+ *       404:
+ *         description: The requester account or the payer's account number was not found.
+ *       409:
+ *         description: Conflict error. The payer's account is one of the user's own accounts, or the accounts use different currencies.
+ *       500:
+ *         description: Internal server error.
+ *
+ * components:
+ *   schemas:
+ *     PaymentRequest:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         requester_id:
+ *           type: integer
+ *           example: 1
+ *         requester_account_id:
+ *           type: integer
+ *           example: 1
+ *         payer_id:
+ *           type: integer
+ *           example: 2
+ *         payer_account_id:
+ *           type: integer
+ *           example: 2
+ *         amount:
+ *           type: string
+ *           example: "150000"
+ *         currency:
+ *           type: string
+ *           example: IDR
+ *         note:
+ *           type: string
+ *           nullable: true
+ *           example: Concert ticket
+ *         split_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: Shared by the requests of the same split bill.
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, declined, cancelled, expired]
+ *           example: pending
+ *         transaction_id:
+ *           type: integer
+ *           nullable: true
+ *           description: The transfer made when the request was accepted.
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *         decided_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         requester:
+ *           type: object
+ *           properties:
+ *             name:
+ *               type: string
+ *               example: John Doe
+ *         requesterAccount:
+ *           type: object
+ *           properties:
+ *             bank_account_number:
+ *               type: string
+ *               example: "1111111111"
+ *             bank_name:
+ *               type: string
+ *               example: Bank of America
+ *         payerAccount:
+ *           type: object
+ *           properties:
+ *             bank_account_number:
+ *               type: string
+ *               example: "2222111111"
+ *             bank_name:
+ *               type: string
+ *               example: Bank of America
+ */
+router.post('/', authMiddleware, async (req, res, next) => {
+    const validatedData = {
+        requester_account_id: Number(req.body.requester_account_id),
+        payer_account_number: req.body.payer_account_number === undefined ? undefined : String(req.body.payer_account_number).trim(),
+        amount: Number(req.body.amount),
+        note: req.body.note,
+        expires_at: req.body.expires_at
+    };
+
+    const response = validatePaymentRequest(validatedData);
+
+    if(response.error){ // if the fields don't meet the requirements
+        return res.status(400).send(response.error.details);
+    }
+
+    try {
+        let { requesterAccount, payerAccounts, error } = await findRequestAccounts(req.user.id, validatedData.requester_account_id, [validatedData.payer_account_number]);
+
+        if(error){
+            return res.status(error.code).json({
+                status: 'failed',
+                message: error.message
+            })
+        }
+
+        let paymentRequest = await prisma.payment_Request.create({
+            data: toPaymentRequestData(req.user.id, requesterAccount, payerAccounts[0], validatedData.amount, response.value),
+            include: paymentRequestInclude
+        })
+
+        return res.status(201).json({
+            status: 'success',
+            payment_request: paymentRequest,
+            payer: toAccountInquiry(payerAccounts[0])
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/payment-requests/split:
+ *   post:
+ *     summary: Split a bill between customers
+ *     description: Splits a bill into equal shares and sends one payment request for each payer, all sharing a split_id. By default the requester pays a share too. Cents that don't split evenly are taken by the requester's share, or by the first payers when the requester doesn't take part.
+ *     tags:
+ *       - Payment Requests
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               requester_account_id:
+ *                 type: integer
+ *                 example: 1
+ *               payer_account_numbers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["2222111111", "3333111111"]
+ *                 description: Up to 20 different account numbers.
+ *               total_amount:
+ *                 type: number
+ *                 example: 450000
+ *               include_requester:
+ *                 type: boolean
+ *                 example: true
+ *                 description: Whether the requester pays a share of the bill too, defaults to true.
+ *               note:
+ *                 type: string
+ *                 example: Dinner on Friday
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Optional, defaults to 7 days from now.
+ *     responses:
+ *       201:
+ *         description: Payment requests created successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 split_id:
+ *                   type: string
+ *                   format: uuid
+ *                 payment_requests:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PaymentRequest'
+ *       400:
+ *         description: Validation error. Input data does not meet the required format.
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. The requester account doesn't belong to this user.
+ *       404:
+ *         description: The requester account or one of the payers' account numbers was not found.
+ *       409:
+ *         description: Conflict error. A payer's account is one of the user's own accounts, uses a different currency, or the total is too small to split.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/split', authMiddleware, async (req, res, next) => {
+    const validatedData = {
+        requester_account_id: Number(req.body.requester_account_id),
+        payer_account_numbers: Array.isArray(req.body.payer_account_numbers) ? req.body.payer_account_numbers.map((accountNumber) => String(accountNumber).trim()) : req.body.payer_account_numbers,
+        total_amount: Number(req.body.total_amount),
+        include_requester: req.body.include_requester,
+        note: req.body.note,
+        expires_at: req.body.expires_at
+    };
+
+    const response = validateSplitBill(validatedData);
+
+    if(response.error){ // if the fields don't meet the requirements
+        return res.status(400).send(response.error.details);
+    }
+
+    const shares = splitBill(validatedData.total_amount, validatedData.payer_account_numbers.length, response.value.include_requester);
+
+    if(shares.some((share) => share.isZero())){ // if a payer would be asked for nothing
+        return res.status(409).json({
+            status: 'failed',
+            message: `Total amount is too small to split between ${validatedData.payer_account_numbers.length} payers`
+        })
+    }
+
+    try {
+        let { requesterAccount, payerAccounts, error } = await findRequestAccounts(req.user.id, validatedData.requester_account_id, validatedData.payer_account_numbers);
+
+        if(error){
+            return res.status(error.code).json({
+                status: 'failed',
+                message: error.message
+            })
+        }
+
+        const splitId = randomUUID();
+
+        let paymentRequests = await prisma.$transaction(payerAccounts.map((payerAccount, index) => prisma.payment_Request.create({
+            data: toPaymentRequestData(req.user.id, requesterAccount, payerAccount, shares[index], response.value, splitId),
+            include: paymentRequestInclude
+        })))
+
+        return res.status(201).json({
+            status: 'success',
+            split_id: splitId,
+            payment_requests: paymentRequests
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/payment-requests:
+ *   get:
+ *     summary: Retrieve payment requests
+ *     description: Retrieves the payment requests the authenticated user has to answer (incoming, the default) or has sent (outgoing), newest first.
+ *     tags:
+ *       - Payment Requests
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: query
+ *         name: direction
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [incoming, outgoing]
+ *           example: incoming
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, declined, cancelled, expired]
+ *       - in: query
+ *         name: split_id
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only the requests of one split bill.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the payment requests.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 payment_requests_data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PaymentRequest'
+ *       400:
+ *         description: Invalid direction or status.
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/', authMiddleware, async (req, res, next) => {
+    const direction = req.query.direction ?? 'incoming';
+    const status = req.query.status;
+
+    if(!['incoming', 'outgoing'].includes(direction) || (status !== undefined && !['pending', 'accepted', 'declined', 'cancelled', 'expired'].includes(status))){
+        return res.status(400).json({
+            status: 'failed',
+            message: 'direction must be incoming or outgoing, and status one of pending, accepted, declined, cancelled or expired'
+        })
+    }
+
+    try {
+        await expirePaymentRequests(prisma);
+
+        let paymentRequests = await prisma.payment_Request.findMany({
+            where: {
+                [direction === 'incoming' ? 'payer_id' : 'requester_id']: req.user.id,
+                status: status,
+                split_id: typeof req.query.split_id === 'string' ? req.query.split_id : undefined
+            },
+            include: paymentRequestInclude,
+            orderBy: {
+                id: 'desc'
+            }
+        })
+
+        return res.json({
+            status: 'success',
+            payment_requests_data: paymentRequests
+        })
+    } catch(err) {
+        if(err.code === 'P2023'){ // if split_id isn't a UUID
+            return res.status(400).json({
+                status: 'failed',
+                message: 'split_id must be a UUID'
+            })
+        }
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/payment-requests/{requestId}:
+ *   get:
+ *     summary: Retrieve a payment request
+ *     description: Retrieves a payment request. Only its requester, its payer and admins can see it.
+ *     tags:
+ *       - Payment Requests
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the payment request.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 payment_request:
+ *                   $ref: '#/components/schemas/PaymentRequest'
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. The user is neither the requester nor the payer.
+ *       404:
+ *         description: Payment request not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/:requestId', authMiddleware, async (req, res, next) => {
+    try {
+        let { paymentRequest, error } = await findPaymentRequest(Number(req.params.requestId), req.user);
+
+        if(error){
+            return res.status(error.code).json({
+                status: 'failed',
+                message: error.message
+            })
+        }
+
+        return res.json({
+            status: 'success',
+            payment_request: paymentRequest
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/payment-requests/{requestId}/accept:
+ *   post:
+ *     summary: Accept and pay a payment request
+ *     description: Pays a pending payment request with a transfer from the requested account to the requester's account, through the same checks as POST /api/v1/transactions (balance, limits, fees and approvals). Only the payer can accept it. When the transfer fails the request stays pending, so it can be accepted again later.
+ *     tags:
+ *       - Payment Requests
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       201:
+ *         description: The request was paid.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 payment_request:
+ *                   $ref: '#/components/schemas/PaymentRequest'
+ *                 transaction:
+ *                   type: object
+ *                 fee:
+ *                   $ref: '#/components/schemas/TransferFee'
+ *       202:
+ *         description: The request was accepted, and its transfer is waiting for approval or a fraud review.
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. Only the payer can accept the request.
+ *       404:
+ *         description: Payment request not found.
+ *       409:
+ *         description: Conflict error. The request isn't pending anymore, or the transfer failed (e.g. insufficient balance, a transfer limit or the fraud checks).
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/:requestId/accept', authMiddleware, async (req, res, next) => {
+    const requestId = Number(req.params.requestId);
+
+    try {
+        if(!await claimPaymentRequest(requestId, { payer_id: req.user.id }, 'accepted')){
+            let error = await claimError(requestId, req.user, 'payer', 'accept');
+
+            return res.status(error.code).json({
+                status: 'failed',
+                message: error.message
+            })
+        }
+
+        let paymentRequest = await prisma.payment_Request.findUnique({
+            where: {
+                id: requestId
+            }
+        })
+
+        let result;
+        try {
+            result = await executeTransfer(req.user.id, {
+                source_account_id: paymentRequest.payer_account_id,
+                destination_account_id: paymentRequest.requester_account_id,
+                amount: paymentRequest.amount
+            });
+        } catch(err) { // the transfer's database transaction was rolled back, nothing has moved
+            await releasePaymentRequest(requestId);
+            throw err;
+        }
+
+        if(result.error){ // nothing has moved, so the payer can try again
+            await releasePaymentRequest(requestId);
+
+            return res.status(result.error.code).json({
+                status: 'failed',
+                message: result.error.message,
+                limit: result.error.limit,
+                transaction: result.transaction
+            })
+        }
+
+        paymentRequest = await prisma.payment_Request.update({
+            where: {
+                id: requestId
+            },
+            data: {
+                transaction_id: result.transaction.id
+            },
+            include: paymentRequestInclude
+        })
+
+        if(result.approval || result.review){ // the request is answered, but its transfer waits for an admin
+            return res.status(202).json({
+                status: result.approval ? 'pending_approval' : 'pending_review',
+                payment_request: paymentRequest,
+                transaction: result.transaction,
+                approval: result.approval,
+                fee: result.fee
+            })
+        }
+
+        return res.status(201).json({
+            status: 'success',
+            payment_request: paymentRequest,
+            transaction: result.transaction,
+            fee: result.fee
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/payment-requests/{requestId}/decline:
+ *   post:
+ *     summary: Decline a payment request
+ *     description: Declines a pending payment request without paying it. Only the payer can decline it.
+ *     tags:
+ *       - Payment Requests
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Payment request declined.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Payment request with id 1 declined
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. Only the payer can decline the request.
+ *       404:
+ *         description: Payment request not found.
+ *       409:
+ *         description: Conflict error. The request isn't pending anymore.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/:requestId/decline', authMiddleware, async (req, res, next) => {
+    const requestId = Number(req.params.requestId);
+
+    try {
+        if(!await claimPaymentRequest(requestId, { payer_id: req.user.id }, 'declined')){
+            let error = await claimError(requestId, req.user, 'payer', 'decline');
+
+            return res.status(error.code).json({
+                status: 'failed',
+                message: error.message
+            })
+        }
+
+        return res.json({
+            status: 'success',
+            message: `Payment request with id ${requestId} declined`
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/payment-requests/{requestId}/cancel:
+ *   post:
+ *     summary: Cancel a payment request
+ *     description: Withdraws a pending payment request. Only the requester can cancel it.
+ *     tags:
+ *       - Payment Requests
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Payment request cancelled.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Payment request with id 1 cancelled
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. Only the requester can cancel the request.
+ *       404:
+ *         description: Payment request not found.
+ *       409:
+ *         description: Conflict error. The request isn't pending anymore.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/:requestId/cancel', authMiddleware, async (req, res, next) => {
+    const requestId = Number(req.params.requestId);
+
+    try {
+        if(!await claimPaymentRequest(requestId, { requester_id: req.user.id }, 'cancelled')){
+            let error = await claimError(requestId, req.user, 'requester', 'cancel');
+
+            return res.status(error.code).json({
+                status: 'failed',
+                message: error.message
+            })
+        }
+
+        return res.json({
+            status: 'success',
+            message: `Payment request with id ${requestId} cancelled`
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+export default router;
@@ -0,0 +1,252 @@
+import Router from 'express-promise-router';
+const router = Router();
+
+import { PrismaClient } from '@prisma/client'
+const prisma = new PrismaClient();
+
+import { runReconciliation } from '../services/reconciliationRunner.js';
+
+import adminMiddleware from '../middleware/admin.js';
+
+/**
+ * @swagger
+ * /api/v1/reconciliations:
+ *   post:
+ *     summary: Run a balance reconciliation
+ *     description: This endpoint allows only **admin users** to recompute every account's expected balance from its opening balance and the transactions that moved money, and compare it with the account's balance and its ledger. Every mismatch is reported, nothing is corrected. The run is kept in the history. The same run can be started from the command line with `npm run reconcile`.
+ *     tags:
+ *       - Reconciliations
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token with admin privileges.
+ *     responses:
+ *       201:
+ *         description: The reconciliation ran, see its status.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 reconciliation:
+ *                   $ref: '#/components/schemas/ReconciliationRun'
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. Only admin users can run reconciliations.
+ *       500:
+ *         description: Internal server error, or the reconciliation failed (the failed run is returned and kept in the history).
+ *
+ * components:
+ *   schemas:
+ *     ReconciliationRun:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         trigger:
+ *           type: string
+ *           enum: [admin, cli]
+ *           example: admin
+ *         triggered_by_id:
+ *           type: integer
+ *           nullable: true
+ *           example: 1
+ *         status:
+ *           type: string
+ *           enum: [running, balanced, mismatched, failed]
+ *           example: mismatched
+ *         account_count:
+ *           type: integer
+ *           example: 120
+ *         mismatch_count:
+ *           type: integer
+ *           example: 1
+ *         mismatches:
+ *           type: array
+ *           nullable: true
+ *           items:
+ *             type: object
+ *             properties:
+ *               account_id:
+ *                 type: integer
+ *                 example: 7
+ *               bank_account_number:
+ *                 type: string
+ *                 example: "7777111111"
+ *               currency:
+ *                 type: string
+ *                 example: IDR
+ *               balance:
+ *                 type: string
+ *                 example: "1500000.10"
+ *               expected_balance:
+ *                 type: string
+ *                 example: "1500000.00"
+ *               ledger_balance:
+ *                 type: string
+ *                 example: "1500000.00"
+ *               difference:
+ *                 type: string
+ *                 example: "0.10"
+ *                 description: The balance minus the expected balance.
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         started_at:
+ *           type: string
+ *           format: date-time
+ *         completed_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+router.post('/', adminMiddleware, async (req, res, next) => {
+    try {
+        let run = await runReconciliation({ trigger: 'admin', userId: req.user.id });
+
+        if(run.status === 'failed'){
+            return res.status(500).json({
+                status: 'failed',
+                message: 'Reconciliation failed',
+                reconciliation: run
+            })
+        }
+
+        return res.status(201).json({
+            status: 'success',
+            reconciliation: run
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/reconciliations:
+ *   get:
+ *     summary: Retrieve the reconciliation history
+ *     description: This endpoint allows only **admin users** to see past reconciliation runs, newest first, without their mismatch details.
+ *     tags:
+ *       - Reconciliations
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token with admin privileges.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the runs.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 reconciliations_data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReconciliationRun'
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. Only admin users can see reconciliations.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/', adminMiddleware, async (req, res, next) => {
+    try {
+        let runs = await prisma.reconciliation_Run.findMany({
+            select: {
+                id: true,
+                trigger: true,
+                triggered_by_id: true,
+                status: true,
+                account_count: true,
+                mismatch_count: true,
+                error: true,
+                started_at: true,
+                completed_at: true
+            },
+            orderBy: {
+                id: 'desc'
+            }
+        })
+
+        return res.json({
+            status: 'success',
+            reconciliations_data: runs
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/reconciliations/{runId}:
+ *   get:
+ *     summary: Retrieve a reconciliation run
+ *     description: This endpoint allows only **admin users** to see a reconciliation run with the details of every mismatch it found.
+ *     tags:
+ *       - Reconciliations
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token with admin privileges.
+ *     parameters:
+ *       - in: path
+ *         name: runId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the run.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 reconciliation:
+ *                   $ref: '#/components/schemas/ReconciliationRun'
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. Only admin users can see reconciliations.
+ *       404:
+ *         description: Run not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/:runId', adminMiddleware, async (req, res, next) => {
+    const runId = Number(req.params.runId);
+
+    try {
+        let run = await prisma.reconciliation_Run.findUnique({
+            where: {
+                id: runId
+            }
+        })
+
+        if(!run){ // if no matching data by entered run's id
+            return res.status(404).json({
+                status: 'failed',
+                message: `Reconciliation run with id ${runId} not found`
+            })
+        }
+
+        return res.json({
+            status: 'success',
+            reconciliation: run
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+export default router;
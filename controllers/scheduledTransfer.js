@@ -0,0 +1,554 @@
+import Router from 'express-promise-router';
+const router = Router();
+
+import { PrismaClient, Prisma } from '@prisma/client'
+const prisma = new PrismaClient();
+
+import validateScheduledTransfer from '../validation/scheduledTransfer.js';
+import { getNextRun } from '../services/cron.js';
+import { checkSourceAccountAccess } from '../services/accountHolders.js';
+
+import authMiddleware from '../middleware/auth.js';
+
+// fetch a scheduled transfer the authenticated user is allowed to see and manage (their own, or any for admin)
+async function findScheduledTransfer(scheduleId, user){
+    let scheduledTransfer = await prisma.scheduled_Transfer.findUnique({
+        where: {
+            id: scheduleId
+        }
+    })
+
+    if(!scheduledTransfer){ // if no matching data by entered scheduled transfer's id
+        return { error: { code: 404, message: `Scheduled transfer with id ${scheduleId} not found` } }
+    } else if(scheduledTransfer.user_id !== user.id && user.role !== 'admin'){
+        return { error: { code: 403, message: `This scheduled transfer doesn't belong to this user` } }
+    }
+
+    return { scheduledTransfer }
+}
+
+/**
+ * @swagger
+ * /api/v1/transactions/scheduled:
+ *   post:
+ *     summary: Create a scheduled or recurring transfer
+ *     description: This endpoint allows an authenticated user to schedule a transfer from one of their own accounts. Send `run_at` for a one-off transfer, or `cron` (a 5-field cron expression in server time, e.g. `0 9 1 * *` for 09:00 on the 1st of every month) for a standing order. When it's due, the transfer goes through the same checks as POST /api/v1/transactions and every attempt is recorded.
+ *     tags:
+ *       - Scheduled Transfers
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               source_account_id:
+ *                 type: integer
+ *                 example: 1
+ *                 description: The ID of the source bank account (must belong to the authenticated user).
+ *               destination_account_id:
+ *                 type: integer
+ *                 example: 2
+ *               amount:
+ *                 type: number
+ *                 example: 500000
+ *               run_at:
+ *                 type: string
+ *                 format: date-time
+ *                 example: 2024-12-01T09:00:00+07:00
+ *                 description: When to run a one-off transfer. Can't be combined with cron.
+ *               cron:
+ *                 type: string
+ *                 example: 0 9 1 * *
+ *                 description: Recurrence of a standing order. Can't be combined with run_at.
+ *     responses:
+ *       201:
+ *         description: Scheduled transfer created successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 scheduled_transfer:
+ *                   $ref: '#/components/schemas/ScheduledTransfer'
+ *       400:
+ *         description: Validation error. Input data does not meet the required format.
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. The authenticated user does not own the source account.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failed
+ *                 message:
+ *                   type: string
+ *                   example: The source account doesn't belong to this user
+ *       409:
+ *         description: Conflict error. Invalid account IDs, same account used as source and destination, or the cron expression never runs.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failed
+ *                 message:
+ *                   type: string
+ *                   example: Invalid account id
+ *       500:
+ *         description: Internal server error.
+ *
+ * components:
+ *   schemas:
+ *     ScheduledTransfer:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         user_id:
+ *           type: integer
+ *           example: 1
+ *         source_account_id:
+ *           type: integer
+ *           example: 1
+ *         destination_account_id:
+ *           type: integer
+ *           example: 2
+ *         amount:
+ *           type: string
+ *           example: "500000"
+ *         cron_expression:
+ *           type: string
+ *           nullable: true
+ *           example: 0 9 1 * *
+ *         next_run_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [active, paused, cancelled, completed]
+ *           example: active
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+router.post('/', authMiddleware, async (req, res, next) => {
+    const userId = req.user.id;
+
+    const validatedData = {
+        source_account_id: Number(req.body.source_account_id),
+        destination_account_id: Number(req.body.destination_account_id),
+        amount: Number(req.body.amount),
+        run_at: req.body.run_at,
+        cron: req.body.cron
+    };
+
+    const response = validateScheduledTransfer(validatedData);
+
+    if(response.error){ // if the fields don't meet the requirements
+        return res.status(400).send(response.error.details);
+    } else if(validatedData.source_account_id === validatedData.destination_account_id){ // if the entered source_account_id and destination_account_id have the same id
+        return res.status(409).json({
+            status: 'failed',
+            message: `Cannot do transaction between same account`
+        })
+    }
+
+    const nextRunAt = validatedData.cron ? getNextRun(validatedData.cron) : new Date(validatedData.run_at);
+
+    if(!nextRunAt){ // if the cron expression can never match (e.g. 31st of February)
+        return res.status(409).json({
+            status: 'failed',
+            message: `The cron expression "${validatedData.cron}" never runs`
+        })
+    }
+
+    try {
+        let accounts = await prisma.bank_Account.findMany({
+            where: {
+                id: {
+                    in: [validatedData.source_account_id, validatedData.destination_account_id]
+                }
+            }
+        })
+
+        let getSourceAccInfo = accounts.find((account) => account.id === validatedData.source_account_id)
+        let getDestAccInfo = accounts.find((account) => account.id === validatedData.destination_account_id)
+
+        // the balance is only checked when the transfer runs, ownership is checked now as well so a user
+        // can't schedule transfers out of someone else's account
+        if(!getSourceAccInfo || !getDestAccInfo){
+            return res.status(409).json({
+                status: 'failed',
+                message: `Invalid account id`
+            })
+        }
+
+        let accessError = await checkSourceAccountAccess(prisma, getSourceAccInfo.id, userId);
+
+        if(accessError){
+            return res.status(accessError.code).json({
+                status: 'failed',
+                message: accessError.message
+            })
+        }
+
+        let scheduledTransfer = await prisma.scheduled_Transfer.create({
+            data: {
+                user_id: userId,
+                source_account_id: validatedData.source_account_id,
+                destination_account_id: validatedData.destination_account_id,
+                amount: validatedData.amount,
+                cron_expression: validatedData.cron ?? null,
+                next_run_at: nextRunAt
+            }
+        })
+
+        return res.status(201).json({
+            status: 'success',
+            scheduled_transfer: scheduledTransfer
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/transactions/scheduled:
+ *   get:
+ *     summary: Retrieve authenticated user's scheduled transfers
+ *     description: This endpoint retrieves every scheduled transfer created by the authenticated user, including paused, cancelled and completed ones.
+ *     tags:
+ *       - Scheduled Transfers
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the user's scheduled transfers.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 scheduled_transfers_data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScheduledTransfer'
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/', authMiddleware, async (req, res, next) => {
+    const userId = req.user.id;
+    try {
+        let scheduledTransfers = await prisma.scheduled_Transfer.findMany({
+            where: {
+                user_id: userId
+            },
+            orderBy: {
+                id: 'asc'
+            }
+        })
+
+        return res.json({
+            status: 'success',
+            scheduled_transfers_data: scheduledTransfers
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/transactions/scheduled/{scheduleId}:
+ *   get:
+ *     summary: Retrieve a scheduled transfer with its run history
+ *     description: This endpoint retrieves a scheduled transfer and the outcome of every attempt to run it. Only the user who created it or an admin can access it.
+ *     tags:
+ *       - Scheduled Transfers
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: path
+ *         name: scheduleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the scheduled transfer.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 scheduled_transfer:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/ScheduledTransfer'
+ *                     - type: object
+ *                       properties:
+ *                         runs:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               id:
+ *                                 type: integer
+ *                                 example: 1
+ *                               transaction_id:
+ *                                 type: integer
+ *                                 nullable: true
+ *                                 example: 12
+ *                               is_successful:
+ *                                 type: boolean
+ *                                 example: false
+ *                               message:
+ *                                 type: string
+ *                                 nullable: true
+ *                                 example: Insufficient balance
+ *                               executed_at:
+ *                                 type: string
+ *                                 format: date-time
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. The scheduled transfer belongs to another user.
+ *       404:
+ *         description: Scheduled transfer not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/:scheduleId', authMiddleware, async (req, res, next) => {
+    const scheduleId = Number(req.params.scheduleId);
+    try {
+        let result = await findScheduledTransfer(scheduleId, req.user);
+
+        if(result.error){
+            return res.status(result.error.code).json({
+                status: 'failed',
+                message: result.error.message
+            })
+        }
+
+        let runs = await prisma.scheduled_Transfer_Run.findMany({
+            where: {
+                scheduled_transfer_id: scheduleId
+            },
+            orderBy: {
+                id: 'asc'
+            }
+        })
+
+        return res.json({
+            status: 'success',
+            scheduled_transfer: {
+                ...result.scheduledTransfer,
+                runs: runs
+            }
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/transactions/scheduled/{scheduleId}/{action}:
+ *   post:
+ *     summary: Pause, resume or cancel a scheduled transfer
+ *     description: |
+ *       Changes the status of a scheduled transfer. Only the user who created it or an admin can change it.
+ *       - **pause**: an active transfer stops running until it's resumed.
+ *       - **resume**: a paused transfer becomes active again. A standing order whose next run passed while paused continues from its next occurrence, a one-off transfer that became due while paused runs right away.
+ *       - **cancel**: an active or paused transfer stops for good.
+ *     tags:
+ *       - Scheduled Transfers
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: path
+ *         name: scheduleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: path
+ *         name: action
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [pause, resume, cancel]
+ *     responses:
+ *       200:
+ *         description: Successfully changed the scheduled transfer's status.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 scheduled_transfer:
+ *                   $ref: '#/components/schemas/ScheduledTransfer'
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. The scheduled transfer belongs to another user.
+ *       404:
+ *         description: Scheduled transfer not found.
+ *       409:
+ *         description: Conflict error. The action isn't possible in the scheduled transfer's current status.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failed
+ *                 message:
+ *                   type: string
+ *                   example: Only an active scheduled transfer can be paused
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/:scheduleId/pause', authMiddleware, async (req, res, next) => {
+    const scheduleId = Number(req.params.scheduleId);
+    try {
+        let result = await findScheduledTransfer(scheduleId, req.user);
+
+        if(result.error){
+            return res.status(result.error.code).json({
+                status: 'failed',
+                message: result.error.message
+            })
+        } else if(result.scheduledTransfer.status !== 'active'){
+            return res.status(409).json({
+                status: 'failed',
+                message: `Only an active scheduled transfer can be paused`
+            })
+        }
+
+        let scheduledTransfer = await prisma.scheduled_Transfer.update({
+            where: {
+                id: scheduleId
+            },
+            data: {
+                status: 'paused'
+            }
+        })
+
+        return res.json({
+            status: 'success',
+            scheduled_transfer: scheduledTransfer
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+router.post('/:scheduleId/resume', authMiddleware, async (req, res, next) => {
+    const scheduleId = Number(req.params.scheduleId);
+    try {
+        let result = await findScheduledTransfer(scheduleId, req.user);
+
+        if(result.error){
+            return res.status(result.error.code).json({
+                status: 'failed',
+                message: result.error.message
+            })
+        } else if(result.scheduledTransfer.status !== 'paused'){
+            return res.status(409).json({
+                status: 'failed',
+                message: `Only a paused scheduled transfer can be resumed`
+            })
+        }
+
+        let nextRunAt = result.scheduledTransfer.next_run_at;
+        if(result.scheduledTransfer.cron_expression && nextRunAt < new Date()){ // skip the occurrences missed while paused
+            nextRunAt = getNextRun(result.scheduledTransfer.cron_expression);
+        }
+
+        let scheduledTransfer = await prisma.scheduled_Transfer.update({
+            where: {
+                id: scheduleId
+            },
+            data: {
+                status: 'active',
+                next_run_at: nextRunAt
+            }
+        })
+
+        return res.json({
+            status: 'success',
+            scheduled_transfer: scheduledTransfer
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+router.post('/:scheduleId/cancel', authMiddleware, async (req, res, next) => {
+    const scheduleId = Number(req.params.scheduleId);
+    try {
+        let result = await findScheduledTransfer(scheduleId, req.user);
+
+        if(result.error){
+            return res.status(result.error.code).json({
+                status: 'failed',
+                message: result.error.message
+            })
+        } else if(!['active', 'paused'].includes(result.scheduledTransfer.status)){
+            return res.status(409).json({
+                status: 'failed',
+                message: `Scheduled transfer with id ${scheduleId} is already ${result.scheduledTransfer.status}`
+            })
+        }
+
+        let scheduledTransfer = await prisma.scheduled_Transfer.update({
+            where: {
+                id: scheduleId
+            },
+            data: {
+                status: 'cancelled',
+                next_run_at: null
+            }
+        })
+
+        return res.json({
+            status: 'success',
+            scheduled_transfer: scheduledTransfer
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+export default router;
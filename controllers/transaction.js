@@ -5,20 +5,41 @@ import { PrismaClient, Prisma } from '@prisma/client'
 const prisma = new PrismaClient();
 
 import validateTransaction from '../validation/transaction.js';
+import validateDeposit from '../validation/deposit.js';
+import validateWithdrawal from '../validation/withdrawal.js';
+import validateReversal from '../validation/reversal.js';
+import validateTransactionQuery from '../validation/transactionQuery.js';
+import validateApprovalDecision from '../validation/approvalDecision.js';
+import { executeTransfer, settleHeldTransfer } from '../services/transfer.js';
+import { findAccountByNumber } from '../services/accountLookup.js';
+import { getAvailableBalance, endTransferHold } from '../services/holds.js';
+import { buildTransactionFilters, paginateTransactions } from '../services/transactionQuery.js';
+import { postLedgerEntries } from '../services/ledger.js';
+import { isTransitionAllowed, createPendingTransaction, updateTransactionStatus, recordFailedTransaction } from '../services/transactionStatus.js';
+import { heldAccountsFilter } from '../services/accountHolders.js';
 
 import authMiddleware from '../middleware/auth.js';
 import adminMiddleware from '../middleware/admin.js';
+import idempotencyMiddleware from '../middleware/idempotency.js';
 
 /**
  * @swagger
  * /api/v1/transactions:
  *   post:
  *     summary: Create a new transaction
- *     description: This endpoint allows an authenticated user to create a new transaction between two bank accounts. The user must own the source account, and the transaction amount must not exceed the available balance.
+ *     description: This endpoint allows an authenticated user to create a new transaction between two bank accounts. The user must be the owner or a co-owner of the source account (viewers of a joint account can't transfer from it), and the transaction amount must not exceed the available balance (which includes any overdraft). The amount is in the source account's currency, when the destination account uses another currency it is converted at the exchange rate in effect (see /api/v1/exchange-rates). A transfer fee from the matching fee rules (see /api/v1/fee-rules) is charged to the source account on top of the amount. Transfers above the approval threshold are not settled straight away. They are created as pending, their funds are put on hold, and they wait for an admin other than the maker to approve them. Every transfer also goes through the fraud checks first. A blocked transfer fails, and a flagged one is held the same way until an admin reviews it (see /api/v1/fraud-reviews).
  *     tags:
  *       - Transactions
  *     security:
  *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: 5f1c2a9e-3b7d-4f0a-9c1e-2d8b6a4e7f10
+ *         description: Optional unique key for safely retrying the request. A replay with the same key and body returns the original response without repeating the operation.
  *     requestBody:
  *       required: true
  *       content:
@@ -33,11 +54,19 @@ import adminMiddleware from '../middleware/admin.js';
  *               destination_account_id:
  *                 type: integer
  *                 example: 2
- *                 description: The ID of the destination bank account.
+ *                 description: The ID of the destination bank account. Send only one of destination_account_id, destination_account_number and beneficiary_id.
+ *               destination_account_number:
+ *                 type: string
+ *                 example: "2222111111"
+ *                 description: The account number of the destination bank account, instead of its ID. Look it up first with /api/v1/accounts/lookup to confirm who it belongs to.
+ *               beneficiary_id:
+ *                 type: integer
+ *                 example: 1
+ *                 description: One of the user's saved beneficiaries (see /api/v1/beneficiaries), instead of the destination account.
  *               amount:
  *                 type: number
  *                 example: 100.00
- *                 description: The amount to transfer. Must be less than or equal to the source account's balance.
+ *                 description: The amount to transfer. The amount plus the transfer fee must be less than or equal to the source account's available balance (balance plus overdraft limit, minus active holds).
  *     responses:
  *       201:
  *         description: Transaction created successfully.
@@ -64,6 +93,47 @@ import adminMiddleware from '../middleware/admin.js';
  *                     amount:
  *                       type: number
  *                       example: 100.00
+ *                     currency:
+ *                       type: string
+ *                       example: IDR
+ *                     destination_amount:
+ *                       type: number
+ *                       nullable: true
+ *                       example: null
+ *                       description: For transfers between accounts in different currencies, the amount credited in the destination account's currency.
+ *                     destination_currency:
+ *                       type: string
+ *                       nullable: true
+ *                       example: null
+ *                     exchange_rate:
+ *                       type: number
+ *                       nullable: true
+ *                       example: null
+ *                     fx_spread_percent:
+ *                       type: number
+ *                       nullable: true
+ *                       example: null
+ *                     fee:
+ *                       type: number
+ *                       example: 6500
+ *                     initiated_by_user_id:
+ *                       type: integer
+ *                       example: 1
+ *                       description: The user who made the transfer, a co-owner of a joint account may not be its owner.
+ *                     status:
+ *                       type: string
+ *                       enum: [pending, completed, failed, reversed]
+ *                       example: completed
+ *                     failure_reason:
+ *                       type: string
+ *                       nullable: true
+ *                       example: null
+ *                     created_at:
+ *                       type: string
+ *                       format: date-time
+ *                     updated_at:
+ *                       type: string
+ *                       format: date-time
  *                 source_account:
  *                   type: object
  *                   properties:
@@ -100,6 +170,35 @@ import adminMiddleware from '../middleware/admin.js';
  *                     balance:
  *                       type: number
  *                       example: 5100
+ *                 fee:
+ *                   $ref: '#/components/schemas/TransferFee'
+ *       202:
+ *         description: The transfer is above the approval threshold, or the fraud checks flagged it (status pending_review, without an approval). It was created as pending and its amount and fee are on hold until an admin decides on it.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   enum: [pending_approval, pending_review]
+ *                   example: pending_approval
+ *                 message:
+ *                   type: string
+ *                   example: Transfer is waiting for approval
+ *                 transaction:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 1
+ *                     status:
+ *                       type: string
+ *                       example: pending
+ *                 approval:
+ *                   $ref: '#/components/schemas/TransferApproval'
+ *                 fee:
+ *                   $ref: '#/components/schemas/TransferFee'
   *       400:
  *         description: Validation error. Input data does not meet the required format.
  *         content:
@@ -133,7 +232,884 @@ import adminMiddleware from '../middleware/admin.js';
  *                         type: string
  *                         example: "amount"
  *       403:
- *         description: Forbidden. The authenticated user does not own the source account.
+ *         description: Forbidden. The authenticated user does not own the source account or the beneficiary.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failed
+ *                 message:
+ *                   type: string
+ *                   example: The source account doesn't belong to this user
+ *       404:
+ *         description: Beneficiary not found.
+ *       409:
+ *         description: Conflict error. Invalid account IDs or destination account number, a beneficiary still in its cooling-off period, a transfer blocked by the fraud checks, insufficient balance, a transfer limit of the user's tier exceeded, same account used as source and destination, or a request with the same Idempotency-Key is still being processed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failed
+ *                 message:
+ *                   type: string
+ *                   example: Cannot do transaction between same account
+ *                 limit:
+ *                   type: object
+ *                   description: Only present when the transfer goes over a limit of the user's tier.
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [max_single_amount, daily_total_amount, monthly_count]
+ *                       example: daily_total_amount
+ *                     currency:
+ *                       type: string
+ *                       example: IDR
+ *                       description: The currency of the tier's amount limits, absent for monthly_count.
+ *                     limit:
+ *                       type: number
+ *                       example: 25000000
+ *                     used:
+ *                       type: number
+ *                       example: 24000000
+ *                     remaining:
+ *                       type: number
+ *                       example: 1000000
+ *                 cooling_off_until:
+ *                   type: string
+ *                   format: date-time
+ *                   description: Only present when the destination is one of the user's beneficiaries still in its cooling-off period, however the destination was entered.
+ *       422:
+ *         description: The Idempotency-Key has already been used with a different request body.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failed
+ *                 message:
+ *                   type: string
+ *                   example: Idempotency-Key has already been used with a different request
+ *       500:
+ *         description: Internal server error.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failed
+ *                 message:
+ *                   type: string
+ *                   example: Internal server error.
+ */
+router.post('/', authMiddleware, idempotencyMiddleware, async (req, res, next) => {
+    const userId = req.user.id;
+    
+    const validatedData = {
+        source_account_id: Number(req.body.source_account_id),
+        amount: Number(req.body.amount)
+    };
+    // the destination is given by its id, its account number or a saved beneficiary
+    if(req.body.destination_account_id !== undefined){
+        validatedData.destination_account_id = Number(req.body.destination_account_id);
+    }
+    if(req.body.destination_account_number !== undefined){
+        validatedData.destination_account_number = String(req.body.destination_account_number).trim();
+    }
+    if(req.body.beneficiary_id !== undefined){
+        validatedData.beneficiary_id = Number(req.body.beneficiary_id);
+    }
+    
+    const response = validateTransaction(validatedData);
+
+    if(response.error){ // if the fields don't meet the requirements
+        return res.status(400).send(response.error.details);
+    }
+
+    try {
+        let destinationAccountId = validatedData.destination_account_id;
+
+        if(validatedData.destination_account_number){
+            let destinationAccount = await findAccountByNumber(prisma, validatedData.destination_account_number);
+
+            if(!destinationAccount){ // if no account has the entered account number
+                return res.status(409).json({
+                    status: 'failed',
+                    message: `Invalid destination account number`
+                })
+            }
+            destinationAccountId = destinationAccount.id;
+        } else if(validatedData.beneficiary_id){
+            let beneficiary = await prisma.beneficiary.findUnique({
+                where: {
+                    id: validatedData.beneficiary_id
+                }
+            })
+
+            if(!beneficiary){ // if no matching data by entered beneficiary's id
+                return res.status(404).json({
+                    status: 'failed',
+                    message: `Beneficiary with id ${validatedData.beneficiary_id} not found`
+                })
+            } else if(beneficiary.user_id !== userId){ // if the beneficiary is in another user's payee list
+                return res.status(403).json({
+                    status: 'failed',
+                    message: `This beneficiary doesn't belong to this user`
+                })
+            }
+            destinationAccountId = beneficiary.account_id;
+        }
+
+        let result = await executeTransfer(userId, {
+            source_account_id: validatedData.source_account_id,
+            destination_account_id: destinationAccountId,
+            amount: validatedData.amount
+        });
+
+        if(result.error){ // if one of the checks inside the database transaction failed, no money has moved
+            return res.status(result.error.code).json({
+                status: 'failed',
+                message: result.error.message,
+                limit: result.error.limit,
+                cooling_off_until: result.error.cooling_off_until,
+                transaction: result.transaction
+            })
+        }
+
+        if(result.approval){ // if the transfer is above the approval threshold, nothing has moved yet
+            return res.status(202).json({
+                status: 'pending_approval',
+                message: 'Transfer is waiting for approval',
+                transaction: result.transaction,
+                approval: result.approval,
+                fee: result.fee
+            })
+        }
+
+        if(result.review){ // if the fraud checks flagged the transfer, nothing has moved until an admin reviews it
+            return res.status(202).json({
+                status: 'pending_review',
+                message: 'Transfer is waiting for a fraud review',
+                transaction: result.transaction,
+                fee: result.fee
+            })
+        }
+
+        return res.status(201).json({
+            status: 'success',
+            transaction: result.transaction,
+            source_account: result.sourceAccount,
+            destination_account: result.destinationAccount,
+            fee: result.fee
+        }) 
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/transactions/deposit:
+ *   post:
+ *     summary: Record a cash deposit
+ *     description: This endpoint allows only **admin users** (tellers) to deposit cash into a bank account. A deposit has no source account.
+ *     tags:
+ *       - Transactions
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token with admin privileges.
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: 5f1c2a9e-3b7d-4f0a-9c1e-2d8b6a4e7f10
+ *         description: Optional unique key for safely retrying the request. A replay with the same key and body returns the original response without repeating the operation.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               destination_account_id:
+ *                 type: integer
+ *                 example: 2
+ *                 description: The ID of the bank account receiving the cash.
+ *               amount:
+ *                 type: number
+ *                 example: 100.00
+ *     responses:
+ *       201:
+ *         description: Deposit recorded successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 transaction:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 3
+ *                     type:
+ *                       type: string
+ *                       example: deposit
+ *                     source_account_id:
+ *                       type: integer
+ *                       nullable: true
+ *                       example: null
+ *                     destination_account_id:
+ *                       type: integer
+ *                       example: 2
+ *                     amount:
+ *                       type: number
+ *                       example: 100.00
+ *                     status:
+ *                       type: string
+ *                       enum: [pending, completed, failed, reversed]
+ *                       example: completed
+ *                     failure_reason:
+ *                       type: string
+ *                       nullable: true
+ *                       example: null
+ *                     created_at:
+ *                       type: string
+ *                       format: date-time
+ *                     updated_at:
+ *                       type: string
+ *                       format: date-time
+ *                 destination_account:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 2
+ *                     balance:
+ *                       type: number
+ *                       example: 5100
+ *       400:
+ *         description: Validation error. Input data does not meet the required format.
+ *       403:
+ *         description: Forbidden. Only admin users can record deposits.
+ *       409:
+ *         description: Conflict error. The destination account doesn't exist.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failed
+ *                 message:
+ *                   type: string
+ *                   example: Invalid account id
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/deposit', adminMiddleware, idempotencyMiddleware, async (req, res, next) => {
+    const validatedData = {
+        destination_account_id: Number(req.body.destination_account_id),
+        amount: Number(req.body.amount)
+    };
+
+    const response = validateDeposit(validatedData);
+
+    if(response.error){ // if the fields don't meet the requirements
+        return res.status(400).send(response.error.details);
+    }
+
+    try {
+        let result = await prisma.$transaction(async (tx) => {
+            let lockedAccounts = await tx.$queryRaw`
+                SELECT id, currency FROM bank_accounts
+                WHERE id = ${validatedData.destination_account_id}
+                FOR UPDATE
+            `
+
+            if(lockedAccounts.length === 0){ // if no matching data of bank_account's id
+                return { error: { code: 409, message: `Invalid account id` } }
+            }
+
+            let transaction = await createPendingTransaction(tx, {
+                type: 'deposit',
+                destination_account_id: validatedData.destination_account_id,
+                amount: validatedData.amount,
+                currency: lockedAccounts[0].currency
+            })
+
+            // the cash comes from outside the bank, so only the credit side is a customer account
+            let { creditAccount: updateDestAccBalance } = await postLedgerEntries(tx, {
+                transactionId: transaction.id,
+                creditAccountId: validatedData.destination_account_id,
+                amount: validatedData.amount,
+                description: `Cash deposit to account ${validatedData.destination_account_id}`
+            })
+
+            transaction = await updateTransactionStatus(tx, transaction, 'completed');
+
+            return { transaction, updateDestAccBalance }
+        })
+
+        if(result.error){
+            return res.status(result.error.code).json({
+                status: 'failed',
+                message: result.error.message,
+                transaction: result.transaction
+            })
+        }
+
+        return res.status(201).json({
+            status: 'success',
+            transaction: result.transaction,
+            destination_account: result.updateDestAccBalance
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/transactions/withdrawal:
+ *   post:
+ *     summary: Record a cash withdrawal
+ *     description: This endpoint allows only **admin users** (tellers) to pay out cash from a bank account. A withdrawal has no destination account and can't exceed the account's balance, less the funds on hold for transfers waiting for approval.
+ *     tags:
+ *       - Transactions
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token with admin privileges.
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: 5f1c2a9e-3b7d-4f0a-9c1e-2d8b6a4e7f10
+ *         description: Optional unique key for safely retrying the request. A replay with the same key and body returns the original response without repeating the operation.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               source_account_id:
+ *                 type: integer
+ *                 example: 1
+ *                 description: The ID of the bank account the cash is taken from.
+ *               amount:
+ *                 type: number
+ *                 example: 100.00
+ *     responses:
+ *       201:
+ *         description: Withdrawal recorded successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 transaction:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 4
+ *                     type:
+ *                       type: string
+ *                       example: withdrawal
+ *                     source_account_id:
+ *                       type: integer
+ *                       example: 1
+ *                     destination_account_id:
+ *                       type: integer
+ *                       nullable: true
+ *                       example: null
+ *                     amount:
+ *                       type: number
+ *                       example: 100.00
+ *                     status:
+ *                       type: string
+ *                       enum: [pending, completed, failed, reversed]
+ *                       example: completed
+ *                     failure_reason:
+ *                       type: string
+ *                       nullable: true
+ *                       example: null
+ *                     created_at:
+ *                       type: string
+ *                       format: date-time
+ *                     updated_at:
+ *                       type: string
+ *                       format: date-time
+ *                 source_account:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 1
+ *                     balance:
+ *                       type: number
+ *                       example: 4900
+ *       400:
+ *         description: Validation error. Input data does not meet the required format.
+ *       403:
+ *         description: Forbidden. Only admin users can record withdrawals.
+ *       409:
+ *         description: Conflict error. The source account doesn't exist or has insufficient balance.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failed
+ *                 message:
+ *                   type: string
+ *                   example: Insufficient balance
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/withdrawal', adminMiddleware, idempotencyMiddleware, async (req, res, next) => {
+    const validatedData = {
+        source_account_id: Number(req.body.source_account_id),
+        amount: Number(req.body.amount)
+    };
+
+    const response = validateWithdrawal(validatedData);
+
+    if(response.error){ // if the fields don't meet the requirements
+        return res.status(400).send(response.error.details);
+    }
+
+    try {
+        let result = await prisma.$transaction(async (tx) => {
+            let lockedAccounts = await tx.$queryRaw`
+                SELECT id, balance, overdraft_limit, currency FROM bank_accounts
+                WHERE id = ${validatedData.source_account_id}
+                FOR UPDATE
+            `
+
+            let getSourceAccInfo = lockedAccounts[0];
+
+            if(!getSourceAccInfo){ // if no matching data of bank_account's id
+                return { error: { code: 409, message: `Invalid account id` } }
+            }
+
+            const transactionData = {
+                type: 'withdrawal',
+                source_account_id: validatedData.source_account_id,
+                amount: validatedData.amount,
+                currency: getSourceAccInfo.currency
+            };
+
+            const availableBalance = await getAvailableBalance(tx, getSourceAccInfo);
+
+            if(new Prisma.Decimal(validatedData.amount).greaterThan(availableBalance)){ // if entered amount is greater than the available balance (including any overdraft)
+                let failedTransaction = await recordFailedTransaction(tx, transactionData, 'Insufficient balance');
+                return { error: { code: 409, message: `Insufficient balance` }, transaction: failedTransaction }
+            }
+
+            let transaction = await createPendingTransaction(tx, transactionData)
+
+            // the cash leaves the bank, so only the debit side is a customer account
+            let { debitAccount: updateSourceAccBalance } = await postLedgerEntries(tx, {
+                transactionId: transaction.id,
+                debitAccountId: validatedData.source_account_id,
+                amount: validatedData.amount,
+                description: `Cash withdrawal from account ${validatedData.source_account_id}`
+            })
+
+            transaction = await updateTransactionStatus(tx, transaction, 'completed');
+
+            return { transaction, updateSourceAccBalance }
+        })
+
+        if(result.error){
+            return res.status(result.error.code).json({
+                status: 'failed',
+                message: result.error.message,
+                transaction: result.transaction
+            })
+        }
+
+        return res.status(201).json({
+            status: 'success',
+            transaction: result.transaction,
+            source_account: result.updateSourceAccBalance
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/transactions/{transactionId}/reverse:
+ *   post:
+ *     summary: Reverse or refund a transaction
+ *     description: This endpoint allows only **admin users** to reverse a transaction, fully or partially. A compensating transaction linked to the original moves the money back, and the original's status changes to reversed. A transaction can only be reversed once, and the reversal is rejected if the account that received the money no longer has enough balance. Only the amount is refunded, the fee of a transfer is kept by the bank.
+ *     tags:
+ *       - Transactions
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token with admin privileges.
+ *     parameters:
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *         description: The ID of the transaction to reverse.
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 50.00
+ *                 description: The amount to refund. Defaults to the full amount of the original transaction.
+ *     responses:
+ *       201:
+ *         description: Transaction reversed successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 original_transaction:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 1
+ *                     status:
+ *                       type: string
+ *                       example: reversed
+ *                 reversal_transaction:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 5
+ *                     type:
+ *                       type: string
+ *                       example: reversal
+ *                     reversal_of_id:
+ *                       type: integer
+ *                       example: 1
+ *                     source_account_id:
+ *                       type: integer
+ *                       example: 2
+ *                     destination_account_id:
+ *                       type: integer
+ *                       example: 1
+ *                     amount:
+ *                       type: number
+ *                       example: 50.00
+ *       400:
+ *         description: Validation error. The amount is not positive or exceeds the original amount.
+ *       403:
+ *         description: Forbidden. Only admin users can reverse transactions.
+ *       404:
+ *         description: Transaction not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failed
+ *                 message:
+ *                   type: string
+ *                   example: Transaction with id 1 not found
+ *       409:
+ *         description: Conflict error. The transaction was already reversed, is itself a reversal, is an interest charge or a capture without a destination account, one of its accounts was deleted, or the receiving account has insufficient balance.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: failed
+ *                 message:
+ *                   type: string
+ *                   example: Transaction with id 1 has already been reversed
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/:transaction/reverse', adminMiddleware, async (req, res, next) => {
+    const transactionId = Number(req.params.transaction);
+
+    const validatedData = {
+        amount: req.body.amount === undefined ? undefined : Number(req.body.amount)
+    };
+
+    const response = validateReversal(validatedData);
+
+    if(response.error){ // if the fields don't meet the requirements
+        return res.status(400).send(response.error.details);
+    }
+
+    try {
+        let result = await prisma.$transaction(async (tx) => {
+            // lock the original transaction so two admins can't reverse it at the same time
+            let lockedTransactions = await tx.$queryRaw`
+                SELECT id FROM transactions
+                WHERE id = ${transactionId}
+                FOR UPDATE
+            `
+
+            if(lockedTransactions.length === 0){ // if no matching data by entered transaction's id
+                return { error: { code: 404, message: `Transaction with id ${transactionId} not found` } }
+            }
+
+            let original = await tx.transaction.findUnique({
+                where: {
+                    id: transactionId
+                }
+            })
+
+            const amount = new Prisma.Decimal(validatedData.amount ?? original.amount);
+
+            if(original.type === 'reversal'){
+                return { error: { code: 409, message: `A reversal transaction can't be reversed` } }
+            } else if(original.type === 'interest' || (original.type === 'capture' && !original.destination_account_id)){
+                // the money went to or came from the bank itself, not another customer's account it could be taken back from
+                return { error: { code: 409, message: `Transactions of type ${original.type} ${original.type === 'capture' ? 'without a destination account ' : ''}can't be reversed` } }
+            } else if(original.status === 'reversed'){
+                return { error: { code: 409, message: `Transaction with id ${transactionId} has already been reversed` } }
+            } else if(!isTransitionAllowed(original.status, 'reversed')){ // only completed transactions moved any money
+                return { error: { code: 409, message: `Transaction with id ${transactionId} is ${original.status} and can't be reversed` } }
+            } else if(amount.greaterThan(original.amount)){ // partial refunds can't be larger than what was originally moved
+                return { error: { code: 400, message: `Reversal amount can't exceed the original amount of ${original.amount}` } }
+            } else if((original.type !== 'deposit' && !original.source_account_id) || (original.type !== 'withdrawal' && !original.destination_account_id)){
+                // one of the accounts involved has been deleted since, so there is nowhere to move the money back to or from
+                return { error: { code: 409, message: `An account involved in transaction ${transactionId} no longer exists` } }
+            }
+
+            // the money goes back the opposite way: from the account that received it to the account that sent it. Only the
+            // amount goes back, the fee paid for the transfer isn't refunded
+            const reversalSourceId = original.destination_account_id;
+            const reversalDestId = original.source_account_id;
+
+            // reversing a deposit or a withdrawal only touches one customer account
+            const accountIds = [reversalSourceId, reversalDestId].filter((id) => id !== null);
+
+            let lockedAccounts = await tx.$queryRaw`
+                SELECT id, balance FROM bank_accounts
+                WHERE id IN (${Prisma.join(accountIds)})
+                ORDER BY id
+                FOR UPDATE
+            `
+
+            let reversalSourceAcc = lockedAccounts.find((account) => account.id === reversalSourceId);
+
+            // `amount` is in the original sender's currency, for a cross-currency transfer the receiver gives back
+            // the same share of what they were credited, at the original rate
+            const receivedAmount = original.destination_amount
+                ? amount.times(original.destination_amount).dividedBy(original.amount).toDecimalPlaces(2)
+                : amount;
+
+            if(reversalSourceAcc && receivedAmount.greaterThan(reversalSourceAcc.balance)){ // if the receiving account has already spent the money
+                return { error: { code: 409, message: `Insufficient balance in account ${reversalSourceId} to reverse this transaction` } }
+            }
+
+            const reversalData = {
+                type: 'reversal',
+                reversal_of_id: original.id,
+                source_account_id: reversalSourceId,
+                destination_account_id: reversalDestId,
+                amount: receivedAmount,
+                currency: original.destination_currency ?? original.currency
+            };
+
+            if(original.destination_amount){
+                reversalData.destination_amount = amount;
+                reversalData.destination_currency = original.currency;
+                reversalData.exchange_rate = amount.dividedBy(receivedAmount).toDecimalPlaces(8);
+            }
+
+            let reversal = await createPendingTransaction(tx, reversalData)
+
+            const description = `Reversal of transaction ${original.id}`;
+
+            if(original.destination_amount){ // each currency is posted against the bank's books, like the original transfer
+                await postLedgerEntries(tx, {
+                    transactionId: reversal.id,
+                    debitAccountId: reversalSourceId,
+                    amount: receivedAmount,
+                    description: description
+                })
+                await postLedgerEntries(tx, {
+                    transactionId: reversal.id,
+                    creditAccountId: reversalDestId,
+                    amount: amount,
+                    description: description
+                })
+            } else {
+                await postLedgerEntries(tx, {
+                    transactionId: reversal.id,
+                    debitAccountId: reversalSourceId,
+                    creditAccountId: reversalDestId,
+                    amount: amount,
+                    description: description
+                })
+            }
+
+            reversal = await updateTransactionStatus(tx, reversal, 'completed');
+
+            let reversedOriginal = await updateTransactionStatus(tx, original, 'reversed', `Reversed by transaction ${reversal.id}`);
+
+            return { reversedOriginal, reversal }
+        })
+
+        if(result.error){
+            return res.status(result.error.code).json({
+                status: 'failed',
+                message: result.error.message,
+                transaction: result.transaction
+            })
+        }
+
+        return res.status(201).json({
+            status: 'success',
+            original_transaction: result.reversedOriginal,
+            reversal_transaction: result.reversal
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+// approves or rejects a transfer waiting for approval on behalf of the admin `checkerId`, both decisions are
+// recorded on the transfer's approval and in its status history
+async function decideTransferApproval(transactionId, checkerId, decision, reason){
+    return prisma.$transaction(async (tx) => {
+        // lock the transaction so two admins can't decide on it at the same time
+        let lockedTransactions = await tx.$queryRaw`
+            SELECT id FROM transactions
+            WHERE id = ${transactionId}
+            FOR UPDATE
+        `
+
+        if(lockedTransactions.length === 0){ // if no matching data by entered transaction's id
+            return { error: { code: 404, message: `Transaction with id ${transactionId} not found` } }
+        }
+
+        let transaction = await tx.transaction.findUnique({
+            where: {
+                id: transactionId
+            },
+            include: {
+                approval: true
+            }
+        })
+
+        let { approval, ...pendingTransaction } = transaction;
+
+        if(!approval){
+            return { error: { code: 409, message: `Transaction with id ${transactionId} doesn't need approval` } }
+        } else if(approval.status !== 'pending'){
+            return { error: { code: 409, message: `Transaction with id ${transactionId} has already been ${approval.status}` } }
+        } else if(approval.maker_id === checkerId){ // the maker can't be their own checker
+            return { error: { code: 403, message: `A transfer must be approved or rejected by a different admin from the one who made it` } }
+        }
+
+        const decisionData = {
+            status: decision,
+            checker_id: checkerId,
+            decision_reason: reason ?? null,
+            decided_at: new Date()
+        };
+
+        if(decision === 'rejected'){ // no money has moved, the funds on hold are released
+            let rejectedTransaction = await updateTransactionStatus(tx, pendingTransaction, 'failed', `Rejected by admin ${checkerId}: ${reason}`);
+            await endTransferHold(tx, transactionId, 'released');
+            let rejectedApproval = await tx.transfer_Approval.update({
+                where: {
+                    id: approval.id
+                },
+                data: decisionData
+            })
+
+            return { transaction: rejectedTransaction, approval: rejectedApproval }
+        }
+
+        let settled = await settleHeldTransfer(tx, pendingTransaction);
+
+        if(settled.error){
+            return settled;
+        }
+
+        let approvedApproval = await tx.transfer_Approval.update({
+            where: {
+                id: approval.id
+            },
+            data: decisionData
+        })
+
+        return { ...settled, approval: approvedApproval }
+    })
+}
+
+/**
+ * @swagger
+ * /api/v1/transactions/{transactionId}/approve:
+ *   post:
+ *     summary: Approve a transfer waiting for approval
+ *     description: This endpoint allows only **admin users** to approve a transfer above the approval threshold. The approver must be a different admin from the one who made the transfer. The transfer is settled, its hold ends, and the decision is recorded.
+ *     tags:
+ *       - Transactions
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token with admin privileges.
+ *     parameters:
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Verified with the customer by phone
+ *                 description: Optional note kept with the decision.
+ *     responses:
+ *       200:
+ *         description: Transfer approved and settled.
  *         content:
  *           application/json:
  *             schema:
@@ -141,12 +1117,26 @@ import adminMiddleware from '../middleware/admin.js';
  *               properties:
  *                 status:
  *                   type: string
- *                   example: failed
- *                 message:
- *                   type: string
- *                   example: The source account doesn't belong to this user
+ *                   example: success
+ *                 transaction:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 1
+ *                     status:
+ *                       type: string
+ *                       example: completed
+ *                 approval:
+ *                   $ref: '#/components/schemas/TransferApproval'
+ *       400:
+ *         description: Validation error. The reason is too long.
+ *       403:
+ *         description: Forbidden. Only admin users can approve transfers, and not the admin who made the transfer.
+ *       404:
+ *         description: Transaction not found.
  *       409:
- *         description: Conflict error. Invalid account IDs, insufficient balance, or same account used as source and destination.
+ *         description: Conflict error. The transaction doesn't need approval, has already been approved or rejected, one of its accounts was deleted, or the source account no longer has enough balance.
  *         content:
  *           application/json:
  *             schema:
@@ -157,9 +1147,109 @@ import adminMiddleware from '../middleware/admin.js';
  *                   example: failed
  *                 message:
  *                   type: string
- *                   example: Cannot do transaction between same account
+ *                   example: Transaction with id 1 has already been approved
  *       500:
  *         description: Internal server error.
+ *
+ * components:
+ *   schemas:
+ *     TransferApproval:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         transaction_id:
+ *           type: integer
+ *           example: 1
+ *         maker_id:
+ *           type: integer
+ *           nullable: true
+ *           example: 2
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *           example: approved
+ *         checker_id:
+ *           type: integer
+ *           nullable: true
+ *           example: 1
+ *         decision_reason:
+ *           type: string
+ *           nullable: true
+ *           example: Verified with the customer by phone
+ *         decided_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+router.post('/:transaction/approve', adminMiddleware, async (req, res, next) => {
+    const transactionId = Number(req.params.transaction);
+
+    const validatedData = {
+        decision: 'approved',
+        reason: req.body.reason
+    };
+
+    const response = validateApprovalDecision(validatedData);
+
+    if(response.error){ // if the fields don't meet the requirements
+        return res.status(400).send(response.error.details);
+    }
+
+    try {
+        let result = await decideTransferApproval(transactionId, req.user.id, validatedData.decision, validatedData.reason);
+
+        if(result.error){
+            return res.status(result.error.code).json({
+                status: 'failed',
+                message: result.error.message
+            })
+        }
+
+        return res.json({
+            status: 'success',
+            transaction: result.transaction,
+            approval: result.approval
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/transactions/{transactionId}/reject:
+ *   post:
+ *     summary: Reject a transfer waiting for approval
+ *     description: This endpoint allows only **admin users** to reject a transfer above the approval threshold. The checker must be a different admin from the one who made the transfer. The transfer fails without moving any money, its hold ends, and the decision is recorded with its reason.
+ *     tags:
+ *       - Transactions
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token with admin privileges.
+ *     parameters:
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Beneficiary could not be verified
+ *     responses:
+ *       200:
+ *         description: Transfer rejected.
  *         content:
  *           application/json:
  *             schema:
@@ -167,93 +1257,131 @@ import adminMiddleware from '../middleware/admin.js';
  *               properties:
  *                 status:
  *                   type: string
- *                   example: failed
- *                 message:
- *                   type: string
- *                   example: Internal server error.
+ *                   example: success
+ *                 transaction:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 1
+ *                     status:
+ *                       type: string
+ *                       example: failed
+ *                     failure_reason:
+ *                       type: string
+ *                       example: "Rejected by admin 1: Beneficiary could not be verified"
+ *                 approval:
+ *                   $ref: '#/components/schemas/TransferApproval'
+ *       400:
+ *         description: Validation error. The reason is missing or too long.
+ *       403:
+ *         description: Forbidden. Only admin users can reject transfers, and not the admin who made the transfer.
+ *       404:
+ *         description: Transaction not found.
+ *       409:
+ *         description: Conflict error. The transaction doesn't need approval or has already been approved or rejected.
+ *       500:
+ *         description: Internal server error.
  */
-router.post('/', authMiddleware, async (req, res, next) => {
-    const userId = req.user.id;
-    
+router.post('/:transaction/reject', adminMiddleware, async (req, res, next) => {
+    const transactionId = Number(req.params.transaction);
+
     const validatedData = {
-        source_account_id: Number(req.body.source_account_id),
-        destination_account_id: Number(req.body.destination_account_id),
-        amount: Number(req.body.amount)
+        decision: 'rejected',
+        reason: req.body.reason
     };
-    
-    const response = validateTransaction(validatedData);
+
+    const response = validateApprovalDecision(validatedData);
 
     if(response.error){ // if the fields don't meet the requirements
         return res.status(400).send(response.error.details);
     }
-    
-    try {
-        let getSourceAccInfo = await prisma.bank_Account.findUnique({ // fetch data of source bank account
-            where: {
-                id: validatedData.source_account_id,
-            }
-        })
 
-        let getDestAccInfo = await prisma.bank_Account.findUnique({ // fetch data of destination bank account
-            where: {
-                id: validatedData.destination_account_id
-            }
-        })
+    try {
+        let result = await decideTransferApproval(transactionId, req.user.id, validatedData.decision, validatedData.reason);
 
-        if(!getSourceAccInfo || !getDestAccInfo){ // if getSourceAccInfo or getDestAccInfo can't find matching data of bank_account's id
-            return res.status(409).json({
-                status: 'failed',
-                message: `Invalid account id`
-            })
-        } else if(validatedData.source_account_id === validatedData.destination_account_id){ // if the entered source_account_id and destination_account_id have the same id
-            return res.status(409).json({
-                status: 'failed',
-                message: `Cannot do transaction between same account`
-            })
-        } else if(userId !== getSourceAccInfo.user_id){ // if the authenticated user don't have the entered source account
-            return res.status(403).json({
+        if(result.error){
+            return res.status(result.error.code).json({
                 status: 'failed',
-                message: `The source account doesn't belong to this user`
-            })
-        } else if(validatedData.amount > getSourceAccInfo.balance){ // if entered amount is greater than source bank account's balance
-            return res.status(409).json({
-                status: 'failed',
-                message: `Insufficient balance`
+                message: result.error.message
             })
         }
 
-        let transaction = await prisma.transaction.create({ // create transaction data
-            data: {
-                source_account_id: validatedData.source_account_id,
-                destination_account_id: validatedData.destination_account_id,
-                amount: validatedData.amount
-            }
+        return res.json({
+            status: 'success',
+            transaction: result.transaction,
+            approval: result.approval
         })
+    } catch(err) {
+        next(err)
+    }
+})
 
-        let updateSourceAccBalance = await prisma.bank_Account.update({ // update source bank_account's balance data
-            where: {
-                id: validatedData.source_account_id
-            }, 
-            data: {
-                balance: Number(getSourceAccInfo.balance) - Number(validatedData.amount)
-            }
+/**
+ * @swagger
+ * /api/v1/transactions/approvals:
+ *   get:
+ *     summary: Retrieve transfer approvals
+ *     description: This endpoint allows only **admin users** to see the transfers that needed approval, oldest first, with their transaction. Filter by `status=pending` for the transfers still waiting for a decision.
+ *     tags:
+ *       - Transactions
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token with admin privileges.
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the approvals.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 approvals_data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TransferApproval'
+ *       400:
+ *         description: Unknown approval status.
+ *       403:
+ *         description: Forbidden. Only admin users can see approvals.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/approvals', adminMiddleware, async (req, res, next) => {
+    const status = req.query.status;
+
+    if(status !== undefined && !['pending', 'approved', 'rejected'].includes(status)){ // if the status filter is not an approval status
+        return res.status(400).json({
+            status: 'failed',
+            message: 'status must be one of pending, approved or rejected'
         })
+    }
 
-        let updateDestAccBalance = await prisma.bank_Account.update({ // update destination bank_account's balance data
+    try {
+        let approvals = await prisma.transfer_Approval.findMany({
             where: {
-                id: validatedData.destination_account_id
-            }, 
-            data: {
-                balance: Number(getDestAccInfo.balance) + Number(validatedData.amount)
+                status: status
+            },
+            include: {
+                transaction: true
+            },
+            orderBy: {
+                id: 'asc'
             }
         })
 
-        return res.status(201).json({
+        return res.json({
             status: 'success',
-            transaction: transaction,
-            source_account: updateSourceAccBalance,
-            destination_account: updateDestAccBalance
-        }) 
+            approvals_data: approvals
+        })
     } catch(err) {
         next(err)
     }
@@ -264,11 +1392,23 @@ router.post('/', authMiddleware, async (req, res, next) => {
  * /api/v1/transactions/all:
  *   get:
  *     summary: Retrieve all transactions data
- *     description: This endpoint allows only **admin users** to retrieve a list of all transactions, ordered by their ID in ascending order.
+ *     description: This endpoint allows only **admin users** to retrieve a page of all transactions, filtered and sorted by the query parameters (by default ordered by their ID in ascending order). Use the returned cursors to move between pages.
  *     tags:
  *       - Transactions
  *     security:
  *       - bearerAuth: []  # Requires a Bearer token with admin privileges.
+ *     parameters:
+ *       - $ref: '#/components/parameters/TransactionAccountId'
+ *       - $ref: '#/components/parameters/TransactionDirection'
+ *       - $ref: '#/components/parameters/TransactionType'
+ *       - $ref: '#/components/parameters/TransactionStatus'
+ *       - $ref: '#/components/parameters/TransactionMinAmount'
+ *       - $ref: '#/components/parameters/TransactionMaxAmount'
+ *       - $ref: '#/components/parameters/TransactionFrom'
+ *       - $ref: '#/components/parameters/TransactionTo'
+ *       - $ref: '#/components/parameters/TransactionSort'
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
  *     responses:
  *       200:
  *         description: Successfully retrieved all transactions data.
@@ -297,6 +1437,10 @@ router.post('/', authMiddleware, async (req, res, next) => {
  *                       amount:
  *                         type: number
  *                         example: 500.00
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Validation error. The query parameters or the cursor are invalid.
  *       401:
  *         description: Unauthorized. A valid token is required.
  *         content:
@@ -336,18 +1480,129 @@ router.post('/', authMiddleware, async (req, res, next) => {
  *                 message:
  *                   type: string
  *                   example: Internal server error
+ *
+ * components:
+ *   parameters:
+ *     TransactionAccountId:
+ *       in: query
+ *       name: account_id
+ *       schema:
+ *         type: integer
+ *         example: 1
+ *       description: Only transactions where this account is the source or the destination.
+ *     TransactionDirection:
+ *       in: query
+ *       name: direction
+ *       schema:
+ *         type: string
+ *         enum: [incoming, outgoing]
+ *       description: Only money coming into or going out of account_id (for customers, of any of their accounts when account_id is omitted).
+ *     TransactionType:
+ *       in: query
+ *       name: type
+ *       schema:
+ *         type: string
+ *         enum: [transfer, deposit, withdrawal, reversal, capture, interest]
+ *     TransactionStatus:
+ *       in: query
+ *       name: status
+ *       schema:
+ *         type: string
+ *         enum: [pending, completed, failed, reversed]
+ *     TransactionMinAmount:
+ *       in: query
+ *       name: min_amount
+ *       schema:
+ *         type: number
+ *         example: 100
+ *     TransactionMaxAmount:
+ *       in: query
+ *       name: max_amount
+ *       schema:
+ *         type: number
+ *         example: 5000
+ *     TransactionFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         example: 2024-10-01
+ *       description: Only transactions created at or after this ISO date or date-time.
+ *     TransactionTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         example: 2024-10-31
+ *       description: Only transactions created up to this ISO date-time. A plain date includes that whole day.
+ *     TransactionSort:
+ *       in: query
+ *       name: sort
+ *       schema:
+ *         type: string
+ *         enum: [id, -id, created_at, -created_at, amount, -amount]
+ *         default: id
+ *       description: Field to sort by, prefixed with - for descending order.
+ *     PageLimit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 100
+ *         default: 20
+ *     PageCursor:
+ *       in: query
+ *       name: cursor
+ *       schema:
+ *         type: string
+ *       description: The next_cursor or prev_cursor returned with a previous page. Keep the other query parameters the same while paging.
+ *   schemas:
+ *     Pagination:
+ *       type: object
+ *       properties:
+ *         limit:
+ *           type: integer
+ *           example: 20
+ *         next_cursor:
+ *           type: string
+ *           nullable: true
+ *           example: eyJpZCI6NDAsImRpcmVjdGlvbiI6Im5leHQifQ
+ *         prev_cursor:
+ *           type: string
+ *           nullable: true
+ *           example: null
  */
 router.get('/all', adminMiddleware, async (req, res, next) => {
-    try{
-        let transactions = await prisma.transaction.findMany({
-            orderBy: {
-                id: 'asc'
-            }
+    const response = validateTransactionQuery(req.query);
+
+    if(response.error){ // if the query parameters don't meet the requirements
+        return res.status(400).send(response.error.details);
+    } else if(response.value.direction && !response.value.account_id){ // incoming and outgoing are relative to one account
+        return res.status(400).json({
+            status: 'failed',
+            message: 'direction can only be used together with account_id'
         })
+    }
+
+    const query = response.value;
+
+    try{
+        let result = await paginateTransactions(prisma, {
+            AND: buildTransactionFilters(query, query.account_id ? [query.account_id] : [])
+        }, query)
+
+        if(result.error){
+            return res.status(result.error.code).json({
+                status: 'failed',
+                message: result.error.message
+            })
+        }
 
         return res.json({
             status: 'success',
-            transactions_data: transactions
+            transactions_data: result.transactions,
+            pagination: result.pagination
         });
     } catch(err) {
         next(err)
@@ -359,11 +1614,23 @@ router.get('/all', adminMiddleware, async (req, res, next) => {
  * /api/v1/transactions:
  *   get:
  *     summary: Retrieve authenticated user's transactions
- *     description: This endpoint retrieves all transactions related to the authenticated user, either as the source or destination account holder.
+ *     description: This endpoint retrieves a page of the transactions related to the authenticated user, either as the source or destination account holder, including cash deposits and withdrawals. The list can be filtered and sorted by the query parameters, and the returned cursors move between pages.
  *     tags:
  *       - Transactions
  *     security:
  *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     parameters:
+ *       - $ref: '#/components/parameters/TransactionAccountId'
+ *       - $ref: '#/components/parameters/TransactionDirection'
+ *       - $ref: '#/components/parameters/TransactionType'
+ *       - $ref: '#/components/parameters/TransactionStatus'
+ *       - $ref: '#/components/parameters/TransactionMinAmount'
+ *       - $ref: '#/components/parameters/TransactionMaxAmount'
+ *       - $ref: '#/components/parameters/TransactionFrom'
+ *       - $ref: '#/components/parameters/TransactionTo'
+ *       - $ref: '#/components/parameters/TransactionSort'
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
  *     responses:
  *       200:
  *         description: Successfully retrieved the user's transactions.
@@ -389,9 +1656,25 @@ router.get('/all', adminMiddleware, async (req, res, next) => {
  *                       destination_account_id:
  *                         type: integer
  *                         example: 2
+ *                       type:
+ *                         type: string
+ *                         enum: [transfer, deposit, withdrawal]
+ *                         example: transfer
  *                       amount:
  *                         type: number
  *                         example: 250.00
+ *                       fee:
+ *                         type: number
+ *                         example: 2.50
+ *                         description: The transfer fee paid by the source account on top of the amount.
+ *                       signed_amount:
+ *                         type: number
+ *                         example: -252.50
+ *                         description: What the transaction changed in the authenticated user's accounts, negative for money leaving them (the fee included) and positive for money coming in. A transfer between two of their own accounts only costs its fee.
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Validation error. The query parameters or the cursor are invalid.
  *       401:
  *         description: Unauthorized. A valid token is required.
  *         content:
@@ -421,30 +1704,79 @@ router.get('/all', adminMiddleware, async (req, res, next) => {
  */
 router.get('/', authMiddleware, async (req, res, next) => {
     const userId = req.user.id;
+
+    const response = validateTransactionQuery(req.query);
+
+    if(response.error){ // if the query parameters don't meet the requirements
+        return res.status(400).send(response.error.details);
+    }
+
+    const query = response.value;
+
     try{
-        let transactions = await prisma.transaction.findMany({
-            orderBy: {
-                id: 'asc'
-            },
-            where: {
-                OR: [ // show only source and destination account that related to authenticated user
-                    {
-                        sourceAccount: {
-                            user_id: userId
-                        }
-                    },
-                    {
-                        destinationAccount: {
-                            user_id: userId
-                        }
-                    }
-                ]
-            },
+        let userAccounts = await prisma.bank_Account.findMany({
+            where: heldAccountsFilter(userId), // joint accounts included
+            select: {
+                id: true
+            }
         })
+        const userAccountIds = userAccounts.map((account) => account.id);
+
+        if(query.account_id && !userAccountIds.includes(query.account_id)){ // if the authenticated user don't have the entered account
+            return res.status(403).json({
+                status: 'failed',
+                message: `This account doesn't belong to this user`
+            })
+        }
+
+        let result = await paginateTransactions(prisma, {
+            AND: [
+                {
+                    OR: [ // show only source and destination account that related to authenticated user
+                        {
+                            source_account_id: {
+                                in: userAccountIds
+                            }
+                        },
+                        {
+                            destination_account_id: {
+                                in: userAccountIds
+                            }
+                        }
+                    ]
+                },
+                ...buildTransactionFilters(query, query.account_id ? [query.account_id] : userAccountIds)
+            ]
+        }, query)
+
+        if(result.error){
+            return res.status(result.error.code).json({
+                status: 'failed',
+                message: result.error.message
+            })
+        }
 
         return res.json({
             status: 'success',
-            transactions_data: transactions
+            transactions_data: result.transactions.map((transaction) => {
+                const isOutgoing = userAccountIds.includes(transaction.source_account_id);
+                const isIncoming = userAccountIds.includes(transaction.destination_account_id);
+
+                // money leaving the user's accounts is negative, fee included, money coming in (including deposits) is
+                // positive, and a transfer between two of the user's own accounts only costs its fee
+                let signedAmount = transaction.fee.negated();
+                if(isIncoming && !isOutgoing){
+                    signedAmount = transaction.destination_amount ?? transaction.amount; // cross-currency transfers arrive converted
+                } else if(isOutgoing && !isIncoming){
+                    signedAmount = transaction.amount.plus(transaction.fee).negated();
+                }
+
+                return {
+                    ...transaction,
+                    signed_amount: signedAmount
+                }
+            }),
+            pagination: result.pagination
         });
     } catch(err) {
         next(err)
@@ -456,7 +1788,7 @@ router.get('/', authMiddleware, async (req, res, next) => {
  * /api/v1/transactions/{transactionId}:
  *   get:
  *     summary: Retrieve a specific transaction by ID
- *     description: This endpoint retrieves detailed information for a specific transaction. The authenticated user must be involved in the transaction (as the sender or receiver) or have an admin role to access it.
+ *     description: This endpoint retrieves detailed information for a specific transaction. The authenticated user must hold the source or the destination account of the transaction, as owner, co-owner or viewer, or have an admin role to access it.
  *     tags:
  *       - Transactions
  *     security:
@@ -495,6 +1827,39 @@ router.get('/', authMiddleware, async (req, res, next) => {
  *                     amount:
  *                       type: number
  *                       example: 100.00
+ *                     status:
+ *                       type: string
+ *                       enum: [pending, completed, failed, reversed]
+ *                       example: completed
+ *                     failure_reason:
+ *                       type: string
+ *                       nullable: true
+ *                       example: null
+ *                     created_at:
+ *                       type: string
+ *                       format: date-time
+ *                     updated_at:
+ *                       type: string
+ *                       format: date-time
+ *                     statusHistory:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           from_status:
+ *                             type: string
+ *                             nullable: true
+ *                             example: pending
+ *                           to_status:
+ *                             type: string
+ *                             example: completed
+ *                           reason:
+ *                             type: string
+ *                             nullable: true
+ *                             example: null
+ *                           created_at:
+ *                             type: string
+ *                             format: date-time
  *                     sourceAccount:
  *                       type: object
  *                       properties:
@@ -617,7 +1982,13 @@ router.get('/:transaction', authMiddleware, async (req, res, next) => {
                             }
                         }
                     }
-                }
+                },
+                statusHistory: {
+                    orderBy: {
+                        id: 'asc'
+                    }
+                },
+                approval: true
             }
         })
 
@@ -628,12 +1999,22 @@ router.get('/:transaction', authMiddleware, async (req, res, next) => {
             })
         } 
         
-        const sourceAccId = transaction.sourceAccount.user_id
-        const destAccId = transaction.destinationAccount.user_id
+        // deposits have no source account and withdrawals have no destination account
+        const accountIds = [transaction.source_account_id, transaction.destination_account_id].filter((id) => id !== null)
+
+        let holder = role === 'admin' ? null : await prisma.account_Holder.findFirst({
+            where: {
+                account_id: {
+                    in: accountIds
+                },
+                user_id: userId,
+                status: 'active'
+            }
+        })
         
-        if (sourceAccId !== userId && destAccId !== userId && role !== 'admin'){
+        if (!holder && role !== 'admin'){
             // Check if the authenticated user is involved in the transaction
-            // The user must be either the sender (source account owner) or the receiver (destination account owner).
+            // The user must hold either the source or the destination account, as owner, co-owner or viewer.
             // Additionally, allow access if the user's role is 'admin'.
             // If none of these conditions are met, deny access with a 403 Forbidden response.
             return res.status(403).json({
@@ -0,0 +1,205 @@
+import Router from 'express-promise-router';
+const router = Router();
+
+import { PrismaClient } from '@prisma/client'
+const prisma = new PrismaClient();
+
+import validateTransferLimit from '../validation/transferLimit.js';
+
+import adminMiddleware from '../middleware/admin.js';
+
+// a missing field is sent as undefined so Joi reports it, null (unlimited) is kept as is
+function toLimitValue(value){
+    return value === undefined || value === null ? value : Number(value);
+}
+
+/**
+ * @swagger
+ * /api/v1/transfer-limits:
+ *   get:
+ *     summary: Retrieve the transfer limit table
+ *     description: This endpoint allows only **admin users** to see the transfer limits of every customer tier (the profile's identity_type). A null limit means unlimited.
+ *     tags:
+ *       - Transfer Limits
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token with admin privileges.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the transfer limits.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 transfer_limits_data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TransferLimit'
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. Only admin users can see the transfer limits.
+ *       500:
+ *         description: Internal server error.
+ *
+ * components:
+ *   schemas:
+ *     TransferLimit:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         identity_type:
+ *           type: string
+ *           enum: [Silver, Gold, Platinum]
+ *           example: Silver
+ *         max_single_amount:
+ *           type: string
+ *           nullable: true
+ *           example: "10000000"
+ *         daily_total_amount:
+ *           type: string
+ *           nullable: true
+ *           example: "25000000"
+ *         monthly_count:
+ *           type: integer
+ *           nullable: true
+ *           example: 100
+ *         currency:
+ *           type: string
+ *           example: IDR
+ *           description: The currency of the amount limits. Transfers in other currencies are converted at the current exchange rate before they are checked.
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+router.get('/', adminMiddleware, async (req, res, next) => {
+    try {
+        let transferLimits = await prisma.transfer_Limit.findMany({
+            orderBy: {
+                id: 'asc'
+            }
+        })
+
+        return res.json({
+            status: 'success',
+            transfer_limits_data: transferLimits
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/transfer-limits/{identityType}:
+ *   put:
+ *     summary: Set the transfer limits of a tier
+ *     description: This endpoint allows only **admin users** to set the transfer limits of a customer tier. Every limit must be sent, use null to remove a limit. The amount limits are in the given currency, and transfers from accounts in other currencies are converted at the current exchange rate (without the spread) to count towards them. The new limits apply to the next transfer.
+ *     tags:
+ *       - Transfer Limits
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token with admin privileges.
+ *     parameters:
+ *       - in: path
+ *         name: identityType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [Silver, Gold, Platinum]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               max_single_amount:
+ *                 type: number
+ *                 nullable: true
+ *                 example: 10000000
+ *                 description: Highest amount of a single transfer.
+ *               daily_total_amount:
+ *                 type: number
+ *                 nullable: true
+ *                 example: 25000000
+ *                 description: Highest total amount transferred out in a day.
+ *               monthly_count:
+ *                 type: integer
+ *                 nullable: true
+ *                 example: 100
+ *                 description: Highest number of transfers in a calendar month.
+ *               currency:
+ *                 type: string
+ *                 example: IDR
+ *                 description: The currency of the amount limits, IDR when not sent.
+ *     responses:
+ *       200:
+ *         description: Transfer limits updated successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 transfer_limit:
+ *                   $ref: '#/components/schemas/TransferLimit'
+ *       400:
+ *         description: Validation error. Unknown tier, or the limits do not meet the required format.
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. Only admin users can change the transfer limits.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put('/:identityType', adminMiddleware, async (req, res, next) => {
+    const validatedData = {
+        identity_type: req.params.identityType,
+        max_single_amount: toLimitValue(req.body.max_single_amount),
+        daily_total_amount: toLimitValue(req.body.daily_total_amount),
+        monthly_count: toLimitValue(req.body.monthly_count),
+        currency: req.body.currency
+    };
+
+    const response = validateTransferLimit(validatedData);
+
+    if(response.error){ // if the tier or the limits don't meet the requirements
+        return res.status(400).send(response.error.details);
+    }
+
+    const limits = {
+        max_single_amount: validatedData.max_single_amount,
+        daily_total_amount: validatedData.daily_total_amount,
+        monthly_count: validatedData.monthly_count,
+        currency: response.value.currency
+    };
+
+    try {
+        let transferLimit = await prisma.transfer_Limit.upsert({
+            where: {
+                identity_type: validatedData.identity_type
+            },
+            update: limits,
+            create: {
+                identity_type: validatedData.identity_type,
+                ...limits
+            }
+        })
+
+        return res.json({
+            status: 'success',
+            transfer_limit: transferLimit
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+export default router;
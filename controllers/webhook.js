@@ -0,0 +1,843 @@
+import Router from 'express-promise-router';
+const router = Router();
+
+import { PrismaClient } from '@prisma/client'
+const prisma = new PrismaClient();
+
+import validateWebhookSubscription from '../validation/webhookSubscription.js';
+import validateWebhookSubscriptionUpdate from '../validation/webhookSubscriptionUpdate.js';
+import { generateWebhookSecret } from '../services/webhooks.js';
+import { checkWebhookUrl } from '../services/webhookUrls.js';
+
+import authMiddleware from '../middleware/auth.js';
+
+// the secret is only shown once, when the subscription is created
+const subscriptionSelect = {
+    id: true,
+    user_id: true,
+    url: true,
+    description: true,
+    events: true,
+    is_active: true,
+    created_at: true,
+    updated_at: true
+};
+
+async function findSubscription(subscriptionId, userId){
+    let subscription = await prisma.webhook_Subscription.findUnique({
+        where: {
+            id: subscriptionId
+        },
+        select: subscriptionSelect
+    })
+
+    if(!subscription){ // if no matching data by entered subscription's id
+        return { error: { code: 404, message: `Webhook with id ${subscriptionId} not found` } }
+    } else if(subscription.user_id !== userId){ // admins manage their own subscriptions too
+        return { error: { code: 403, message: `This webhook doesn't belong to this user` } }
+    }
+
+    return { subscription }
+}
+
+/**
+ * @swagger
+ * /api/v1/webhooks:
+ *   post:
+ *     summary: Subscribe to webhook events
+ *     description: This endpoint allows an authenticated user to have account and transaction events POSTed to a URL. A customer receives the events of the accounts they hold, joint accounts included, an admin receives every event. Created and failed transactions are only sent to the paying side. Each request is signed, the X-Webhook-Signature header holds t (a unix timestamp) and v1 (the hex HMAC-SHA256 of the timestamp, a dot and the raw body, keyed with the secret). The URL must resolve to a public address, loopback, private, link-local and reserved addresses are refused, and redirects are not followed. The secret is only returned here, keep it safe.
+ *     tags:
+ *       - Webhooks
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 example: https://partner.example.com/hooks/bank
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [account.created, transaction.created, transaction.completed, transaction.failed, transaction.reversed]
+ *                 example: [transaction.completed, transaction.reversed]
+ *               description:
+ *                 type: string
+ *                 example: Accounting system
+ *     responses:
+ *       201:
+ *         description: Webhook created successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 webhook:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/WebhookSubscription'
+ *                     - type: object
+ *                       properties:
+ *                         secret:
+ *                           type: string
+ *                           example: whsec_3f1c2a9b8e7d6c5b4a39281706f5e4d3c2b1a09f8e7d6c5b
+ *       400:
+ *         description: Validation error. Input data does not meet the required format, or the URL doesn't point to a public address.
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       500:
+ *         description: Internal server error.
+ *
+ * components:
+ *   schemas:
+ *     WebhookSubscription:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         user_id:
+ *           type: integer
+ *           example: 1
+ *         url:
+ *           type: string
+ *           example: https://partner.example.com/hooks/bank
+ *         description:
+ *           type: string
+ *           nullable: true
+ *           example: Accounting system
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [transaction.completed, transaction.reversed]
+ *         is_active:
+ *           type: boolean
+ *           example: true
+ *           description: Deliveries of an inactive webhook are kept and sent once it is active again.
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         subscription_id:
+ *           type: integer
+ *           example: 1
+ *         event_id:
+ *           type: string
+ *           format: uuid
+ *           description: Sent in the X-Webhook-Id header, the same for every webhook receiving the event. Use it to ignore repeated deliveries.
+ *         event:
+ *           type: string
+ *           example: transaction.completed
+ *         payload:
+ *           type: object
+ *           description: The request body, with the event id, type, created_at and the account or transaction as data.
+ *         status:
+ *           type: string
+ *           enum: [pending, delivered, failed]
+ *           example: delivered
+ *           description: A delivery is retried with exponential backoff until the endpoint answers with a 2xx status, and is failed once it runs out of attempts.
+ *         attempt_count:
+ *           type: integer
+ *           example: 1
+ *         next_attempt_at:
+ *           type: string
+ *           format: date-time
+ *         last_status_code:
+ *           type: integer
+ *           nullable: true
+ *           example: 200
+ *         last_error:
+ *           type: string
+ *           nullable: true
+ *         delivered_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     WebhookDeliveryAttempt:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         delivery_id:
+ *           type: integer
+ *           example: 1
+ *         status_code:
+ *           type: integer
+ *           nullable: true
+ *           example: 500
+ *         error:
+ *           type: string
+ *           nullable: true
+ *           example: Endpoint responded with status 500
+ *         response_body:
+ *           type: string
+ *           nullable: true
+ *           description: The first 1000 characters of the endpoint's answer, only shown to admins.
+ *         duration_ms:
+ *           type: integer
+ *           example: 120
+ *         attempted_at:
+ *           type: string
+ *           format: date-time
+ */
+router.post('/', authMiddleware, async (req, res, next) => {
+    const response = validateWebhookSubscription({
+        url: req.body.url,
+        events: req.body.events,
+        description: req.body.description
+    });
+
+    if(response.error){ // if the fields don't meet the requirements
+        return res.status(400).send(response.error.details);
+    }
+
+    try {
+        let urlError = await checkWebhookUrl(response.value.url);
+
+        if(urlError){ // if the URL points into a private network
+            return res.status(400).json({
+                status: 'failed',
+                message: urlError
+            })
+        }
+
+        let webhook = await prisma.webhook_Subscription.create({
+            data: {
+                user_id: req.user.id,
+                url: response.value.url,
+                events: response.value.events,
+                description: response.value.description,
+                secret: generateWebhookSecret()
+            }
+        })
+
+        return res.status(201).json({
+            status: 'success',
+            webhook: webhook
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/webhooks:
+ *   get:
+ *     summary: Retrieve the webhooks
+ *     description: Retrieves the authenticated user's webhook subscriptions, without their secrets.
+ *     tags:
+ *       - Webhooks
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the webhooks.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 webhooks_data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookSubscription'
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/', authMiddleware, async (req, res, next) => {
+    try {
+        let webhooks = await prisma.webhook_Subscription.findMany({
+            where: {
+                user_id: req.user.id
+            },
+            select: subscriptionSelect,
+            orderBy: {
+                id: 'asc'
+            }
+        })
+
+        return res.json({
+            status: 'success',
+            webhooks_data: webhooks
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/webhooks/{subscriptionId}:
+ *   get:
+ *     summary: Retrieve a webhook
+ *     description: Retrieves one of the authenticated user's webhook subscriptions, without its secret.
+ *     tags:
+ *       - Webhooks
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: path
+ *         name: subscriptionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the webhook.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 webhook:
+ *                   $ref: '#/components/schemas/WebhookSubscription'
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. The webhook doesn't belong to this user.
+ *       404:
+ *         description: Webhook not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/:subscriptionId', authMiddleware, async (req, res, next) => {
+    try {
+        let { subscription, error } = await findSubscription(Number(req.params.subscriptionId), req.user.id);
+
+        if(error){
+            return res.status(error.code).json({
+                status: 'failed',
+                message: error.message
+            })
+        }
+
+        return res.json({
+            status: 'success',
+            webhook: subscription
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/webhooks/{subscriptionId}:
+ *   put:
+ *     summary: Update a webhook
+ *     description: Changes the URL, the events or the description of one of the authenticated user's webhooks, or pauses it with is_active false. Events that happen while it is paused are still queued.
+ *     tags:
+ *       - Webhooks
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: path
+ *         name: subscriptionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 example: https://partner.example.com/hooks/bank
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [account.created, transaction.created, transaction.completed, transaction.failed, transaction.reversed]
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *               is_active:
+ *                 type: boolean
+ *                 example: false
+ *     responses:
+ *       200:
+ *         description: Webhook updated successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 webhook:
+ *                   $ref: '#/components/schemas/WebhookSubscription'
+ *       400:
+ *         description: Validation error. Input data does not meet the required format, or the URL doesn't point to a public address.
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. The webhook doesn't belong to this user.
+ *       404:
+ *         description: Webhook not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put('/:subscriptionId', authMiddleware, async (req, res, next) => {
+    const subscriptionId = Number(req.params.subscriptionId);
+
+    const response = validateWebhookSubscriptionUpdate({
+        url: req.body.url,
+        events: req.body.events,
+        description: req.body.description,
+        is_active: req.body.is_active
+    });
+
+    if(response.error){ // if the fields don't meet the requirements
+        return res.status(400).send(response.error.details);
+    }
+
+    try {
+        let { error } = await findSubscription(subscriptionId, req.user.id);
+
+        if(error){
+            return res.status(error.code).json({
+                status: 'failed',
+                message: error.message
+            })
+        }
+
+        let urlError = response.value.url ? await checkWebhookUrl(response.value.url) : null;
+
+        if(urlError){ // if the URL points into a private network
+            return res.status(400).json({
+                status: 'failed',
+                message: urlError
+            })
+        }
+
+        let webhook = await prisma.webhook_Subscription.update({
+            where: {
+                id: subscriptionId
+            },
+            data: response.value,
+            select: subscriptionSelect
+        })
+
+        return res.json({
+            status: 'success',
+            webhook: webhook
+        })
+    } catch(err) {
+        if(err.code === 'P2025'){ // if the webhook was deleted in the meantime
+            return res.status(404).json({
+                status: 'failed',
+                message: `Webhook with id ${subscriptionId} not found`
+            })
+        }
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/webhooks/{subscriptionId}:
+ *   delete:
+ *     summary: Delete a webhook
+ *     description: Removes one of the authenticated user's webhooks, along with its queued deliveries and delivery log.
+ *     tags:
+ *       - Webhooks
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: path
+ *         name: subscriptionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Webhook deleted successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Webhook with id 1 deleted
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. The webhook doesn't belong to this user.
+ *       404:
+ *         description: Webhook not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.delete('/:subscriptionId', authMiddleware, async (req, res, next) => {
+    const subscriptionId = Number(req.params.subscriptionId);
+
+    try {
+        let { error } = await findSubscription(subscriptionId, req.user.id);
+
+        if(error){
+            return res.status(error.code).json({
+                status: 'failed',
+                message: error.message
+            })
+        }
+
+        await prisma.webhook_Subscription.delete({
+            where: {
+                id: subscriptionId
+            }
+        })
+
+        return res.json({
+            status: 'success',
+            message: `Webhook with id ${subscriptionId} deleted`
+        })
+    } catch(err) {
+        if(err.code === 'P2025'){ // if the webhook was deleted in the meantime
+            return res.status(404).json({
+                status: 'failed',
+                message: `Webhook with id ${subscriptionId} not found`
+            })
+        }
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/webhooks/{subscriptionId}/deliveries:
+ *   get:
+ *     summary: Retrieve the delivery log of a webhook
+ *     description: Retrieves the latest 100 deliveries of one of the authenticated user's webhooks, newest first, optionally only those with a given status.
+ *     tags:
+ *       - Webhooks
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: path
+ *         name: subscriptionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivered, failed]
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the deliveries.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 deliveries_data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *       400:
+ *         description: Validation error. The status is not one of pending, delivered or failed.
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. The webhook doesn't belong to this user.
+ *       404:
+ *         description: Webhook not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/:subscriptionId/deliveries', authMiddleware, async (req, res, next) => {
+    const subscriptionId = Number(req.params.subscriptionId);
+    const status = req.query.status;
+
+    if(status !== undefined && !['pending', 'delivered', 'failed'].includes(status)){
+        return res.status(400).json({
+            status: 'failed',
+            message: 'status must be one of pending, delivered or failed'
+        })
+    }
+
+    try {
+        let { error } = await findSubscription(subscriptionId, req.user.id);
+
+        if(error){
+            return res.status(error.code).json({
+                status: 'failed',
+                message: error.message
+            })
+        }
+
+        let deliveries = await prisma.webhook_Delivery.findMany({
+            where: {
+                subscription_id: subscriptionId,
+                status: status
+            },
+            orderBy: {
+                id: 'desc'
+            },
+            take: 100
+        })
+
+        return res.json({
+            status: 'success',
+            deliveries_data: deliveries
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/webhooks/{subscriptionId}/deliveries/{deliveryId}:
+ *   get:
+ *     summary: Retrieve a webhook delivery
+ *     description: Retrieves one delivery of one of the authenticated user's webhooks, with every attempt made to send it.
+ *     tags:
+ *       - Webhooks
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: path
+ *         name: subscriptionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the delivery.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 delivery:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/WebhookDelivery'
+ *                     - type: object
+ *                       properties:
+ *                         attempts:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/WebhookDeliveryAttempt'
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. The webhook doesn't belong to this user.
+ *       404:
+ *         description: Webhook or delivery not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get('/:subscriptionId/deliveries/:deliveryId', authMiddleware, async (req, res, next) => {
+    const subscriptionId = Number(req.params.subscriptionId);
+    const deliveryId = Number(req.params.deliveryId);
+
+    try {
+        let { error } = await findSubscription(subscriptionId, req.user.id);
+
+        if(error){
+            return res.status(error.code).json({
+                status: 'failed',
+                message: error.message
+            })
+        }
+
+        let delivery = await prisma.webhook_Delivery.findFirst({
+            where: {
+                id: deliveryId,
+                subscription_id: subscriptionId
+            },
+            include: {
+                attempts: {
+                    select: {
+                        id: true,
+                        delivery_id: true,
+                        status_code: true,
+                        error: true,
+                        response_body: req.user.role === 'admin', // what an endpoint answers is for admins only
+                        duration_ms: true,
+                        attempted_at: true
+                    },
+                    orderBy: {
+                        id: 'asc'
+                    }
+                }
+            }
+        })
+
+        if(!delivery){ // if no matching delivery for this webhook
+            return res.status(404).json({
+                status: 'failed',
+                message: `Delivery with id ${deliveryId} not found`
+            })
+        }
+
+        return res.json({
+            status: 'success',
+            delivery: delivery
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+/**
+ * @swagger
+ * /api/v1/webhooks/{subscriptionId}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Redeliver a webhook event
+ *     description: Queues a delivered or failed delivery to be sent again with the same payload and event id, for example after fixing the receiving endpoint. It gets a fresh set of retry attempts, the earlier attempts stay in the log.
+ *     tags:
+ *       - Webhooks
+ *     security:
+ *       - bearerAuth: []  # Requires a Bearer token for authentication.
+ *     parameters:
+ *       - in: path
+ *         name: subscriptionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       202:
+ *         description: The delivery is queued and will be sent by the next run of the delivery runner.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 delivery:
+ *                   $ref: '#/components/schemas/WebhookDelivery'
+ *       401:
+ *         description: Unauthorized. A valid token is required.
+ *       403:
+ *         description: Forbidden. The webhook doesn't belong to this user.
+ *       404:
+ *         description: Webhook or delivery not found.
+ *       409:
+ *         description: Conflict error. The delivery is already queued.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post('/:subscriptionId/deliveries/:deliveryId/redeliver', authMiddleware, async (req, res, next) => {
+    const subscriptionId = Number(req.params.subscriptionId);
+    const deliveryId = Number(req.params.deliveryId);
+
+    try {
+        let { error } = await findSubscription(subscriptionId, req.user.id);
+
+        if(error){
+            return res.status(error.code).json({
+                status: 'failed',
+                message: error.message
+            })
+        }
+
+        let queued = await prisma.webhook_Delivery.updateMany({
+            where: {
+                id: deliveryId,
+                subscription_id: subscriptionId,
+                status: {
+                    in: ['delivered', 'failed']
+                }
+            },
+            data: {
+                status: 'pending',
+                attempt_count: 0,
+                next_attempt_at: new Date()
+            }
+        })
+
+        let delivery = await prisma.webhook_Delivery.findFirst({
+            where: {
+                id: deliveryId,
+                subscription_id: subscriptionId
+            }
+        })
+
+        if(!delivery){ // if no matching delivery for this webhook
+            return res.status(404).json({
+                status: 'failed',
+                message: `Delivery with id ${deliveryId} not found`
+            })
+        } else if(queued.count === 0){ // still waiting for its next attempt
+            return res.status(409).json({
+                status: 'failed',
+                message: `Delivery with id ${deliveryId} is already queued`
+            })
+        }
+
+        return res.status(202).json({
+            status: 'success',
+            delivery: delivery
+        })
+    } catch(err) {
+        next(err)
+    }
+})
+
+export default router;
@@ -5,6 +5,11 @@ import swaggerSpec from './swagger.js'
 import express from 'express';
 const app = express();
 import router from './routes/router.js';
+import { startScheduledTransferRunner } from './services/scheduledTransferRunner.js';
+import { startHoldExpiryRunner } from './services/holdExpiryRunner.js';
+import { startOverdraftInterestRunner } from './services/overdraftInterestRunner.js';
+import { startWebhookDeliveryRunner } from './services/webhookDeliveryRunner.js';
+import { startEmailRetryRunner } from './services/emailNotifications.js';
 
 const port = 3000;
 
@@ -34,8 +39,16 @@ app.use((err, req, res, next) => {
     })
 })
 
-app.listen(port, () => {
-    console.log(`Listening on port ${port}`);
-})
+if(process.env.NODE_ENV !== 'test'){ // no server or background jobs while jest is running, supertest uses the app directly
+    app.listen(port, () => {
+        console.log(`Listening on port ${port}`);
+    })
+
+    startScheduledTransferRunner();
+    startHoldExpiryRunner();
+    startOverdraftInterestRunner();
+    startWebhookDeliveryRunner();
+    startEmailRetryRunner();
+}
 
 export default app;
\ No newline at end of file
@@ -0,0 +1,135 @@
+import crypto from 'crypto';
+
+import express from 'express';
+const app = express();
+
+import { PrismaClient, Prisma } from '@prisma/client'
+const prisma = new PrismaClient();
+
+// a key still reserved after this long belongs to a request that never finished, e.g. the process crashed.
+// Its handler may have committed before the response could be stored, so it is never run again for that key
+const reservationTimeoutMs = 5 * 60 * 1000;
+
+// must be mounted after authMiddleware or adminMiddleware, keys are scoped per authenticated user
+app.use(async function(req, res, next){
+    const key = req.headers['idempotency-key'];
+
+    if(!key){ // the header is optional, requests without it are handled as usual
+        return next();
+    }
+
+    const userId = req.user.id;
+    const requestHash = crypto.createHash('sha256')
+        .update(JSON.stringify({
+            method: req.method,
+            path: req.originalUrl,
+            body: req.body
+        }))
+        .digest('hex');
+
+    try {
+        let storedKey = await prisma.idempotency_Key.findUnique({
+            where: {
+                user_id_key: {
+                    user_id: userId,
+                    key: key
+                }
+            }
+        })
+
+        if(storedKey){
+            if(storedKey.request_hash !== requestHash){ // if the key was already used for a different request
+                return res.status(422).json({
+                    status: 'failed',
+                    message: 'Idempotency-Key has already been used with a different request'
+                })
+            } else if(storedKey.response_status !== null){
+                // replay the original response instead of running the handler again
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(storedKey.response_status).json(storedKey.response_body);
+            }
+
+            if(new Date() - storedKey.reserved_at >= reservationTimeoutMs){ // if the original request never finished
+                return res.status(409).json({
+                    status: 'failed',
+                    message: `The request with this Idempotency-Key didn't finish and may have been applied, check the account's transactions before retrying with a new key`
+                })
+            }
+
+            // the original request hasn't finished yet
+            return res.status(409).json({
+                status: 'failed',
+                message: 'A request with this Idempotency-Key is still being processed'
+            })
+        } else {
+            await prisma.idempotency_Key.create({ // reserve the key before the handler runs
+                data: {
+                    key: key,
+                    user_id: userId,
+                    request_hash: requestHash
+                }
+            })
+        }
+    } catch(err) {
+        if(err.code === 'P2002'){ // if a concurrent request reserved the same key first
+            return res.status(409).json({
+                status: 'failed',
+                message: 'A request with this Idempotency-Key is still being processed'
+            })
+        }
+        return next(err);
+    }
+
+    let isSettled = false;
+
+    const json = res.json.bind(res);
+    res.json = async function(body){
+        isSettled = true;
+        try {
+            if(res.statusCode >= 200 && res.statusCode < 300){ // only successful responses are stored and replayed
+                await prisma.idempotency_Key.update({
+                    where: {
+                        user_id_key: {
+                            user_id: userId,
+                            key: key
+                        }
+                    },
+                    data: {
+                        response_status: res.statusCode,
+                        response_body: JSON.parse(JSON.stringify(body))
+                    }
+                })
+            } else { // release the key on failure so the client can retry with the same key
+                await releaseKey(userId, key);
+            }
+        } catch(err) {
+            console.error(err.stack)
+        }
+
+        return json(body);
+    }
+
+    res.on('finish', () => { // a response sent without res.json, e.g. validation errors, has nothing to replay
+        if(!isSettled){
+            releaseKey(userId, key);
+        }
+    })
+
+    next();
+})
+
+async function releaseKey(userId, key){
+    try {
+        await prisma.idempotency_Key.deleteMany({
+            where: {
+                user_id: userId,
+                key: key,
+                response_status: null
+            }
+        })
+    } catch(err) {
+        console.error(err.stack)
+    }
+}
+
+export default app;
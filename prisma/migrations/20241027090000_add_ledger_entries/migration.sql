@@ -0,0 +1,50 @@
+-- CreateEnum
+CREATE TYPE "ledgerDirection" AS ENUM ('debit', 'credit');
+
+-- CreateTable
+CREATE TABLE "ledger_entries" (
+    "id" SERIAL NOT NULL,
+    "transaction_id" INTEGER,
+    "account_id" INTEGER,
+    "direction" "ledgerDirection" NOT NULL,
+    "amount" DECIMAL(15,2) NOT NULL,
+    "balance_after" DECIMAL(15,2),
+    "description" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ledger_entries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ledger_entries_account_id_idx" ON "ledger_entries"("account_id");
+
+-- CreateIndex
+CREATE INDEX "ledger_entries_transaction_id_idx" ON "ledger_entries"("transaction_id");
+
+-- AddForeignKey
+ALTER TABLE "ledger_entries" ADD CONSTRAINT "ledger_entries_transaction_id_fkey" FOREIGN KEY ("transaction_id") REFERENCES "transactions"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ledger_entries" ADD CONSTRAINT "ledger_entries_account_id_fkey" FOREIGN KEY ("account_id") REFERENCES "bank_accounts"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Ledger entries are append-only, corrections are posted as new entries
+CREATE FUNCTION "prevent_ledger_entry_changes"() RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'ledger_entries rows cannot be updated or deleted';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "ledger_entries_append_only"
+BEFORE UPDATE OR DELETE ON "ledger_entries"
+FOR EACH ROW EXECUTE FUNCTION "prevent_ledger_entry_changes"();
+
+-- Backfill an opening balance for every existing account so the ledger matches the current balances
+INSERT INTO "ledger_entries" ("account_id", "direction", "amount", "balance_after", "description")
+SELECT NULL, 'debit', "balance", NULL, 'Opening balance'
+FROM "bank_accounts"
+WHERE "balance" > 0;
+
+INSERT INTO "ledger_entries" ("account_id", "direction", "amount", "balance_after", "description")
+SELECT "id", 'credit', "balance", "balance", 'Opening balance'
+FROM "bank_accounts"
+WHERE "balance" > 0;
@@ -0,0 +1,5 @@
+-- CreateEnum
+CREATE TYPE "transactionType" AS ENUM ('transfer', 'deposit', 'withdrawal');
+
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "type" "transactionType" NOT NULL DEFAULT 'transfer';
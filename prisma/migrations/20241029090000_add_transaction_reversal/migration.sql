@@ -0,0 +1,15 @@
+-- AlterEnum
+ALTER TYPE "transactionType" ADD VALUE 'reversal';
+
+-- CreateEnum
+CREATE TYPE "transactionStatus" AS ENUM ('completed', 'reversed');
+
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "reversal_of_id" INTEGER,
+ADD COLUMN     "status" "transactionStatus" NOT NULL DEFAULT 'completed';
+
+-- CreateIndex
+CREATE UNIQUE INDEX "transactions_reversal_of_id_key" ON "transactions"("reversal_of_id");
+
+-- AddForeignKey
+ALTER TABLE "transactions" ADD CONSTRAINT "transactions_reversal_of_id_fkey" FOREIGN KEY ("reversal_of_id") REFERENCES "transactions"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
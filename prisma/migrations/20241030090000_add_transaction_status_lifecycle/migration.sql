@@ -0,0 +1,29 @@
+-- AlterEnum
+ALTER TYPE "transactionStatus" ADD VALUE 'pending';
+ALTER TYPE "transactionStatus" ADD VALUE 'failed';
+
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN     "failure_reason" TEXT,
+ADD COLUMN     "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- updated_at is maintained by Prisma Client, the default only exists to fill the existing rows
+ALTER TABLE "transactions" ALTER COLUMN "updated_at" DROP DEFAULT;
+
+-- CreateTable
+CREATE TABLE "transaction_status_history" (
+    "id" SERIAL NOT NULL,
+    "transaction_id" INTEGER NOT NULL,
+    "from_status" "transactionStatus",
+    "to_status" "transactionStatus" NOT NULL,
+    "reason" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "transaction_status_history_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "transaction_status_history_transaction_id_idx" ON "transaction_status_history"("transaction_id");
+
+-- AddForeignKey
+ALTER TABLE "transaction_status_history" ADD CONSTRAINT "transaction_status_history_transaction_id_fkey" FOREIGN KEY ("transaction_id") REFERENCES "transactions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
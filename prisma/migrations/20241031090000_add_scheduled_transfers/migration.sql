@@ -0,0 +1,54 @@
+-- CreateEnum
+CREATE TYPE "scheduledTransferStatus" AS ENUM ('active', 'paused', 'cancelled', 'completed');
+
+-- CreateTable
+CREATE TABLE "scheduled_transfers" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "source_account_id" INTEGER NOT NULL,
+    "destination_account_id" INTEGER NOT NULL,
+    "amount" DECIMAL(15,2) NOT NULL,
+    "cron_expression" TEXT,
+    "next_run_at" TIMESTAMP(3),
+    "status" "scheduledTransferStatus" NOT NULL DEFAULT 'active',
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "scheduled_transfers_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "scheduled_transfer_runs" (
+    "id" SERIAL NOT NULL,
+    "scheduled_transfer_id" INTEGER NOT NULL,
+    "transaction_id" INTEGER,
+    "is_successful" BOOLEAN NOT NULL,
+    "message" TEXT,
+    "executed_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "scheduled_transfer_runs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "scheduled_transfers_status_next_run_at_idx" ON "scheduled_transfers"("status", "next_run_at");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "scheduled_transfer_runs_transaction_id_key" ON "scheduled_transfer_runs"("transaction_id");
+
+-- CreateIndex
+CREATE INDEX "scheduled_transfer_runs_scheduled_transfer_id_idx" ON "scheduled_transfer_runs"("scheduled_transfer_id");
+
+-- AddForeignKey
+ALTER TABLE "scheduled_transfers" ADD CONSTRAINT "scheduled_transfers_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "scheduled_transfers" ADD CONSTRAINT "scheduled_transfers_source_account_id_fkey" FOREIGN KEY ("source_account_id") REFERENCES "bank_accounts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "scheduled_transfers" ADD CONSTRAINT "scheduled_transfers_destination_account_id_fkey" FOREIGN KEY ("destination_account_id") REFERENCES "bank_accounts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "scheduled_transfer_runs" ADD CONSTRAINT "scheduled_transfer_runs_scheduled_transfer_id_fkey" FOREIGN KEY ("scheduled_transfer_id") REFERENCES "scheduled_transfers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "scheduled_transfer_runs" ADD CONSTRAINT "scheduled_transfer_runs_transaction_id_fkey" FOREIGN KEY ("transaction_id") REFERENCES "transactions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
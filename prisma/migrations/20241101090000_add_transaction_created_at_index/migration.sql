@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "transactions_created_at_idx" ON "transactions"("created_at");
@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "bank_accounts" ADD COLUMN     "currency" CHAR(3) NOT NULL DEFAULT 'IDR';
+
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "currency" CHAR(3),
+ADD COLUMN     "destination_amount" DECIMAL(15,2),
+ADD COLUMN     "destination_currency" CHAR(3),
+ADD COLUMN     "exchange_rate" DECIMAL(18,8),
+ADD COLUMN     "fx_spread_percent" DECIMAL(5,2);
+
+-- CreateTable
+CREATE TABLE "exchange_rates" (
+    "id" SERIAL NOT NULL,
+    "base_currency" CHAR(3) NOT NULL,
+    "quote_currency" CHAR(3) NOT NULL,
+    "rate" DECIMAL(18,8) NOT NULL,
+    "spread_percent" DECIMAL(5,2) NOT NULL DEFAULT 0,
+    "effective_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "exchange_rates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "exchange_rates_base_currency_quote_currency_effective_at_idx" ON "exchange_rates"("base_currency", "quote_currency", "effective_at");
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "transfer_limits" (
+    "id" SERIAL NOT NULL,
+    "identity_type" "identityType" NOT NULL,
+    "max_single_amount" DECIMAL(15,2),
+    "daily_total_amount" DECIMAL(15,2),
+    "monthly_count" INTEGER,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "transfer_limits_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "transfer_limits_identity_type_key" ON "transfer_limits"("identity_type");
+
+-- Default limits per tier, admins can change them through /api/v1/transfer-limits
+INSERT INTO "transfer_limits" ("identity_type", "max_single_amount", "daily_total_amount", "monthly_count", "updated_at") VALUES
+('Silver', 10000000, 25000000, 100, CURRENT_TIMESTAMP),
+('Gold', 50000000, 100000000, 300, CURRENT_TIMESTAMP),
+('Platinum', 200000000, 500000000, NULL, CURRENT_TIMESTAMP);
@@ -0,0 +1,27 @@
+-- CreateEnum
+CREATE TYPE "feeScope" AS ENUM ('all', 'inter_bank', 'intra_bank');
+
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "fee" DECIMAL(15,2) NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "fee_rules" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "scope" "feeScope" NOT NULL DEFAULT 'all',
+    "identity_type" "identityType",
+    "currency" CHAR(3),
+    "flat_amount" DECIMAL(15,2) NOT NULL DEFAULT 0,
+    "percent" DECIMAL(5,2) NOT NULL DEFAULT 0,
+    "min_fee" DECIMAL(15,2),
+    "max_fee" DECIMAL(15,2),
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "fee_rules_pkey" PRIMARY KEY ("id")
+);
+
+-- Default inter-bank fee, admins can change it through /api/v1/fee-rules
+INSERT INTO "fee_rules" ("name", "scope", "currency", "flat_amount", "updated_at") VALUES
+('Inter-bank transfer', 'inter_bank', 'IDR', 6500, CURRENT_TIMESTAMP);
@@ -0,0 +1,31 @@
+-- CreateEnum
+CREATE TYPE "approvalStatus" AS ENUM ('pending', 'approved', 'rejected');
+
+-- CreateTable
+CREATE TABLE "transfer_approvals" (
+    "id" SERIAL NOT NULL,
+    "transaction_id" INTEGER NOT NULL,
+    "maker_id" INTEGER,
+    "status" "approvalStatus" NOT NULL DEFAULT 'pending',
+    "checker_id" INTEGER,
+    "decision_reason" TEXT,
+    "decided_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "transfer_approvals_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "transfer_approvals_transaction_id_key" ON "transfer_approvals"("transaction_id");
+
+-- CreateIndex
+CREATE INDEX "transfer_approvals_status_idx" ON "transfer_approvals"("status");
+
+-- AddForeignKey
+ALTER TABLE "transfer_approvals" ADD CONSTRAINT "transfer_approvals_transaction_id_fkey" FOREIGN KEY ("transaction_id") REFERENCES "transactions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "transfer_approvals" ADD CONSTRAINT "transfer_approvals_maker_id_fkey" FOREIGN KEY ("maker_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "transfer_approvals" ADD CONSTRAINT "transfer_approvals_checker_id_fkey" FOREIGN KEY ("checker_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
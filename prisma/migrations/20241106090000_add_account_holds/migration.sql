@@ -0,0 +1,47 @@
+-- AlterEnum
+ALTER TYPE "transactionType" ADD VALUE 'capture';
+
+-- CreateEnum
+CREATE TYPE "holdStatus" AS ENUM ('active', 'captured', 'released', 'expired');
+
+-- CreateTable
+CREATE TABLE "account_holds" (
+    "id" SERIAL NOT NULL,
+    "account_id" INTEGER NOT NULL,
+    "destination_account_id" INTEGER,
+    "amount" DECIMAL(15,2) NOT NULL,
+    "captured_amount" DECIMAL(15,2),
+    "status" "holdStatus" NOT NULL DEFAULT 'active',
+    "description" TEXT,
+    "transaction_id" INTEGER,
+    "expires_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "account_holds_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "account_holds_transaction_id_key" ON "account_holds"("transaction_id");
+
+-- CreateIndex
+CREATE INDEX "account_holds_account_id_status_idx" ON "account_holds"("account_id", "status");
+
+-- CreateIndex
+CREATE INDEX "account_holds_status_expires_at_idx" ON "account_holds"("status", "expires_at");
+
+-- AddForeignKey
+ALTER TABLE "account_holds" ADD CONSTRAINT "account_holds_account_id_fkey" FOREIGN KEY ("account_id") REFERENCES "bank_accounts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "account_holds" ADD CONSTRAINT "account_holds_destination_account_id_fkey" FOREIGN KEY ("destination_account_id") REFERENCES "bank_accounts"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "account_holds" ADD CONSTRAINT "account_holds_transaction_id_fkey" FOREIGN KEY ("transaction_id") REFERENCES "transactions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Transfers waiting for approval now keep their funds on hold through a hold of their own
+INSERT INTO "account_holds" ("account_id", "destination_account_id", "amount", "description", "transaction_id", "created_at", "updated_at")
+SELECT t."source_account_id", t."destination_account_id", t."amount" + t."fee", 'Transfer ' || t."id" || ' waiting for approval', t."id", a."created_at", CURRENT_TIMESTAMP
+FROM "transfer_approvals" a
+JOIN "transactions" t ON t."id" = a."transaction_id"
+WHERE a."status" = 'pending' AND t."source_account_id" IS NOT NULL;
@@ -0,0 +1,7 @@
+-- AlterEnum
+ALTER TYPE "transactionType" ADD VALUE 'interest';
+
+-- AlterTable
+ALTER TABLE "bank_accounts" ADD COLUMN     "overdraft_interest_charged_at" TIMESTAMP(3),
+ADD COLUMN     "overdraft_interest_rate" DECIMAL(5,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "overdraft_limit" DECIMAL(15,2) NOT NULL DEFAULT 0;
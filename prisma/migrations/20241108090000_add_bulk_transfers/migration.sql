@@ -0,0 +1,61 @@
+-- CreateEnum
+CREATE TYPE "bulkBatchStatus" AS ENUM ('pending_confirmation', 'invalid', 'processing', 'completed', 'cancelled');
+
+-- CreateEnum
+CREATE TYPE "bulkRowStatus" AS ENUM ('valid', 'invalid', 'succeeded', 'pending_approval', 'failed');
+
+-- CreateTable
+CREATE TABLE "bulk_transfer_batches" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "source_account_id" INTEGER NOT NULL,
+    "status" "bulkBatchStatus" NOT NULL DEFAULT 'pending_confirmation',
+    "row_count" INTEGER NOT NULL,
+    "total_amount" DECIMAL(15,2) NOT NULL,
+    "succeeded_count" INTEGER NOT NULL DEFAULT 0,
+    "failed_count" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "confirmed_at" TIMESTAMP(3),
+    "completed_at" TIMESTAMP(3),
+
+    CONSTRAINT "bulk_transfer_batches_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "bulk_transfer_rows" (
+    "id" SERIAL NOT NULL,
+    "batch_id" INTEGER NOT NULL,
+    "row_number" INTEGER NOT NULL,
+    "destination_account_number" TEXT NOT NULL,
+    "destination_account_id" INTEGER,
+    "amount" DECIMAL(15,2),
+    "status" "bulkRowStatus" NOT NULL,
+    "message" TEXT,
+    "transaction_id" INTEGER,
+
+    CONSTRAINT "bulk_transfer_rows_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "bulk_transfer_batches_user_id_idx" ON "bulk_transfer_batches"("user_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "bulk_transfer_rows_transaction_id_key" ON "bulk_transfer_rows"("transaction_id");
+
+-- CreateIndex
+CREATE INDEX "bulk_transfer_rows_batch_id_idx" ON "bulk_transfer_rows"("batch_id");
+
+-- AddForeignKey
+ALTER TABLE "bulk_transfer_batches" ADD CONSTRAINT "bulk_transfer_batches_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bulk_transfer_batches" ADD CONSTRAINT "bulk_transfer_batches_source_account_id_fkey" FOREIGN KEY ("source_account_id") REFERENCES "bank_accounts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bulk_transfer_rows" ADD CONSTRAINT "bulk_transfer_rows_batch_id_fkey" FOREIGN KEY ("batch_id") REFERENCES "bulk_transfer_batches"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bulk_transfer_rows" ADD CONSTRAINT "bulk_transfer_rows_destination_account_id_fkey" FOREIGN KEY ("destination_account_id") REFERENCES "bank_accounts"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bulk_transfer_rows" ADD CONSTRAINT "bulk_transfer_rows_transaction_id_fkey" FOREIGN KEY ("transaction_id") REFERENCES "transactions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
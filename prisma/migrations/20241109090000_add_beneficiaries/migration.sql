@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "beneficiaries" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "account_id" INTEGER NOT NULL,
+    "bank_account_number" TEXT NOT NULL,
+    "bank_name" TEXT NOT NULL,
+    "holder_name" TEXT NOT NULL,
+    "nickname" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "beneficiaries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "beneficiaries_user_id_account_id_key" ON "beneficiaries"("user_id", "account_id");
+
+-- AddForeignKey
+ALTER TABLE "beneficiaries" ADD CONSTRAINT "beneficiaries_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "beneficiaries" ADD CONSTRAINT "beneficiaries_account_id_fkey" FOREIGN KEY ("account_id") REFERENCES "bank_accounts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
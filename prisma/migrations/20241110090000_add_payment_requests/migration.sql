@@ -0,0 +1,50 @@
+-- CreateEnum
+CREATE TYPE "paymentRequestStatus" AS ENUM ('pending', 'accepted', 'declined', 'cancelled', 'expired');
+
+-- CreateTable
+CREATE TABLE "payment_requests" (
+    "id" SERIAL NOT NULL,
+    "requester_id" INTEGER NOT NULL,
+    "requester_account_id" INTEGER NOT NULL,
+    "payer_id" INTEGER NOT NULL,
+    "payer_account_id" INTEGER NOT NULL,
+    "amount" DECIMAL(15,2) NOT NULL,
+    "currency" CHAR(3) NOT NULL,
+    "note" TEXT,
+    "split_id" UUID,
+    "status" "paymentRequestStatus" NOT NULL DEFAULT 'pending',
+    "transaction_id" INTEGER,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "decided_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "payment_requests_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "payment_requests_transaction_id_key" ON "payment_requests"("transaction_id");
+
+-- CreateIndex
+CREATE INDEX "payment_requests_payer_id_status_idx" ON "payment_requests"("payer_id", "status");
+
+-- CreateIndex
+CREATE INDEX "payment_requests_requester_id_status_idx" ON "payment_requests"("requester_id", "status");
+
+-- CreateIndex
+CREATE INDEX "payment_requests_split_id_idx" ON "payment_requests"("split_id");
+
+-- AddForeignKey
+ALTER TABLE "payment_requests" ADD CONSTRAINT "payment_requests_requester_id_fkey" FOREIGN KEY ("requester_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payment_requests" ADD CONSTRAINT "payment_requests_requester_account_id_fkey" FOREIGN KEY ("requester_account_id") REFERENCES "bank_accounts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payment_requests" ADD CONSTRAINT "payment_requests_payer_id_fkey" FOREIGN KEY ("payer_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payment_requests" ADD CONSTRAINT "payment_requests_payer_account_id_fkey" FOREIGN KEY ("payer_account_id") REFERENCES "bank_accounts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payment_requests" ADD CONSTRAINT "payment_requests_transaction_id_fkey" FOREIGN KEY ("transaction_id") REFERENCES "transactions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
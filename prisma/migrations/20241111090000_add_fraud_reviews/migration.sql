@@ -0,0 +1,49 @@
+-- CreateEnum
+CREATE TYPE "fraudReviewStatus" AS ENUM ('pending', 'cleared', 'confirmed');
+
+-- AlterTable
+ALTER TABLE "bank_accounts" ADD COLUMN "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Existing accounts are dated by their first transaction, so they don't all look newly opened
+UPDATE "bank_accounts" a
+SET "created_at" = t."first_at"
+FROM (
+    SELECT "account_id", MIN("created_at") AS "first_at"
+    FROM (
+        SELECT "source_account_id" AS "account_id", "created_at" FROM "transactions" WHERE "source_account_id" IS NOT NULL
+        UNION ALL
+        SELECT "destination_account_id", "created_at" FROM "transactions" WHERE "destination_account_id" IS NOT NULL
+    ) account_transactions
+    GROUP BY "account_id"
+) t
+WHERE a."id" = t."account_id";
+
+-- CreateTable
+CREATE TABLE "fraud_reviews" (
+    "id" SERIAL NOT NULL,
+    "transaction_id" INTEGER NOT NULL,
+    "user_id" INTEGER,
+    "rules" JSONB NOT NULL,
+    "status" "fraudReviewStatus" NOT NULL DEFAULT 'pending',
+    "reviewer_id" INTEGER,
+    "decision_note" TEXT,
+    "decided_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "fraud_reviews_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "fraud_reviews_transaction_id_key" ON "fraud_reviews"("transaction_id");
+
+-- CreateIndex
+CREATE INDEX "fraud_reviews_status_idx" ON "fraud_reviews"("status");
+
+-- AddForeignKey
+ALTER TABLE "fraud_reviews" ADD CONSTRAINT "fraud_reviews_transaction_id_fkey" FOREIGN KEY ("transaction_id") REFERENCES "transactions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "fraud_reviews" ADD CONSTRAINT "fraud_reviews_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "fraud_reviews" ADD CONSTRAINT "fraud_reviews_reviewer_id_fkey" FOREIGN KEY ("reviewer_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,24 @@
+-- CreateEnum
+CREATE TYPE "reconciliationTrigger" AS ENUM ('admin', 'cli');
+
+-- CreateEnum
+CREATE TYPE "reconciliationStatus" AS ENUM ('running', 'balanced', 'mismatched', 'failed');
+
+-- CreateTable
+CREATE TABLE "reconciliation_runs" (
+    "id" SERIAL NOT NULL,
+    "trigger" "reconciliationTrigger" NOT NULL,
+    "triggered_by_id" INTEGER,
+    "status" "reconciliationStatus" NOT NULL DEFAULT 'running',
+    "account_count" INTEGER NOT NULL DEFAULT 0,
+    "mismatch_count" INTEGER NOT NULL DEFAULT 0,
+    "mismatches" JSONB,
+    "error" TEXT,
+    "started_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completed_at" TIMESTAMP(3),
+
+    CONSTRAINT "reconciliation_runs_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "reconciliation_runs" ADD CONSTRAINT "reconciliation_runs_triggered_by_id_fkey" FOREIGN KEY ("triggered_by_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,49 @@
+-- CreateEnum
+CREATE TYPE "emailStatus" AS ENUM ('pending', 'sent', 'failed');
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "locale" VARCHAR(2) NOT NULL DEFAULT 'en';
+
+-- CreateTable
+CREATE TABLE "user_devices" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "fingerprint" TEXT NOT NULL,
+    "user_agent" TEXT,
+    "ip_address" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "last_seen_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "user_devices_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "email_messages" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER,
+    "to" TEXT NOT NULL,
+    "template" TEXT NOT NULL,
+    "locale" VARCHAR(2) NOT NULL,
+    "subject" TEXT NOT NULL,
+    "text" TEXT NOT NULL,
+    "status" "emailStatus" NOT NULL DEFAULT 'pending',
+    "attempt_count" INTEGER NOT NULL DEFAULT 0,
+    "next_attempt_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "last_error" TEXT,
+    "sent_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "email_messages_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "user_devices_user_id_fingerprint_key" ON "user_devices"("user_id", "fingerprint");
+
+-- CreateIndex
+CREATE INDEX "email_messages_status_next_attempt_at_idx" ON "email_messages"("status", "next_attempt_at");
+
+-- AddForeignKey
+ALTER TABLE "user_devices" ADD CONSTRAINT "user_devices_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "email_messages" ADD CONSTRAINT "email_messages_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,38 @@
+-- CreateEnum
+CREATE TYPE "accountHolderRole" AS ENUM ('owner', 'co_owner', 'viewer');
+
+-- CreateEnum
+CREATE TYPE "accountHolderStatus" AS ENUM ('invited', 'active');
+
+-- CreateTable
+CREATE TABLE "account_holders" (
+    "id" SERIAL NOT NULL,
+    "account_id" INTEGER NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "role" "accountHolderRole" NOT NULL,
+    "status" "accountHolderStatus" NOT NULL DEFAULT 'invited',
+    "invited_by_id" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "joined_at" TIMESTAMP(3),
+
+    CONSTRAINT "account_holders_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "account_holders_account_id_user_id_key" ON "account_holders"("account_id", "user_id");
+
+-- CreateIndex
+CREATE INDEX "account_holders_user_id_status_idx" ON "account_holders"("user_id", "status");
+
+-- AddForeignKey
+ALTER TABLE "account_holders" ADD CONSTRAINT "account_holders_account_id_fkey" FOREIGN KEY ("account_id") REFERENCES "bank_accounts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "account_holders" ADD CONSTRAINT "account_holders_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "account_holders" ADD CONSTRAINT "account_holders_invited_by_id_fkey" FOREIGN KEY ("invited_by_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Every existing account's user becomes its owner
+INSERT INTO "account_holders" ("account_id", "user_id", "role", "status", "created_at", "joined_at")
+SELECT "id", "user_id", 'owner', 'active', "created_at", "created_at" FROM "bank_accounts";
@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN "initiated_by_user_id" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "transactions_initiated_by_user_id_created_at_idx" ON "transactions"("initiated_by_user_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "transactions" ADD CONSTRAINT "transactions_initiated_by_user_id_fkey" FOREIGN KEY ("initiated_by_user_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Until now only an account's own user could transfer from it, so they made every existing transfer
+UPDATE "transactions" t SET "initiated_by_user_id" = a."user_id"
+FROM "bank_accounts" a
+WHERE a."id" = t."source_account_id" AND t."type" = 'transfer';
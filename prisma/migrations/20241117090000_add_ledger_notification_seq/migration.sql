@@ -0,0 +1,22 @@
+-- CreateSequence
+CREATE SEQUENCE "ledger_notification_seq";
+
+-- AlterTable
+ALTER TABLE "ledger_entries" ADD COLUMN "notification_seq" INTEGER;
+
+-- Streams used the entry's id as the event id until now, keeping it for the existing entries lets clients
+-- resume from the last event they received. Ledger entries are append-only, the trigger is only lifted for
+-- this backfill.
+ALTER TABLE "ledger_entries" DISABLE TRIGGER "ledger_entries_append_only";
+UPDATE "ledger_entries" SET "notification_seq" = "id";
+ALTER TABLE "ledger_entries" ENABLE TRIGGER "ledger_entries_append_only";
+
+SELECT setval('ledger_notification_seq', COALESCE(MAX("id"), 0) + 1, false) FROM "ledger_entries";
+
+-- New entries are numbered when they are inserted
+ALTER TABLE "ledger_entries" ALTER COLUMN "notification_seq" SET DEFAULT nextval('ledger_notification_seq'),
+ALTER COLUMN "notification_seq" SET NOT NULL;
+ALTER SEQUENCE "ledger_notification_seq" OWNED BY "ledger_entries"."notification_seq";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ledger_entries_notification_seq_key" ON "ledger_entries"("notification_seq");
@@ -0,0 +1,5 @@
+-- AlterEnum
+ALTER TYPE "bulkBatchStatus" ADD VALUE 'failed';
+
+-- AlterEnum
+ALTER TYPE "bulkRowStatus" ADD VALUE 'pending_review';
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "idempotency_keys" ADD COLUMN "reserved_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Keys still waiting for a response were reserved when they were created
+UPDATE "idempotency_keys" SET "reserved_at" = "created_at";
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "transfer_limits" ADD COLUMN "currency" CHAR(3) NOT NULL DEFAULT 'IDR';
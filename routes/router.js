@@ -1,14 +1,40 @@
 import authController from '../controllers/auth.js'
 import userController from '../controllers/user.js';
 import accountController from '../controllers/account.js';
+import accountHolderController from '../controllers/accountHolder.js';
 import transactionController from '../controllers/transaction.js';
+import scheduledTransferController from '../controllers/scheduledTransfer.js';
+import bulkTransferController from '../controllers/bulkTransfer.js';
+import exchangeRateController from '../controllers/exchangeRate.js';
+import transferLimitController from '../controllers/transferLimit.js';
+import feeRuleController from '../controllers/feeRule.js';
+import holdController from '../controllers/hold.js';
+import beneficiaryController from '../controllers/beneficiary.js';
+import paymentRequestController from '../controllers/paymentRequest.js';
+import fraudReviewController from '../controllers/fraudReview.js';
+import reconciliationController from '../controllers/reconciliation.js';
+import webhookController from '../controllers/webhook.js';
+import notificationController from '../controllers/notification.js';
 
 import express from 'express';
 const app = express();
 
 app.use('/api/v1/auth', authController);
 app.use('/api/v1/users', userController);
+app.use('/api/v1/accounts/:accountId/holders', accountHolderController); // must come before /api/v1/accounts/:accountId
 app.use('/api/v1/accounts', accountController);
+app.use('/api/v1/transactions/scheduled', scheduledTransferController); // must come before /api/v1/transactions/:transaction
+app.use('/api/v1/transactions/bulk', bulkTransferController); // must come before /api/v1/transactions/:transaction
 app.use('/api/v1/transactions', transactionController);
+app.use('/api/v1/exchange-rates', exchangeRateController);
+app.use('/api/v1/transfer-limits', transferLimitController);
+app.use('/api/v1/fee-rules', feeRuleController);
+app.use('/api/v1/holds', holdController);
+app.use('/api/v1/beneficiaries', beneficiaryController);
+app.use('/api/v1/payment-requests', paymentRequestController);
+app.use('/api/v1/fraud-reviews', fraudReviewController);
+app.use('/api/v1/reconciliations', reconciliationController);
+app.use('/api/v1/webhooks', webhookController);
+app.use('/api/v1/notifications', notificationController);
 
 export default app;
\ No newline at end of file
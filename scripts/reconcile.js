@@ -0,0 +1,30 @@
+import { runReconciliation } from '../services/reconciliationRunner.js';
+
+// Reconciles every account's balance against its transactions and ledger, and keeps the run in the history.
+// Usage: npm run reconcile. Exits with 1 when a mismatch was found or the run failed, so it can be scheduled
+// and alerted on.
+async function main() {
+  const run = await runReconciliation({ trigger: 'cli' });
+
+  if(run.status === 'failed'){
+    console.error(`Reconciliation run ${run.id} failed: ${run.error}`);
+    return 1;
+  }
+
+  console.log(`Reconciliation run ${run.id}: ${run.account_count} accounts checked, ${run.mismatch_count} mismatched`);
+
+  for(const mismatch of run.mismatches){
+    console.log(`  account ${mismatch.account_id} (${mismatch.bank_account_number}): balance ${mismatch.balance} ${mismatch.currency}, expected ${mismatch.expected_balance}, ledger ${mismatch.ledger_balance}, difference ${mismatch.difference}`);
+  }
+
+  return run.status === 'balanced' ? 0 : 1;
+}
+
+main()
+  .then((exitCode) => {
+    process.exit(exitCode);
+  })
+  .catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
@@ -0,0 +1,79 @@
+// An account can have several holders. Its owner (the account's user_id) and co-owners can move money out of
+// it, viewers can only see it, and only the owner invites and removes holders. An invited user is not a
+// holder until they accept, so everything here only looks at active holders.
+
+const holderRoles = ['owner', 'co_owner', 'viewer'];
+
+function canViewAccount(role){
+    return holderRoles.includes(role);
+}
+
+function canTransactFromAccount(role){
+    return role === 'owner' || role === 'co_owner';
+}
+
+function canManageHolders(role){
+    return role === 'owner';
+}
+
+// the user's role on the account, or null when they aren't an active holder
+async function getAccountRole(client, accountId, userId){
+    let holder = await client.account_Holder.findUnique({
+        where: {
+            account_id_user_id: {
+                account_id: accountId,
+                user_id: userId
+            }
+        },
+        select: {
+            role: true,
+            status: true
+        }
+    })
+
+    return holder?.status === 'active' ? holder.role : null;
+}
+
+// the error to reject a transfer out of the account with, or null when the user can move money out of it
+async function checkSourceAccountAccess(client, accountId, userId){
+    let role = await getAccountRole(client, accountId, userId);
+
+    if(!role){
+        return { code: 403, message: `The source account doesn't belong to this user` };
+    } else if(!canTransactFromAccount(role)){
+        return { code: 403, message: `Viewers of this account can't transfer from it` };
+    }
+
+    return null;
+}
+
+// a bank_Account filter for the accounts the user holds
+function heldAccountsFilter(userId){
+    return {
+        holders: {
+            some: {
+                user_id: userId,
+                status: 'active'
+            }
+        }
+    };
+}
+
+// the ids of every active holder of the accounts, in no particular order
+async function findAccountHolderIds(client, accountIds){
+    let holders = await client.account_Holder.findMany({
+        where: {
+            account_id: {
+                in: accountIds
+            },
+            status: 'active'
+        },
+        select: {
+            user_id: true
+        }
+    })
+
+    return [...new Set(holders.map((holder) => holder.user_id))];
+}
+
+export { holderRoles, canViewAccount, canTransactFromAccount, canManageHolders, getAccountRole, checkSourceAccountAccess, heldAccountsFilter, findAccountHolderIds };
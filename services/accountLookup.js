@@ -0,0 +1,38 @@
+// Customers address other people's accounts by bank_account_number. Before sending money they can look the
+// number up and confirm who it belongs to, without the full name of the holder being given away.
+
+// keeps the first letter of every word, e.g. "John Doe" becomes "J*** D**"
+function maskHolderName(name){
+    return name
+        .trim()
+        .split(/\s+/)
+        .map((word) => word.charAt(0) + '*'.repeat(Math.max(word.length - 1, 0)))
+        .join(' ');
+}
+
+function findAccountByNumber(client, accountNumber){
+    return client.bank_Account.findUnique({
+        where: {
+            bank_account_number: accountNumber
+        },
+        include: {
+            user: {
+                select: {
+                    name: true
+                }
+            }
+        }
+    })
+}
+
+// what anyone may see about an account they want to pay
+function toAccountInquiry(account){
+    return {
+        bank_account_number: account.bank_account_number,
+        bank_name: account.bank_name,
+        currency: account.currency,
+        holder_name: maskHolderName(account.user.name)
+    };
+}
+
+export { maskHolderName, findAccountByNumber, toAccountInquiry };
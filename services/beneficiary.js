@@ -0,0 +1,63 @@
+import { Prisma } from '@prisma/client'
+
+// Saved beneficiaries keep the masked holder name the customer confirmed when adding them. An optional
+// cooling-off period (BENEFICIARY_COOLING_OFF_HOURS, off by default) stops a newly added beneficiary from
+// receiving more than BENEFICIARY_COOLING_OFF_AMOUNT per transfer, in the source account's currency, until it
+// has been saved for that long. This slows down fraud where a customer is talked into adding a new payee.
+
+const defaultCoolingOffAmount = 10000000;
+
+function getCoolingOffHours(){
+    const hours = Number(process.env.BENEFICIARY_COOLING_OFF_HOURS);
+
+    return Number.isFinite(hours) && hours > 0 ? hours : 0;
+}
+
+function getCoolingOffAmount(){
+    const amount = Number(process.env.BENEFICIARY_COOLING_OFF_AMOUNT);
+
+    return Number.isFinite(amount) && amount > 0 ? new Prisma.Decimal(amount) : new Prisma.Decimal(defaultCoolingOffAmount);
+}
+
+// when large transfers to the beneficiary are allowed, null when there is no cooling-off period
+function getCoolingOffEnd(beneficiary){
+    const hours = getCoolingOffHours();
+
+    return hours > 0 ? new Date(new Date(beneficiary.created_at).getTime() + hours * 60 * 60 * 1000) : null;
+}
+
+function checkBeneficiaryCoolingOff(beneficiary, amount, now = new Date()){
+    const coolingOffEnd = getCoolingOffEnd(beneficiary);
+    const maxAmount = getCoolingOffAmount();
+
+    if(coolingOffEnd && now < coolingOffEnd && new Prisma.Decimal(amount).greaterThan(maxAmount)){
+        return {
+            code: 409,
+            message: `This beneficiary was added recently, transfers above ${maxAmount} are allowed from ${coolingOffEnd.toISOString()}`,
+            cooling_off_until: coolingOffEnd
+        };
+    }
+
+    return null;
+}
+
+// the destination may have been entered by id or account number rather than as the beneficiary, a payee the
+// user saved recently is still cooling off either way
+async function findCoolingOffError(client, userId, destinationAccountId, amount, now = new Date()){
+    if(getCoolingOffHours() === 0){
+        return null;
+    }
+
+    let beneficiary = await client.beneficiary.findUnique({
+        where: {
+            user_id_account_id: {
+                user_id: userId,
+                account_id: destinationAccountId
+            }
+        }
+    })
+
+    return beneficiary ? checkBeneficiaryCoolingOff(beneficiary, amount, now) : null;
+}
+
+export { getCoolingOffHours, getCoolingOffAmount, getCoolingOffEnd, checkBeneficiaryCoolingOff, findCoolingOffError };
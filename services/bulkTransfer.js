@@ -0,0 +1,103 @@
+import { PrismaClient } from '@prisma/client'
+const prisma = new PrismaClient();
+
+import { executeTransfer } from './transfer.js';
+
+// Runs every valid row of a confirmed bulk transfer batch, one at a time and in file order, through the same
+// transfer logic as POST /api/v1/transactions, and records each row's outcome. A failed row doesn't stop the
+// batch. The caller must have moved the batch to processing, so it only runs once. When an outcome can't be
+// recorded the batch is marked failed instead of being left processing, and the rows still valid weren't run.
+async function runBulkTransferBatch(batch){
+    let succeededCount = 0;
+    let failedCount = 0;
+
+    try {
+        let rows = await prisma.bulk_Transfer_Row.findMany({
+            where: {
+                batch_id: batch.id,
+                status: 'valid'
+            },
+            orderBy: {
+                row_number: 'asc'
+            }
+        })
+
+        for(const row of rows){
+            let result;
+
+            if(row.destination_account_id === null){ // the account was deleted after the preview
+                result = { error: { message: 'Destination account no longer exists' } };
+            } else {
+                try {
+                    result = await executeTransfer(batch.user_id, {
+                        source_account_id: batch.source_account_id,
+                        destination_account_id: row.destination_account_id,
+                        amount: row.amount
+                    }, { channel: 'bulk' })
+                } catch(err) {
+                    console.error(err.stack)
+                    result = { error: { message: 'Internal server error' } }
+                }
+            }
+
+            // high-value and flagged rows wait for an admin like any other transfer
+            let status = 'succeeded';
+            let message = null;
+            if(result.error){
+                status = 'failed';
+                message = result.error.message;
+            } else if(result.approval){
+                status = 'pending_approval';
+                message = 'Transfer is waiting for approval';
+            } else if(result.review){
+                status = 'pending_review';
+                message = 'Transfer is waiting for a fraud review';
+            }
+
+            await prisma.bulk_Transfer_Row.update({
+                where: {
+                    id: row.id
+                },
+                data: {
+                    status: status,
+                    message: message,
+                    transaction_id: result.transaction?.id ?? null
+                }
+            })
+
+            if(status === 'succeeded'){
+                succeededCount++;
+            } else if(status === 'failed'){
+                failedCount++;
+            }
+        }
+
+        return await finishBatch(batch.id, 'completed', succeededCount, failedCount);
+    } catch(err) {
+        await finishBatch(batch.id, 'failed', succeededCount, failedCount);
+        throw err;
+    }
+}
+
+async function finishBatch(batchId, status, succeededCount, failedCount){
+    return prisma.bulk_Transfer_Batch.update({
+        where: {
+            id: batchId
+        },
+        data: {
+            status: status,
+            succeeded_count: succeededCount,
+            failed_count: failedCount,
+            completed_at: new Date()
+        },
+        include: {
+            rows: {
+                orderBy: {
+                    row_number: 'asc'
+                }
+            }
+        }
+    })
+}
+
+export { runBulkTransferBatch };
@@ -0,0 +1,111 @@
+import { csvField } from './statement.js';
+
+// A bulk transfer file is a CSV with one transfer per line: the destination account number and the amount, in
+// the source account's currency. A header line is optional, and rows are numbered from 1 without it.
+
+const maxBulkTransferRows = 1000;
+
+// splits CSV text into lines of fields, following RFC 4180 quoting
+function parseCsv(text){
+    const lines = [];
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+
+    for(let i = 0; i < text.length; i++){
+        const char = text[i];
+
+        if(inQuotes){
+            if(char === '"' && text[i + 1] === '"'){ // an escaped quote
+                field += '"';
+                i++;
+            } else if(char === '"'){
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if(char === '"'){
+            inQuotes = true;
+        } else if(char === ','){
+            fields.push(field);
+            field = '';
+        } else if(char === '\n' || char === '\r'){
+            if(char === '\r' && text[i + 1] === '\n'){
+                i++;
+            }
+            fields.push(field);
+            lines.push(fields);
+            fields = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if(field !== '' || fields.length > 0){ // the last line has no line break
+        fields.push(field);
+        lines.push(fields);
+    }
+
+    // blank lines are skipped
+    return lines.filter((line) => line.some((value) => value.trim() !== ''));
+}
+
+// Checks the format of every row, the accounts are checked against the database by the caller. Resolves to
+// { rows } where each row has row_number, destination_account_number, amount (null when it isn't valid) and
+// an error message when something is wrong with it, or to { error } when the file itself can't be used.
+function parseBulkTransferCsv(text){
+    let lines = parseCsv(text ?? '');
+
+    if(lines.length > 0 && !/\d/.test(lines[0][1] ?? '')){ // the first line is a header when it has no amount
+        lines = lines.slice(1);
+    }
+
+    if(lines.length === 0){
+        return { error: 'The file has no transfers' };
+    } else if(lines.length > maxBulkTransferRows){
+        return { error: `A batch can have at most ${maxBulkTransferRows} transfers` };
+    }
+
+    const rows = lines.map((line, index) => {
+        const destinationAccountNumber = (line[0] ?? '').trim();
+        const amount = (line[1] ?? '').trim();
+        const row = { row_number: index + 1, destination_account_number: destinationAccountNumber, amount: null, error: null };
+
+        if(line.length !== 2){
+            row.error = 'Expected 2 columns: destination account number and amount';
+        } else if(destinationAccountNumber.length < 10){ // same rule as bank_account_number when an account is created
+            row.error = 'Destination account number must be at least 10 characters long';
+        } else if(!/^\d+(\.\d{1,2})?$/.test(amount) || Number(amount) <= 0){
+            row.error = 'Amount must be a positive number with at most 2 decimals';
+        } else {
+            row.amount = amount;
+        }
+
+        return row;
+    });
+
+    return { rows };
+}
+
+// the batch and the outcome of every row, for downloading
+function renderBulkTransferCsv(batch){
+    const lines = [
+        ['Row', 'Destination Account Number', 'Amount', 'Status', 'Message', 'Transaction ID'].join(',')
+    ];
+
+    for(const row of batch.rows){
+        lines.push([
+            row.row_number,
+            csvField(row.destination_account_number, true),
+            row.amount === null ? '' : row.amount.toFixed(2),
+            row.status,
+            csvField(row.message, true),
+            csvField(row.transaction_id)
+        ].join(','))
+    }
+
+    return lines.join('\r\n') + '\r\n';
+}
+
+export { maxBulkTransferRows, parseCsv, parseBulkTransferCsv, renderBulkTransferCsv };
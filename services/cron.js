@@ -0,0 +1,120 @@
+// A small parser for standard 5-field cron expressions ("minute hour day-of-month month day-of-week"), used by
+// scheduled transfers. Each field accepts *, a number, a range (1-5), a step (*/15 or 1-10/2) or a comma
+// separated list of those. Like cron, when both day-of-month and day-of-week are restricted a day matches if
+// either of them matches. Times are evaluated in the server's local time zone.
+
+const fieldRanges = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 } // both 0 and 7 mean Sunday
+];
+
+function parseField(field, { name, min, max }){
+    const values = new Set();
+
+    for(const part of field.split(',')){
+        const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+        if(!match){
+            throw new Error(`Invalid ${name} field "${field}"`);
+        }
+
+        let [start, end] = match[1] === '*' ? [min, max] : match[1].split('-').map(Number);
+        if(end === undefined){
+            // a single value with a step ("5/15") runs from that value to the end of the range
+            end = match[2] ? max : start;
+        }
+        const step = match[2] ? Number(match[2]) : 1;
+
+        if(start < min || end > max || start > end || step < 1){
+            throw new Error(`Invalid ${name} field "${field}"`);
+        }
+
+        for(let value = start; value <= end; value += step){
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+function parseCronExpression(expression){
+    const fields = String(expression).trim().split(/\s+/);
+
+    if(fields.length !== 5){
+        throw new Error('A cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, i) => parseField(field, fieldRanges[i]));
+
+    if(daysOfWeek.has(7)){
+        daysOfWeek.add(0);
+    }
+
+    return {
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        isDayOfMonthRestricted: fields[2] !== '*',
+        isDayOfWeekRestricted: fields[4] !== '*'
+    };
+}
+
+function isValidCronExpression(expression){
+    try {
+        parseCronExpression(expression);
+        return true;
+    } catch(err) {
+        return false;
+    }
+}
+
+function isDayMatching(schedule, date){
+    const dayOfMonthMatches = schedule.daysOfMonth.has(date.getDate());
+    const dayOfWeekMatches = schedule.daysOfWeek.has(date.getDay());
+
+    if(schedule.isDayOfMonthRestricted && schedule.isDayOfWeekRestricted){
+        return dayOfMonthMatches || dayOfWeekMatches;
+    } else if(schedule.isDayOfMonthRestricted){
+        return dayOfMonthMatches;
+    } else if(schedule.isDayOfWeekRestricted){
+        return dayOfWeekMatches;
+    }
+    return true;
+}
+
+// returns the first minute strictly after `after` that matches the expression, or null if there is none
+// within the next five years (e.g. "0 0 31 2 *")
+function getNextRun(expression, after = new Date()){
+    const schedule = parseCronExpression(expression);
+
+    const date = new Date(after);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = new Date(after);
+    limit.setFullYear(limit.getFullYear() + 5);
+
+    while(date <= limit){
+        if(!schedule.months.has(date.getMonth() + 1)){ // jump to the first minute of the next month
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+        } else if(!isDayMatching(schedule, date)){ // jump to the first minute of the next day
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+        } else if(!schedule.hours.has(date.getHours())){ // jump to the first minute of the next hour
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+        } else if(!schedule.minutes.has(date.getMinutes())){
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+        } else {
+            return date;
+        }
+    }
+
+    return null;
+}
+
+export { parseCronExpression, isValidCronExpression, getNextRun };
@@ -0,0 +1,151 @@
+import { renderEmailTemplate } from './emailTemplates.js';
+
+// Emails are sent straight away through the configured transport. A message the transport refuses is stored
+// in email_messages and retried with exponential backoff, one minute after the failure and doubling, until
+// EMAIL_MAX_ATTEMPTS attempts have failed. Sending never throws, an email must not fail the request behind it.
+// Emails about a change made in a database transaction are queued in it instead, so they are only sent once
+// the change is committed, by the same runner as the retries.
+
+const defaultMaxAttempts = 5;
+const retryBaseDelay = 60 * 1000;
+const claimTimeout = 5 * 60 * 1000;
+
+function getEmailMaxAttempts(){
+    const attempts = Number(process.env.EMAIL_MAX_ATTEMPTS);
+
+    return Number.isInteger(attempts) && attempts > 0 ? attempts : defaultMaxAttempts;
+}
+
+function getEmailRetryDelay(attemptCount){
+    return retryBaseDelay * 2 ** Math.max(attemptCount - 1, 0);
+}
+
+// renders `template` for `user` and stores it as a message due now, `client` can be a transaction. A template
+// that can't be rendered is logged and skipped rather than failing the transaction
+async function queueTemplateEmail(client, user, template, data, now = new Date()){
+    let email;
+    try {
+        email = renderEmailTemplate(template, user.locale, { name: user.name, ...data });
+    } catch(err) {
+        console.error(err.stack)
+        return null;
+    }
+
+    return client.email_Message.create({
+        data: {
+            user_id: user.id,
+            to: user.email,
+            template: template,
+            locale: email.locale,
+            subject: email.subject,
+            text: email.text,
+            attempt_count: 0,
+            next_attempt_at: now
+        }
+    })
+}
+
+function createEmailService({ client, transport, from }){
+    // renders `template` in `user.locale` and sends it to `user.email`, resolves to the queued message when
+    // the transport failed, or to null
+    async function sendTemplateEmail(user, template, data, now = new Date()){
+        try {
+            const { locale, subject, text } = renderEmailTemplate(template, user.locale, { name: user.name, ...data });
+
+            try {
+                await transport.send({ from, to: user.email, subject, text });
+                return null;
+            } catch(err) { // the transport is down or refused the message, try again later
+                return await client.email_Message.create({
+                    data: {
+                        user_id: user.id,
+                        to: user.email,
+                        template: template,
+                        locale: locale,
+                        subject: subject,
+                        text: text,
+                        attempt_count: 1,
+                        next_attempt_at: new Date(now.getTime() + getEmailRetryDelay(1)),
+                        last_error: err.message
+                    }
+                })
+            }
+        } catch(err) {
+            console.error(err.stack)
+            return null;
+        }
+    }
+
+    // the next attempt is pushed forward before sending, so a second runner skips a message in flight
+    async function retryQueuedEmail(message, now = new Date()){
+        let claimed = await client.email_Message.updateMany({
+            where: {
+                id: message.id,
+                status: 'pending',
+                next_attempt_at: message.next_attempt_at
+            },
+            data: {
+                next_attempt_at: new Date(now.getTime() + claimTimeout)
+            }
+        })
+
+        if(claimed.count === 0){ // already picked by another runner
+            return null;
+        }
+
+        const attemptCount = message.attempt_count + 1;
+
+        try {
+            await transport.send({ from, to: message.to, subject: message.subject, text: message.text });
+        } catch(err) {
+            return client.email_Message.update({
+                where: {
+                    id: message.id
+                },
+                data: {
+                    status: attemptCount >= getEmailMaxAttempts() ? 'failed' : 'pending',
+                    attempt_count: attemptCount,
+                    next_attempt_at: new Date(now.getTime() + getEmailRetryDelay(attemptCount)),
+                    last_error: err.message
+                }
+            })
+        }
+
+        return client.email_Message.update({
+            where: {
+                id: message.id
+            },
+            data: {
+                status: 'sent',
+                attempt_count: attemptCount,
+                sent_at: now
+            }
+        })
+    }
+
+    async function retryQueuedEmails(now = new Date()){
+        let dueMessages = await client.email_Message.findMany({
+            where: {
+                status: 'pending',
+                next_attempt_at: {
+                    lte: now
+                }
+            },
+            orderBy: {
+                id: 'asc'
+            },
+            take: 100
+        })
+
+        let messages = [];
+        for(const message of dueMessages){
+            messages.push(await retryQueuedEmail(message, now));
+        }
+
+        return messages.filter((message) => message !== null);
+    }
+
+    return { sendTemplateEmail, retryQueuedEmails };
+}
+
+export { getEmailMaxAttempts, getEmailRetryDelay, queueTemplateEmail, createEmailService };
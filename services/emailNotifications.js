@@ -0,0 +1,74 @@
+import { PrismaClient } from '@prisma/client'
+const prisma = new PrismaClient();
+
+import { createEmailService } from './email.js';
+import { createMailTransportFromEnv } from './mailTransports.js';
+import { recordUserDevice } from './userDevices.js';
+
+const emailService = createEmailService({
+    client: prisma,
+    transport: createMailTransportFromEnv(),
+    from: process.env.MAIL_FROM ?? 'Banking System <no-reply@banking-system.local>'
+});
+
+// The emails sent on behalf of the auth and transaction flows. None of them throws, callers don't await them
+// so a slow mail server doesn't hold up the response.
+
+async function sendWelcomeEmail(user){
+    return emailService.sendTemplateEmail(user, 'welcome', {});
+}
+
+// records the device of a successful login and warns the user when it is a new one, the first login aside
+async function notifyLoginDevice(user, device, now = new Date()){
+    try {
+        let { isNew, isFirstDevice } = await recordUserDevice(prisma, user.id, device, now);
+
+        if(isNew && !isFirstDevice){
+            return await emailService.sendTemplateEmail(user, 'new_device_login', {
+                user_agent: device.userAgent,
+                ip_address: device.ipAddress,
+                logged_in_at: now
+            }, now);
+        }
+    } catch(err) {
+        console.error(err.stack)
+    }
+
+    return null;
+}
+
+// tells the invitee that `inviter` invited them to hold `account` as `role`
+async function sendAccountInvitationEmail(invitee, inviter, account, role){
+    return emailService.sendTemplateEmail(invitee, 'account_invitation', {
+        inviter_name: inviter.name,
+        account_id: account.id,
+        bank_account_number: account.bank_account_number,
+        role: role
+    });
+}
+
+// sends the queued emails and retries the ones the transport refused every `intervalMs` inside the API process
+function startEmailRetryRunner(intervalMs = 60 * 1000){
+    let isRunning = false;
+
+    const timer = setInterval(async () => {
+        if(isRunning){ // the previous check is still going
+            return;
+        }
+
+        isRunning = true;
+        try {
+            await emailService.retryQueuedEmails();
+        } catch(err) {
+            console.error(err.stack)
+        } finally {
+            isRunning = false;
+        }
+    }, intervalMs)
+
+    timer.unref(); // don't keep the process alive just for the runner
+
+    return timer;
+}
+
+export { sendWelcomeEmail, notifyLoginDevice, sendAccountInvitationEmail, startEmailRetryRunner };
@@ -0,0 +1,78 @@
+// Plain-text email templates, one per language. Every template has the same placeholders in every language,
+// and a user whose locale has no template gets the English one.
+
+const supportedLocales = ['en', 'id'];
+const defaultLocale = 'en';
+
+const numberLocales = {
+    en: 'en-US',
+    id: 'id-ID'
+};
+
+function formatAmount(amount, currency, locale){
+    return new Intl.NumberFormat(numberLocales[locale], { style: 'currency', currency: currency ?? 'IDR' }).format(Number(amount));
+}
+
+function formatDate(date, locale){
+    return new Intl.DateTimeFormat(numberLocales[locale], { dateStyle: 'medium', timeStyle: 'short', timeZone: 'Asia/Jakarta' }).format(new Date(date));
+}
+
+const templates = {
+    welcome: {
+        en: ({ name }) => ({
+            subject: 'Welcome to your new bank account',
+            text: `Hi ${name},\n\nYour registration is complete. You can now log in and open your accounts.\n\nIf you didn't register, please contact us straight away.`
+        }),
+        id: ({ name }) => ({
+            subject: 'Selamat datang di akun bank Anda',
+            text: `Halo ${name},\n\nPendaftaran Anda sudah selesai. Sekarang Anda dapat masuk dan membuka rekening.\n\nJika Anda tidak mendaftar, segera hubungi kami.`
+        })
+    },
+    new_device_login: {
+        en: ({ name, user_agent, ip_address, logged_in_at }, locale) => ({
+            subject: 'New login to your account',
+            text: `Hi ${name},\n\nYour account was just logged into from a device we haven't seen before.\n\nDevice: ${user_agent ?? 'unknown'}\nIP address: ${ip_address ?? 'unknown'}\nTime: ${formatDate(logged_in_at, locale)} (WIB)\n\nIf this wasn't you, change your password straight away and contact us.`
+        }),
+        id: ({ name, user_agent, ip_address, logged_in_at }, locale) => ({
+            subject: 'Login baru ke akun Anda',
+            text: `Halo ${name},\n\nAkun Anda baru saja diakses dari perangkat yang belum pernah digunakan sebelumnya.\n\nPerangkat: ${user_agent ?? 'tidak diketahui'}\nAlamat IP: ${ip_address ?? 'tidak diketahui'}\nWaktu: ${formatDate(logged_in_at, locale)} (WIB)\n\nJika ini bukan Anda, segera ganti kata sandi Anda dan hubungi kami.`
+        })
+    },
+    transfer_sent: {
+        en: ({ name, transaction_id, amount, fee, currency, destination_account_number, created_at }, locale) => ({
+            subject: `Transfer of ${formatAmount(amount, currency, locale)} sent`,
+            text: `Hi ${name},\n\nYour transfer has been sent.\n\nTransaction: ${transaction_id}\nTo account: ${destination_account_number}\nAmount: ${formatAmount(amount, currency, locale)}\nFee: ${formatAmount(fee, currency, locale)}\nTime: ${formatDate(created_at, locale)} (WIB)\n\nIf you didn't make this transfer, contact us straight away.`
+        }),
+        id: ({ name, transaction_id, amount, fee, currency, destination_account_number, created_at }, locale) => ({
+            subject: `Transfer sebesar ${formatAmount(amount, currency, locale)} berhasil`,
+            text: `Halo ${name},\n\nTransfer Anda telah berhasil dikirim.\n\nTransaksi: ${transaction_id}\nKe rekening: ${destination_account_number}\nJumlah: ${formatAmount(amount, currency, locale)}\nBiaya: ${formatAmount(fee, currency, locale)}\nWaktu: ${formatDate(created_at, locale)} (WIB)\n\nJika Anda tidak melakukan transfer ini, segera hubungi kami.`
+        })
+    },
+    account_invitation: {
+        en: ({ name, inviter_name, account_id, bank_account_number, role }) => ({
+            subject: `${inviter_name} invited you to a joint account`,
+            text: `Hi ${name},\n\n${inviter_name} invited you to be ${role === 'co_owner' ? 'a co-owner' : 'a viewer'} of account ${bank_account_number}. ${role === 'co_owner' ? 'A co-owner can see the account and transfer from it.' : 'A viewer can see the account but not transfer from it.'}\n\nTo accept, log in and send POST /api/v1/accounts/${account_id}/holders/accept. If you don't know ${inviter_name}, you can ignore this email.`
+        }),
+        id: ({ name, inviter_name, account_id, bank_account_number, role }) => ({
+            subject: `${inviter_name} mengundang Anda ke rekening bersama`,
+            text: `Halo ${name},\n\n${inviter_name} mengundang Anda sebagai ${role === 'co_owner' ? 'pemilik bersama' : 'pemantau'} rekening ${bank_account_number}. ${role === 'co_owner' ? 'Pemilik bersama dapat melihat rekening dan melakukan transfer dari rekening tersebut.' : 'Pemantau dapat melihat rekening tetapi tidak dapat melakukan transfer dari rekening tersebut.'}\n\nUntuk menerima, masuk lalu kirim POST /api/v1/accounts/${account_id}/holders/accept. Jika Anda tidak mengenal ${inviter_name}, abaikan email ini.`
+        })
+    }
+};
+
+function resolveLocale(locale){
+    return supportedLocales.includes(locale) ? locale : defaultLocale;
+}
+
+// resolves to { locale, subject, text }, throws on an unknown template so a typo doesn't send an empty email
+function renderEmailTemplate(template, locale, data){
+    if(!templates[template]){
+        throw new Error(`Unknown email template ${template}`);
+    }
+
+    const resolvedLocale = resolveLocale(locale);
+
+    return { locale: resolvedLocale, ...templates[template][resolvedLocale](data, resolvedLocale) };
+}
+
+export { supportedLocales, resolveLocale, renderEmailTemplate };
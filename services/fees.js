@@ -0,0 +1,101 @@
+import { Prisma } from '@prisma/client'
+
+// Transfer fees come from the active fee rules that match the transfer. A rule can be narrowed down to
+// inter-bank transfers (the two accounts have a different bank_name) or intra-bank ones, to one customer tier
+// and to one currency, a null field matches everything. Every matching rule adds its own fee: a flat amount
+// plus a percentage of the transfer amount, kept between the rule's min_fee and max_fee. The sender pays the
+// fee on top of the amount, and it is posted to the bank's revenue account.
+
+function ruleMatches(rule, { isInterBank, identityType, currency }){
+    if(rule.scope === 'inter_bank' && !isInterBank){
+        return false;
+    } else if(rule.scope === 'intra_bank' && isInterBank){
+        return false;
+    } else if(rule.identity_type !== null && rule.identity_type !== identityType){
+        return false;
+    } else if(rule.currency !== null && rule.currency !== currency){
+        return false;
+    }
+    return true;
+}
+
+function calculateRuleFee(rule, amount){
+    let fee = new Prisma.Decimal(rule.flat_amount).plus(new Prisma.Decimal(amount).times(rule.percent).dividedBy(100));
+
+    if(rule.min_fee !== null && fee.lessThan(rule.min_fee)){
+        fee = new Prisma.Decimal(rule.min_fee);
+    }
+    if(rule.max_fee !== null && fee.greaterThan(rule.max_fee)){
+        fee = new Prisma.Decimal(rule.max_fee);
+    }
+
+    return fee.toDecimalPlaces(2, Prisma.Decimal.ROUND_HALF_UP);
+}
+
+// Resolves to { fee, rules } where rules lists the fee each matching rule added. `client` can be the
+// PrismaClient or a transaction client.
+async function calculateTransferFee(client, { userId, amount, currency, isInterBank }){
+    let profile = await client.profile.findUnique({
+        where: {
+            user_id: userId
+        }
+    })
+
+    let feeRules = await client.fee_Rule.findMany({
+        where: {
+            is_active: true
+        },
+        orderBy: {
+            id: 'asc'
+        }
+    })
+
+    const transfer = { isInterBank, identityType: profile ? profile.identity_type : null, currency };
+    let fee = new Prisma.Decimal(0);
+    let rules = [];
+
+    for(const rule of feeRules){
+        if(!ruleMatches(rule, transfer)){
+            continue;
+        }
+
+        const ruleFee = calculateRuleFee(rule, amount);
+        fee = fee.plus(ruleFee);
+        rules.push({ id: rule.id, name: rule.name, fee: ruleFee });
+    }
+
+    return { fee, rules };
+}
+
+// the id set with FEE_REVENUE_ACCOUNT_ID, or null when it isn't set
+function getConfiguredFeeRevenueAccountId(){
+    const accountId = Number(process.env.FEE_REVENUE_ACCOUNT_ID);
+
+    return Number.isInteger(accountId) && accountId > 0 ? accountId : null;
+}
+
+// the account fees are credited to, set with FEE_REVENUE_ACCOUNT_ID. Without it, or when that account doesn't
+// exist or uses another currency, fees are credited to the bank's own books (a ledger entry without an account)
+async function getFeeRevenueAccountId(tx, currency){
+    const accountId = getConfiguredFeeRevenueAccountId();
+
+    if(accountId === null){
+        return null;
+    }
+
+    let account = await tx.bank_Account.findUnique({
+        where: {
+            id: accountId
+        }
+    })
+
+    return account && account.currency === currency ? account.id : null;
+}
+
+// the description of the pair of ledger entries that charges a transfer's fee, statements use it to tell the
+// fee apart from the transfer it belongs to
+function feeEntryDescription(transactionId){
+    return `Transfer fee for transaction ${transactionId}`;
+}
+
+export { ruleMatches, calculateRuleFee, calculateTransferFee, getConfiguredFeeRevenueAccountId, getFeeRevenueAccountId, feeEntryDescription };
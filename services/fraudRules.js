@@ -0,0 +1,150 @@
+import { Prisma } from '@prisma/client'
+
+// Fraud checks run on every transfer before it is created. A rule is an object with a `name` and an async
+// `check(client, transfer)` that resolves to null (or a verdict of allow) when it has nothing to say, or to
+// { verdict, reason } where verdict is flag or block. The strictest verdict wins. A blocked transfer is recorded
+// as failed, a flagged one is kept pending with its funds on hold until an admin clears or confirms it (see
+// /api/v1/fraud-reviews). To add a rule, write a factory like the ones below and add it to defaultFraudRules.
+//
+// `transfer` has userId, sourceAccount, destinationAccount, amount and totalDebited (amount plus fee, both in
+// the source account's currency), availableBalance, channel (api, scheduled or bulk) and now. Amount thresholds are in the source account's
+// currency, like the other transfer thresholds. A user's history is the transfers they made
+// (Transaction.initiated_by_user_id), whichever of their own or joint accounts they were made from.
+
+const verdictRanks = { allow: 0, flag: 1, block: 2 };
+
+const minutes = 60 * 1000;
+const days = 24 * 60 * minutes;
+
+// too many transfer attempts by the same user in a short time, failed ones included. Bulk transfer batches are
+// confirmed once for many payees, so their rows neither count nor get checked.
+function transferVelocityRule({ maxTransfers = 10, windowMinutes = 10, verdict = 'block' } = {}){
+    return {
+        name: 'transfer_velocity',
+        async check(client, transfer){
+            if(transfer.channel === 'bulk'){
+                return null;
+            }
+
+            const count = await client.transaction.count({
+                where: {
+                    type: 'transfer',
+                    initiated_by_user_id: transfer.userId,
+                    bulkTransferRow: {
+                        is: null
+                    },
+                    created_at: {
+                        gte: new Date(transfer.now.getTime() - windowMinutes * minutes)
+                    }
+                }
+            })
+
+            return count >= maxTransfers ? { verdict, reason: `${count} transfers in the last ${windowMinutes} minutes` } : null;
+        }
+    };
+}
+
+// an amount far above what the user usually sends, once there is enough history to know
+function amountAboveAverageRule({ multiplier = 5, lookbackDays = 90, minTransfers = 3, verdict = 'flag' } = {}){
+    return {
+        name: 'amount_above_average',
+        async check(client, transfer){
+            const history = await client.transaction.aggregate({
+                where: {
+                    type: 'transfer',
+                    status: 'completed',
+                    initiated_by_user_id: transfer.userId,
+                    created_at: {
+                        gte: new Date(transfer.now.getTime() - lookbackDays * days)
+                    }
+                },
+                _avg: {
+                    amount: true
+                },
+                _count: true
+            })
+
+            if(history._count < minTransfers){
+                return null;
+            }
+
+            const average = new Prisma.Decimal(history._avg.amount);
+
+            return transfer.amount.greaterThan(average.times(multiplier))
+                ? { verdict, reason: `Amount is more than ${multiplier} times the user's average transfer of ${average.toDecimalPlaces(2)}` }
+                : null;
+        }
+    };
+}
+
+// a large amount to an account the user has never paid before, their own accounts aside
+function firstTimePayeeRule({ minAmount = 10000000, verdict = 'flag' } = {}){
+    return {
+        name: 'first_time_payee',
+        async check(client, transfer){
+            if(transfer.destinationAccount.user_id === transfer.userId || transfer.amount.lessThan(minAmount)){
+                return null;
+            }
+
+            const previousTransfers = await client.transaction.count({
+                where: {
+                    type: 'transfer',
+                    status: 'completed',
+                    destination_account_id: transfer.destinationAccount.id,
+                    initiated_by_user_id: transfer.userId
+                }
+            })
+
+            return previousTransfers === 0 ? { verdict, reason: `First transfer to account ${transfer.destinationAccount.id}, for ${transfer.amount}` } : null;
+        }
+    };
+}
+
+// a recently opened account sending out almost everything it can spend
+function newAccountDrainRule({ maxAccountAgeDays = 7, drainPercent = 90, verdict = 'flag' } = {}){
+    return {
+        name: 'new_account_drain',
+        async check(client, transfer){
+            const accountAge = transfer.now.getTime() - new Date(transfer.sourceAccount.created_at).getTime();
+
+            if(accountAge >= maxAccountAgeDays * days || !transfer.availableBalance.greaterThan(0)){
+                return null;
+            }
+
+            return transfer.totalDebited.greaterThanOrEqualTo(transfer.availableBalance.times(drainPercent).dividedBy(100))
+                ? { verdict, reason: `Account opened less than ${maxAccountAgeDays} days ago is sending at least ${drainPercent}% of its available balance` }
+                : null;
+        }
+    };
+}
+
+const defaultFraudRules = [
+    transferVelocityRule(),
+    amountAboveAverageRule(),
+    firstTimePayeeRule(),
+    newAccountDrainRule()
+];
+
+// Runs every rule and resolves to { verdict, results }, where results lists the rules that flagged or blocked
+// the transfer as { rule, verdict, reason }.
+async function evaluateFraudRules(client, transfer, rules = defaultFraudRules){
+    let verdict = 'allow';
+    const results = [];
+
+    for(const rule of rules){
+        const result = await rule.check(client, transfer);
+
+        if(!result || result.verdict === 'allow'){
+            continue;
+        }
+
+        results.push({ rule: rule.name, verdict: result.verdict, reason: result.reason });
+        if(verdictRanks[result.verdict] > verdictRanks[verdict]){
+            verdict = result.verdict;
+        }
+    }
+
+    return { verdict, results };
+}
+
+export { transferVelocityRule, amountAboveAverageRule, firstTimePayeeRule, newAccountDrainRule, defaultFraudRules, evaluateFraudRules };
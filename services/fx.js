@@ -0,0 +1,54 @@
+import { Prisma } from '@prisma/client'
+
+// Exchange rates are maintained by admins as "1 base_currency = rate quote_currency", each effective from a
+// point in time. A rate for EUR -> IDR is also used, inverted, for IDR -> EUR when no direct rate exists.
+
+// the rate in effect at `at`, or null when none was ever set for the pair
+async function findExchangeRate(client, fromCurrency, toCurrency, at = new Date()){
+    let directRate = await client.exchange_Rate.findFirst({
+        where: {
+            base_currency: fromCurrency,
+            quote_currency: toCurrency,
+            effective_at: {
+                lte: at
+            }
+        },
+        orderBy: [{ effective_at: 'desc' }, { id: 'desc' }]
+    })
+
+    if(directRate){
+        return { rate: directRate.rate, spread_percent: directRate.spread_percent };
+    }
+
+    let inverseRate = await client.exchange_Rate.findFirst({
+        where: {
+            base_currency: toCurrency,
+            quote_currency: fromCurrency,
+            effective_at: {
+                lte: at
+            }
+        },
+        orderBy: [{ effective_at: 'desc' }, { id: 'desc' }]
+    })
+
+    if(inverseRate){
+        return {
+            rate: new Prisma.Decimal(1).dividedBy(inverseRate.rate).toDecimalPlaces(8),
+            spread_percent: inverseRate.spread_percent
+        };
+    }
+
+    return null;
+}
+
+// converts `amount` at `rate` and takes the bank's spread off the result, rounding down to whole cents
+function convertAmount(amount, rate, spreadPercent = 0){
+    const spread = new Prisma.Decimal(spreadPercent).dividedBy(100);
+
+    return new Prisma.Decimal(amount)
+        .times(rate)
+        .times(new Prisma.Decimal(1).minus(spread))
+        .toDecimalPlaces(2, Prisma.Decimal.ROUND_DOWN);
+}
+
+export { findExchangeRate, convertAmount };
@@ -0,0 +1,22 @@
+import { PrismaClient } from '@prisma/client'
+const prisma = new PrismaClient();
+
+import { expireHolds } from './holds.js';
+
+// Holds past their expires_at already stop counting towards the available balance, this only keeps their
+// status up to date. Checks every `intervalMs` inside the API process.
+function startHoldExpiryRunner(intervalMs = 60 * 1000){
+    const timer = setInterval(async () => {
+        try {
+            await expireHolds(prisma);
+        } catch(err) {
+            console.error(err.stack)
+        }
+    }, intervalMs)
+
+    timer.unref(); // don't keep the process alive just for the runner
+
+    return timer;
+}
+
+export { startHoldExpiryRunner };
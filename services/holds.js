@@ -0,0 +1,130 @@
+import { Prisma } from '@prisma/client'
+
+// A hold reserves part of an account's balance without moving it, e.g. a card authorization. The available
+// balance is the balance (plus any overdraft) minus the active holds, and every check that spends money uses it. A hold ends when it
+// is captured (all or part of it moves to the destination account, or out of the bank when there is none),
+// released, or when it reaches expires_at. Holds tied to a transaction keep the funds of a transfer waiting for
+// approval and are ended by the approval decision, not through the holds endpoints.
+
+const defaultHoldDuration = 7 * 24 * 60 * 60 * 1000;
+
+// holds past their expires_at stop counting straight away, even before the expiry runner marks them expired
+function activeHolds(accountId, now){
+    return {
+        account_id: accountId,
+        status: 'active',
+        OR: [
+            { expires_at: null },
+            { expires_at: { gt: now } }
+        ]
+    };
+}
+
+async function getHeldAmount(client, accountId, now = new Date()){
+    let held = await client.account_Hold.aggregate({
+        where: activeHolds(accountId, now),
+        _sum: {
+            amount: true
+        }
+    })
+
+    return new Prisma.Decimal(held._sum.amount ?? 0);
+}
+
+// what can be spent right now: the balance plus the agreed overdraft, minus the active holds. `account` needs its
+// id, balance and overdraft_limit, inside a database transaction it should be the locked row
+async function getAvailableBalance(client, account, now = new Date()){
+    return new Prisma.Decimal(account.balance).plus(account.overdraft_limit).minus(await getHeldAmount(client, account.id, now));
+}
+
+// locks a hold and checks it can still be captured or released, resolves to { hold } or { error }
+async function lockActiveHold(tx, holdId, now = new Date()){
+    let lockedHolds = await tx.$queryRaw`
+        SELECT id FROM account_holds
+        WHERE id = ${holdId}
+        FOR UPDATE
+    `
+
+    if(lockedHolds.length === 0){ // if no matching data by entered hold's id
+        return { error: { code: 404, message: `Hold with id ${holdId} not found` } }
+    }
+
+    let hold = await tx.account_Hold.findUnique({
+        where: {
+            id: holdId
+        }
+    })
+
+    if(hold.status === 'active' && hold.expires_at && hold.expires_at <= now){ // expired, but not marked yet by the runner
+        hold = await tx.account_Hold.update({
+            where: {
+                id: holdId
+            },
+            data: {
+                status: 'expired'
+            }
+        })
+    }
+
+    if(hold.status !== 'active'){
+        return { error: { code: 409, message: `Hold with id ${holdId} is ${hold.status}` } }
+    } else if(hold.transaction_id !== null){
+        return { error: { code: 409, message: `Hold with id ${holdId} belongs to transaction ${hold.transaction_id} and ends with its approval or fraud review` } }
+    }
+
+    return { hold }
+}
+
+// puts funds on hold for a transfer waiting for approval or a fraud review, the caller must have locked the source account
+async function holdTransferFunds(tx, transaction, amount, description = `Transfer ${transaction.id} waiting for approval`){
+    return tx.account_Hold.create({
+        data: {
+            account_id: transaction.source_account_id,
+            destination_account_id: transaction.destination_account_id,
+            amount: amount,
+            description: description,
+            transaction_id: transaction.id
+        }
+    })
+}
+
+// ends the hold of a transfer waiting for approval or a fraud review, as captured when it is settled or released when it is rejected
+async function endTransferHold(tx, transactionId, status){
+    let hold = await tx.account_Hold.findUnique({
+        where: {
+            transaction_id: transactionId
+        }
+    })
+
+    if(!hold || hold.status !== 'active'){
+        return hold;
+    }
+
+    return tx.account_Hold.update({
+        where: {
+            id: hold.id
+        },
+        data: {
+            status: status,
+            captured_amount: status === 'captured' ? hold.amount : undefined
+        }
+    })
+}
+
+// marks the holds past their expires_at as expired, `client` can be the PrismaClient or a transaction client
+async function expireHolds(client, now = new Date()){
+    return client.account_Hold.updateMany({
+        where: {
+            status: 'active',
+            transaction_id: null,
+            expires_at: {
+                lte: now
+            }
+        },
+        data: {
+            status: 'expired'
+        }
+    })
+}
+
+export { defaultHoldDuration, getHeldAmount, getAvailableBalance, lockActiveHold, holdTransferFunds, endTransferHold, expireHolds };
@@ -0,0 +1,89 @@
+import { Prisma } from '@prisma/client'
+
+// Every movement of money is recorded as a pair of ledger entries: a debit on the account the money leaves
+// and a credit on the account it enters. A null account_id stands for the bank's own books (cash coming in
+// from outside or leaving the bank), so each pair stays balanced even when only one side is a customer account.
+// Bank_Account.balance is kept as a cached value and is only ever changed here, in the same database
+// transaction that writes the entries.
+
+// `tx` must be a Prisma interactive transaction client, the caller is responsible for locking the accounts
+// and checking the balance before posting
+async function postLedgerEntries(tx, { transactionId = null, debitAccountId = null, creditAccountId = null, amount, description = null }){
+    let debitAccount = null;
+    let creditAccount = null;
+
+    if(debitAccountId){ // money leaving a customer account
+        debitAccount = await tx.bank_Account.update({
+            where: {
+                id: debitAccountId
+            },
+            data: {
+                balance: {
+                    decrement: amount
+                }
+            }
+        })
+    }
+
+    if(creditAccountId){ // money entering a customer account
+        creditAccount = await tx.bank_Account.update({
+            where: {
+                id: creditAccountId
+            },
+            data: {
+                balance: {
+                    increment: amount
+                }
+            }
+        })
+    }
+
+    // the entries are numbered for the notification streams when they are inserted, holding this lock until
+    // the transaction commits makes the numbers follow the order entries are committed in, see notifications.js
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(230001)` // 230001 only identifies this lock
+    await tx.ledger_Entry.createMany({
+        data: [
+            {
+                transaction_id: transactionId,
+                account_id: debitAccountId,
+                direction: 'debit',
+                amount: amount,
+                balance_after: debitAccount ? debitAccount.balance : null,
+                description: description
+            },
+            {
+                transaction_id: transactionId,
+                account_id: creditAccountId,
+                direction: 'credit',
+                amount: amount,
+                balance_after: creditAccount ? creditAccount.balance : null,
+                description: description
+            }
+        ]
+    })
+
+    return { debitAccount, creditAccount };
+}
+
+// sum of credits minus sum of debits for one account, this is what Bank_Account.balance must always equal
+async function getLedgerBalance(tx, accountId){
+    let sums = await tx.ledger_Entry.groupBy({
+        by: ['direction'],
+        where: {
+            account_id: accountId
+        },
+        _sum: {
+            amount: true
+        }
+    })
+
+    let balance = new Prisma.Decimal(0);
+    for(const sum of sums){
+        const amount = sum._sum.amount ?? 0;
+        balance = sum.direction === 'credit' ? balance.plus(amount) : balance.minus(amount);
+    }
+
+    return balance;
+}
+
+export { postLedgerEntries, getLedgerBalance };
@@ -0,0 +1,81 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+import nodemailer from 'nodemailer';
+
+// A mail transport is an object with a `name` and an async `send({ from, to, subject, text })` that throws when
+// the message couldn't be handed over. Which one the API uses is picked by MAIL_TRANSPORT.
+
+function createSmtpTransport({ host, port = 587, secure = false, user, password }){
+    const transporter = nodemailer.createTransport({
+        host: host,
+        port: port,
+        secure: secure, // true for port 465, otherwise the connection is upgraded with STARTTLS
+        auth: user ? { user: user, pass: password } : undefined
+    });
+
+    return {
+        name: 'smtp',
+        send: (message) => transporter.sendMail(message)
+    };
+}
+
+function formatMessage({ from, to, subject, text }){
+    return `From: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n`;
+}
+
+// for development, writes every message to a file in `directory`, or prints it when there is no directory
+function createFileTransport({ directory = null } = {}){
+    return {
+        name: directory ? 'file' : 'console',
+        send: async (message) => {
+            if(!directory){
+                console.log(formatMessage(message));
+                return;
+            }
+
+            await fs.mkdir(directory, { recursive: true });
+            await fs.writeFile(path.join(directory, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.txt`), formatMessage(message));
+        }
+    };
+}
+
+// for tests, keeps the messages in `messages`
+function createMemoryTransport(){
+    const messages = [];
+
+    return {
+        name: 'memory',
+        messages: messages,
+        send: async (message) => {
+            messages.push({ ...message });
+        }
+    };
+}
+
+// MAIL_TRANSPORT is smtp, file, console or memory, it defaults to memory under jest and to console otherwise
+function createMailTransportFromEnv(env = process.env){
+    const transport = env.MAIL_TRANSPORT ?? (env.NODE_ENV === 'test' ? 'memory' : 'console');
+
+    switch(transport){
+        case 'smtp':
+            return createSmtpTransport({
+                host: env.SMTP_HOST,
+                port: env.SMTP_PORT ? Number(env.SMTP_PORT) : undefined,
+                secure: env.SMTP_SECURE === 'true',
+                user: env.SMTP_USER,
+                password: env.SMTP_PASSWORD
+            });
+        case 'file':
+            return createFileTransport({ directory: env.MAIL_FILE_DIR ?? 'mail' });
+        case 'console':
+            return createFileTransport();
+        case 'memory':
+            return createMemoryTransport();
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT ${transport}, use smtp, file, console or memory`);
+    }
+}
+
+export { createSmtpTransport, createFileTransport, createMemoryTransport, createMailTransportFromEnv };
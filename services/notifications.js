@@ -0,0 +1,207 @@
+import { heldAccountsFilter } from './accountHolders.js';
+
+// Real-time notifications are read from the ledger: every credit or debit of a customer account is a ledger
+// entry, and the entry's notification_seq is used as the Server-Sent Events id. A client that reconnects with
+// the Last-Event-ID header gets the entries it missed, in order, before the live ones.
+//
+// Entry ids can't be the cursor: ids are taken in parallel, so a transfer that commits late makes an entry
+// with a lower id visible after entries with higher ids have already been sent. postLedgerEntries holds a
+// lock from numbering its entries until its transaction commits, so an entry numbered later always becomes
+// visible after every entry numbered before it.
+//
+// One hub per process polls the ledger for new entries while any stream is open and fans them out to the
+// connections of the accounts' holders, so the number of open streams doesn't change the number of queries.
+
+const notificationPageSize = 500;
+
+const ledgerEntryInclude = {
+    account: {
+        select: {
+            bank_account_number: true,
+            currency: true,
+            holders: { // everyone who holds a joint account sees its credits and debits, viewers included
+                where: {
+                    status: 'active'
+                },
+                select: {
+                    user_id: true
+                }
+            }
+        }
+    },
+    transaction: {
+        select: {
+            type: true
+        }
+    }
+};
+
+function formatServerSentEvent({ id, event, data }){
+    return `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+function toNotification(entry){
+    return {
+        id: entry.notification_seq,
+        event: entry.direction,
+        data: {
+            ledger_entry_id: entry.id,
+            account_id: entry.account_id,
+            bank_account_number: entry.account.bank_account_number,
+            currency: entry.account.currency,
+            direction: entry.direction,
+            amount: entry.amount,
+            balance_after: entry.balance_after,
+            description: entry.description,
+            transaction_id: entry.transaction_id,
+            transaction_type: entry.transaction?.type ?? null,
+            created_at: entry.created_at
+        }
+    };
+}
+
+// the next page of ledger entries after `afterSeq` on customer accounts, only those of `userId` when given
+async function findLedgerNotifications(client, { afterSeq, userId }){
+    return client.ledger_Entry.findMany({
+        where: {
+            notification_seq: {
+                gt: afterSeq
+            },
+            account: userId === undefined ? { isNot: null } : heldAccountsFilter(userId)
+        },
+        include: ledgerEntryInclude,
+        orderBy: {
+            notification_seq: 'asc'
+        },
+        take: notificationPageSize
+    })
+}
+
+async function getLatestNotificationSeq(client){
+    let latest = await client.ledger_Entry.findFirst({
+        where: {
+            notification_seq: {
+                not: null
+            }
+        },
+        select: {
+            notification_seq: true
+        },
+        orderBy: {
+            notification_seq: 'desc'
+        }
+    })
+
+    return latest?.notification_seq ?? 0;
+}
+
+// The hub only polls while at least one stream is open. `connect` resolves to a function that closes the
+// connection, `write` receives the formatted events.
+function createNotificationHub(client, { intervalMs = 2000 } = {}){
+    const connections = new Set();
+    let cursor = 0;
+    let timer = null;
+    let starting = null;
+    let isPolling = false;
+
+    function send(connection, notification){
+        if(notification.id > connection.lastEventId){ // replayed and live entries can overlap
+            connection.lastEventId = notification.id;
+            connection.write(formatServerSentEvent(notification));
+        }
+    }
+
+    function deliver(connection, notification){
+        if(connection.buffer){ // still replaying, live entries wait so the order is kept
+            connection.buffer.push(notification);
+        } else {
+            send(connection, notification);
+        }
+    }
+
+    async function poll(){
+        if(isPolling || connections.size === 0){ // the previous poll is still going, or no stream is open
+            return;
+        }
+
+        isPolling = true;
+        try {
+            let entries;
+            do { // every account, so a stream opened while this runs doesn't miss the entries of this poll
+                entries = await findLedgerNotifications(client, { afterSeq: cursor });
+
+                for(const entry of entries){
+                    cursor = entry.notification_seq;
+
+                    const notification = toNotification(entry);
+                    const holderIds = entry.account.holders.map((holder) => holder.user_id);
+                    for(const connection of connections){
+                        if(holderIds.includes(connection.userId)){
+                            deliver(connection, notification);
+                        }
+                    }
+                }
+            } while(entries.length === notificationPageSize)
+        } catch(err) {
+            console.error(err.stack)
+        } finally {
+            isPolling = false;
+        }
+    }
+
+    async function start(){
+        if(!starting){
+            starting = getLatestNotificationSeq(client).then((latestSeq) => {
+                cursor = latestSeq;
+                timer = setInterval(poll, intervalMs);
+                timer.unref(); // don't keep the process alive just for the hub
+            })
+        }
+
+        return starting;
+    }
+
+    function disconnect(connection){
+        connections.delete(connection);
+
+        if(connections.size === 0 && timer){
+            clearInterval(timer);
+            timer = null;
+            starting = null;
+        }
+    }
+
+    async function connect(userId, lastEventId, write){
+        const connection = { userId, lastEventId: 0, buffer: [], write };
+
+        connections.add(connection);
+        try {
+            await start();
+
+            if(lastEventId === null){ // a new stream starts from now
+                connection.lastEventId = Math.max(cursor, await getLatestNotificationSeq(client));
+            } else {
+                connection.lastEventId = lastEventId;
+
+                let entries;
+                do {
+                    entries = await findLedgerNotifications(client, { afterSeq: connection.lastEventId, userId });
+                    entries.forEach((entry) => send(connection, toNotification(entry)));
+                } while(entries.length === notificationPageSize)
+            }
+        } catch(err) {
+            disconnect(connection);
+            throw err;
+        }
+
+        const buffered = connection.buffer;
+        connection.buffer = null;
+        buffered.forEach((notification) => send(connection, notification));
+
+        return () => disconnect(connection);
+    }
+
+    return { connect, poll, connectionCount: () => connections.size };
+}
+
+export { formatServerSentEvent, toNotification, findLedgerNotifications, getLatestNotificationSeq, createNotificationHub };
@@ -0,0 +1,25 @@
+import { Prisma } from '@prisma/client'
+
+// An account with an overdraft_limit can go negative down to -overdraft_limit. The negative part of the balance
+// is the used overdraft, and it is charged interest once a day at overdraft_interest_rate (a yearly percentage).
+
+function getOverdraftUsage(account){
+    const limit = new Prisma.Decimal(account.overdraft_limit);
+    const used = Prisma.Decimal.max(new Prisma.Decimal(account.balance).negated(), 0);
+
+    return {
+        limit: limit,
+        used: used,
+        remaining: Prisma.Decimal.max(limit.minus(used), 0),
+        interest_rate: account.overdraft_interest_rate
+    };
+}
+
+// one day of interest on the used overdraft, on a 365-day year
+function calculateDailyInterest(balance, interestRate){
+    const used = Prisma.Decimal.max(new Prisma.Decimal(balance).negated(), 0);
+
+    return used.times(interestRate).dividedBy(100).dividedBy(365).toDecimalPlaces(2, Prisma.Decimal.ROUND_HALF_UP);
+}
+
+export { getOverdraftUsage, calculateDailyInterest };
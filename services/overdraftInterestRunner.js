@@ -0,0 +1,119 @@
+import { PrismaClient } from '@prisma/client'
+const prisma = new PrismaClient();
+
+import { calculateDailyInterest } from './overdraft.js';
+import { getFeeRevenueAccountId } from './fees.js';
+import { postLedgerEntries } from './ledger.js';
+import { createPendingTransaction, updateTransactionStatus } from './transactionStatus.js';
+
+function startOfDay(now){
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+}
+
+// Charges one day of interest to an account in overdraft, unless it was already charged today (server time).
+// Resolves to the interest transaction, or to null when there was nothing to charge.
+async function chargeAccountInterest(accountId, now = new Date()){
+    return prisma.$transaction(async (tx) => {
+        let lockedAccounts = await tx.$queryRaw`
+            SELECT id, balance, currency, overdraft_interest_rate, overdraft_interest_charged_at FROM bank_accounts
+            WHERE id = ${accountId}
+            FOR UPDATE
+        `
+
+        let account = lockedAccounts[0];
+
+        if(!account || (account.overdraft_interest_charged_at && account.overdraft_interest_charged_at >= startOfDay(now))){
+            return null;
+        }
+
+        const interest = calculateDailyInterest(account.balance, account.overdraft_interest_rate);
+
+        if(interest.lessThanOrEqualTo(0)){ // back above zero since it was picked, or too little to charge
+            return null;
+        }
+
+        let transaction = await createPendingTransaction(tx, {
+            type: 'interest',
+            source_account_id: account.id,
+            amount: interest,
+            currency: account.currency
+        })
+
+        // interest is bank revenue, like transfer fees
+        await postLedgerEntries(tx, {
+            transactionId: transaction.id,
+            debitAccountId: account.id,
+            creditAccountId: await getFeeRevenueAccountId(tx, account.currency),
+            amount: interest,
+            description: `Overdraft interest for ${now.toDateString()}`
+        })
+
+        await tx.bank_Account.update({
+            where: {
+                id: account.id
+            },
+            data: {
+                overdraft_interest_charged_at: now
+            }
+        })
+
+        return updateTransactionStatus(tx, transaction, 'completed');
+    })
+}
+
+async function chargeOverdraftInterest(now = new Date()){
+    let accounts = await prisma.bank_Account.findMany({
+        where: {
+            balance: {
+                lt: 0
+            },
+            overdraft_interest_rate: {
+                gt: 0
+            },
+            OR: [
+                { overdraft_interest_charged_at: null },
+                { overdraft_interest_charged_at: { lt: startOfDay(now) } }
+            ]
+        },
+        select: {
+            id: true
+        }
+    })
+
+    let transactions = [];
+    for(const account of accounts){
+        try {
+            transactions.push(await chargeAccountInterest(account.id, now));
+        } catch(err) { // one account failing shouldn't stop the others from being charged
+            console.error(err.stack)
+        }
+    }
+
+    return transactions.filter((transaction) => transaction !== null);
+}
+
+// the interest is charged once a day, checking every hour makes sure a restart doesn't skip a day
+function startOverdraftInterestRunner(intervalMs = 60 * 60 * 1000){
+    let isRunning = false;
+
+    const timer = setInterval(async () => {
+        if(isRunning){ // the previous check is still going
+            return;
+        }
+
+        isRunning = true;
+        try {
+            await chargeOverdraftInterest();
+        } catch(err) {
+            console.error(err.stack)
+        } finally {
+            isRunning = false;
+        }
+    }, intervalMs)
+
+    timer.unref(); // don't keep the process alive just for the runner
+
+    return timer;
+}
+
+export { chargeAccountInterest, chargeOverdraftInterest, startOverdraftInterestRunner };
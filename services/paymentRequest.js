@@ -0,0 +1,41 @@
+import { Prisma } from '@prisma/client'
+
+// A payment request asks another customer to pay into one of the requester's accounts. The payer accepts it,
+// which runs the normal transfer from the payer's account, or declines it. Requests not answered by their
+// expires_at expire. A split bill is a set of requests sharing a split_id, one per payer.
+
+const defaultPaymentRequestDuration = 7 * 24 * 60 * 60 * 1000;
+
+// Splits a bill into equal shares, one for each payer plus one for the requester when they take part. The
+// cents that don't split evenly go to the first shares, the requester's first, so the shares add up to the
+// total. Resolves to the payers' shares, in order.
+function splitBill(totalAmount, payerCount, includeRequester = true){
+    const partCount = payerCount + (includeRequester ? 1 : 0);
+    const totalCents = new Prisma.Decimal(totalAmount).times(100).toDecimalPlaces(0, Prisma.Decimal.ROUND_HALF_UP);
+    const baseCents = totalCents.dividedToIntegerBy(partCount);
+    const extraCents = totalCents.minus(baseCents.times(partCount)).toNumber();
+
+    const shares = [];
+    for(let i = 0; i < partCount; i++){
+        shares.push(baseCents.plus(i < extraCents ? 1 : 0).dividedBy(100));
+    }
+
+    return includeRequester ? shares.slice(1) : shares;
+}
+
+// pending requests past their expires_at can't be accepted anymore
+async function expirePaymentRequests(client, now = new Date()){
+    return client.payment_Request.updateMany({
+        where: {
+            status: 'pending',
+            expires_at: {
+                lte: now
+            }
+        },
+        data: {
+            status: 'expired'
+        }
+    })
+}
+
+export { defaultPaymentRequestDuration, splitBill, expirePaymentRequests };
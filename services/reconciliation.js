@@ -0,0 +1,188 @@
+import { Prisma } from '@prisma/client'
+
+// Reconciliation recomputes what every account's balance should be from first principles, the opening balance
+// plus the transactions that moved money, and compares it with the cached Bank_Account.balance and with the
+// ledger (see ledger.js). Any difference means one of them has drifted.
+//
+// A transaction moved money when it is completed or reversed (a reversal is a transaction of its own). Its
+// source account is debited its amount plus its fee, and its destination account is credited its
+// destination_amount for cross-currency transfers, or its amount otherwise. Fees and overdraft interest are
+// also credited to the fee revenue account, when it is set and in their currency. Opening balances are the
+// ledger entries posted without a transaction when an account is created.
+//
+// Transactions from before the ledger existed are already part of the "Opening balance" entry the ledger
+// migration posted for every account, and have no ledger entries of their own. Only transactions with ledger
+// entries are counted, or they would be counted twice.
+
+const settledTransactions = {
+    status: {
+        in: ['completed', 'reversed']
+    },
+    ledgerEntries: {
+        some: {}
+    }
+};
+
+function addToAccount(totals, accountId, amount){
+    totals.set(accountId, (totals.get(accountId) ?? new Prisma.Decimal(0)).plus(amount ?? 0));
+}
+
+// credits minus debits for every account, from the grouped ledger sums
+function netLedgerSums(sums){
+    const totals = new Map();
+
+    for(const sum of sums){
+        const amount = new Prisma.Decimal(sum._sum.amount ?? 0);
+        addToAccount(totals, sum.account_id, sum.direction === 'credit' ? amount : amount.negated());
+    }
+
+    return totals;
+}
+
+// expected balance of every account, from its opening balance and the transactions that moved money
+async function calculateExpectedBalances(client, feeRevenueAccount = null){
+    const expected = netLedgerSums(await client.ledger_Entry.groupBy({
+        by: ['account_id', 'direction'],
+        where: {
+            transaction_id: null,
+            account_id: {
+                not: null
+            }
+        },
+        _sum: {
+            amount: true
+        }
+    }));
+
+    const received = await client.transaction.groupBy({
+        by: ['destination_account_id'],
+        where: {
+            ...settledTransactions,
+            destination_account_id: {
+                not: null
+            },
+            destination_amount: null
+        },
+        _sum: {
+            amount: true
+        }
+    });
+    for(const sum of received){
+        addToAccount(expected, sum.destination_account_id, sum._sum.amount);
+    }
+
+    const receivedConverted = await client.transaction.groupBy({
+        by: ['destination_account_id'],
+        where: {
+            ...settledTransactions,
+            destination_account_id: {
+                not: null
+            },
+            destination_amount: {
+                not: null
+            }
+        },
+        _sum: {
+            destination_amount: true
+        }
+    });
+    for(const sum of receivedConverted){
+        addToAccount(expected, sum.destination_account_id, sum._sum.destination_amount);
+    }
+
+    const sent = await client.transaction.groupBy({
+        by: ['source_account_id'],
+        where: {
+            ...settledTransactions,
+            source_account_id: {
+                not: null
+            }
+        },
+        _sum: {
+            amount: true,
+            fee: true
+        }
+    });
+    for(const sum of sent){
+        addToAccount(expected, sum.source_account_id, new Prisma.Decimal(sum._sum.amount ?? 0).plus(sum._sum.fee ?? 0).negated());
+    }
+
+    if(feeRevenueAccount){
+        const fees = await client.transaction.aggregate({
+            where: {
+                ...settledTransactions,
+                currency: feeRevenueAccount.currency
+            },
+            _sum: {
+                fee: true
+            }
+        });
+        const interest = await client.transaction.aggregate({
+            where: {
+                ...settledTransactions,
+                type: 'interest',
+                currency: feeRevenueAccount.currency
+            },
+            _sum: {
+                amount: true
+            }
+        });
+        addToAccount(expected, feeRevenueAccount.id, new Prisma.Decimal(fees._sum.fee ?? 0).plus(interest._sum.amount ?? 0));
+    }
+
+    return expected;
+}
+
+// Compares every account's balance and ledger with its expected balance. `client` should see a consistent
+// snapshot (see reconciliationRunner.js). Resolves to { account_count, mismatches }.
+async function reconcileBalances(client, { feeRevenueAccountId = null } = {}){
+    const accounts = await client.bank_Account.findMany({
+        select: {
+            id: true,
+            bank_account_number: true,
+            currency: true,
+            balance: true
+        },
+        orderBy: {
+            id: 'asc'
+        }
+    });
+
+    const feeRevenueAccount = accounts.find((account) => account.id === feeRevenueAccountId) ?? null;
+    const expectedBalances = await calculateExpectedBalances(client, feeRevenueAccount);
+    const ledgerBalances = netLedgerSums(await client.ledger_Entry.groupBy({
+        by: ['account_id', 'direction'],
+        where: {
+            account_id: {
+                not: null
+            }
+        },
+        _sum: {
+            amount: true
+        }
+    }));
+
+    const mismatches = [];
+
+    for(const account of accounts){
+        const balance = new Prisma.Decimal(account.balance);
+        const expectedBalance = expectedBalances.get(account.id) ?? new Prisma.Decimal(0);
+        const ledgerBalance = ledgerBalances.get(account.id) ?? new Prisma.Decimal(0);
+
+        if(!balance.equals(expectedBalance) || !ledgerBalance.equals(expectedBalance)){
+            mismatches.push({
+                account_id: account.id,
+                bank_account_number: account.bank_account_number,
+                currency: account.currency,
+                balance: balance.toFixed(2),
+                expected_balance: expectedBalance.toFixed(2),
+                ledger_balance: ledgerBalance.toFixed(2),
+                difference: balance.minus(expectedBalance).toFixed(2)
+            });
+        }
+    }
+
+    return { account_count: accounts.length, mismatches };
+}
+
+export { calculateExpectedBalances, reconcileBalances };
@@ -0,0 +1,54 @@
+import { PrismaClient, Prisma } from '@prisma/client'
+const prisma = new PrismaClient();
+
+import { reconcileBalances } from './reconciliation.js';
+import { getConfiguredFeeRevenueAccountId } from './fees.js';
+
+// Runs a reconciliation and keeps it in the run history, `trigger` is admin (the API) or cli (scripts/reconcile.js).
+// Resolves to the finished run, with status balanced, mismatched or failed.
+async function runReconciliation({ trigger, userId = null }){
+    let run = await prisma.reconciliation_Run.create({
+        data: {
+            trigger: trigger,
+            triggered_by_id: userId
+        }
+    })
+
+    try {
+        // every sum is read from the same snapshot, so transfers made during the run can't show up as drift
+        let report = await prisma.$transaction((tx) => reconcileBalances(tx, {
+            feeRevenueAccountId: getConfiguredFeeRevenueAccountId()
+        }), {
+            isolationLevel: Prisma.TransactionIsolationLevel.RepeatableRead,
+            timeout: 5 * 60 * 1000
+        });
+
+        return prisma.reconciliation_Run.update({
+            where: {
+                id: run.id
+            },
+            data: {
+                status: report.mismatches.length > 0 ? 'mismatched' : 'balanced',
+                account_count: report.account_count,
+                mismatch_count: report.mismatches.length,
+                mismatches: report.mismatches,
+                completed_at: new Date()
+            }
+        })
+    } catch(err) {
+        console.error(err.stack)
+
+        return prisma.reconciliation_Run.update({
+            where: {
+                id: run.id
+            },
+            data: {
+                status: 'failed',
+                error: err.message,
+                completed_at: new Date()
+            }
+        })
+    }
+}
+
+export { runReconciliation };
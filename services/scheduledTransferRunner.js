@@ -0,0 +1,97 @@
+import { PrismaClient } from '@prisma/client'
+const prisma = new PrismaClient();
+
+import { executeTransfer } from './transfer.js';
+import { getNextRun } from './cron.js';
+
+// Executes one due scheduled transfer through the same transfer logic as POST /api/v1/transactions and
+// records the outcome as a run. The schedule is moved forward before the transfer is attempted, so a crash
+// or a second runner never executes the same occurrence twice.
+async function runScheduledTransfer(scheduledTransfer, now = new Date()){
+    const nextRunAt = scheduledTransfer.cron_expression ? getNextRun(scheduledTransfer.cron_expression, now) : null;
+
+    let claimed = await prisma.scheduled_Transfer.updateMany({
+        where: {
+            id: scheduledTransfer.id,
+            status: 'active',
+            next_run_at: scheduledTransfer.next_run_at // only claim the occurrence that was found as due
+        },
+        data: {
+            next_run_at: nextRunAt,
+            status: nextRunAt ? 'active' : 'completed' // one-off transfers (and recurrences that never match again) finish here
+        }
+    })
+
+    if(claimed.count === 0){ // if the schedule was paused, cancelled or already picked up in the meantime
+        return null;
+    }
+
+    let result;
+    try {
+        result = await executeTransfer(scheduledTransfer.user_id, {
+            source_account_id: scheduledTransfer.source_account_id,
+            destination_account_id: scheduledTransfer.destination_account_id,
+            amount: scheduledTransfer.amount
+        }, { channel: 'scheduled' })
+    } catch(err) {
+        console.error(err.stack)
+        result = { error: { code: 500, message: 'Internal server error' } }
+    }
+
+    return prisma.scheduled_Transfer_Run.create({
+        data: {
+            scheduled_transfer_id: scheduledTransfer.id,
+            transaction_id: result.transaction?.id ?? null,
+            is_successful: !result.error,
+            message: result.error?.message ?? (result.approval ? 'Transfer is waiting for approval' : result.review ? 'Transfer is waiting for a fraud review' : null)
+        }
+    })
+}
+
+async function runDueScheduledTransfers(now = new Date()){
+    let dueTransfers = await prisma.scheduled_Transfer.findMany({
+        where: {
+            status: 'active',
+            next_run_at: {
+                lte: now
+            }
+        },
+        orderBy: {
+            next_run_at: 'asc'
+        },
+        take: 100
+    })
+
+    let runs = [];
+    for(const scheduledTransfer of dueTransfers){ // one at a time, so transfers from the same account are applied in order
+        runs.push(await runScheduledTransfer(scheduledTransfer, now));
+    }
+
+    return runs.filter((run) => run !== null);
+}
+
+// checks for due scheduled transfers every `intervalMs` inside the API process
+function startScheduledTransferRunner(intervalMs = 60 * 1000){
+    let isRunning = false;
+
+    const timer = setInterval(async () => {
+        if(isRunning){ // the previous check is still going
+            return;
+        }
+
+        isRunning = true;
+        try {
+            await runDueScheduledTransfers();
+        } catch(err) {
+            console.error(err.stack)
+        } finally {
+            isRunning = false;
+        }
+    }, intervalMs)
+
+    timer.unref(); // don't keep the process alive just for the runner
+
+    return timer;
+}
+
+export { runScheduledTransfer, runDueScheduledTransfers, startScheduledTransferRunner };
@@ -0,0 +1,231 @@
+import PDFDocument from 'pdfkit';
+
+import { Prisma } from '@prisma/client'
+
+import { feeEntryDescription } from './fees.js';
+
+// Account statements are built from the ledger: every entry already carries the account's balance right after
+// it was posted, which gives the running balance, and the last entry before the period gives the opening balance.
+
+const counterpartyInclude = {
+    include: {
+        user: {
+            select: {
+                name: true
+            }
+        }
+    }
+};
+
+function isFeeEntry(entry){
+    return entry.transaction_id !== null && entry.description === feeEntryDescription(entry.transaction_id);
+}
+
+// A transfer's fee is posted under the transfer's transaction, so its counterparty isn't the transfer's
+// destination but the account the fee was credited to. Resolves to a map of transaction id to its name, 'Bank'
+// when the fee went to the bank's books.
+async function findFeeCollectors(client, entries){
+    const feeEntries = entries.filter((entry) => entry.direction === 'debit' && isFeeEntry(entry));
+
+    if(feeEntries.length === 0){
+        return new Map();
+    }
+
+    let credits = await client.ledger_Entry.findMany({
+        where: {
+            transaction_id: {
+                in: feeEntries.map((entry) => entry.transaction_id)
+            },
+            direction: 'credit',
+            description: {
+                in: feeEntries.map((entry) => entry.description)
+            }
+        },
+        include: {
+            account: counterpartyInclude
+        }
+    })
+
+    return new Map(credits.map((credit) => [credit.transaction_id, credit.account?.user.name ?? 'Bank']));
+}
+
+function describeCounterparty(entry, feeCollectors){
+    const transaction = entry.transaction;
+
+    if(!transaction){ // entries posted outside a transaction, e.g. the opening balance of a new account
+        return 'Bank';
+    } else if(entry.direction === 'debit' && isFeeEntry(entry)){
+        return feeCollectors.get(entry.transaction_id) ?? 'Bank';
+    }
+
+    // money leaving the account went to the destination, money coming in came from the source
+    const counterpartyAccount = entry.direction === 'debit' ? transaction.destinationAccount : transaction.sourceAccount;
+
+    if(counterpartyAccount){
+        return counterpartyAccount.user.name;
+    } else if(transaction.type === 'deposit'){
+        return 'Cash deposit';
+    } else if(transaction.type === 'withdrawal'){
+        return 'Cash withdrawal';
+    }
+    return 'Closed account';
+}
+
+// `from` is inclusive and `to` is exclusive
+async function buildStatement(client, account, from, to){
+    let previousEntry = await client.ledger_Entry.findFirst({
+        where: {
+            account_id: account.id,
+            created_at: {
+                lt: from
+            }
+        },
+        orderBy: {
+            id: 'desc'
+        }
+    })
+
+    let entries = await client.ledger_Entry.findMany({
+        where: {
+            account_id: account.id,
+            created_at: {
+                gte: from,
+                lt: to
+            }
+        },
+        orderBy: {
+            id: 'asc'
+        },
+        include: {
+            transaction: {
+                include: {
+                    sourceAccount: counterpartyInclude,
+                    destinationAccount: counterpartyInclude
+                }
+            }
+        }
+    })
+
+    const feeCollectors = await findFeeCollectors(client, entries);
+    const openingBalance = previousEntry ? previousEntry.balance_after : new Prisma.Decimal(0);
+    const closingBalance = entries.length > 0 ? entries[entries.length - 1].balance_after : openingBalance;
+
+    return {
+        account: {
+            id: account.id,
+            bank_name: account.bank_name,
+            bank_account_number: account.bank_account_number,
+            holder_name: account.user.name
+        },
+        from: from,
+        to: to,
+        opening_balance: openingBalance,
+        closing_balance: closingBalance,
+        lines: entries.map((entry) => ({
+            date: entry.created_at,
+            transaction_id: entry.transaction_id,
+            description: entry.description,
+            counterparty: describeCounterparty(entry, feeCollectors),
+            amount: entry.direction === 'credit' ? entry.amount : entry.amount.negated(),
+            balance: entry.balance_after
+        }))
+    }
+}
+
+// quote a CSV field when needed, and keep spreadsheet apps from running text that looks like a formula
+function csvField(value, isText = false){
+    let field = value === null || value === undefined ? '' : String(value);
+
+    if(isText && /^[=+\-@\t\r]/.test(field)){
+        field = `'${field}`;
+    }
+    if(/[",\r\n]/.test(field)){
+        field = `"${field.replace(/"/g, '""')}"`;
+    }
+    return field;
+}
+
+function renderStatementCsv(statement){
+    const rows = [
+        ['Date', 'Transaction ID', 'Description', 'Counterparty', 'Amount', 'Balance'].join(','),
+        ['', '', 'Opening balance', '', '', statement.opening_balance.toFixed(2)].join(',')
+    ];
+
+    for(const line of statement.lines){
+        rows.push([
+            line.date.toISOString(),
+            csvField(line.transaction_id),
+            csvField(line.description, true),
+            csvField(line.counterparty, true),
+            line.amount.toFixed(2),
+            line.balance.toFixed(2)
+        ].join(','))
+    }
+
+    rows.push(['', '', 'Closing balance', '', '', statement.closing_balance.toFixed(2)].join(','));
+
+    return rows.join('\r\n') + '\r\n';
+}
+
+function renderStatementPdf(statement){
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 40 });
+        const chunks = [];
+
+        doc.on('data', (chunk) => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const periodEnd = new Date(statement.to.getTime() - 1); // `to` is exclusive
+
+        doc.fontSize(16).text('Account Statement');
+        doc.moveDown(0.5);
+        doc.fontSize(10)
+            .text(`${statement.account.holder_name}`)
+            .text(`${statement.account.bank_name} - ${statement.account.bank_account_number}`)
+            .text(`Period: ${statement.from.toISOString().slice(0, 10)} to ${periodEnd.toISOString().slice(0, 10)}`)
+            .text(`Opening balance: ${statement.opening_balance.toFixed(2)}`)
+            .text(`Closing balance: ${statement.closing_balance.toFixed(2)}`);
+        doc.moveDown();
+
+        const columns = [
+            { title: 'Date', x: 40, width: 70 },
+            { title: 'Description', x: 110, width: 170 },
+            { title: 'Counterparty', x: 280, width: 110 },
+            { title: 'Amount', x: 390, width: 80, align: 'right' },
+            { title: 'Balance', x: 470, width: 85, align: 'right' }
+        ];
+
+        const writeRow = (values, font) => {
+            if(doc.y > doc.page.height - 60){ // continue the table on a new page
+                doc.addPage();
+            }
+            const y = doc.y;
+            doc.font(font);
+            const heights = values.map((value, i) => {
+                doc.text(value, columns[i].x, y, { width: columns[i].width, align: columns[i].align });
+                return doc.y - y;
+            });
+            doc.y = y + Math.max(...heights) + 4;
+        };
+
+        writeRow(columns.map((column) => column.title), 'Helvetica-Bold');
+        for(const line of statement.lines){
+            writeRow([
+                line.date.toISOString().slice(0, 10),
+                line.description ?? '',
+                line.counterparty,
+                line.amount.toFixed(2),
+                line.balance.toFixed(2)
+            ], 'Helvetica');
+        }
+
+        if(statement.lines.length === 0){
+            doc.font('Helvetica').text('No transactions in this period.', 40);
+        }
+
+        doc.end();
+    })
+}
+
+export { buildStatement, csvField, renderStatementCsv, renderStatementPdf };
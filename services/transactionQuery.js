@@ -0,0 +1,109 @@
+// Filtering and cursor pagination shared by GET /api/v1/transactions and GET /api/v1/transactions/all.
+// A cursor is an opaque token holding the id of the first or last transaction of a page and the direction to
+// read in, so pages stay stable while new transactions are added.
+
+function encodeCursor(id, direction){
+    return Buffer.from(JSON.stringify({ id, direction })).toString('base64url');
+}
+
+function decodeCursor(cursor){
+    try {
+        const { id, direction } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        if(Number.isInteger(id) && ['next', 'prev'].includes(direction)){
+            return { id, direction };
+        }
+    } catch(err) {
+        // fall through, a malformed cursor is reported like an unknown one
+    }
+    return null;
+}
+
+// `query` is the validated query string, `accountIds` are the accounts direction=incoming/outgoing refer to
+function buildTransactionFilters(query, accountIds){
+    const filters = [];
+
+    if(query.direction === 'incoming'){
+        filters.push({ destination_account_id: { in: accountIds } });
+    } else if(query.direction === 'outgoing'){
+        filters.push({ source_account_id: { in: accountIds } });
+    } else if(query.account_id){
+        filters.push({ OR: [{ source_account_id: query.account_id }, { destination_account_id: query.account_id }] });
+    }
+
+    if(query.type){
+        filters.push({ type: query.type });
+    }
+    if(query.status){
+        filters.push({ status: query.status });
+    }
+    if(query.min_amount !== undefined){
+        filters.push({ amount: { gte: query.min_amount } });
+    }
+    if(query.max_amount !== undefined){
+        filters.push({ amount: { lte: query.max_amount } });
+    }
+    if(query.from){
+        filters.push({ created_at: { gte: new Date(query.from) } });
+    }
+    if(query.to){
+        // a plain date (2024-10-31) covers that whole day
+        const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(query.to);
+        const to = new Date(query.to);
+        if(isDateOnly){
+            to.setUTCDate(to.getUTCDate() + 1);
+        }
+        filters.push({ created_at: isDateOnly ? { lt: to } : { lte: to } });
+    }
+
+    return filters;
+}
+
+function buildOrderBy(sort){
+    const field = sort.replace(/^-/, '');
+    const order = sort.startsWith('-') ? 'desc' : 'asc';
+
+    // id breaks ties so the order (and therefore every cursor) is deterministic
+    return field === 'id' ? [{ id: order }] : [{ [field]: order }, { id: order }];
+}
+
+// resolves to { transactions, pagination } or to { error } when the cursor can't be read
+async function paginateTransactions(client, where, { sort, limit, cursor }){
+    let decodedCursor = null;
+    if(cursor){
+        decodedCursor = decodeCursor(cursor);
+        if(!decodedCursor){
+            return { error: { code: 400, message: `Invalid cursor` } }
+        }
+    }
+
+    const isBackwards = decodedCursor?.direction === 'prev';
+
+    let transactions = await client.transaction.findMany({
+        where: where,
+        orderBy: buildOrderBy(sort),
+        ...(decodedCursor && { cursor: { id: decodedCursor.id }, skip: 1 }),
+        take: isBackwards ? -(limit + 1) : limit + 1 // one extra row tells whether there is another page
+    })
+
+    const hasMore = transactions.length > limit;
+    if(hasMore){
+        transactions = isBackwards ? transactions.slice(1) : transactions.slice(0, limit);
+    }
+
+    const first = transactions[0];
+    const last = transactions[transactions.length - 1];
+
+    const hasNext = isBackwards ? Boolean(last) : hasMore;
+    const hasPrev = isBackwards ? hasMore : Boolean(decodedCursor && first);
+
+    return {
+        transactions,
+        pagination: {
+            limit: limit,
+            next_cursor: hasNext ? encodeCursor(last.id, 'next') : null,
+            prev_cursor: hasPrev ? encodeCursor(first.id, 'prev') : null
+        }
+    }
+}
+
+export { buildTransactionFilters, paginateTransactions };
@@ -0,0 +1,139 @@
+import { enqueueWebhookEvent } from './webhooks.js';
+import { queueTemplateEmail } from './email.js';
+
+// Allowed moves of the transaction status state machine. A transaction starts as pending, ends up either
+// completed or failed, and only a completed transaction can later be reversed.
+const allowedTransitions = {
+    pending: ['completed', 'failed'],
+    completed: ['reversed'],
+    failed: [],
+    reversed: []
+};
+
+function isTransitionAllowed(fromStatus, toStatus){
+    return allowedTransitions[fromStatus]?.includes(toStatus) ?? false;
+}
+
+// the reasons given by the fraud checks and reviews are internal (the rules that fired, the payer's usual
+// amounts, the reviewer's notes), webhooks only say that the transfer was stopped by them
+const internalFailureReasons = [
+    { pattern: /^Blocked by fraud checks/, publicReason: 'Blocked by fraud checks' },
+    { pattern: /^Confirmed as fraud/, publicReason: 'Rejected after a fraud review' }
+];
+
+function toWebhookTransaction(transaction){
+    const internalReason = internalFailureReasons.find(({ pattern }) => pattern.test(transaction.failure_reason ?? ''));
+
+    return internalReason ? { ...transaction, failure_reason: internalReason.publicReason } : transaction;
+}
+
+// tells the user who made a transfer that it was sent, on a joint account not necessarily the owner (transfers
+// from before initiated_by_user_id was recorded go to the owner). Queued with the status change, so every
+// transfer that completes gets it, whether it was made through the API, scheduled, bulk, a payment request,
+// approved or cleared by a fraud review, and only once the transfer is committed
+async function queueTransferEmail(tx, transaction){
+    let sourceAccount = await tx.bank_Account.findUnique({
+        where: {
+            id: transaction.source_account_id
+        }
+    })
+
+    let destinationAccount = await tx.bank_Account.findUnique({
+        where: {
+            id: transaction.destination_account_id
+        }
+    })
+
+    let user = await tx.user.findUnique({
+        where: {
+            id: transaction.initiated_by_user_id ?? sourceAccount.user_id
+        }
+    })
+
+    if(!user){ // the user has been deleted since
+        return null;
+    }
+
+    return queueTemplateEmail(tx, user, 'transfer_sent', {
+        transaction_id: transaction.id,
+        amount: transaction.amount,
+        fee: transaction.fee,
+        currency: transaction.currency ?? sourceAccount.currency,
+        destination_account_number: destinationAccount?.bank_account_number,
+        created_at: transaction.created_at
+    });
+}
+
+// every status change is published to the webhook subscribers in the same database transaction. A transfer
+// that hasn't moved money yet (created, possibly to be flagged, or failed) is only the payer's business, the
+// payee's side hears about it once it completes or is reversed.
+async function publishTransactionEvent(tx, event, transaction){
+    const isPayerOnly = (event === 'transaction.created' || event === 'transaction.failed') && transaction.source_account_id !== null;
+    const accountIds = isPayerOnly ? [transaction.source_account_id] : [transaction.source_account_id, transaction.destination_account_id];
+
+    return enqueueWebhookEvent(tx, event, toWebhookTransaction(transaction), accountIds);
+}
+
+// creates a transaction in the pending status and records the first step of its status history
+async function createPendingTransaction(tx, data){
+    let transaction = await tx.transaction.create({
+        data: {
+            ...data,
+            status: 'pending',
+            statusHistory: {
+                create: {
+                    to_status: 'pending'
+                }
+            }
+        }
+    })
+
+    await publishTransactionEvent(tx, 'transaction.created', transaction);
+
+    return transaction;
+}
+
+// moves a transaction to a new status and records the change, `reason` is stored as the failure reason
+// when the transaction fails
+async function updateTransactionStatus(tx, transaction, toStatus, reason = null){
+    if(!isTransitionAllowed(transaction.status, toStatus)){
+        const err = new Error(`Transaction with id ${transaction.id} can't move from ${transaction.status} to ${toStatus}`);
+        err.code = 'INVALID_STATUS_TRANSITION';
+        throw err;
+    }
+
+    let updatedTransaction = await tx.transaction.update({
+        where: {
+            id: transaction.id
+        },
+        data: {
+            status: toStatus,
+            failure_reason: toStatus === 'failed' ? reason : undefined,
+            statusHistory: {
+                create: {
+                    from_status: transaction.status,
+                    to_status: toStatus,
+                    reason: reason
+                }
+            }
+        }
+    })
+
+    await publishTransactionEvent(tx, `transaction.${toStatus}`, updatedTransaction);
+
+    if(toStatus === 'completed' && updatedTransaction.type === 'transfer'){
+        await queueTransferEmail(tx, updatedTransaction);
+    }
+
+    return updatedTransaction;
+}
+
+// keeps a record of a transfer that was rejected after its accounts were found, so the attempt shows up
+// in the history with the reason it failed
+async function recordFailedTransaction(tx, data, reason){
+    let transaction = await createPendingTransaction(tx, data);
+
+    return updateTransactionStatus(tx, transaction, 'failed', reason);
+}
+
+export { isTransitionAllowed, createPendingTransaction, updateTransactionStatus, recordFailedTransaction };
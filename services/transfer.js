@@ -0,0 +1,254 @@
+import { PrismaClient, Prisma } from '@prisma/client'
+const prisma = new PrismaClient();
+
+import { postLedgerEntries } from './ledger.js';
+import { findExchangeRate, convertAmount } from './fx.js';
+import { checkTransferLimits } from './transferLimits.js';
+import { calculateTransferFee, getFeeRevenueAccountId, feeEntryDescription } from './fees.js';
+import { requiresApproval } from './transferApproval.js';
+import { getAvailableBalance, holdTransferFunds, endTransferHold } from './holds.js';
+import { evaluateFraudRules } from './fraudRules.js';
+import { createPendingTransaction, updateTransactionStatus, recordFailedTransaction } from './transactionStatus.js';
+import { checkSourceAccountAccess } from './accountHolders.js';
+import { findCoolingOffError } from './beneficiary.js';
+
+// Moves money from one account to another on behalf of `userId`. This is the single place where a transfer
+// is checked and executed, POST /api/v1/transactions and every background job that moves money go through it.
+// Resolves to { transaction, sourceAccount, destinationAccount, fee } on success, to { transaction, approval, fee }
+// when the transfer has to wait for an admin's approval, to { transaction, review, fee } when the fraud checks
+// flagged it for review, or to { error: { code, message } } (plus the failed transaction when the attempt was
+// recorded) when one of the checks rejects it. `channel` tells the fraud checks where the transfer comes from
+// (api, scheduled or bulk).
+async function executeTransfer(userId, { source_account_id, destination_account_id, amount }, { channel = 'api' } = {}){
+    if(source_account_id === destination_account_id){ // if the entered source_account_id and destination_account_id have the same id
+        return { error: { code: 409, message: `Cannot do transaction between same account` } }
+    }
+
+    // the whole transfer runs inside one database transaction, so a failure at any step rolls back every write
+    return prisma.$transaction(async (tx) => {
+        // lock the user first, so their concurrent transfers are counted against the limits one at a time
+        await tx.$queryRaw`SELECT id FROM users WHERE id = ${userId} FOR UPDATE`
+
+        // lock both bank_account rows (always in id order to avoid deadlocks) so concurrent transfers
+        // touching the same account wait for each other instead of reading a stale balance
+        let lockedAccounts = await tx.$queryRaw`
+            SELECT id, user_id, bank_name, balance, overdraft_limit, currency, created_at FROM bank_accounts
+            WHERE id IN (${source_account_id}, ${destination_account_id})
+            ORDER BY id
+            FOR UPDATE
+        `
+
+        let getSourceAccInfo = lockedAccounts.find((account) => account.id === source_account_id)
+        let getDestAccInfo = lockedAccounts.find((account) => account.id === destination_account_id)
+
+        if(!getSourceAccInfo || !getDestAccInfo){ // if getSourceAccInfo or getDestAccInfo can't find matching data of bank_account's id
+            return { error: { code: 409, message: `Invalid account id` } }
+        }
+
+        // the owner and the co-owners of a joint account can transfer from it, its viewers can't
+        let accessError = await checkSourceAccountAccess(tx, source_account_id, userId);
+
+        if(accessError){ // if the user don't have the entered source account or can only view it
+            return { error: accessError }
+        }
+
+        let coolingOffError = await findCoolingOffError(tx, userId, destination_account_id, amount);
+
+        if(coolingOffError){ // if the destination is one of the user's beneficiaries, too new to receive this much
+            return { error: coolingOffError }
+        }
+
+        const transactionData = {
+            initiated_by_user_id: userId, // with joint accounts, not necessarily the account's owner
+            source_account_id: source_account_id,
+            destination_account_id: destination_account_id,
+            amount: amount,
+            currency: getSourceAccInfo.currency
+        };
+
+        // amount is always in the source account's currency, the destination is credited in its own currency
+        if(getSourceAccInfo.currency !== getDestAccInfo.currency){
+            let exchangeRate = await findExchangeRate(tx, getSourceAccInfo.currency, getDestAccInfo.currency);
+
+            if(!exchangeRate){ // if admins haven't set a rate for this pair of currencies yet
+                return { error: { code: 409, message: `No exchange rate from ${getSourceAccInfo.currency} to ${getDestAccInfo.currency}` } }
+            }
+
+            const destinationAmount = convertAmount(amount, exchangeRate.rate, exchangeRate.spread_percent);
+
+            if(destinationAmount.lessThanOrEqualTo(0)){ // if the amount is too small to convert
+                return { error: { code: 409, message: `Amount is too small to convert to ${getDestAccInfo.currency}` } }
+            }
+
+            transactionData.destination_amount = destinationAmount;
+            transactionData.destination_currency = getDestAccInfo.currency;
+            transactionData.exchange_rate = exchangeRate.rate;
+            transactionData.fx_spread_percent = exchangeRate.spread_percent;
+        }
+
+        let limitError = await checkTransferLimits(tx, userId, amount, getSourceAccInfo.currency);
+
+        if(limitError){ // if the transfer goes over one of the limits of the user's tier
+            let failedTransaction = await recordFailedTransaction(tx, transactionData, limitError.message);
+            return { error: limitError, transaction: failedTransaction }
+        }
+
+        let { fee, rules } = await calculateTransferFee(tx, {
+            userId: userId,
+            amount: amount,
+            currency: getSourceAccInfo.currency,
+            isInterBank: getSourceAccInfo.bank_name !== getDestAccInfo.bank_name
+        });
+        const totalDebited = fee.plus(amount);
+        const availableBalance = await getAvailableBalance(tx, getSourceAccInfo);
+
+        if(totalDebited.greaterThan(availableBalance)){
+            // if entered amount plus the fee is greater than the source account's balance minus its active holds,
+            // no money has moved, but the attempt is kept as a failed transaction
+            const message = fee.isZero() ? 'Insufficient balance' : `Insufficient balance for the amount plus a transfer fee of ${fee}`;
+            let failedTransaction = await recordFailedTransaction(tx, transactionData, message);
+            return { error: { code: 409, message: message }, transaction: failedTransaction }
+        }
+
+        transactionData.fee = fee;
+
+        let fraudCheck = await evaluateFraudRules(tx, {
+            userId: userId,
+            sourceAccount: getSourceAccInfo,
+            destinationAccount: getDestAccInfo,
+            amount: new Prisma.Decimal(amount),
+            totalDebited: totalDebited,
+            availableBalance: availableBalance,
+            channel: channel,
+            now: new Date()
+        });
+
+        if(fraudCheck.verdict === 'block'){ // no money has moved, the attempt is kept with the reasons it was blocked
+            const reasons = fraudCheck.results.filter((result) => result.verdict === 'block').map((result) => result.reason);
+            let failedTransaction = await recordFailedTransaction(tx, transactionData, `Blocked by fraud checks: ${reasons.join('; ')}`);
+            return { error: { code: 409, message: 'Transfer blocked by fraud checks' }, transaction: failedTransaction }
+        }
+
+        let transaction = await createPendingTransaction(tx, transactionData) // create transaction data
+
+        const feeDetails = {
+            amount_before_fee: new Prisma.Decimal(amount),
+            fee: fee,
+            amount_after_fee: totalDebited,
+            rules: rules
+        };
+
+        if(fraudCheck.verdict === 'flag'){ // suspicious transfers stay pending, with their funds on hold, until an admin reviews them
+            let review = await tx.fraud_Review.create({
+                data: {
+                    transaction_id: transaction.id,
+                    user_id: userId,
+                    rules: fraudCheck.results
+                }
+            })
+            await holdTransferFunds(tx, transaction, totalDebited, `Transfer ${transaction.id} waiting for a fraud review`);
+
+            return { transaction, review, fee: feeDetails }
+        }
+
+        if(requiresApproval(amount)){ // high-value transfers stay pending, with their funds on hold, until another admin approves them
+            let approval = await tx.transfer_Approval.create({
+                data: {
+                    transaction_id: transaction.id,
+                    maker_id: userId
+                }
+            })
+            await holdTransferFunds(tx, transaction, totalDebited);
+
+            return { transaction, approval, fee: feeDetails }
+        }
+
+        let settled = await settleTransfer(tx, transaction);
+
+        return { ...settled, fee: feeDetails }
+    })
+}
+
+// Posts the ledger entries of a pending transfer, the transfer itself and then its fee, and completes it. The caller
+// must have locked both accounts and checked the balance. Resolves to { transaction, sourceAccount, destinationAccount }.
+async function settleTransfer(tx, transaction){
+    const description = `Transfer from account ${transaction.source_account_id} to account ${transaction.destination_account_id}`;
+    let sourceAccount, destinationAccount;
+
+    if(transaction.exchange_rate){
+        // each side is posted in its own currency against the bank's books, so both pairs stay balanced
+        ({ debitAccount: sourceAccount } = await postLedgerEntries(tx, {
+            transactionId: transaction.id,
+            debitAccountId: transaction.source_account_id,
+            amount: transaction.amount,
+            description: description
+        }));
+        ({ creditAccount: destinationAccount } = await postLedgerEntries(tx, {
+            transactionId: transaction.id,
+            creditAccountId: transaction.destination_account_id,
+            amount: transaction.destination_amount,
+            description: description
+        }));
+    } else {
+        // post the debit on the source account and the credit on the destination account, this also updates both balances
+        ({ debitAccount: sourceAccount, creditAccount: destinationAccount } = await postLedgerEntries(tx, {
+            transactionId: transaction.id,
+            debitAccountId: transaction.source_account_id,
+            creditAccountId: transaction.destination_account_id,
+            amount: transaction.amount,
+            description: description
+        }));
+    }
+
+    if(new Prisma.Decimal(transaction.fee).greaterThan(0)){ // the fee is a separate pair of entries, so the ledger shows it apart from the transfer
+        ({ debitAccount: sourceAccount } = await postLedgerEntries(tx, {
+            transactionId: transaction.id,
+            debitAccountId: transaction.source_account_id,
+            creditAccountId: await getFeeRevenueAccountId(tx, transaction.currency),
+            amount: transaction.fee,
+            description: feeEntryDescription(transaction.id)
+        }));
+    }
+
+    transaction = await updateTransactionStatus(tx, transaction, 'completed');
+
+    return { transaction, sourceAccount, destinationAccount }
+}
+
+// Settles a pending transfer whose funds are on hold (waiting for approval or a fraud review) and captures its hold.
+// Resolves to the settled transfer like settleTransfer, or to { error: { code, message } } when it can't be settled
+// right now, in which case it stays pending.
+async function settleHeldTransfer(tx, transaction){
+    if(!transaction.source_account_id || !transaction.destination_account_id){ // one of the accounts has been deleted since
+        return { error: { code: 409, message: `An account involved in transaction ${transaction.id} no longer exists` } }
+    }
+
+    let lockedAccounts = await tx.$queryRaw`
+        SELECT id, balance, overdraft_limit FROM bank_accounts
+        WHERE id IN (${transaction.source_account_id}, ${transaction.destination_account_id})
+        ORDER BY id
+        FOR UPDATE
+    `
+
+    let sourceAccount = lockedAccounts.find((account) => account.id === transaction.source_account_id);
+    const totalDebited = new Prisma.Decimal(transaction.amount).plus(transaction.fee);
+
+    // the transfer's own hold is still active, so add it back to see what the transfer can use
+    let transferHold = await tx.account_Hold.findUnique({
+        where: {
+            transaction_id: transaction.id
+        }
+    })
+    const heldForTransfer = transferHold?.status === 'active' ? transferHold.amount : 0;
+    const availableBalance = (await getAvailableBalance(tx, sourceAccount)).plus(heldForTransfer);
+
+    if(totalDebited.greaterThan(availableBalance)){
+        // the balance can still drop while waiting (e.g. a reversal), the transfer stays pending so it can be rejected
+        return { error: { code: 409, message: `Insufficient balance in account ${sourceAccount.id} to settle this transfer` } }
+    }
+
+    await endTransferHold(tx, transaction.id, 'captured');
+    return settleTransfer(tx, transaction);
+}
+
+export { executeTransfer, settleTransfer, settleHeldTransfer };
@@ -0,0 +1,20 @@
+import { Prisma } from '@prisma/client'
+
+// Maker-checker: a transfer above the approval threshold (TRANSFER_APPROVAL_THRESHOLD, in the source account's
+// currency) isn't settled straight away. It is kept as a pending transaction with a pending approval, and its
+// amount and fee stay on hold in the source account (see holds.js) until an admin other than the maker approves
+// or rejects it.
+
+const defaultApprovalThreshold = 100000000;
+
+function getApprovalThreshold(){
+    const threshold = Number(process.env.TRANSFER_APPROVAL_THRESHOLD);
+
+    return Number.isFinite(threshold) && threshold > 0 ? new Prisma.Decimal(threshold) : new Prisma.Decimal(defaultApprovalThreshold);
+}
+
+function requiresApproval(amount){
+    return new Prisma.Decimal(amount).greaterThan(getApprovalThreshold());
+}
+
+export { getApprovalThreshold, requiresApproval };
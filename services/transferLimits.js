@@ -0,0 +1,152 @@
+import { Prisma } from '@prisma/client'
+
+import { findExchangeRate, convertAmount } from './fx.js';
+
+// Transfer limits depend on the customer's tier (Profile.identity_type). A null limit means unlimited, and a
+// user without a profile (e.g. an admin) has no limits. Days and months follow the server's time zone.
+// Amount limits are in the tier's currency, transfers from accounts in other currencies are converted at the
+// rate in effect (without the bank's spread) before they are compared or added up.
+
+function startOfDay(now){
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+}
+
+function startOfMonth(now){
+    return new Date(now.getFullYear(), now.getMonth(), 1);
+}
+
+// transfers the user made since `since` that count towards the limits, failed attempts don't. They are
+// counted by who made them rather than whose account they left, so a co-owner's transfers from a joint
+// account use up the co-owner's limits and not the owner's.
+function outgoingTransfersSince(userId, since){
+    return {
+        type: 'transfer',
+        status: {
+            not: 'failed'
+        },
+        created_at: {
+            gte: since
+        },
+        initiated_by_user_id: userId
+    };
+}
+
+// `amount` in the tier's currency, or null when no exchange rate is set for the pair. Transactions from before
+// currencies were recorded have none, every account was in IDR then.
+async function toLimitCurrency(tx, amount, currency, limitCurrency, now){
+    currency = currency ?? 'IDR';
+
+    if(currency === limitCurrency){
+        return new Prisma.Decimal(amount);
+    }
+
+    let exchangeRate = await findExchangeRate(tx, currency, limitCurrency, now);
+
+    return exchangeRate ? convertAmount(amount, exchangeRate.rate) : null;
+}
+
+function missingRateError(currency, limitCurrency){
+    return { code: 409, message: `No exchange rate from ${currency ?? 'IDR'} to ${limitCurrency} to check the transfer limits` };
+}
+
+// Resolves to null when the transfer is allowed, or to a 409 error describing the exceeded limit and what is
+// left of it. Must run inside the transfer's database transaction after the user's row has been locked, so
+// concurrent transfers of the same user can't both slip under a limit.
+async function checkTransferLimits(tx, userId, amount, currency, now = new Date()){
+    let profile = await tx.profile.findUnique({
+        where: {
+            user_id: userId
+        }
+    })
+
+    if(!profile){
+        return null;
+    }
+
+    let limits = await tx.transfer_Limit.findUnique({
+        where: {
+            identity_type: profile.identity_type
+        }
+    })
+
+    if(!limits){
+        return null;
+    }
+
+    amount = await toLimitCurrency(tx, amount, currency, limits.currency, now);
+
+    if(amount === null){
+        return missingRateError(currency, limits.currency);
+    }
+
+    if(limits.max_single_amount !== null && amount.greaterThan(limits.max_single_amount)){
+        return {
+            code: 409,
+            message: `Transfer amount exceeds the ${profile.identity_type} single transfer limit of ${limits.max_single_amount} ${limits.currency}`,
+            limit: {
+                type: 'max_single_amount',
+                currency: limits.currency,
+                limit: limits.max_single_amount,
+                remaining: limits.max_single_amount
+            }
+        }
+    }
+
+    if(limits.daily_total_amount !== null){
+        let today = await tx.transaction.groupBy({
+            by: ['currency'],
+            where: outgoingTransfersSince(userId, startOfDay(now)),
+            _sum: {
+                amount: true
+            }
+        })
+
+        let used = new Prisma.Decimal(0);
+        for(const sum of today){
+            const converted = await toLimitCurrency(tx, sum._sum.amount ?? 0, sum.currency, limits.currency, now);
+
+            if(converted === null){
+                return missingRateError(sum.currency, limits.currency);
+            }
+            used = used.plus(converted);
+        }
+        const remaining = Prisma.Decimal.max(new Prisma.Decimal(limits.daily_total_amount).minus(used), 0);
+
+        if(amount.greaterThan(remaining)){
+            return {
+                code: 409,
+                message: `Transfer amount exceeds the ${profile.identity_type} daily transfer limit, ${remaining} ${limits.currency} left for today`,
+                limit: {
+                    type: 'daily_total_amount',
+                    currency: limits.currency,
+                    limit: limits.daily_total_amount,
+                    used: used,
+                    remaining: remaining
+                }
+            }
+        }
+    }
+
+    if(limits.monthly_count !== null){
+        let used = await tx.transaction.count({
+            where: outgoingTransfersSince(userId, startOfMonth(now))
+        })
+
+        if(used >= limits.monthly_count){
+            return {
+                code: 409,
+                message: `The ${profile.identity_type} limit of ${limits.monthly_count} transfers per month has been reached`,
+                limit: {
+                    type: 'monthly_count',
+                    limit: limits.monthly_count,
+                    used: used,
+                    remaining: 0
+                }
+            }
+        }
+    }
+
+    return null;
+}
+
+export { checkTransferLimits };
@@ -0,0 +1,66 @@
+import crypto from 'crypto';
+
+// A device is recognised by the X-Device-Id header when the client sends one (the mobile app keeps a random id
+// per install), otherwise by its User-Agent. Only a hash is stored as the fingerprint.
+function getDeviceFingerprint({ deviceId, userAgent }){
+    const source = deviceId ? `id:${deviceId}` : `ua:${userAgent ?? ''}`;
+
+    return crypto.createHash('sha256').update(source).digest('hex');
+}
+
+// Records a login from `device`. Resolves to { device, isNew, isFirstDevice }, where isFirstDevice is true for
+// the user's very first login, which isn't worth an alert.
+async function recordUserDevice(client, userId, { deviceId, userAgent, ipAddress }, now = new Date()){
+    const fingerprint = getDeviceFingerprint({ deviceId, userAgent });
+
+    let knownDevice = await client.user_Device.findUnique({
+        where: {
+            user_id_fingerprint: {
+                user_id: userId,
+                fingerprint: fingerprint
+            }
+        }
+    })
+
+    if(knownDevice){
+        let device = await client.user_Device.update({
+            where: {
+                id: knownDevice.id
+            },
+            data: {
+                ip_address: ipAddress,
+                last_seen_at: now
+            }
+        })
+
+        return { device, isNew: false, isFirstDevice: false };
+    }
+
+    const deviceCount = await client.user_Device.count({
+        where: {
+            user_id: userId
+        }
+    })
+
+    try {
+        let device = await client.user_Device.create({
+            data: {
+                user_id: userId,
+                fingerprint: fingerprint,
+                user_agent: userAgent,
+                ip_address: ipAddress,
+                created_at: now,
+                last_seen_at: now
+            }
+        })
+
+        return { device, isNew: true, isFirstDevice: deviceCount === 0 };
+    } catch(err) {
+        if(err.code === 'P2002'){ // two logins from the same new device at once, the other one alerts
+            return { device: null, isNew: false, isFirstDevice: false };
+        }
+        throw err;
+    }
+}
+
+export { getDeviceFingerprint, recordUserDevice };
@@ -0,0 +1,193 @@
+import { PrismaClient } from '@prisma/client'
+const prisma = new PrismaClient();
+
+import http from 'http';
+import https from 'https';
+
+import { buildSignatureHeader, getRetryDelay, getWebhookMaxAttempts } from './webhooks.js';
+import { checkWebhookUrl, publicLookup } from './webhookUrls.js';
+
+const requestTimeout = 10 * 1000;
+const responseBodyLength = 1000;
+
+// POSTs the body and resolves to the status code and the start of the answer. Redirects aren't followed and
+// the connection is only made to a public address, see webhookUrls.js.
+function postWebhook(url, headers, body){
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+
+        const request = (target.protocol === 'https:' ? https : http).request(target, {
+            method: 'POST',
+            headers: {
+                ...headers,
+                'Content-Length': Buffer.byteLength(body)
+            },
+            lookup: publicLookup
+        }, (response) => {
+            let responseBody = '';
+
+            response.setEncoding('utf8');
+            response.on('data', (chunk) => {
+                if(responseBody.length < responseBodyLength){
+                    responseBody += chunk;
+                }
+            })
+            response.on('end', () => {
+                clearTimeout(timer);
+                resolve({ statusCode: response.statusCode, body: responseBody.slice(0, responseBodyLength) });
+            })
+            response.on('error', reject);
+        })
+
+        const timer = setTimeout(() => request.destroy(new Error(`No answer within ${requestTimeout / 1000} seconds`)), requestTimeout);
+
+        request.on('error', (err) => {
+            clearTimeout(timer);
+            reject(err);
+        })
+        request.end(body);
+    })
+}
+
+// Sends one queued delivery and records the attempt in the delivery log. A 2xx answer marks it delivered,
+// anything else schedules a retry with exponential backoff until the attempts run out and it is marked
+// failed. The next attempt is pushed forward before sending, so a second runner skips a delivery in flight.
+// The clock is read here rather than passed in, a delivery late in a slow batch must still be signed with the
+// time it is actually sent or receivers enforcing the signature tolerance would reject it.
+async function sendWebhookDelivery(delivery){
+    const now = new Date();
+
+    let claimed = await prisma.webhook_Delivery.updateMany({
+        where: {
+            id: delivery.id,
+            status: 'pending',
+            next_attempt_at: delivery.next_attempt_at
+        },
+        data: {
+            next_attempt_at: new Date(now.getTime() + requestTimeout * 2)
+        }
+    })
+
+    if(claimed.count === 0){ // already picked by another runner or redelivered in the meantime
+        return null;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const startedAt = Date.now();
+
+    let statusCode = null;
+    let responseBody = null;
+    let error = null;
+
+    try {
+        // checked again on every attempt, the address an IP literal or a host points to may have changed
+        const urlError = await checkWebhookUrl(delivery.subscription.url);
+
+        if(urlError){
+            throw new Error(urlError);
+        }
+
+        const response = await postWebhook(delivery.subscription.url, {
+            'Content-Type': 'application/json',
+            'User-Agent': 'banking-system-webhooks',
+            'X-Webhook-Id': delivery.event_id,
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Signature': buildSignatureHeader(delivery.subscription.secret, body, now)
+        }, body)
+
+        statusCode = response.statusCode;
+        responseBody = response.body;
+
+        if(statusCode < 200 || statusCode >= 300){ // a redirect counts as a failure, it isn't followed
+            error = `Endpoint responded with status ${statusCode}`;
+        }
+    } catch(err) { // blocked address, network error or timeout
+        error = err.message;
+    }
+
+    const attemptCount = delivery.attempt_count + 1;
+    const isDelivered = error === null;
+
+    let status = 'pending';
+    if(isDelivered){
+        status = 'delivered';
+    } else if(attemptCount >= getWebhookMaxAttempts()){
+        status = 'failed';
+    }
+
+    return prisma.webhook_Delivery.update({
+        where: {
+            id: delivery.id
+        },
+        data: {
+            status: status,
+            attempt_count: attemptCount,
+            next_attempt_at: new Date(Date.now() + getRetryDelay(attemptCount)),
+            last_status_code: statusCode,
+            last_error: error,
+            delivered_at: isDelivered ? new Date() : undefined,
+            attempts: {
+                create: {
+                    status_code: statusCode,
+                    error: error,
+                    response_body: responseBody,
+                    duration_ms: Date.now() - startedAt
+                }
+            }
+        }
+    })
+}
+
+async function sendDueWebhookDeliveries(now = new Date()){
+    let dueDeliveries = await prisma.webhook_Delivery.findMany({
+        where: {
+            status: 'pending',
+            next_attempt_at: {
+                lte: now
+            },
+            subscription: { // deliveries of a disabled subscription wait until it is enabled again
+                is_active: true
+            }
+        },
+        include: {
+            subscription: true
+        },
+        orderBy: {
+            id: 'asc'
+        },
+        take: 100
+    })
+
+    let deliveries = [];
+    for(const delivery of dueDeliveries){ // in order, so a receiver mostly sees events as they happened
+        deliveries.push(await sendWebhookDelivery(delivery));
+    }
+
+    return deliveries.filter((delivery) => delivery !== null);
+}
+
+// checks for queued webhook deliveries every `intervalMs` inside the API process
+function startWebhookDeliveryRunner(intervalMs = 15 * 1000){
+    let isRunning = false;
+
+    const timer = setInterval(async () => {
+        if(isRunning){ // the previous check is still going
+            return;
+        }
+
+        isRunning = true;
+        try {
+            await sendDueWebhookDeliveries();
+        } catch(err) {
+            console.error(err.stack)
+        } finally {
+            isRunning = false;
+        }
+    }, intervalMs)
+
+    timer.unref(); // don't keep the process alive just for the runner
+
+    return timer;
+}
+
+export { sendWebhookDelivery, sendDueWebhookDeliveries, startWebhookDeliveryRunner };
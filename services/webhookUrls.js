@@ -0,0 +1,88 @@
+import dns from 'dns';
+import net from 'net';
+
+// Webhook URLs are chosen by customers, so the API must not be usable to reach its own network: loopback,
+// private, link-local (cloud metadata lives at 169.254.169.254), shared and reserved addresses are refused,
+// both when a webhook is saved and when it is sent to, since what a host resolves to can change in between.
+
+const blockedRanges = [
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'],
+    ['192.0.2.0', 24, 'ipv4'],
+    ['192.88.99.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],
+    ['198.51.100.0', 24, 'ipv4'],
+    ['203.0.113.0', 24, 'ipv4'],
+    ['224.0.0.0', 4, 'ipv4'], // multicast
+    ['240.0.0.0', 4, 'ipv4'], // reserved, broadcast included
+    ['::', 128, 'ipv6'],
+    ['::1', 128, 'ipv6'],
+    ['64:ff9b::', 96, 'ipv6'], // NAT64, can reach any IPv4 address
+    ['100::', 64, 'ipv6'],
+    ['2001::', 23, 'ipv6'],
+    ['2001:db8::', 32, 'ipv6'],
+    ['2002::', 16, 'ipv6'], // 6to4, can embed a private IPv4 address
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'],
+    ['ff00::', 8, 'ipv6']
+];
+
+const blockList = new net.BlockList();
+for(const [address, prefix, type] of blockedRanges){
+    blockList.addSubnet(address, prefix, type);
+}
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges
+function isPublicAddress(address){
+    const version = net.isIP(address);
+
+    return version !== 0 && !blockList.check(address, version === 6 ? 'ipv6' : 'ipv4');
+}
+
+function findBlockedAddress(addresses){
+    return addresses.find(({ address }) => !isPublicAddress(address));
+}
+
+// resolves to the reason the URL can't be used for a webhook, or to null
+async function checkWebhookUrl(url, lookup = dns.promises.lookup){
+    const host = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1'); // IPv6 literals are written in brackets
+
+    let addresses;
+    try {
+        addresses = await lookup(host, { all: true });
+    } catch(err) {
+        return `The host ${host} can't be resolved`;
+    }
+
+    const blocked = findBlockedAddress(addresses);
+
+    return blocked ? `Webhook URLs must point to a public address, ${host} resolves to ${blocked.address}` : null;
+}
+
+// a dns.lookup for http.request that refuses to connect to anything but public addresses, so a host that
+// resolves to an internal address at send time is never connected to
+function publicLookup(hostname, options, callback){
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if(err){
+            return callback(err);
+        }
+
+        const blocked = findBlockedAddress(addresses);
+
+        if(blocked){
+            return callback(new Error(`${hostname} resolves to ${blocked.address}, which is not a public address`));
+        } else if(options.all){
+            return callback(null, addresses);
+        }
+
+        return callback(null, addresses[0].address, addresses[0].family);
+    })
+}
+
+export { isPublicAddress, checkWebhookUrl, publicLookup };
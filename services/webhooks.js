@@ -0,0 +1,142 @@
+import crypto from 'crypto';
+
+import { findAccountHolderIds } from './accountHolders.js';
+
+// Webhook subscriptions let partner systems hear about account and transaction events instead of polling.
+// Events are written to an outbox (webhook_deliveries) in the same database transaction as the change they
+// describe, one row per matching subscription, and the delivery runner POSTs them afterwards. A customer's
+// subscription gets the events of their own accounts, an admin's subscription gets every event.
+//
+// Each request body is signed with the subscription's secret. The X-Webhook-Signature header holds
+// `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`, receivers should recompute it and reject old
+// timestamps so a captured request can't be replayed later.
+
+const webhookEvents = [
+    'account.created',
+    'transaction.created',
+    'transaction.completed',
+    'transaction.failed',
+    'transaction.reversed'
+];
+
+const defaultMaxAttempts = 10;
+const retryBaseDelay = 30 * 1000;
+const maxRetryDelay = 6 * 60 * 60 * 1000;
+const defaultSignatureTolerance = 5 * 60;
+
+function generateWebhookSecret(){
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// how many times a delivery is tried before it is given up as failed, WEBHOOK_MAX_ATTEMPTS
+function getWebhookMaxAttempts(){
+    const attempts = Number(process.env.WEBHOOK_MAX_ATTEMPTS);
+
+    return Number.isInteger(attempts) && attempts > 0 ? attempts : defaultMaxAttempts;
+}
+
+// exponential backoff, 30s after the first failed attempt and doubling up to 6 hours
+function getRetryDelay(attemptCount){
+    return Math.min(retryBaseDelay * 2 ** Math.max(attemptCount - 1, 0), maxRetryDelay);
+}
+
+function signWebhookPayload(secret, timestamp, body){
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function buildSignatureHeader(secret, body, now = new Date()){
+    const timestamp = Math.floor(now.getTime() / 1000);
+
+    return `t=${timestamp},v1=${signWebhookPayload(secret, timestamp, body)}`;
+}
+
+// what a receiver does with the X-Webhook-Signature header, resolves to true when the body was signed with
+// `secret` less than `toleranceSeconds` ago
+function verifyWebhookSignature(secret, header, body, { toleranceSeconds = defaultSignatureTolerance, now = new Date() } = {}){
+    const parts = Object.fromEntries(String(header ?? '').split(',').map((part) => part.split('=')));
+    const timestamp = Number(parts.t);
+
+    if(!Number.isInteger(timestamp) || !parts.v1 || Math.abs(now.getTime() / 1000 - timestamp) > toleranceSeconds){
+        return false;
+    }
+
+    const expected = Buffer.from(signWebhookPayload(secret, timestamp, body));
+    const received = Buffer.from(parts.v1);
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Decimals and dates are turned into the strings they are sent as
+function toWebhookData(data){
+    return JSON.parse(JSON.stringify(data));
+}
+
+// Queues `event` for every active subscription interested in it, `accountIds` are the accounts the event is
+// about and decide which customers hear about it. Call it with the transaction client of the change itself,
+// so the event is only sent when the change is committed.
+async function enqueueWebhookEvent(client, event, data, accountIds, now = new Date()){
+    const ids = accountIds.filter((id) => id !== null && id !== undefined);
+
+    // every holder of a joint account hears about it, viewers included
+    let holderIds = ids.length > 0 ? await findAccountHolderIds(client, ids) : [];
+
+    let subscriptions = await client.webhook_Subscription.findMany({
+        where: {
+            is_active: true,
+            events: {
+                has: event
+            },
+            OR: [
+                {
+                    user_id: {
+                        in: holderIds
+                    }
+                },
+                {
+                    user: {
+                        role: 'admin'
+                    }
+                }
+            ]
+        },
+        select: {
+            id: true
+        }
+    })
+
+    if(subscriptions.length === 0){
+        return 0;
+    }
+
+    const eventId = crypto.randomUUID();
+    const payload = {
+        id: eventId,
+        type: event,
+        created_at: now.toISOString(),
+        data: toWebhookData(data)
+    };
+
+    let result = await client.webhook_Delivery.createMany({
+        data: subscriptions.map((subscription) => ({
+            subscription_id: subscription.id,
+            event_id: eventId,
+            event: event,
+            payload: payload,
+            next_attempt_at: now
+        }))
+    })
+
+    return result.count;
+}
+
+export {
+    webhookEvents,
+    generateWebhookSecret,
+    getWebhookMaxAttempts,
+    getRetryDelay,
+    signWebhookPayload,
+    buildSignatureHeader,
+    verifyWebhookSignature,
+    toWebhookData,
+    enqueueWebhookEvent
+};
@@ -0,0 +1,67 @@
+import { jest } from '@jest/globals';
+import { canViewAccount, canTransactFromAccount, canManageHolders, getAccountRole, checkSourceAccountAccess, heldAccountsFilter, findAccountHolderIds } from '../services/accountHolders.js';
+
+const mockClient = {
+  account_Holder: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+  },
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('holder roles', () => {
+  it('should let every holder see the account but only the owner and co-owners transfer from it', () => {
+    expect(['owner', 'co_owner', 'viewer'].map(canViewAccount)).toEqual([true, true, true]);
+    expect(['owner', 'co_owner', 'viewer'].map(canTransactFromAccount)).toEqual([true, true, false]);
+    expect(['owner', 'co_owner', 'viewer'].map(canManageHolders)).toEqual([true, false, false]);
+    expect(canViewAccount(null)).toBe(false);
+  });
+});
+
+describe('getAccountRole', () => {
+  it('should return the role of an active holder', async () => {
+    mockClient.account_Holder.findUnique.mockResolvedValueOnce({ role: 'co_owner', status: 'active' });
+
+    expect(await getAccountRole(mockClient, 1, 2)).toBe('co_owner');
+    expect(mockClient.account_Holder.findUnique.mock.calls[0][0].where).toEqual({ account_id_user_id: { account_id: 1, user_id: 2 } });
+  });
+
+  it('should not count a pending invitation', async () => {
+    mockClient.account_Holder.findUnique.mockResolvedValueOnce({ role: 'co_owner', status: 'invited' });
+    expect(await getAccountRole(mockClient, 1, 2)).toBeNull();
+
+    mockClient.account_Holder.findUnique.mockResolvedValueOnce(null);
+    expect(await getAccountRole(mockClient, 1, 3)).toBeNull();
+  });
+});
+
+describe('checkSourceAccountAccess', () => {
+  it('should only let the owner and co-owners move money out of the account', async () => {
+    mockClient.account_Holder.findUnique.mockResolvedValueOnce({ role: 'co_owner', status: 'active' });
+    expect(await checkSourceAccountAccess(mockClient, 1, 2)).toBeNull();
+
+    mockClient.account_Holder.findUnique.mockResolvedValueOnce({ role: 'viewer', status: 'active' });
+    expect(await checkSourceAccountAccess(mockClient, 1, 3)).toEqual({ code: 403, message: `Viewers of this account can't transfer from it` });
+
+    mockClient.account_Holder.findUnique.mockResolvedValueOnce(null);
+    expect(await checkSourceAccountAccess(mockClient, 1, 4)).toEqual({ code: 403, message: `The source account doesn't belong to this user` });
+  });
+});
+
+describe('heldAccountsFilter', () => {
+  it('should match the accounts the user actively holds', () => {
+    expect(heldAccountsFilter(2)).toEqual({ holders: { some: { user_id: 2, status: 'active' } } });
+  });
+});
+
+describe('findAccountHolderIds', () => {
+  it('should return each active holder once', async () => {
+    mockClient.account_Holder.findMany.mockResolvedValueOnce([{ user_id: 1 }, { user_id: 2 }, { user_id: 1 }]);
+
+    expect(await findAccountHolderIds(mockClient, [10, 11])).toEqual([1, 2]);
+    expect(mockClient.account_Holder.findMany.mock.calls[0][0].where).toEqual({ account_id: { in: [10, 11] }, status: 'active' });
+  });
+});
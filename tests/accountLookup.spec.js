@@ -0,0 +1,33 @@
+import { maskHolderName, toAccountInquiry } from '../services/accountLookup.js';
+
+describe('maskHolderName', () => {
+  it('should keep only the first letter of every word', () => {
+    expect(maskHolderName('John Doe')).toBe('J*** D**');
+    expect(maskHolderName('  Siti   Nurhaliza ')).toBe('S*** N********');
+  });
+
+  it('should leave one-letter words as they are', () => {
+    expect(maskHolderName('A Budi')).toBe('A B***');
+  });
+});
+
+describe('toAccountInquiry', () => {
+  it('should only show the bank, currency and masked holder name', () => {
+    const inquiry = toAccountInquiry({
+      id: 2,
+      user_id: 5,
+      bank_name: 'Bank of America',
+      bank_account_number: '2222111111',
+      balance: '5000',
+      currency: 'IDR',
+      user: { name: 'John Doe' }
+    });
+
+    expect(inquiry).toEqual({
+      bank_account_number: '2222111111',
+      bank_name: 'Bank of America',
+      currency: 'IDR',
+      holder_name: 'J*** D**'
+    });
+  });
+});
@@ -0,0 +1,70 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import { Prisma } from '@prisma/client';
+
+// Account 1 is owned by user 1 and shared with user 2 as a viewer. The stand-in applies the include of the
+// query the way Prisma does, so the owner fields a route selects are the ones it returns.
+const D = (value) => new Prisma.Decimal(value);
+
+const owner = { id: 1, name: 'John Doe', email: 'john@example.com', password: '$2b$10$hash', role: 'customer', locale: 'en' };
+const account = { id: 1, user_id: 1, bank_name: 'BNI', bank_account_number: '1111111111', balance: D(1000), overdraft_limit: D(0), currency: 'IDR' };
+const holders = [{ account_id: 1, user_id: 1, role: 'owner', status: 'active' }, { account_id: 1, user_id: 2, role: 'viewer', status: 'active' }];
+
+function withOwner(include){
+  if(include?.user === true){
+    return { ...account, user: owner };
+  } else if(include?.user?.select){
+    return { ...account, user: Object.fromEntries(Object.keys(include.user.select).map((field) => [field, owner[field]])) };
+  }
+  return { ...account };
+}
+
+const mockPrisma = {
+  bank_Account: {
+    findUnique: jest.fn(({ where, include }) => Promise.resolve(where.id === account.id ? withOwner(include) : null)),
+    findMany: jest.fn(({ where, include }) => {
+      const userId = where.holders.some.user_id;
+      return Promise.resolve(holders.some((holder) => holder.user_id === userId) ? [withOwner(include)] : []);
+    }),
+  },
+  account_Holder: {
+    findUnique: jest.fn(({ where }) => {
+      const { account_id, user_id } = where.account_id_user_id;
+      return Promise.resolve(holders.find((holder) => holder.account_id === account_id && holder.user_id === user_id) ?? null);
+    }),
+  },
+  account_Hold: {
+    aggregate: jest.fn(() => Promise.resolve({ _sum: { amount: null } })),
+  },
+};
+
+jest.unstable_mockModule('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma), Prisma }));
+
+process.env.JWT_SECRET_KEY = 'test-secret';
+const { default: app } = await import('../index.js');
+
+const viewer = `Bearer ${jwt.sign({ id: 2, role: 'customer' }, process.env.JWT_SECRET_KEY)}`;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('account routes seen by a joint holder', () => {
+  it('should only show the owner\'s id and name in the list of accounts', async () => {
+    const res = await request(app).get('/api/v1/accounts').set('Authorization', viewer);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.account_data[0].user).toEqual({ id: 1, name: 'John Doe' });
+    expect(res.body.account_data[0].user).not.toHaveProperty('password');
+  });
+
+  it('should only show the owner\'s id and name in the account details', async () => {
+    const res = await request(app).get('/api/v1/accounts/1').set('Authorization', viewer);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.account_data.holder_role).toBe('viewer');
+    expect(res.body.account_data.user).toEqual({ id: 1, name: 'John Doe' });
+    expect(res.body.account_data.user).not.toHaveProperty('password');
+  });
+});
@@ -0,0 +1,86 @@
+import { jest } from '@jest/globals';
+import { getCoolingOffEnd, checkBeneficiaryCoolingOff, findCoolingOffError } from '../services/beneficiary.js';
+
+const mockClient = {
+  beneficiary: {
+    findUnique: jest.fn(),
+  },
+};
+
+const originalHours = process.env.BENEFICIARY_COOLING_OFF_HOURS;
+const originalAmount = process.env.BENEFICIARY_COOLING_OFF_AMOUNT;
+
+function restore(name, value){
+  if(value === undefined){
+    delete process.env[name];
+  } else {
+    process.env[name] = value;
+  }
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  delete process.env.BENEFICIARY_COOLING_OFF_HOURS;
+  delete process.env.BENEFICIARY_COOLING_OFF_AMOUNT;
+});
+
+afterAll(() => {
+  restore('BENEFICIARY_COOLING_OFF_HOURS', originalHours);
+  restore('BENEFICIARY_COOLING_OFF_AMOUNT', originalAmount);
+});
+
+const beneficiary = { created_at: new Date('2024-11-09T10:00:00Z') };
+
+describe('checkBeneficiaryCoolingOff', () => {
+  it('should allow any amount when no cooling-off period is configured', () => {
+    expect(getCoolingOffEnd(beneficiary)).toBeNull();
+    expect(checkBeneficiaryCoolingOff(beneficiary, 500000000, new Date('2024-11-09T10:05:00Z'))).toBeNull();
+  });
+
+  it('should refuse large amounts during the cooling-off period', () => {
+    process.env.BENEFICIARY_COOLING_OFF_HOURS = '24';
+
+    const error = checkBeneficiaryCoolingOff(beneficiary, 10000000.01, new Date('2024-11-10T09:59:59Z'));
+
+    expect(error.code).toBe(409);
+    expect(error.cooling_off_until).toEqual(new Date('2024-11-10T10:00:00Z'));
+  });
+
+  it('should allow amounts up to the cooling-off amount straight away', () => {
+    process.env.BENEFICIARY_COOLING_OFF_HOURS = '24';
+    process.env.BENEFICIARY_COOLING_OFF_AMOUNT = '2000000';
+
+    expect(checkBeneficiaryCoolingOff(beneficiary, 2000000, new Date('2024-11-09T10:05:00Z'))).toBeNull();
+    expect(checkBeneficiaryCoolingOff(beneficiary, 2000001, new Date('2024-11-09T10:05:00Z'))).not.toBeNull();
+  });
+
+  it('should allow large amounts once the cooling-off period is over', () => {
+    process.env.BENEFICIARY_COOLING_OFF_HOURS = '24';
+
+    expect(checkBeneficiaryCoolingOff(beneficiary, 500000000, new Date('2024-11-10T10:00:00Z'))).toBeNull();
+  });
+});
+
+describe('findCoolingOffError', () => {
+  it('should apply the cooling-off period when the destination is one of the user\'s beneficiaries', async () => {
+    process.env.BENEFICIARY_COOLING_OFF_HOURS = '24';
+    mockClient.beneficiary.findUnique.mockResolvedValueOnce(beneficiary);
+
+    const error = await findCoolingOffError(mockClient, 1, 2, 500000000, new Date('2024-11-09T10:05:00Z'));
+
+    expect(error.cooling_off_until).toEqual(new Date('2024-11-10T10:00:00Z'));
+    expect(mockClient.beneficiary.findUnique.mock.calls[0][0].where).toEqual({ user_id_account_id: { user_id: 1, account_id: 2 } });
+  });
+
+  it('should allow transfers to accounts the user hasn\'t saved as a beneficiary', async () => {
+    process.env.BENEFICIARY_COOLING_OFF_HOURS = '24';
+    mockClient.beneficiary.findUnique.mockResolvedValueOnce(null);
+
+    expect(await findCoolingOffError(mockClient, 1, 3, 500000000, new Date('2024-11-09T10:05:00Z'))).toBeNull();
+  });
+
+  it('should not look the beneficiary up when no cooling-off period is configured', async () => {
+    expect(await findCoolingOffError(mockClient, 1, 2, 500000000)).toBeNull();
+    expect(mockClient.beneficiary.findUnique).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,165 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import { Prisma } from '@prisma/client';
+
+const accounts = [
+  { id: 1, user_id: 1, bank_account_number: '1111111111', balance: new Prisma.Decimal(1000), overdraft_limit: new Prisma.Decimal(0), currency: 'IDR' },
+  { id: 2, user_id: 2, bank_account_number: '2222222222', balance: new Prisma.Decimal(500), overdraft_limit: new Prisma.Decimal(0), currency: 'IDR' },
+];
+
+const mockPrisma = {
+  bank_Account: {
+    findUnique: jest.fn(({ where }) => Promise.resolve(accounts.find((account) => account.id === where.id) ?? null)),
+    findMany: jest.fn(({ where }) => Promise.resolve(accounts.filter((account) => where.bank_account_number.in.includes(account.bank_account_number)))),
+  },
+  account_Holder: {
+    findUnique: jest.fn(({ where }) => {
+      const { account_id, user_id } = where.account_id_user_id;
+      return Promise.resolve(accounts.find((account) => account.id === account_id)?.user_id === user_id ? { role: 'owner', status: 'active' } : null);
+    }),
+  },
+  account_Hold: {
+    aggregate: jest.fn(() => Promise.resolve({ _sum: { amount: null } })),
+  },
+  bulk_Transfer_Row: {
+    findMany: jest.fn(),
+    update: jest.fn(),
+  },
+  bulk_Transfer_Batch: {
+    create: jest.fn(({ data: { rows, ...data } }) => Promise.resolve({ id: 3, ...data, rows: rows.createMany.data })),
+    findUnique: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+  },
+};
+const mockExecuteTransfer = jest.fn();
+
+jest.unstable_mockModule('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma), Prisma }));
+jest.unstable_mockModule('../services/transfer.js', () => ({ executeTransfer: mockExecuteTransfer, settleTransfer: jest.fn(), settleHeldTransfer: jest.fn() }));
+
+const { runBulkTransferBatch } = await import('../services/bulkTransfer.js');
+
+process.env.JWT_SECRET_KEY = 'test-secret';
+const { default: app } = await import('../index.js');
+
+const customer = `Bearer ${jwt.sign({ id: 1, role: 'customer' }, process.env.JWT_SECRET_KEY)}`;
+
+const batch = { id: 3, user_id: 1, source_account_id: 1 };
+
+function row(id, destinationAccountId = id + 10){
+  return { id: id, row_number: id, destination_account_id: destinationAccountId, amount: new Prisma.Decimal(100), status: 'valid' };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockPrisma.bulk_Transfer_Row.update.mockResolvedValue({});
+  mockPrisma.bulk_Transfer_Batch.update.mockImplementation(({ data }) => Promise.resolve({ id: batch.id, ...data }));
+});
+
+describe('runBulkTransferBatch', () => {
+  it('should record the outcome of every row and complete the batch', async () => {
+    mockPrisma.bulk_Transfer_Row.findMany.mockResolvedValueOnce([row(1), row(2), row(3), row(4), row(5, null)]);
+    mockExecuteTransfer
+      .mockResolvedValueOnce({ transaction: { id: 21 } })
+      .mockResolvedValueOnce({ transaction: { id: 22 }, approval: { id: 1 } })
+      .mockResolvedValueOnce({ transaction: { id: 23 }, review: { id: 1 } })
+      .mockResolvedValueOnce({ error: { code: 409, message: 'Insufficient balance' }, transaction: { id: 24 } });
+
+    const result = await runBulkTransferBatch(batch);
+
+    expect(mockPrisma.bulk_Transfer_Row.update.mock.calls.map(([{ data }]) => [data.status, data.transaction_id])).toEqual([
+      ['succeeded', 21],
+      ['pending_approval', 22],
+      ['pending_review', 23],
+      ['failed', 24],
+      ['failed', null],
+    ]);
+    expect(mockPrisma.bulk_Transfer_Row.update.mock.calls[2][0].data.message).toBe('Transfer is waiting for a fraud review');
+    expect(mockExecuteTransfer.mock.calls[0]).toEqual([1, { source_account_id: 1, destination_account_id: 11, amount: new Prisma.Decimal(100) }, { channel: 'bulk' }]);
+    expect(result).toMatchObject({ status: 'completed', succeeded_count: 1, failed_count: 2 });
+  });
+
+  it('should count a row whose transfer throws as failed and carry on', async () => {
+    mockPrisma.bulk_Transfer_Row.findMany.mockResolvedValueOnce([row(1), row(2)]);
+    mockExecuteTransfer
+      .mockRejectedValueOnce(new Error('deadlock detected'))
+      .mockResolvedValueOnce({ transaction: { id: 22 } });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await runBulkTransferBatch(batch);
+
+    expect(mockPrisma.bulk_Transfer_Row.update.mock.calls[0][0].data).toEqual({ status: 'failed', message: 'Internal server error', transaction_id: null });
+    expect(result).toMatchObject({ status: 'completed', succeeded_count: 1, failed_count: 1 });
+  });
+
+  it('should mark the batch failed instead of leaving it processing when an outcome can\'t be recorded', async () => {
+    mockPrisma.bulk_Transfer_Row.findMany.mockResolvedValueOnce([row(1), row(2), row(3)]);
+    mockExecuteTransfer.mockResolvedValue({ transaction: { id: 21 } });
+    mockPrisma.bulk_Transfer_Row.update
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(new Error('Connection lost'));
+
+    await expect(runBulkTransferBatch(batch)).rejects.toThrow('Connection lost');
+
+    expect(mockExecuteTransfer).toHaveBeenCalledTimes(2); // the third row never ran
+    expect(mockPrisma.bulk_Transfer_Batch.update).toHaveBeenCalledTimes(1);
+    expect(mockPrisma.bulk_Transfer_Batch.update.mock.calls[0][0].data).toMatchObject({ status: 'failed', succeeded_count: 1, failed_count: 0 });
+  });
+});
+
+describe('POST /api/v1/transactions/bulk', () => {
+  it('should store the batch for confirmation with a preview of what it will debit', async () => {
+    const res = await request(app).post('/api/v1/transactions/bulk?source_account_id=1').set('Authorization', customer)
+      .set('Content-Type', 'text/csv').send('destination_account_number,amount\n2222222222,300\n2222222222,200.50\n');
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.batch).toMatchObject({ user_id: 1, source_account_id: 1, status: 'pending_confirmation', row_count: 2 });
+    expect(res.body.preview).toMatchObject({ valid_count: 2, invalid_count: 0, total_amount: '500.5', has_sufficient_balance: true });
+    expect(mockExecuteTransfer).not.toHaveBeenCalled(); // nothing moves until the batch is confirmed
+  });
+
+  it('should mark the batch invalid when a row can\'t be paid, and refuse someone else\'s account', async () => {
+    const invalidRow = await request(app).post('/api/v1/transactions/bulk?source_account_id=1').set('Authorization', customer)
+      .set('Content-Type', 'text/csv').send('2222222222,300\n9999999999,100\n');
+    const othersAccount = await request(app).post('/api/v1/transactions/bulk?source_account_id=2').set('Authorization', customer)
+      .set('Content-Type', 'text/csv').send('1111111111,300\n');
+
+    expect(invalidRow.statusCode).toBe(422);
+    expect(invalidRow.body.batch.status).toBe('invalid');
+    expect(invalidRow.body.batch.rows[1]).toMatchObject({ status: 'invalid', message: 'No account with this account number' });
+    expect(othersAccount.statusCode).toBe(403);
+    expect(mockPrisma.bulk_Transfer_Batch.create).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('POST /api/v1/transactions/bulk/:batchId/confirm', () => {
+  it('should claim the batch and make its transfers', async () => {
+    mockPrisma.bulk_Transfer_Batch.updateMany.mockResolvedValueOnce({ count: 1 });
+    mockPrisma.bulk_Transfer_Batch.findUnique.mockResolvedValueOnce({ ...batch, status: 'processing' });
+    mockPrisma.bulk_Transfer_Row.findMany.mockResolvedValueOnce([row(1, 2)]);
+    mockExecuteTransfer.mockResolvedValueOnce({ transaction: { id: 21 } });
+
+    const res = await request(app).post('/api/v1/transactions/bulk/3/confirm').set('Authorization', customer);
+
+    expect(res.statusCode).toBe(200);
+    expect(mockPrisma.bulk_Transfer_Batch.updateMany.mock.calls[0][0].where).toEqual({ id: 3, user_id: 1, status: 'pending_confirmation' });
+    expect(mockExecuteTransfer).toHaveBeenCalledWith(1, { source_account_id: 1, destination_account_id: 2, amount: new Prisma.Decimal(100) }, { channel: 'bulk' });
+    expect(res.body.batch).toMatchObject({ status: 'completed', succeeded_count: 1, failed_count: 0 });
+  });
+
+  it('should not run a batch twice, nor someone else\'s', async () => {
+    mockPrisma.bulk_Transfer_Batch.updateMany.mockResolvedValueOnce({ count: 0 }).mockResolvedValueOnce({ count: 0 });
+    mockPrisma.bulk_Transfer_Batch.findUnique
+      .mockResolvedValueOnce({ ...batch, status: 'completed', rows: [] })
+      .mockResolvedValueOnce({ ...batch, user_id: 2, rows: [] });
+
+    const confirmedTwice = await request(app).post('/api/v1/transactions/bulk/3/confirm').set('Authorization', customer);
+    const othersBatch = await request(app).post('/api/v1/transactions/bulk/3/confirm').set('Authorization', customer);
+
+    expect(confirmedTwice.statusCode).toBe(409);
+    expect(confirmedTwice.body.message).toBe(`Bulk transfer batch with id 3 is completed and can't be confirmed`);
+    expect(othersBatch.statusCode).toBe(403);
+    expect(mockExecuteTransfer).not.toHaveBeenCalled();
+  });
+});
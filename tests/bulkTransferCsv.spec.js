@@ -0,0 +1,71 @@
+import { Prisma } from '@prisma/client';
+import { parseCsv, parseBulkTransferCsv, renderBulkTransferCsv, maxBulkTransferRows } from '../services/bulkTransferCsv.js';
+
+describe('parseCsv', () => {
+  it('should split lines and fields and skip blank lines', () => {
+    expect(parseCsv('a,b\r\n\nc,d')).toEqual([['a', 'b'], ['c', 'd']]);
+  });
+
+  it('should keep commas, line breaks and escaped quotes inside quoted fields', () => {
+    expect(parseCsv('"1,2","say ""hi""\nthere"\n')).toEqual([['1,2', 'say "hi"\nthere']]);
+  });
+});
+
+describe('parseBulkTransferCsv', () => {
+  it('should skip a header line and number rows from 1', () => {
+    const { rows } = parseBulkTransferCsv('destination_account_number,amount\n2222111111,7500000\n3333111111,8250000.50\n');
+
+    expect(rows).toEqual([
+      { row_number: 1, destination_account_number: '2222111111', amount: '7500000', error: null },
+      { row_number: 2, destination_account_number: '3333111111', amount: '8250000.50', error: null }
+    ]);
+  });
+
+  it('should read the first line as a transfer when there is no header', () => {
+    const { rows } = parseBulkTransferCsv('2222111111,100');
+
+    expect(rows).toHaveLength(1);
+    expect(rows[0].amount).toBe('100');
+  });
+
+  it('should flag invalid rows without dropping them', () => {
+    const { rows } = parseBulkTransferCsv('123,100\n2222111111,abc\n2222111111,0\n2222111111,1.005\n2222111111,100,extra\n');
+
+    expect(rows.map((row) => row.error)).toEqual([
+      'Destination account number must be at least 10 characters long',
+      'Amount must be a positive number with at most 2 decimals',
+      'Amount must be a positive number with at most 2 decimals',
+      'Amount must be a positive number with at most 2 decimals',
+      'Expected 2 columns: destination account number and amount'
+    ]);
+    expect(rows.every((row) => row.amount === null)).toBe(true);
+  });
+
+  it('should reject an empty file', () => {
+    expect(parseBulkTransferCsv('destination_account_number,amount\n')).toEqual({ error: 'The file has no transfers' });
+    expect(parseBulkTransferCsv('')).toEqual({ error: 'The file has no transfers' });
+  });
+
+  it('should reject a file with too many rows', () => {
+    const text = '2222111111,1\n'.repeat(maxBulkTransferRows + 1);
+
+    expect(parseBulkTransferCsv(text).error).toBe(`A batch can have at most ${maxBulkTransferRows} transfers`);
+  });
+});
+
+describe('renderBulkTransferCsv', () => {
+  it('should write every row with its outcome', () => {
+    const csv = renderBulkTransferCsv({
+      rows: [
+        { row_number: 1, destination_account_number: '2222111111', amount: new Prisma.Decimal(7500000), status: 'succeeded', message: null, transaction_id: 12 },
+        { row_number: 2, destination_account_number: '9999', amount: null, status: 'invalid', message: 'Destination account number must be at least 10 characters long', transaction_id: null }
+      ]
+    });
+
+    expect(csv).toBe(
+      'Row,Destination Account Number,Amount,Status,Message,Transaction ID\r\n' +
+      '1,2222111111,7500000.00,succeeded,,12\r\n' +
+      '2,9999,,invalid,Destination account number must be at least 10 characters long,\r\n'
+    );
+  });
+});
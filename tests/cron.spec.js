@@ -0,0 +1,50 @@
+import { parseCronExpression, isValidCronExpression, getNextRun } from '../services/cron.js';
+
+describe('parseCronExpression', () => {
+  it('should expand steps, ranges and lists', () => {
+    const schedule = parseCronExpression('*/15 9-11 1,15 * 1-5');
+
+    expect([...schedule.minutes]).toEqual([0, 15, 30, 45]);
+    expect([...schedule.hours]).toEqual([9, 10, 11]);
+    expect([...schedule.daysOfMonth]).toEqual([1, 15]);
+    expect(schedule.months.size).toBe(12);
+    expect([...schedule.daysOfWeek]).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('should treat 7 as Sunday', () => {
+    expect(parseCronExpression('0 0 * * 7').daysOfWeek.has(0)).toBe(true);
+  });
+});
+
+describe('isValidCronExpression', () => {
+  it('should reject malformed expressions', () => {
+    expect(isValidCronExpression('0 9 1 * *')).toBe(true);
+    expect(isValidCronExpression('0 9 1 *')).toBe(false);
+    expect(isValidCronExpression('60 * * * *')).toBe(false);
+    expect(isValidCronExpression('0 9 0 * *')).toBe(false);
+    expect(isValidCronExpression('5-1 * * * *')).toBe(false);
+    expect(isValidCronExpression('a * * * *')).toBe(false);
+  });
+});
+
+describe('getNextRun', () => {
+  const now = new Date(2024, 9, 27, 10, 30, 15); // Sunday 27 October 2024, 10:30:15
+
+  it('should find the next monthly run', () => {
+    expect(getNextRun('0 9 1 * *', now)).toEqual(new Date(2024, 10, 1, 9, 0));
+  });
+
+  it('should always return a time strictly after the given one', () => {
+    expect(getNextRun('30 10 * * *', now)).toEqual(new Date(2024, 9, 28, 10, 30));
+    expect(getNextRun('*/15 * * * *', now)).toEqual(new Date(2024, 9, 27, 10, 45));
+  });
+
+  it('should match either day field when both are restricted', () => {
+    // the 1st of the month or any Monday, whichever comes first
+    expect(getNextRun('0 0 1 * 1', now)).toEqual(new Date(2024, 9, 28, 0, 0));
+  });
+
+  it('should return null for an expression that never matches', () => {
+    expect(getNextRun('0 0 31 2 *', now)).toBeNull();
+  });
+});
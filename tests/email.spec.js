@@ -0,0 +1,191 @@
+import { jest } from '@jest/globals';
+import { renderEmailTemplate } from '../services/emailTemplates.js';
+import { createMemoryTransport, createMailTransportFromEnv } from '../services/mailTransports.js';
+import { createEmailService, getEmailRetryDelay } from '../services/email.js';
+import { getDeviceFingerprint, recordUserDevice } from '../services/userDevices.js';
+
+const mockClient = {
+  email_Message: {
+    create: jest.fn(),
+    findMany: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  user_Device: {
+    findUnique: jest.fn(),
+    update: jest.fn(),
+    count: jest.fn(),
+    create: jest.fn(),
+  },
+};
+
+const originalMaxAttempts = process.env.EMAIL_MAX_ATTEMPTS;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  delete process.env.EMAIL_MAX_ATTEMPTS;
+});
+
+afterAll(() => {
+  if(originalMaxAttempts === undefined){
+    delete process.env.EMAIL_MAX_ATTEMPTS;
+  } else {
+    process.env.EMAIL_MAX_ATTEMPTS = originalMaxAttempts;
+  }
+});
+
+const user = { id: 1, name: 'John Doe', email: 'john@example.com', locale: 'id' };
+const now = new Date('2024-11-14T09:00:00Z');
+
+function failingTransport(message = 'Connection refused'){
+  return { name: 'failing', send: jest.fn().mockRejectedValue(new Error(message)) };
+}
+
+describe('renderEmailTemplate', () => {
+  const transfer = { name: 'John Doe', transaction_id: 7, amount: '150000', fee: '2500', currency: 'IDR', destination_account_number: '2222111111', created_at: now };
+
+  it('should render the template in the requested language', () => {
+    const english = renderEmailTemplate('transfer_sent', 'en', transfer);
+    const indonesian = renderEmailTemplate('transfer_sent', 'id', transfer);
+
+    expect(english.locale).toBe('en');
+    expect(english.subject).toMatch(/^Transfer of IDR\s150,000\.00 sent$/);
+    expect(indonesian.subject).toMatch(/^Transfer sebesar Rp\s150\.000,00 berhasil$/);
+    expect(indonesian.text).toContain('Ke rekening: 2222111111');
+    expect(indonesian.text).toContain('Halo John Doe');
+  });
+
+  it('should fall back to English for other languages', () => {
+    expect(renderEmailTemplate('welcome', 'fr', { name: 'John' }).locale).toBe('en');
+    expect(renderEmailTemplate('welcome', undefined, { name: 'John' }).subject).toBe('Welcome to your new bank account');
+  });
+
+  it('should throw on an unknown template', () => {
+    expect(() => renderEmailTemplate('unknown', 'en', {})).toThrow('Unknown email template unknown');
+  });
+});
+
+describe('createMailTransportFromEnv', () => {
+  it('should pick the transport named by MAIL_TRANSPORT', () => {
+    expect(createMailTransportFromEnv({ NODE_ENV: 'test' }).name).toBe('memory');
+    expect(createMailTransportFromEnv({}).name).toBe('console');
+    expect(createMailTransportFromEnv({ MAIL_TRANSPORT: 'file', MAIL_FILE_DIR: 'mail' }).name).toBe('file');
+    expect(createMailTransportFromEnv({ MAIL_TRANSPORT: 'smtp', SMTP_HOST: 'localhost' }).name).toBe('smtp');
+    expect(() => createMailTransportFromEnv({ MAIL_TRANSPORT: 'pigeon' })).toThrow('Unknown MAIL_TRANSPORT pigeon');
+  });
+});
+
+describe('sendTemplateEmail', () => {
+  it('should send the rendered email to the user', async () => {
+    const transport = createMemoryTransport();
+    const service = createEmailService({ client: mockClient, transport, from: 'bank@example.com' });
+
+    const queued = await service.sendTemplateEmail(user, 'welcome', {}, now);
+
+    expect(queued).toBeNull();
+    expect(transport.messages).toEqual([{
+      from: 'bank@example.com',
+      to: 'john@example.com',
+      subject: 'Selamat datang di akun bank Anda',
+      text: expect.stringContaining('Halo John Doe'),
+    }]);
+    expect(mockClient.email_Message.create).not.toHaveBeenCalled();
+  });
+
+  it('should queue the email for a retry when the transport fails', async () => {
+    const service = createEmailService({ client: mockClient, transport: failingTransport(), from: 'bank@example.com' });
+    mockClient.email_Message.create.mockResolvedValueOnce({ id: 3 });
+
+    const queued = await service.sendTemplateEmail(user, 'welcome', {}, now);
+
+    expect(queued).toEqual({ id: 3 });
+    expect(mockClient.email_Message.create.mock.calls[0][0].data).toMatchObject({
+      user_id: 1,
+      to: 'john@example.com',
+      template: 'welcome',
+      locale: 'id',
+      attempt_count: 1,
+      next_attempt_at: new Date(now.getTime() + 60 * 1000),
+      last_error: 'Connection refused',
+    });
+  });
+
+  it('should never throw, even when the email can not be queued', async () => {
+    const service = createEmailService({ client: mockClient, transport: failingTransport(), from: 'bank@example.com' });
+    mockClient.email_Message.create.mockRejectedValueOnce(new Error('Database is down'));
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(service.sendTemplateEmail(user, 'welcome', {}, now)).resolves.toBeNull();
+
+    consoleError.mockRestore();
+  });
+});
+
+describe('retryQueuedEmails', () => {
+  const queuedMessage = { id: 3, to: 'john@example.com', subject: 'Hi', text: 'Hello', attempt_count: 1, next_attempt_at: now };
+
+  it('should mark a message sent once the transport accepts it', async () => {
+    const transport = createMemoryTransport();
+    const service = createEmailService({ client: mockClient, transport, from: 'bank@example.com' });
+    mockClient.email_Message.findMany.mockResolvedValueOnce([queuedMessage]);
+    mockClient.email_Message.updateMany.mockResolvedValueOnce({ count: 1 });
+    mockClient.email_Message.update.mockImplementationOnce(({ data }) => Promise.resolve({ ...queuedMessage, ...data }));
+
+    const messages = await service.retryQueuedEmails(now);
+
+    expect(transport.messages).toHaveLength(1);
+    expect(messages[0]).toMatchObject({ status: 'sent', attempt_count: 2, sent_at: now });
+  });
+
+  it('should back off after another failure and give up after the last attempt', async () => {
+    process.env.EMAIL_MAX_ATTEMPTS = '3';
+    const service = createEmailService({ client: mockClient, transport: failingTransport('Timeout'), from: 'bank@example.com' });
+    mockClient.email_Message.findMany.mockResolvedValueOnce([queuedMessage, { ...queuedMessage, id: 4, attempt_count: 2 }]);
+    mockClient.email_Message.updateMany.mockResolvedValue({ count: 1 });
+    mockClient.email_Message.update.mockImplementation(({ data }) => Promise.resolve(data));
+
+    const messages = await service.retryQueuedEmails(now);
+
+    expect(messages[0]).toMatchObject({ status: 'pending', attempt_count: 2, next_attempt_at: new Date(now.getTime() + getEmailRetryDelay(2)), last_error: 'Timeout' });
+    expect(messages[1]).toMatchObject({ status: 'failed', attempt_count: 3 });
+    expect(getEmailRetryDelay(2)).toBe(2 * 60 * 1000);
+  });
+
+  it('should skip a message another runner has picked', async () => {
+    const transport = createMemoryTransport();
+    const service = createEmailService({ client: mockClient, transport, from: 'bank@example.com' });
+    mockClient.email_Message.findMany.mockResolvedValueOnce([queuedMessage]);
+    mockClient.email_Message.updateMany.mockResolvedValueOnce({ count: 0 });
+
+    expect(await service.retryQueuedEmails(now)).toEqual([]);
+    expect(transport.messages).toHaveLength(0);
+  });
+});
+
+describe('recordUserDevice', () => {
+  const device = { deviceId: undefined, userAgent: 'Mozilla/5.0', ipAddress: '10.0.0.1' };
+
+  it('should prefer the device id over the user agent', () => {
+    expect(getDeviceFingerprint({ deviceId: 'abc', userAgent: 'Mozilla/5.0' })).toBe(getDeviceFingerprint({ deviceId: 'abc', userAgent: 'curl' }));
+    expect(getDeviceFingerprint({ userAgent: 'Mozilla/5.0' })).not.toBe(getDeviceFingerprint({ userAgent: 'curl' }));
+  });
+
+  it('should only update a known device', async () => {
+    mockClient.user_Device.findUnique.mockResolvedValueOnce({ id: 2 });
+    mockClient.user_Device.update.mockResolvedValueOnce({ id: 2 });
+
+    expect(await recordUserDevice(mockClient, 1, device, now)).toEqual({ device: { id: 2 }, isNew: false, isFirstDevice: false });
+    expect(mockClient.user_Device.create).not.toHaveBeenCalled();
+  });
+
+  it('should tell a new device apart from the first one', async () => {
+    mockClient.user_Device.findUnique.mockResolvedValue(null);
+    mockClient.user_Device.create.mockResolvedValue({ id: 5 });
+
+    mockClient.user_Device.count.mockResolvedValueOnce(0);
+    expect(await recordUserDevice(mockClient, 1, device, now)).toMatchObject({ isNew: true, isFirstDevice: true });
+
+    mockClient.user_Device.count.mockResolvedValueOnce(1);
+    expect(await recordUserDevice(mockClient, 1, device, now)).toMatchObject({ isNew: true, isFirstDevice: false });
+  });
+});
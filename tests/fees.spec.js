@@ -0,0 +1,92 @@
+import { jest } from '@jest/globals';
+import { Prisma } from '@prisma/client';
+import { ruleMatches, calculateRuleFee, calculateTransferFee } from '../services/fees.js';
+
+const baseRule = {
+  scope: 'all',
+  identity_type: null,
+  currency: null,
+  flat_amount: new Prisma.Decimal(0),
+  percent: new Prisma.Decimal(0),
+  min_fee: null,
+  max_fee: null,
+};
+
+const mockClient = {
+  profile: {
+    findUnique: jest.fn(),
+  },
+  fee_Rule: {
+    findMany: jest.fn(),
+  },
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('ruleMatches', () => {
+  const transfer = { isInterBank: true, identityType: 'Silver', currency: 'IDR' };
+
+  it('should match on scope', () => {
+    expect(ruleMatches({ ...baseRule, scope: 'inter_bank' }, transfer)).toBe(true);
+    expect(ruleMatches({ ...baseRule, scope: 'intra_bank' }, transfer)).toBe(false);
+  });
+
+  it('should match on tier and currency only when they are set', () => {
+    expect(ruleMatches({ ...baseRule, identity_type: 'Gold' }, transfer)).toBe(false);
+    expect(ruleMatches({ ...baseRule, identity_type: 'Silver', currency: 'IDR' }, transfer)).toBe(true);
+    expect(ruleMatches({ ...baseRule, currency: 'USD' }, transfer)).toBe(false);
+  });
+});
+
+describe('calculateRuleFee', () => {
+  it('should add the flat amount and the percentage', () => {
+    const rule = { ...baseRule, flat_amount: new Prisma.Decimal(1000), percent: new Prisma.Decimal('0.5') };
+
+    expect(calculateRuleFee(rule, 100000).toString()).toBe('1500');
+  });
+
+  it('should keep the fee between min_fee and max_fee', () => {
+    const rule = { ...baseRule, percent: new Prisma.Decimal(1), min_fee: new Prisma.Decimal(2500), max_fee: new Prisma.Decimal(10000) };
+
+    expect(calculateRuleFee(rule, 1000).toString()).toBe('2500');
+    expect(calculateRuleFee(rule, 500000).toString()).toBe('5000');
+    expect(calculateRuleFee(rule, 5000000).toString()).toBe('10000');
+  });
+
+  it('should round to cents', () => {
+    const rule = { ...baseRule, percent: new Prisma.Decimal('0.25') };
+
+    expect(calculateRuleFee(rule, '10.10').toString()).toBe('0.03');
+  });
+});
+
+describe('calculateTransferFee', () => {
+  it('should add up the fees of every matching rule', async () => {
+    mockClient.profile.findUnique.mockResolvedValueOnce({ identity_type: 'Silver' });
+    mockClient.fee_Rule.findMany.mockResolvedValueOnce([
+      { ...baseRule, id: 1, name: 'Inter-bank transfer', scope: 'inter_bank', flat_amount: new Prisma.Decimal(6500) },
+      { ...baseRule, id: 2, name: 'Silver tier', identity_type: 'Silver', percent: new Prisma.Decimal('0.1') },
+      { ...baseRule, id: 3, name: 'Gold tier', identity_type: 'Gold', flat_amount: new Prisma.Decimal(100) },
+    ]);
+
+    const { fee, rules } = await calculateTransferFee(mockClient, { userId: 1, amount: 100000, currency: 'IDR', isInterBank: true });
+
+    expect(fee.toString()).toBe('6600');
+    expect(rules.map((rule) => rule.id)).toEqual([1, 2]);
+    expect(mockClient.fee_Rule.findMany.mock.calls[0][0].where).toEqual({ is_active: true });
+  });
+
+  it('should charge nothing when no rule matches', async () => {
+    mockClient.profile.findUnique.mockResolvedValueOnce(null);
+    mockClient.fee_Rule.findMany.mockResolvedValueOnce([
+      { ...baseRule, id: 1, name: 'Inter-bank transfer', scope: 'inter_bank', flat_amount: new Prisma.Decimal(6500) },
+    ]);
+
+    const { fee, rules } = await calculateTransferFee(mockClient, { userId: 1, amount: 100000, currency: 'IDR', isInterBank: false });
+
+    expect(fee.isZero()).toBe(true);
+    expect(rules).toEqual([]);
+  });
+});
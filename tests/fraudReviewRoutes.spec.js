@@ -0,0 +1,204 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import { Prisma } from '@prisma/client';
+
+// The routes run against a small in-memory stand-in for the database: accounts, the flagged transfer, its
+// review and its hold are kept in maps and the changes the routes make are applied to them.
+const D = (value) => new Prisma.Decimal(value);
+
+let accounts, transactions, reviews, holds, approvals, ledgerEntries;
+
+const mockPrisma = {
+  $transaction: jest.fn((fn) => fn(mockPrisma)),
+  $executeRaw: jest.fn(() => Promise.resolve(1)),
+  $queryRaw: jest.fn((strings, ...values) => {
+    const sql = strings.join('?');
+
+    if(/FROM fraud_reviews/.test(sql)){
+      return Promise.resolve(reviews.has(values[0]) ? [{ id: values[0] }] : []);
+    } else if(/FROM bank_accounts/.test(sql)){
+      return Promise.resolve([...accounts.values()].filter((account) => values.includes(account.id)).map((account) => ({ ...account })));
+    }
+    return Promise.resolve([]);
+  }),
+  bank_Account: {
+    findUnique: jest.fn(({ where }) => Promise.resolve(accounts.get(where.id) ?? null)),
+    update: jest.fn(({ where, data }) => {
+      const account = accounts.get(where.id);
+      account.balance = data.balance.increment ? D(account.balance).plus(data.balance.increment) : D(account.balance).minus(data.balance.decrement);
+      return Promise.resolve({ ...account });
+    }),
+  },
+  account_Holder: {
+    findMany: jest.fn(() => Promise.resolve([])),
+  },
+  webhook_Subscription: {
+    findMany: jest.fn(() => Promise.resolve([])),
+  },
+  user: {
+    findUnique: jest.fn(({ where }) => Promise.resolve({ id: where.id, name: 'John Doe', email: 'john@example.com', locale: 'en' })),
+  },
+  email_Message: {
+    create: jest.fn(({ data }) => Promise.resolve({ id: 1, ...data })),
+  },
+  fraud_Review: {
+    findUnique: jest.fn(({ where }) => {
+      const review = reviews.get(where.id);
+      return Promise.resolve(review ? { ...review, transaction: { ...transactions.get(review.transaction_id) } } : null);
+    }),
+    update: jest.fn(({ where, data }) => Promise.resolve({ ...Object.assign(reviews.get(where.id), data) })),
+  },
+  transaction: {
+    update: jest.fn(({ where, data }) => {
+      const { statusHistory, ...changes } = data;
+      return Promise.resolve({ ...Object.assign(transactions.get(where.id), changes, { failure_reason: changes.failure_reason ?? transactions.get(where.id).failure_reason }) });
+    }),
+  },
+  transfer_Approval: {
+    create: jest.fn(({ data }) => {
+      const approval = { id: 1, status: 'pending', ...data };
+      approvals.push(approval);
+      return Promise.resolve(approval);
+    }),
+  },
+  ledger_Entry: {
+    createMany: jest.fn(({ data }) => {
+      ledgerEntries.push(...data);
+      return Promise.resolve({ count: data.length });
+    }),
+  },
+  account_Hold: {
+    aggregate: jest.fn(({ where }) => {
+      const held = [...holds.values()].filter((hold) => hold.account_id === where.account_id && hold.status === 'active');
+      return Promise.resolve({ _sum: { amount: held.length > 0 ? held.reduce((sum, hold) => sum.plus(hold.amount), D(0)) : null } });
+    }),
+    findUnique: jest.fn(({ where }) => Promise.resolve([...holds.values()].find((hold) => hold.transaction_id === where.transaction_id) ?? null)),
+    update: jest.fn(({ where, data }) => Promise.resolve({ ...Object.assign(holds.get(where.id), data) })),
+  },
+};
+
+jest.unstable_mockModule('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma), Prisma }));
+
+process.env.JWT_SECRET_KEY = 'test-secret';
+process.env.TRANSFER_APPROVAL_THRESHOLD = '1000';
+const { default: app } = await import('../index.js');
+
+function tokenFor(user){
+  return `Bearer ${jwt.sign(user, process.env.JWT_SECRET_KEY)}`;
+}
+
+const reviewer = tokenFor({ id: 8, role: 'admin' });
+
+function account(id, userId, balance){
+  return { id, user_id: userId, bank_name: 'BNI', balance: D(balance), overdraft_limit: D(0), currency: 'IDR' };
+}
+
+// user 1 sent `amount` from account 1 to account 2, flagged by the fraud checks with its funds on hold
+function seedFlaggedTransfer(amount = 300){
+  transactions.set(70, { id: 70, type: 'transfer', status: 'pending', source_account_id: 1, destination_account_id: 2, amount: D(amount), fee: D(0), currency: 'IDR', exchange_rate: null, failure_reason: null, created_at: new Date('2024-11-14T09:00:00Z') });
+  reviews.set(5, { id: 5, transaction_id: 70, user_id: 1, status: 'pending' });
+  holds.set(7, { id: 7, account_id: 1, transaction_id: 70, amount: D(amount), status: 'active' });
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  accounts = new Map([[1, account(1, 1, 10000)], [2, account(2, 2, 500)]]);
+  transactions = new Map();
+  reviews = new Map();
+  holds = new Map();
+  approvals = [];
+  ledgerEntries = [];
+});
+
+afterAll(() => {
+  delete process.env.TRANSFER_APPROVAL_THRESHOLD;
+});
+
+describe('POST /api/v1/fraud-reviews/:reviewId/clear', () => {
+  it('should settle a cleared transfer and capture its hold', async () => {
+    seedFlaggedTransfer();
+
+    const res = await request(app).post('/api/v1/fraud-reviews/5/clear').set('Authorization', reviewer).send({ note: 'Known payee' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.transaction).toMatchObject({ id: 70, status: 'completed' });
+    expect(res.body.fraud_review).toMatchObject({ status: 'cleared', reviewer_id: 8, decision_note: 'Known payee' });
+    expect(holds.get(7)).toMatchObject({ status: 'captured', captured_amount: D(300) });
+    expect(accounts.get(1).balance.toString()).toBe('9700');
+    expect(accounts.get(2).balance.toString()).toBe('800');
+  });
+
+  it('should pass a cleared transfer above the approval threshold on for approval, its funds still on hold', async () => {
+    seedFlaggedTransfer(5000);
+
+    const res = await request(app).post('/api/v1/fraud-reviews/5/clear').set('Authorization', reviewer).send({});
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.approval).toMatchObject({ transaction_id: 70, maker_id: 1, status: 'pending' });
+    expect(transactions.get(70).status).toBe('pending');
+    expect(holds.get(7).status).toBe('active');
+    expect(ledgerEntries).toEqual([]);
+  });
+
+  it('should leave the review pending when the balance dropped below the transfer while waiting', async () => {
+    seedFlaggedTransfer();
+    accounts.get(1).balance = D(100);
+
+    const res = await request(app).post('/api/v1/fraud-reviews/5/clear').set('Authorization', reviewer).send({});
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe('Insufficient balance in account 1 to settle this transfer');
+    expect(reviews.get(5).status).toBe('pending');
+    expect(holds.get(7).status).toBe('active');
+    expect(ledgerEntries).toEqual([]);
+  });
+});
+
+describe('POST /api/v1/fraud-reviews/:reviewId/confirm', () => {
+  it('should fail a confirmed transfer and release its hold without moving any money', async () => {
+    seedFlaggedTransfer();
+
+    const res = await request(app).post('/api/v1/fraud-reviews/5/confirm').set('Authorization', reviewer).send({ note: 'Account takeover' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.transaction).toMatchObject({ id: 70, status: 'failed', failure_reason: 'Confirmed as fraud by admin 8: Account takeover' });
+    expect(res.body.fraud_review.status).toBe('confirmed');
+    expect(holds.get(7).status).toBe('released');
+    expect(accounts.get(1).balance.toString()).toBe('10000');
+    expect(ledgerEntries).toEqual([]);
+  });
+
+  it('should require a note to confirm', async () => {
+    seedFlaggedTransfer();
+
+    const res = await request(app).post('/api/v1/fraud-reviews/5/confirm').set('Authorization', reviewer).send({});
+
+    expect(res.statusCode).toBe(400);
+    expect(reviews.get(5).status).toBe('pending');
+  });
+});
+
+describe('fraud review decisions', () => {
+  it('should refuse a review that was already decided, an unknown one, and customers', async () => {
+    seedFlaggedTransfer();
+    reviews.get(5).status = 'cleared';
+
+    const decided = await request(app).post('/api/v1/fraud-reviews/5/confirm').set('Authorization', reviewer).send({ note: 'Too late' });
+    const unknown = await request(app).post('/api/v1/fraud-reviews/6/clear').set('Authorization', reviewer).send({});
+    const byCustomer = await request(app).post('/api/v1/fraud-reviews/5/clear').set('Authorization', tokenFor({ id: 2, role: 'customer' })).send({});
+
+    expect([decided.statusCode, unknown.statusCode, byCustomer.statusCode]).toEqual([409, 404, 403]);
+    expect(decided.body.message).toBe('Fraud review with id 5 has already been cleared');
+    expect(holds.get(7).status).toBe('active');
+  });
+
+  it('should not let an admin review their own transfer', async () => {
+    seedFlaggedTransfer();
+
+    const res = await request(app).post('/api/v1/fraud-reviews/5/clear').set('Authorization', tokenFor({ id: 1, role: 'admin' })).send({});
+
+    expect(res.statusCode).toBe(403);
+    expect(reviews.get(5).status).toBe('pending');
+  });
+});
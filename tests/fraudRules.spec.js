@@ -0,0 +1,142 @@
+import { jest } from '@jest/globals';
+import { Prisma } from '@prisma/client';
+import { transferVelocityRule, amountAboveAverageRule, firstTimePayeeRule, newAccountDrainRule, evaluateFraudRules } from '../services/fraudRules.js';
+
+const now = new Date('2024-11-11T09:00:00Z');
+
+function buildTransfer(overrides = {}){
+  return {
+    userId: 1,
+    channel: 'api',
+    sourceAccount: { id: 1, user_id: 1, created_at: new Date('2024-01-01T00:00:00Z') },
+    destinationAccount: { id: 2, user_id: 2 },
+    amount: new Prisma.Decimal(1000000),
+    totalDebited: new Prisma.Decimal(1006500),
+    availableBalance: new Prisma.Decimal(50000000),
+    now: now,
+    ...overrides
+  };
+}
+
+function buildClient({ count = 0, average = null, historyCount = 0 } = {}){
+  return {
+    transaction: {
+      count: jest.fn().mockResolvedValue(count),
+      aggregate: jest.fn().mockResolvedValue({ _avg: { amount: average }, _count: historyCount })
+    }
+  };
+}
+
+describe('transferVelocityRule', () => {
+  it('should block once the user made too many transfers in the window', async () => {
+    const client = buildClient({ count: 3 });
+    const rule = transferVelocityRule({ maxTransfers: 3, windowMinutes: 5 });
+
+    await expect(rule.check(client, buildTransfer())).resolves.toEqual({ verdict: 'block', reason: '3 transfers in the last 5 minutes' });
+    expect(client.transaction.count.mock.calls[0][0].where.created_at.gte).toEqual(new Date('2024-11-11T08:55:00Z'));
+  });
+
+  it('should count the transfers a co-owner made, not those from the account', async () => {
+    const client = buildClient({ count: 0 });
+    const transfer = buildTransfer({ userId: 2, sourceAccount: { id: 1, user_id: 1, created_at: new Date('2024-01-01T00:00:00Z') } });
+
+    await transferVelocityRule().check(client, transfer);
+    await amountAboveAverageRule().check(client, transfer);
+
+    expect(client.transaction.count.mock.calls[0][0].where.initiated_by_user_id).toBe(2);
+    expect(client.transaction.aggregate.mock.calls[0][0].where.initiated_by_user_id).toBe(2);
+  });
+
+  it('should allow transfers below the limit', async () => {
+    await expect(transferVelocityRule({ maxTransfers: 3 }).check(buildClient({ count: 2 }), buildTransfer())).resolves.toBeNull();
+  });
+
+  it('should leave bulk transfer rows alone', async () => {
+    const client = buildClient({ count: 50 });
+
+    await expect(transferVelocityRule({ maxTransfers: 3 }).check(client, buildTransfer({ channel: 'bulk' }))).resolves.toBeNull();
+    expect(client.transaction.count).not.toHaveBeenCalled();
+  });
+});
+
+describe('amountAboveAverageRule', () => {
+  it('should flag an amount far above the average', async () => {
+    const client = buildClient({ average: new Prisma.Decimal(100000), historyCount: 10 });
+
+    const result = await amountAboveAverageRule({ multiplier: 5 }).check(client, buildTransfer({ amount: new Prisma.Decimal(500001) }));
+
+    expect(result.verdict).toBe('flag');
+  });
+
+  it('should not judge users without enough history', async () => {
+    const client = buildClient({ average: new Prisma.Decimal(100), historyCount: 2 });
+
+    await expect(amountAboveAverageRule({ minTransfers: 3 }).check(client, buildTransfer())).resolves.toBeNull();
+  });
+});
+
+describe('firstTimePayeeRule', () => {
+  it('should flag a large first transfer to an account', async () => {
+    const client = buildClient({ count: 0 });
+
+    const result = await firstTimePayeeRule({ minAmount: 1000000 }).check(client, buildTransfer());
+
+    expect(result.verdict).toBe('flag');
+  });
+
+  it('should allow accounts paid before, small amounts and the user\'s own accounts', async () => {
+    const rule = firstTimePayeeRule({ minAmount: 1000000 });
+
+    await expect(rule.check(buildClient({ count: 1 }), buildTransfer())).resolves.toBeNull();
+    await expect(rule.check(buildClient(), buildTransfer({ amount: new Prisma.Decimal(999999) }))).resolves.toBeNull();
+    await expect(rule.check(buildClient(), buildTransfer({ destinationAccount: { id: 3, user_id: 1 } }))).resolves.toBeNull();
+  });
+});
+
+describe('newAccountDrainRule', () => {
+  it('should flag a new account sending most of its available balance', async () => {
+    const transfer = buildTransfer({
+      sourceAccount: { id: 1, user_id: 1, created_at: new Date('2024-11-08T09:00:00Z') },
+      totalDebited: new Prisma.Decimal(9000000),
+      availableBalance: new Prisma.Decimal(10000000)
+    });
+
+    const result = await newAccountDrainRule({ maxAccountAgeDays: 7, drainPercent: 90 }).check(buildClient(), transfer);
+
+    expect(result.verdict).toBe('flag');
+  });
+
+  it('should allow older accounts and smaller transfers', async () => {
+    const rule = newAccountDrainRule({ maxAccountAgeDays: 7, drainPercent: 90 });
+
+    await expect(rule.check(buildClient(), buildTransfer({ totalDebited: new Prisma.Decimal(50000000) }))).resolves.toBeNull();
+    await expect(rule.check(buildClient(), buildTransfer({
+      sourceAccount: { id: 1, user_id: 1, created_at: new Date('2024-11-10T09:00:00Z') },
+      totalDebited: new Prisma.Decimal(1000000)
+    }))).resolves.toBeNull();
+  });
+});
+
+describe('evaluateFraudRules', () => {
+  const rule = (name, result) => ({ name, check: jest.fn().mockResolvedValue(result) });
+
+  it('should allow when no rule has anything to say', async () => {
+    await expect(evaluateFraudRules(buildClient(), buildTransfer(), [rule('a', null), rule('b', { verdict: 'allow' })]))
+      .resolves.toEqual({ verdict: 'allow', results: [] });
+  });
+
+  it('should take the strictest verdict and list every rule that matched', async () => {
+    const result = await evaluateFraudRules(buildClient(), buildTransfer(), [
+      rule('a', { verdict: 'flag', reason: 'flagged' }),
+      rule('b', { verdict: 'block', reason: 'blocked' }),
+      rule('c', { verdict: 'flag', reason: 'flagged again' })
+    ]);
+
+    expect(result.verdict).toBe('block');
+    expect(result.results).toEqual([
+      { rule: 'a', verdict: 'flag', reason: 'flagged' },
+      { rule: 'b', verdict: 'block', reason: 'blocked' },
+      { rule: 'c', verdict: 'flag', reason: 'flagged again' }
+    ]);
+  });
+});
@@ -0,0 +1,53 @@
+import { jest } from '@jest/globals';
+import { Prisma } from '@prisma/client';
+import { findExchangeRate, convertAmount } from '../services/fx.js';
+
+const mockClient = {
+  exchange_Rate: {
+    findFirst: jest.fn(),
+  },
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('convertAmount', () => {
+  it('should convert at the rate and round down to cents', () => {
+    expect(convertAmount(100, new Prisma.Decimal('15650.555')).toString()).toBe('1565055.5');
+    expect(convertAmount('10.01', new Prisma.Decimal('0.0000639')).toString()).toBe('0');
+  });
+
+  it('should take the spread off the converted amount', () => {
+    expect(convertAmount(100, new Prisma.Decimal(15000), new Prisma.Decimal('0.5')).toString()).toBe('1492500');
+  });
+});
+
+describe('findExchangeRate', () => {
+  it('should use the direct rate when there is one', async () => {
+    mockClient.exchange_Rate.findFirst.mockResolvedValueOnce({ rate: new Prisma.Decimal(15000), spread_percent: new Prisma.Decimal(1) });
+
+    const exchangeRate = await findExchangeRate(mockClient, 'USD', 'IDR');
+
+    expect(exchangeRate.rate.toString()).toBe('15000');
+    expect(mockClient.exchange_Rate.findFirst).toHaveBeenCalledTimes(1);
+    expect(mockClient.exchange_Rate.findFirst.mock.calls[0][0].where).toMatchObject({ base_currency: 'USD', quote_currency: 'IDR' });
+  });
+
+  it('should fall back to the inverted rate of the opposite pair', async () => {
+    mockClient.exchange_Rate.findFirst
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ rate: new Prisma.Decimal(16000), spread_percent: new Prisma.Decimal(0) });
+
+    const exchangeRate = await findExchangeRate(mockClient, 'IDR', 'USD');
+
+    expect(mockClient.exchange_Rate.findFirst.mock.calls[1][0].where).toMatchObject({ base_currency: 'USD', quote_currency: 'IDR' });
+    expect(exchangeRate.rate.toString()).toBe('0.0000625');
+  });
+
+  it('should return null when no rate is in effect', async () => {
+    mockClient.exchange_Rate.findFirst.mockResolvedValue(null);
+
+    expect(await findExchangeRate(mockClient, 'IDR', 'SGD')).toBeNull();
+  });
+});
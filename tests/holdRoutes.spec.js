@@ -0,0 +1,176 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import { Prisma } from '@prisma/client';
+
+// The routes run against a small in-memory stand-in for the database: accounts, holds and transactions are
+// kept in maps, balance updates and hold changes are applied to them, and the ledger entries are collected.
+const D = (value) => new Prisma.Decimal(value);
+
+let accounts, holds, transactions, ledgerEntries, nextHoldId;
+
+function lockedIds(values){ // Prisma.join(ids) arrives as a single Sql value
+  return values.flatMap((value) => Array.isArray(value?.values) ? value.values : [value]);
+}
+
+const mockPrisma = {
+  $transaction: jest.fn((fn) => fn(mockPrisma)),
+  $executeRaw: jest.fn(() => Promise.resolve(1)),
+  $queryRaw: jest.fn((strings, ...values) => {
+    const sql = strings.join('?');
+    const ids = lockedIds(values);
+
+    if(/FROM account_holds/.test(sql)){
+      return Promise.resolve(holds.has(ids[0]) ? [{ id: ids[0] }] : []);
+    } else if(/FROM bank_accounts/.test(sql)){
+      return Promise.resolve([...accounts.values()].filter((account) => ids.includes(account.id)).map((account) => ({ ...account })));
+    }
+    return Promise.resolve([]);
+  }),
+  bank_Account: {
+    update: jest.fn(({ where, data }) => {
+      const account = accounts.get(where.id);
+      account.balance = data.balance.increment ? D(account.balance).plus(data.balance.increment) : D(account.balance).minus(data.balance.decrement);
+      return Promise.resolve({ ...account });
+    }),
+  },
+  account_Holder: {
+    findMany: jest.fn(() => Promise.resolve([])),
+  },
+  webhook_Subscription: {
+    findMany: jest.fn(() => Promise.resolve([])),
+  },
+  account_Hold: {
+    aggregate: jest.fn(({ where }) => {
+      const held = [...holds.values()].filter((hold) => hold.account_id === where.account_id && hold.status === 'active');
+      return Promise.resolve({ _sum: { amount: held.length > 0 ? held.reduce((sum, hold) => sum.plus(hold.amount), D(0)) : null } });
+    }),
+    create: jest.fn(({ data }) => {
+      const hold = { id: nextHoldId++, status: 'active', transaction_id: null, captured_amount: null, destination_account_id: null, ...data };
+      holds.set(hold.id, hold);
+      return Promise.resolve({ ...hold });
+    }),
+    findUnique: jest.fn(({ where }) => Promise.resolve(holds.has(where.id) ? { ...holds.get(where.id) } : null)),
+    update: jest.fn(({ where, data }) => Promise.resolve({ ...Object.assign(holds.get(where.id), data) })),
+  },
+  transaction: {
+    create: jest.fn(({ data: { statusHistory, ...data } }) => {
+      const transaction = { id: 40, ...data };
+      transactions.set(transaction.id, transaction);
+      return Promise.resolve({ ...transaction });
+    }),
+    update: jest.fn(({ where, data: { statusHistory, ...data } }) => Promise.resolve({ ...Object.assign(transactions.get(where.id), data) })),
+  },
+  ledger_Entry: {
+    createMany: jest.fn(({ data }) => {
+      ledgerEntries.push(...data);
+      return Promise.resolve({ count: data.length });
+    }),
+  },
+};
+
+jest.unstable_mockModule('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma), Prisma }));
+
+process.env.JWT_SECRET_KEY = 'test-secret';
+const { default: app } = await import('../index.js');
+
+const admin = `Bearer ${jwt.sign({ id: 9, role: 'admin' }, process.env.JWT_SECRET_KEY)}`;
+
+function account(id, balance, currency = 'IDR'){
+  return { id, user_id: id, balance: D(balance), overdraft_limit: D(0), currency };
+}
+
+// 400 of account 1 held for account 2
+function seedHold(overrides = {}){
+  const hold = { id: nextHoldId++, account_id: 1, destination_account_id: 2, amount: D(400), status: 'active', transaction_id: null, captured_amount: null, expires_at: null, ...overrides };
+  holds.set(hold.id, hold);
+  return hold;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  accounts = new Map([[1, account(1, 1000)], [2, account(2, 0)], [3, account(3, 0, 'USD')]]);
+  holds = new Map();
+  transactions = new Map();
+  ledgerEntries = [];
+  nextHoldId = 1;
+});
+
+describe('POST /api/v1/holds', () => {
+  it('should hold the amount and take it out of the available balance', async () => {
+    seedHold(); // 600 of the 1000 can still be held
+
+    const res = await request(app).post('/api/v1/holds').set('Authorization', admin).send({ account_id: 1, destination_account_id: 2, amount: 500 });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.hold).toMatchObject({ id: 2, account_id: 1, destination_account_id: 2, amount: 500, status: 'active' });
+    expect(res.body.available_balance).toBe('100');
+    expect(accounts.get(1).balance.toString()).toBe('1000'); // nothing moves until the hold is captured
+  });
+
+  it('should refuse more than the available balance, and a destination in another currency', async () => {
+    seedHold();
+
+    const tooMuch = await request(app).post('/api/v1/holds').set('Authorization', admin).send({ account_id: 1, amount: 700 });
+    const otherCurrency = await request(app).post('/api/v1/holds').set('Authorization', admin).send({ account_id: 1, destination_account_id: 3, amount: 100 });
+
+    expect(tooMuch.statusCode).toBe(409);
+    expect(tooMuch.body.message).toBe('Insufficient available balance, 600 available');
+    expect(otherCurrency.statusCode).toBe(409);
+    expect(mockPrisma.account_Hold.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/v1/holds/:holdId/capture', () => {
+  it('should move part of the held amount to the destination account and end the hold', async () => {
+    seedHold();
+
+    const res = await request(app).post('/api/v1/holds/1/capture').set('Authorization', admin).send({ amount: 250 });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.transaction).toMatchObject({ id: 40, type: 'capture', status: 'completed', source_account_id: 1, destination_account_id: 2 });
+    expect(res.body.hold).toMatchObject({ status: 'captured', captured_amount: '250', transaction_id: 40 });
+    expect(accounts.get(1).balance.toString()).toBe('750');
+    expect(accounts.get(2).balance.toString()).toBe('250');
+    expect(ledgerEntries.map(({ account_id, direction }) => [account_id, direction])).toEqual([[1, 'debit'], [2, 'credit']]);
+  });
+
+  it('should refuse more than was held, or than the account has left', async () => {
+    seedHold();
+    seedHold({ amount: D(300) });
+    accounts.get(1).balance = D(200); // e.g. a reversal took money out while the holds were active
+
+    const overHeld = await request(app).post('/api/v1/holds/1/capture').set('Authorization', admin).send({ amount: 500 });
+    const overBalance = await request(app).post('/api/v1/holds/2/capture').set('Authorization', admin).send({});
+
+    expect(overHeld.statusCode).toBe(400);
+    expect(overBalance.statusCode).toBe(409);
+    expect(overBalance.body.message).toBe('Insufficient balance in account 1 to capture this hold');
+    expect(holds.get(2).status).toBe('active');
+    expect(ledgerEntries).toEqual([]);
+  });
+});
+
+describe('POST /api/v1/holds/:holdId/release', () => {
+  it('should release the hold without moving any money, after which it can\'t be captured', async () => {
+    seedHold();
+
+    const released = await request(app).post('/api/v1/holds/1/release').set('Authorization', admin);
+    const captured = await request(app).post('/api/v1/holds/1/capture').set('Authorization', admin).send({});
+
+    expect(released.statusCode).toBe(200);
+    expect(released.body.hold.status).toBe('released');
+    expect(captured.statusCode).toBe(409);
+    expect(captured.body.message).toBe('Hold with id 1 is released');
+    expect(accounts.get(1).balance.toString()).toBe('1000');
+  });
+
+  it('should leave the hold of a transfer to its approval or fraud review', async () => {
+    seedHold({ transaction_id: 60 });
+
+    const res = await request(app).post('/api/v1/holds/1/release').set('Authorization', admin);
+
+    expect(res.statusCode).toBe(409);
+    expect(holds.get(1).status).toBe('active');
+  });
+});
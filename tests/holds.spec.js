@@ -0,0 +1,117 @@
+import { jest } from '@jest/globals';
+import { Prisma } from '@prisma/client';
+import { getHeldAmount, getAvailableBalance, lockActiveHold, endTransferHold } from '../services/holds.js';
+
+const mockTx = {
+  $queryRaw: jest.fn(),
+  account_Hold: {
+    aggregate: jest.fn(),
+    findUnique: jest.fn(),
+    update: jest.fn(),
+  },
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('getHeldAmount', () => {
+  it('should only count active holds that have not expired', async () => {
+    const now = new Date('2024-11-06T10:00:00Z');
+    mockTx.account_Hold.aggregate.mockResolvedValueOnce({ _sum: { amount: new Prisma.Decimal(2500) } });
+
+    const held = await getHeldAmount(mockTx, 1, now);
+
+    expect(held.toString()).toBe('2500');
+    expect(mockTx.account_Hold.aggregate.mock.calls[0][0].where).toEqual({
+      account_id: 1,
+      status: 'active',
+      OR: [{ expires_at: null }, { expires_at: { gt: now } }],
+    });
+  });
+});
+
+describe('getAvailableBalance', () => {
+  it('should subtract the active holds from the balance', async () => {
+    mockTx.account_Hold.aggregate.mockResolvedValueOnce({ _sum: { amount: new Prisma.Decimal('1200.50') } });
+
+    const available = await getAvailableBalance(mockTx, { id: 1, balance: new Prisma.Decimal(5000), overdraft_limit: new Prisma.Decimal(0) });
+
+    expect(available.toString()).toBe('3799.5');
+  });
+
+  it('should be the balance when there are no holds', async () => {
+    mockTx.account_Hold.aggregate.mockResolvedValueOnce({ _sum: { amount: null } });
+
+    const available = await getAvailableBalance(mockTx, { id: 1, balance: new Prisma.Decimal(5000), overdraft_limit: new Prisma.Decimal(0) });
+
+    expect(available.toString()).toBe('5000');
+  });
+
+  it('should add the overdraft limit, even when the balance is already negative', async () => {
+    mockTx.account_Hold.aggregate.mockResolvedValueOnce({ _sum: { amount: new Prisma.Decimal(1000) } });
+
+    const available = await getAvailableBalance(mockTx, { id: 1, balance: new Prisma.Decimal(-2000), overdraft_limit: new Prisma.Decimal(10000) });
+
+    expect(available.toString()).toBe('7000');
+  });
+});
+
+describe('lockActiveHold', () => {
+  const now = new Date('2024-11-06T10:00:00Z');
+
+  it('should return an active hold', async () => {
+    const hold = { id: 1, status: 'active', transaction_id: null, expires_at: new Date('2024-11-07T10:00:00Z') };
+    mockTx.$queryRaw.mockResolvedValueOnce([{ id: 1 }]);
+    mockTx.account_Hold.findUnique.mockResolvedValueOnce(hold);
+
+    expect(await lockActiveHold(mockTx, 1, now)).toEqual({ hold });
+  });
+
+  it('should mark a hold past its expiry as expired', async () => {
+    mockTx.$queryRaw.mockResolvedValueOnce([{ id: 1 }]);
+    mockTx.account_Hold.findUnique.mockResolvedValueOnce({ id: 1, status: 'active', transaction_id: null, expires_at: new Date('2024-11-06T09:00:00Z') });
+    mockTx.account_Hold.update.mockResolvedValueOnce({ id: 1, status: 'expired' });
+
+    const { error } = await lockActiveHold(mockTx, 1, now);
+
+    expect(mockTx.account_Hold.update.mock.calls[0][0].data).toEqual({ status: 'expired' });
+    expect(error).toEqual({ code: 409, message: 'Hold with id 1 is expired' });
+  });
+
+  it('should refuse holds of transfers waiting for approval', async () => {
+    mockTx.$queryRaw.mockResolvedValueOnce([{ id: 1 }]);
+    mockTx.account_Hold.findUnique.mockResolvedValueOnce({ id: 1, status: 'active', transaction_id: 7, expires_at: null });
+
+    const { error } = await lockActiveHold(mockTx, 1, now);
+
+    expect(error.code).toBe(409);
+  });
+
+  it('should return 404 for an unknown hold', async () => {
+    mockTx.$queryRaw.mockResolvedValueOnce([]);
+
+    const { error } = await lockActiveHold(mockTx, 99, now);
+
+    expect(error.code).toBe(404);
+  });
+});
+
+describe('endTransferHold', () => {
+  it('should capture the whole hold when the transfer is settled', async () => {
+    mockTx.account_Hold.findUnique.mockResolvedValueOnce({ id: 3, status: 'active', amount: new Prisma.Decimal(150006500) });
+
+    await endTransferHold(mockTx, 7, 'captured');
+
+    expect(mockTx.account_Hold.findUnique).toHaveBeenCalledWith({ where: { transaction_id: 7 } });
+    expect(mockTx.account_Hold.update.mock.calls[0][0].data).toEqual({ status: 'captured', captured_amount: new Prisma.Decimal(150006500) });
+  });
+
+  it('should leave a hold that has already ended', async () => {
+    mockTx.account_Hold.findUnique.mockResolvedValueOnce({ id: 3, status: 'released', amount: new Prisma.Decimal(100) });
+
+    await endTransferHold(mockTx, 7, 'captured');
+
+    expect(mockTx.account_Hold.update).not.toHaveBeenCalled();
+  });
+});
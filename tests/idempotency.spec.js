@@ -0,0 +1,130 @@
+import { jest } from '@jest/globals';
+import { Prisma } from '@prisma/client';
+import express from 'express';
+import request from 'supertest';
+
+const mockPrisma = {
+  idempotency_Key: {
+    findUnique: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    deleteMany: jest.fn(),
+  },
+};
+
+jest.unstable_mockModule('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma), Prisma }));
+
+const { default: idempotencyMiddleware } = await import('../middleware/idempotency.js');
+
+const handler = jest.fn((req, res) => res.status(201).json({ status: 'success', amount: req.body.amount }));
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => { // stands in for authMiddleware
+  req.user = { id: 1 };
+  next();
+});
+app.post('/transfers', idempotencyMiddleware, (req, res) => handler(req, res));
+
+// the key stored by the first request, its hash is only known once a request has been made
+async function storeFirstRequest(body){
+  await request(app).post('/transfers').set('Idempotency-Key', 'key-1').send(body);
+  return mockPrisma.idempotency_Key.create.mock.calls[0][0].data;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockPrisma.idempotency_Key.findUnique.mockResolvedValue(null);
+  mockPrisma.idempotency_Key.create.mockResolvedValue({});
+  mockPrisma.idempotency_Key.update.mockResolvedValue({});
+  mockPrisma.idempotency_Key.deleteMany.mockResolvedValue({ count: 1 });
+});
+
+describe('idempotency middleware', () => {
+  it('should run the handler as usual without the header', async () => {
+    const response = await request(app).post('/transfers').send({ amount: 100 });
+
+    expect(response.status).toBe(201);
+    expect(mockPrisma.idempotency_Key.findUnique).not.toHaveBeenCalled();
+  });
+
+  it('should reserve the key and store the successful response', async () => {
+    const response = await request(app).post('/transfers').set('Idempotency-Key', 'key-1').send({ amount: 100 });
+
+    expect(response.status).toBe(201);
+    expect(mockPrisma.idempotency_Key.create.mock.calls[0][0].data).toMatchObject({ key: 'key-1', user_id: 1 });
+    expect(mockPrisma.idempotency_Key.update.mock.calls[0][0].data).toEqual({ response_status: 201, response_body: { status: 'success', amount: 100 } });
+  });
+
+  it('should replay the stored response without running the handler again', async () => {
+    const stored = await storeFirstRequest({ amount: 100 });
+    handler.mockClear();
+    mockPrisma.idempotency_Key.findUnique.mockResolvedValueOnce({ ...stored, id: 1, response_status: 201, response_body: { status: 'success', amount: 100 } });
+
+    const response = await request(app).post('/transfers').set('Idempotency-Key', 'key-1').send({ amount: 100 });
+
+    expect(response.status).toBe(201);
+    expect(response.body).toEqual({ status: 'success', amount: 100 });
+    expect(response.headers['idempotent-replayed']).toBe('true');
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('should refuse the same key with a different body', async () => {
+    const stored = await storeFirstRequest({ amount: 100 });
+    handler.mockClear();
+    mockPrisma.idempotency_Key.findUnique.mockResolvedValueOnce({ ...stored, id: 1, response_status: 201, response_body: {} });
+
+    const response = await request(app).post('/transfers').set('Idempotency-Key', 'key-1').send({ amount: 999 });
+
+    expect(response.status).toBe(422);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('should answer 409 while the original request is still being processed', async () => {
+    const stored = await storeFirstRequest({ amount: 100 });
+    handler.mockClear();
+    mockPrisma.idempotency_Key.findUnique.mockResolvedValueOnce({ ...stored, id: 1, response_status: null, reserved_at: new Date(Date.now() - 1000) });
+
+    const response = await request(app).post('/transfers').set('Idempotency-Key', 'key-1').send({ amount: 100 });
+
+    expect(response.status).toBe(409);
+    expect(response.body.message).toBe('A request with this Idempotency-Key is still being processed');
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('should answer 409 when a concurrent request reserves the key first', async () => {
+    mockPrisma.idempotency_Key.create.mockRejectedValueOnce(Object.assign(new Error('Unique constraint failed'), { code: 'P2002' }));
+
+    const response = await request(app).post('/transfers').set('Idempotency-Key', 'key-1').send({ amount: 100 });
+
+    expect(response.status).toBe(409);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('should never run the handler again for a reservation that was never completed', async () => {
+    const stored = await storeFirstRequest({ amount: 100 });
+    handler.mockClear();
+    mockPrisma.idempotency_Key.findUnique.mockResolvedValueOnce({ ...stored, id: 1, response_status: null, reserved_at: new Date(Date.now() - 6 * 60 * 1000) });
+
+    const response = await request(app).post('/transfers').set('Idempotency-Key', 'key-1').send({ amount: 100 });
+
+    expect(response.status).toBe(409);
+    expect(response.body.message).toMatch(/may have been applied/);
+    expect(mockPrisma.idempotency_Key.deleteMany).not.toHaveBeenCalled();
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('should release the key when the request fails, however the response is sent', async () => {
+    handler.mockImplementationOnce((req, res) => res.status(409).json({ status: 'failed', message: 'Insufficient balance' }));
+    await request(app).post('/transfers').set('Idempotency-Key', 'key-1').send({ amount: 100 });
+
+    handler.mockImplementationOnce((req, res) => res.status(400).send([{ message: '"amount" is required' }]));
+    await request(app).post('/transfers').set('Idempotency-Key', 'key-2').send({});
+
+    expect(mockPrisma.idempotency_Key.update).not.toHaveBeenCalled();
+    expect(mockPrisma.idempotency_Key.deleteMany.mock.calls.map(([{ where }]) => where)).toEqual([
+      { user_id: 1, key: 'key-1', response_status: null },
+      { user_id: 1, key: 'key-2', response_status: null },
+    ]);
+  });
+});
@@ -0,0 +1,91 @@
+import { jest } from '@jest/globals';
+import { Prisma } from '@prisma/client';
+import { postLedgerEntries, getLedgerBalance } from '../services/ledger.js';
+
+const mockTx = {
+  $executeRaw: jest.fn(),
+  bank_Account: {
+    update: jest.fn(),
+  },
+  ledger_Entry: {
+    createMany: jest.fn(),
+    groupBy: jest.fn(),
+  },
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('postLedgerEntries', () => {
+  it('should post a balanced debit and credit for a transfer', async () => {
+    mockTx.bank_Account.update
+      .mockResolvedValueOnce({ id: 1, balance: new Prisma.Decimal(900) })
+      .mockResolvedValueOnce({ id: 2, balance: new Prisma.Decimal(1100) });
+
+    const result = await postLedgerEntries(mockTx, {
+      transactionId: 10,
+      debitAccountId: 1,
+      creditAccountId: 2,
+      amount: 100,
+    });
+
+    expect(mockTx.bank_Account.update).toHaveBeenCalledWith({
+      where: { id: 1 },
+      data: { balance: { decrement: 100 } },
+    });
+    expect(mockTx.bank_Account.update).toHaveBeenCalledWith({
+      where: { id: 2 },
+      data: { balance: { increment: 100 } },
+    });
+
+    const entries = mockTx.ledger_Entry.createMany.mock.calls[0][0].data;
+    expect(entries).toHaveLength(2);
+    expect(entries[0]).toMatchObject({ transaction_id: 10, account_id: 1, direction: 'debit', amount: 100 });
+    expect(entries[1]).toMatchObject({ transaction_id: 10, account_id: 2, direction: 'credit', amount: 100 });
+    expect(result.debitAccount.id).toBe(1);
+    expect(result.creditAccount.id).toBe(2);
+  });
+
+  it('should take the notification lock before inserting the entries', async () => {
+    mockTx.bank_Account.update.mockResolvedValueOnce({ id: 2, balance: new Prisma.Decimal(500) });
+
+    await postLedgerEntries(mockTx, { creditAccountId: 2, amount: 500 });
+
+    expect(mockTx.$executeRaw.mock.calls[0][0].join('?')).toContain('pg_advisory_xact_lock(230001)');
+    expect(mockTx.$executeRaw.mock.invocationCallOrder[0]).toBeLessThan(mockTx.ledger_Entry.createMany.mock.invocationCallOrder[0]);
+  });
+
+  it('should post the outside side against the bank books when there is no debit account', async () => {
+    mockTx.bank_Account.update.mockResolvedValueOnce({ id: 2, balance: new Prisma.Decimal(500) });
+
+    const result = await postLedgerEntries(mockTx, { creditAccountId: 2, amount: 500 });
+
+    expect(mockTx.bank_Account.update).toHaveBeenCalledTimes(1);
+    const entries = mockTx.ledger_Entry.createMany.mock.calls[0][0].data;
+    expect(entries[0]).toMatchObject({ account_id: null, direction: 'debit', balance_after: null });
+    expect(entries[1]).toMatchObject({ account_id: 2, direction: 'credit' });
+    expect(result.debitAccount).toBeNull();
+  });
+});
+
+describe('getLedgerBalance', () => {
+  it('should return credits minus debits', async () => {
+    mockTx.ledger_Entry.groupBy.mockResolvedValueOnce([
+      { direction: 'credit', _sum: { amount: new Prisma.Decimal('1500.50') } },
+      { direction: 'debit', _sum: { amount: new Prisma.Decimal('200.25') } },
+    ]);
+
+    const balance = await getLedgerBalance(mockTx, 1);
+
+    expect(balance.toString()).toBe('1300.25');
+  });
+
+  it('should return zero for an account without entries', async () => {
+    mockTx.ledger_Entry.groupBy.mockResolvedValueOnce([]);
+
+    const balance = await getLedgerBalance(mockTx, 1);
+
+    expect(balance.toString()).toBe('0');
+  });
+});
@@ -0,0 +1,144 @@
+import { jest } from '@jest/globals';
+import { Prisma } from '@prisma/client';
+import { formatServerSentEvent, toNotification, createNotificationHub } from '../services/notifications.js';
+
+const mockClient = {
+  ledger_Entry: {
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+  },
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockClient.ledger_Entry.findMany.mockResolvedValue([]);
+});
+
+// the entry's notification_seq is its id unless given, entries committed late have a lower id
+function ledgerEntry(id, userId, direction = 'credit', coHolderIds = [], seq = id){
+  return {
+    id: id,
+    notification_seq: seq,
+    account_id: userId * 10,
+    direction: direction,
+    amount: new Prisma.Decimal(150000),
+    balance_after: new Prisma.Decimal(1150000),
+    description: 'Transfer from account 1 to account 2',
+    transaction_id: id + 100,
+    created_at: new Date('2024-11-14T09:00:00Z'),
+    account: { bank_account_number: '2222111111', currency: 'IDR', holders: [userId, ...coHolderIds].map((holderId) => ({ user_id: holderId })) },
+    transaction: { type: 'transfer' },
+  };
+}
+
+function eventIds(write){
+  return write.mock.calls.map(([chunk]) => Number(chunk.match(/^id: (\d+)/)[1]));
+}
+
+describe('formatServerSentEvent', () => {
+  it('should write the id, the event name and the data as JSON', () => {
+    expect(formatServerSentEvent({ id: 42, event: 'credit', data: { amount: new Prisma.Decimal('10.5') } }))
+      .toBe('id: 42\nevent: credit\ndata: {"amount":"10.5"}\n\n');
+  });
+});
+
+describe('toNotification', () => {
+  it('should name the event after the direction of the ledger entry', () => {
+    const notification = toNotification(ledgerEntry(7, 1, 'debit'));
+
+    expect(notification.id).toBe(7);
+    expect(notification.event).toBe('debit');
+    expect(notification.data).toMatchObject({ ledger_entry_id: 7, account_id: 10, bank_account_number: '2222111111', transaction_type: 'transfer' });
+  });
+});
+
+describe('createNotificationHub', () => {
+  it('should push new entries only to the streams of the account owner', async () => {
+    mockClient.ledger_Entry.findFirst.mockResolvedValue({ notification_seq: 5 });
+    const hub = createNotificationHub(mockClient, { intervalMs: 60 * 1000 });
+    const ownerWrite = jest.fn();
+    const otherWrite = jest.fn();
+
+    const disconnectOwner = await hub.connect(1, null, ownerWrite);
+    const disconnectOther = await hub.connect(2, null, otherWrite);
+
+    mockClient.ledger_Entry.findMany.mockResolvedValueOnce([ledgerEntry(6, 1), ledgerEntry(7, 1, 'debit')]);
+    await hub.poll();
+
+    expect(mockClient.ledger_Entry.findMany.mock.calls[0][0].where.notification_seq).toEqual({ gt: 5 });
+    expect(eventIds(ownerWrite)).toEqual([6, 7]);
+    expect(ownerWrite.mock.calls[1][0]).toContain('event: debit');
+    expect(otherWrite).not.toHaveBeenCalled();
+
+    disconnectOwner();
+    disconnectOther();
+    expect(hub.connectionCount()).toBe(0);
+  });
+
+  it('should push the entries of a joint account to every holder', async () => {
+    mockClient.ledger_Entry.findFirst.mockResolvedValue({ notification_seq: 5 });
+    const hub = createNotificationHub(mockClient, { intervalMs: 60 * 1000 });
+    const ownerWrite = jest.fn();
+    const viewerWrite = jest.fn();
+
+    const disconnectOwner = await hub.connect(1, null, ownerWrite);
+    const disconnectViewer = await hub.connect(2, null, viewerWrite);
+
+    mockClient.ledger_Entry.findMany.mockResolvedValueOnce([ledgerEntry(6, 1, 'credit', [2])]);
+    await hub.poll();
+
+    expect(eventIds(ownerWrite)).toEqual([6]);
+    expect(eventIds(viewerWrite)).toEqual([6]);
+
+    disconnectOwner();
+    disconnectViewer();
+  });
+
+  it('should replay the entries after the last event id before the live ones, without repeats', async () => {
+    mockClient.ledger_Entry.findFirst.mockResolvedValue({ notification_seq: 10 });
+    const hub = createNotificationHub(mockClient, { intervalMs: 60 * 1000 });
+    const write = jest.fn();
+
+    mockClient.ledger_Entry.findMany.mockResolvedValueOnce([ledgerEntry(4, 1), ledgerEntry(9, 1)]);
+    const disconnect = await hub.connect(1, 3, write);
+
+    expect(mockClient.ledger_Entry.findMany.mock.calls[0][0].where).toEqual({ notification_seq: { gt: 3 }, account: { holders: { some: { user_id: 1, status: 'active' } } } });
+
+    mockClient.ledger_Entry.findMany.mockResolvedValueOnce([ledgerEntry(9, 1), ledgerEntry(11, 1)]);
+    await hub.poll();
+
+    expect(eventIds(write)).toEqual([4, 9, 11]);
+
+    disconnect();
+  });
+
+  it('should send an entry committed late even though its id is lower than the ones already sent', async () => {
+    mockClient.ledger_Entry.findFirst.mockResolvedValue({ notification_seq: 5 });
+    const hub = createNotificationHub(mockClient, { intervalMs: 60 * 1000 });
+    const write = jest.fn();
+
+    const disconnect = await hub.connect(1, null, write);
+
+    mockClient.ledger_Entry.findMany.mockResolvedValueOnce([ledgerEntry(8, 1)]);
+    await hub.poll();
+    mockClient.ledger_Entry.findMany.mockResolvedValueOnce([ledgerEntry(7, 1, 'credit', [], 9)]);
+    await hub.poll();
+
+    expect(mockClient.ledger_Entry.findMany.mock.calls[1][0].where.notification_seq).toEqual({ gt: 8 });
+    expect(write.mock.calls[1][0]).toContain('"ledger_entry_id":7');
+    expect(eventIds(write)).toEqual([8, 9]);
+
+    disconnect();
+  });
+
+  it('should stop polling once every stream is closed', async () => {
+    mockClient.ledger_Entry.findFirst.mockResolvedValue(null);
+    const hub = createNotificationHub(mockClient, { intervalMs: 60 * 1000 });
+
+    const disconnect = await hub.connect(1, null, jest.fn());
+    disconnect();
+    await hub.poll();
+
+    expect(mockClient.ledger_Entry.findMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,35 @@
+import { Prisma } from '@prisma/client';
+import { getOverdraftUsage, calculateDailyInterest } from '../services/overdraft.js';
+
+describe('getOverdraftUsage', () => {
+  it('should show the negative part of the balance as used', () => {
+    const usage = getOverdraftUsage({ balance: new Prisma.Decimal(-1500000), overdraft_limit: new Prisma.Decimal(50000000), overdraft_interest_rate: new Prisma.Decimal(18) });
+
+    expect(usage.used.toString()).toBe('1500000');
+    expect(usage.remaining.toString()).toBe('48500000');
+  });
+
+  it('should not use any overdraft while the balance is positive', () => {
+    const usage = getOverdraftUsage({ balance: new Prisma.Decimal(2000), overdraft_limit: new Prisma.Decimal(10000), overdraft_interest_rate: new Prisma.Decimal(0) });
+
+    expect(usage.used.toString()).toBe('0');
+    expect(usage.remaining.toString()).toBe('10000');
+  });
+
+  it('should have nothing remaining once the limit was lowered below what is used', () => {
+    const usage = getOverdraftUsage({ balance: new Prisma.Decimal(-5000), overdraft_limit: new Prisma.Decimal(0), overdraft_interest_rate: new Prisma.Decimal(0) });
+
+    expect(usage.remaining.toString()).toBe('0');
+  });
+});
+
+describe('calculateDailyInterest', () => {
+  it('should charge a 365th of the yearly rate on the negative balance', () => {
+    expect(calculateDailyInterest(new Prisma.Decimal(-3650000), new Prisma.Decimal(18)).toString()).toBe('1800');
+    expect(calculateDailyInterest('-1000', new Prisma.Decimal(18)).toString()).toBe('0.49');
+  });
+
+  it('should charge nothing on a positive balance', () => {
+    expect(calculateDailyInterest(new Prisma.Decimal(100), new Prisma.Decimal(18)).isZero()).toBe(true);
+  });
+});
@@ -0,0 +1,36 @@
+import { jest } from '@jest/globals';
+import { splitBill, expirePaymentRequests } from '../services/paymentRequest.js';
+
+describe('splitBill', () => {
+  it('should split evenly between the payers and the requester', () => {
+    expect(splitBill(300000, 2).map(String)).toEqual(['100000', '100000']);
+  });
+
+  it('should give the uneven cents to the requester first', () => {
+    expect(splitBill(100, 2).map(String)).toEqual(['33.33', '33.33']);
+    expect(splitBill('100.02', 2).map(String)).toEqual(['33.34', '33.34']);
+  });
+
+  it('should give the uneven cents to the first payers when the requester does not pay a share', () => {
+    expect(splitBill(100, 3, false).map(String)).toEqual(['33.34', '33.33', '33.33']);
+  });
+
+  it('should always add up to the total', () => {
+    const shares = splitBill('999.99', 6, false);
+
+    expect(shares.reduce((sum, share) => sum.plus(share)).toString()).toBe('999.99');
+  });
+});
+
+describe('expirePaymentRequests', () => {
+  it('should expire pending requests past their expiry', async () => {
+    const now = new Date('2024-11-10T09:00:00Z');
+    const client = { payment_Request: { updateMany: jest.fn().mockResolvedValue({ count: 2 }) } };
+
+    await expect(expirePaymentRequests(client, now)).resolves.toEqual({ count: 2 });
+    expect(client.payment_Request.updateMany).toHaveBeenCalledWith({
+      where: { status: 'pending', expires_at: { lte: now } },
+      data: { status: 'expired' }
+    });
+  });
+});
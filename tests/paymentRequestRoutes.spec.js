@@ -0,0 +1,185 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import { Prisma } from '@prisma/client';
+
+// The routes run against a small in-memory stand-in for the payment requests, the transfer itself is
+// covered by the transaction route tests, here it only has to be made with the request's accounts.
+const D = (value) => new Prisma.Decimal(value);
+
+let paymentRequests, nextPaymentRequestId;
+
+const accounts = [
+  { id: 1, user_id: 1, bank_account_number: '1111111111', bank_name: 'BNI', currency: 'IDR', user: { name: 'John Doe' } },
+  { id: 2, user_id: 2, bank_account_number: '2222222222', bank_name: 'BCA', currency: 'IDR', user: { name: 'Jane Doe' } },
+  { id: 3, user_id: 3, bank_account_number: '3333333333', bank_name: 'BRI', currency: 'USD', user: { name: 'Jim Doe' } },
+];
+
+// enough of Prisma's where to answer the queries of the routes: equality, null, gt and lte
+function matches(record, where){
+  return Object.entries(where).every(([field, condition]) => {
+    if(condition !== null && typeof condition === 'object' && !(condition instanceof Date)){
+      return (condition.gt === undefined || record[field] > condition.gt) && (condition.lte === undefined || record[field] <= condition.lte);
+    }
+    return condition === undefined || record[field] === condition;
+  });
+}
+
+function updateMatching(where, data){
+  const matching = [...paymentRequests.values()].filter((paymentRequest) => matches(paymentRequest, where));
+  matching.forEach((paymentRequest) => Object.assign(paymentRequest, data));
+  return Promise.resolve({ count: matching.length });
+}
+
+const mockPrisma = {
+  bank_Account: {
+    findUnique: jest.fn(({ where }) => Promise.resolve(accounts.find((account) => account.id === where.id) ?? null)),
+    findMany: jest.fn(({ where }) => Promise.resolve(accounts.filter((account) => where.bank_account_number.in.includes(account.bank_account_number)))),
+  },
+  payment_Request: {
+    create: jest.fn(({ data }) => {
+      const paymentRequest = { id: nextPaymentRequestId++, status: 'pending', transaction_id: null, decided_at: null, ...data };
+      paymentRequests.set(paymentRequest.id, paymentRequest);
+      return Promise.resolve({ ...paymentRequest });
+    }),
+    findUnique: jest.fn(({ where }) => Promise.resolve(paymentRequests.has(where.id) ? { ...paymentRequests.get(where.id) } : null)),
+    update: jest.fn(({ where, data }) => Promise.resolve({ ...Object.assign(paymentRequests.get(where.id), data) })),
+    updateMany: jest.fn(({ where, data }) => updateMatching(where, data)),
+  },
+};
+const mockExecuteTransfer = jest.fn();
+
+jest.unstable_mockModule('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma), Prisma }));
+jest.unstable_mockModule('../services/transfer.js', () => ({ executeTransfer: mockExecuteTransfer, settleTransfer: jest.fn(), settleHeldTransfer: jest.fn() }));
+
+process.env.JWT_SECRET_KEY = 'test-secret';
+const { default: app } = await import('../index.js');
+
+function tokenFor(user){
+  return `Bearer ${jwt.sign(user, process.env.JWT_SECRET_KEY)}`;
+}
+
+const requester = tokenFor({ id: 1, role: 'customer' });
+const payer = tokenFor({ id: 2, role: 'customer' });
+const stranger = tokenFor({ id: 3, role: 'customer' });
+
+// user 1 asks user 2 for 50000, due in a day unless given
+function pendingRequest(overrides = {}){
+  const paymentRequest = {
+    id: nextPaymentRequestId++,
+    requester_id: 1,
+    requester_account_id: 1,
+    payer_id: 2,
+    payer_account_id: 2,
+    amount: D(50000),
+    currency: 'IDR',
+    status: 'pending',
+    transaction_id: null,
+    decided_at: null,
+    expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    ...overrides,
+  };
+  paymentRequests.set(paymentRequest.id, paymentRequest);
+  return paymentRequest;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  paymentRequests = new Map();
+  nextPaymentRequestId = 1;
+});
+
+describe('POST /api/v1/payment-requests', () => {
+  it('should ask the owner of the account number to pay into the requester\'s account', async () => {
+    const res = await request(app).post('/api/v1/payment-requests').set('Authorization', requester)
+      .send({ requester_account_id: 1, payer_account_number: '2222222222', amount: 50000, note: 'Dinner' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.payment_request).toMatchObject({ requester_id: 1, requester_account_id: 1, payer_id: 2, payer_account_id: 2, amount: 50000, currency: 'IDR', status: 'pending', note: 'Dinner' });
+    expect(res.body.payer.holder_name).not.toBe('Jane Doe'); // only the masked name
+  });
+
+  it('should refuse an account of the requester\'s own, someone else\'s or in another currency', async () => {
+    const ownAccount = await request(app).post('/api/v1/payment-requests').set('Authorization', requester)
+      .send({ requester_account_id: 1, payer_account_number: '1111111111', amount: 50000 });
+    const othersAccount = await request(app).post('/api/v1/payment-requests').set('Authorization', requester)
+      .send({ requester_account_id: 2, payer_account_number: '2222222222', amount: 50000 });
+    const otherCurrency = await request(app).post('/api/v1/payment-requests').set('Authorization', requester)
+      .send({ requester_account_id: 1, payer_account_number: '3333333333', amount: 50000 });
+
+    expect([ownAccount.statusCode, othersAccount.statusCode, otherCurrency.statusCode]).toEqual([409, 403, 409]);
+    expect(mockPrisma.payment_Request.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/v1/payment-requests/:requestId/accept', () => {
+  it('should pay the request from the payer\'s account and link the transfer', async () => {
+    const paymentRequest = pendingRequest();
+    mockExecuteTransfer.mockResolvedValueOnce({ transaction: { id: 30, status: 'completed' }, fee: 0 });
+
+    const res = await request(app).post(`/api/v1/payment-requests/${paymentRequest.id}/accept`).set('Authorization', payer);
+
+    expect(res.statusCode).toBe(201);
+    expect(mockExecuteTransfer).toHaveBeenCalledWith(2, { source_account_id: 2, destination_account_id: 1, amount: D(50000) });
+    expect(paymentRequests.get(paymentRequest.id)).toMatchObject({ status: 'accepted', transaction_id: 30 });
+  });
+
+  it('should put the request back to pending when the transfer fails, so the payer can try again', async () => {
+    const paymentRequest = pendingRequest();
+    mockExecuteTransfer.mockResolvedValueOnce({ error: { code: 409, message: 'Insufficient balance' }, transaction: { id: 31, status: 'failed' } });
+
+    const res = await request(app).post(`/api/v1/payment-requests/${paymentRequest.id}/accept`).set('Authorization', payer);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe('Insufficient balance');
+    expect(paymentRequests.get(paymentRequest.id)).toMatchObject({ status: 'pending', transaction_id: null, decided_at: null });
+  });
+
+  it('should only let the payer accept', async () => {
+    const paymentRequest = pendingRequest();
+
+    const byRequester = await request(app).post(`/api/v1/payment-requests/${paymentRequest.id}/accept`).set('Authorization', requester);
+    const byStranger = await request(app).post(`/api/v1/payment-requests/${paymentRequest.id}/accept`).set('Authorization', stranger);
+
+    expect(byRequester.statusCode).toBe(403);
+    expect(byRequester.body.message).toBe('Only the payer can accept this payment request');
+    expect(byStranger.statusCode).toBe(403);
+    expect(byStranger.body.message).toBe(`This payment request doesn't belong to this user`);
+    expect(mockExecuteTransfer).not.toHaveBeenCalled();
+    expect(paymentRequests.get(paymentRequest.id).status).toBe('pending');
+  });
+
+  it('should refuse an expired or already answered request', async () => {
+    const expired = pendingRequest({ expires_at: new Date(Date.now() - 1000) });
+    const paid = pendingRequest({ status: 'accepted', transaction_id: 30 });
+
+    const expiredRes = await request(app).post(`/api/v1/payment-requests/${expired.id}/accept`).set('Authorization', payer);
+    const paidRes = await request(app).post(`/api/v1/payment-requests/${paid.id}/accept`).set('Authorization', payer);
+
+    expect(expiredRes.statusCode).toBe(409);
+    expect(expiredRes.body.message).toBe(`Payment request with id ${expired.id} is expired and can't be accepted`);
+    expect(paidRes.statusCode).toBe(409);
+    expect(mockExecuteTransfer).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/v1/payment-requests/:requestId/decline', () => {
+  it('should decline the request without moving any money', async () => {
+    const paymentRequest = pendingRequest();
+
+    const res = await request(app).post(`/api/v1/payment-requests/${paymentRequest.id}/decline`).set('Authorization', payer);
+
+    expect(res.statusCode).toBe(200);
+    expect(paymentRequests.get(paymentRequest.id).status).toBe('declined');
+    expect(mockExecuteTransfer).not.toHaveBeenCalled();
+  });
+
+  it('should not let the requester decline their own request', async () => {
+    const paymentRequest = pendingRequest();
+
+    const res = await request(app).post(`/api/v1/payment-requests/${paymentRequest.id}/decline`).set('Authorization', requester);
+
+    expect(res.statusCode).toBe(403);
+    expect(paymentRequests.get(paymentRequest.id).status).toBe('pending');
+  });
+});
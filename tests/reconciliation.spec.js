@@ -0,0 +1,103 @@
+import { jest } from '@jest/globals';
+import { Prisma } from '@prisma/client';
+import { reconcileBalances } from '../services/reconciliation.js';
+
+const D = (value) => new Prisma.Decimal(value);
+
+// account 1 opened with 1000, sent 200 (fee 5) to account 2 and 50 to account 3 in USD converted to 3.5,
+// account 4 collects the fees
+function buildClient({ balances = {}, ledger = null, preLedgerTransfer = false } = {}){
+  const accounts = [
+    { id: 1, bank_account_number: '1111111111', currency: 'IDR', balance: D(balances[1] ?? 745) },
+    { id: 2, bank_account_number: '2222222222', currency: 'IDR', balance: D(balances[2] ?? 200) },
+    { id: 3, bank_account_number: '3333333333', currency: 'USD', balance: D(balances[3] ?? 3.5) },
+    { id: 4, bank_account_number: '4444444444', currency: 'IDR', balance: D(balances[4] ?? 5) }
+  ];
+
+  const openingSums = [{ account_id: 1, direction: 'credit', _sum: { amount: D(1000) } }];
+  if(preLedgerTransfer){ // account 2 received 100 before the ledger existed, its opening balance already includes it
+    openingSums.push({ account_id: 2, direction: 'credit', _sum: { amount: D(100) } });
+  }
+  const ledgerSums = ledger ?? [
+    { account_id: 1, direction: 'credit', _sum: { amount: D(1000) } },
+    { account_id: 1, direction: 'debit', _sum: { amount: D(255) } },
+    { account_id: 2, direction: 'credit', _sum: { amount: D(200) } },
+    { account_id: 3, direction: 'credit', _sum: { amount: D(3.5) } },
+    { account_id: 4, direction: 'credit', _sum: { amount: D(5) } }
+  ];
+
+  return {
+    bank_Account: { findMany: jest.fn().mockResolvedValue(accounts) },
+    ledger_Entry: {
+      groupBy: jest.fn((args) => Promise.resolve(args.where.transaction_id === null ? openingSums : ledgerSums))
+    },
+    transaction: {
+      groupBy: jest.fn((args) => {
+        if(args.by[0] === 'source_account_id'){
+          return Promise.resolve([{ source_account_id: 1, _sum: { amount: D(250), fee: D(5) } }]);
+        } else if(args.where.destination_amount === null){
+          // the pre-ledger transfer has no ledger entries, so it only shows up when they aren't required
+          const preLedger = preLedgerTransfer && !args.where.ledgerEntries ? 100 : 0;
+          return Promise.resolve([{ destination_account_id: 2, _sum: { amount: D(200 + preLedger) } }]);
+        }
+        return Promise.resolve([{ destination_account_id: 3, _sum: { destination_amount: D(3.5) } }]);
+      }),
+      aggregate: jest.fn((args) => Promise.resolve(args.where.type === 'interest' ? { _sum: { amount: null } } : { _sum: { fee: D(5) } }))
+    }
+  };
+}
+
+describe('reconcileBalances', () => {
+  it('should find nothing when balances, ledger and transactions agree', async () => {
+    await expect(reconcileBalances(buildClient(), { feeRevenueAccountId: 4 })).resolves.toEqual({ account_count: 4, mismatches: [] });
+  });
+
+  it('should report a balance that drifted from its transactions', async () => {
+    const { mismatches } = await reconcileBalances(buildClient({ balances: { 2: '200.10' } }), { feeRevenueAccountId: 4 });
+
+    expect(mismatches).toEqual([{
+      account_id: 2,
+      bank_account_number: '2222222222',
+      currency: 'IDR',
+      balance: '200.10',
+      expected_balance: '200.00',
+      ledger_balance: '200.00',
+      difference: '0.10'
+    }]);
+  });
+
+  it('should report a ledger that disagrees with the transactions even when the balance is right', async () => {
+    const ledger = [
+      { account_id: 1, direction: 'credit', _sum: { amount: D(1000) } },
+      { account_id: 1, direction: 'debit', _sum: { amount: D(250) } },
+      { account_id: 2, direction: 'credit', _sum: { amount: D(200) } },
+      { account_id: 3, direction: 'credit', _sum: { amount: D(3.5) } },
+      { account_id: 4, direction: 'credit', _sum: { amount: D(5) } }
+    ];
+
+    const { mismatches } = await reconcileBalances(buildClient({ ledger }), { feeRevenueAccountId: 4 });
+
+    expect(mismatches).toHaveLength(1);
+    expect(mismatches[0]).toMatchObject({ account_id: 1, balance: '745.00', expected_balance: '745.00', ledger_balance: '750.00', difference: '0.00' });
+  });
+
+  it('should not credit fees to any account when no fee revenue account is set', async () => {
+    const { mismatches } = await reconcileBalances(buildClient(), { feeRevenueAccountId: null });
+
+    expect(mismatches).toEqual([expect.objectContaining({ account_id: 4, expected_balance: '0.00' })]);
+  });
+
+  it('should not count a transaction from before the ledger on top of the opening balance', async () => {
+    const ledger = [
+      { account_id: 1, direction: 'credit', _sum: { amount: D(1000) } },
+      { account_id: 1, direction: 'debit', _sum: { amount: D(255) } },
+      { account_id: 2, direction: 'credit', _sum: { amount: D(300) } },
+      { account_id: 3, direction: 'credit', _sum: { amount: D(3.5) } },
+      { account_id: 4, direction: 'credit', _sum: { amount: D(5) } }
+    ];
+    const client = buildClient({ balances: { 2: 300 }, ledger, preLedgerTransfer: true });
+
+    await expect(reconcileBalances(client, { feeRevenueAccountId: 4 })).resolves.toEqual({ account_count: 4, mismatches: [] });
+    expect(client.transaction.groupBy.mock.calls.every(([args]) => args.where.ledgerEntries)).toBe(true);
+  });
+});
@@ -1,8 +1,7 @@
 import request from 'supertest';
 import { jest } from '@jest/globals';
 import bcrypt from 'bcrypt';
-import { PrismaClient } from '@prisma/client';
-import app from '../index.js';
+import { Prisma } from '@prisma/client';
 
 const mockPrisma = {
   user: {
@@ -10,10 +9,16 @@ const mockPrisma = {
   },
 };
 
-jest.mock('@prisma/client', () => ({
+// jest.mock doesn't apply to the static imports of ES modules, the controllers would get a real PrismaClient
+// and fail to reach a database. ES modules are mocked before the app is imported, so every controller's
+// PrismaClient is the mock
+jest.unstable_mockModule('@prisma/client', () => ({
   PrismaClient: jest.fn(() => mockPrisma),
+  Prisma,
 }));
 
+const { default: app } = await import('../index.js');
+
 jest.spyOn(bcrypt, 'hash');
 
 beforeEach(() => {
@@ -0,0 +1,106 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import { Prisma } from '@prisma/client';
+
+// The transfer itself is covered by the transaction route tests, here it only has to be made with the
+// schedule's accounts on behalf of the user who scheduled it.
+const D = (value) => new Prisma.Decimal(value);
+
+const accounts = [
+  { id: 1, user_id: 1, balance: D(1000), currency: 'IDR' },
+  { id: 2, user_id: 2, balance: D(500), currency: 'IDR' },
+];
+
+const mockPrisma = {
+  bank_Account: {
+    findMany: jest.fn(({ where }) => Promise.resolve(accounts.filter((account) => where.id.in.includes(account.id)))),
+  },
+  account_Holder: {
+    findUnique: jest.fn(({ where }) => {
+      const { account_id, user_id } = where.account_id_user_id;
+      return Promise.resolve(accounts.find((account) => account.id === account_id)?.user_id === user_id ? { role: 'owner', status: 'active' } : null);
+    }),
+  },
+  scheduled_Transfer: {
+    create: jest.fn(({ data }) => Promise.resolve({ id: 1, status: 'active', ...data })),
+    updateMany: jest.fn(),
+    findMany: jest.fn(),
+  },
+  scheduled_Transfer_Run: {
+    create: jest.fn(({ data }) => Promise.resolve({ id: 1, ...data })),
+  },
+};
+const mockExecuteTransfer = jest.fn();
+
+jest.unstable_mockModule('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma), Prisma }));
+jest.unstable_mockModule('../services/transfer.js', () => ({ executeTransfer: mockExecuteTransfer, settleTransfer: jest.fn(), settleHeldTransfer: jest.fn() }));
+
+process.env.JWT_SECRET_KEY = 'test-secret';
+const { default: app } = await import('../index.js');
+const { runDueScheduledTransfers } = await import('../services/scheduledTransferRunner.js');
+
+const customer = `Bearer ${jwt.sign({ id: 1, role: 'customer' }, process.env.JWT_SECRET_KEY)}`;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('POST /api/v1/transactions/scheduled', () => {
+  it('should schedule a recurring transfer from the first time its cron expression matches', async () => {
+    const res = await request(app).post('/api/v1/transactions/scheduled').set('Authorization', customer)
+      .send({ source_account_id: 1, destination_account_id: 2, amount: 100, cron: '0 9 1 * *' });
+
+    expect(res.statusCode).toBe(201);
+    expect(mockPrisma.scheduled_Transfer.create.mock.calls[0][0].data).toMatchObject({ user_id: 1, source_account_id: 1, destination_account_id: 2, amount: 100, cron_expression: '0 9 1 * *' });
+    expect(new Date(res.body.scheduled_transfer.next_run_at).getTime()).toBeGreaterThan(Date.now());
+    expect(mockExecuteTransfer).not.toHaveBeenCalled(); // nothing moves until the runner picks it up
+  });
+
+  it('should refuse to schedule a transfer out of someone else\'s account, or a cron expression that never runs', async () => {
+    const othersAccount = await request(app).post('/api/v1/transactions/scheduled').set('Authorization', customer)
+      .send({ source_account_id: 2, destination_account_id: 1, amount: 100, cron: '0 9 1 * *' });
+    const neverRuns = await request(app).post('/api/v1/transactions/scheduled').set('Authorization', customer)
+      .send({ source_account_id: 1, destination_account_id: 2, amount: 100, cron: '0 9 31 2 *' });
+
+    expect(othersAccount.statusCode).toBe(403);
+    expect(neverRuns.statusCode).toBe(409);
+    expect(mockPrisma.scheduled_Transfer.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('runDueScheduledTransfers', () => {
+  const now = new Date('2024-11-01T09:00:00Z');
+
+  function dueTransfer(overrides = {}){
+    return { id: 4, user_id: 1, source_account_id: 1, destination_account_id: 2, amount: D(100), cron_expression: '0 9 1 * *', next_run_at: now, status: 'active', ...overrides };
+  }
+
+  it('should move the schedule forward, make the transfer and record the run', async () => {
+    mockPrisma.scheduled_Transfer.findMany.mockResolvedValueOnce([dueTransfer()]);
+    mockPrisma.scheduled_Transfer.updateMany.mockResolvedValueOnce({ count: 1 });
+    mockExecuteTransfer.mockResolvedValueOnce({ transaction: { id: 30, status: 'completed' } });
+
+    const runs = await runDueScheduledTransfers(now);
+
+    expect(mockPrisma.scheduled_Transfer.updateMany.mock.calls[0][0]).toEqual({
+      where: { id: 4, status: 'active', next_run_at: now },
+      data: { next_run_at: new Date('2024-12-01T09:00:00Z'), status: 'active' },
+    });
+    expect(mockExecuteTransfer).toHaveBeenCalledWith(1, { source_account_id: 1, destination_account_id: 2, amount: D(100) }, { channel: 'scheduled' });
+    expect(runs).toEqual([{ id: 1, scheduled_transfer_id: 4, transaction_id: 30, is_successful: true, message: null }]);
+  });
+
+  it('should record a failed run when the transfer is refused, and skip an occurrence another runner claimed', async () => {
+    mockPrisma.scheduled_Transfer.findMany.mockResolvedValueOnce([dueTransfer(), dueTransfer({ id: 5, cron_expression: null })]);
+    mockPrisma.scheduled_Transfer.updateMany
+      .mockResolvedValueOnce({ count: 1 })
+      .mockResolvedValueOnce({ count: 0 });
+    mockExecuteTransfer.mockResolvedValueOnce({ error: { code: 409, message: 'Insufficient balance' }, transaction: { id: 31, status: 'failed' } });
+
+    const runs = await runDueScheduledTransfers(now);
+
+    expect(mockExecuteTransfer).toHaveBeenCalledTimes(1);
+    expect(runs).toEqual([{ id: 1, scheduled_transfer_id: 4, transaction_id: 31, is_successful: false, message: 'Insufficient balance' }]);
+  });
+});
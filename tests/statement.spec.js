@@ -0,0 +1,125 @@
+import { jest } from '@jest/globals';
+import { Prisma } from '@prisma/client';
+import { buildStatement, csvField, renderStatementCsv } from '../services/statement.js';
+import validateStatement from '../validation/statement.js';
+
+const D = (value) => new Prisma.Decimal(value);
+
+const mockClient = {
+  ledger_Entry: {
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+  },
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+const account = { id: 1, bank_name: 'BNI', bank_account_number: '1111111111', user: { name: 'John Doe' } };
+const from = new Date('2024-11-01T00:00:00Z');
+const to = new Date('2024-12-01T00:00:00Z');
+
+// account 1 sent 200 to Jane Doe with a fee of 5 collected by the bank's fee revenue account
+const transfer = {
+  id: 7,
+  type: 'transfer',
+  sourceAccount: { id: 1, user: { name: 'John Doe' } },
+  destinationAccount: { id: 2, user: { name: 'Jane Doe' } },
+};
+
+function entry(id, overrides){
+  return { id, account_id: 1, created_at: new Date('2024-11-10T09:00:00Z'), ...overrides };
+}
+
+describe('validateStatement', () => {
+  it('should accept a period open at either end', () => {
+    expect(validateStatement({ to: '2024-01-31' }).error).toBeUndefined();
+    expect(validateStatement({ from: '2024-01-01' }).error).toBeUndefined();
+    expect(validateStatement({}).value).toEqual({ format: 'csv' });
+  });
+
+  it('should reject a period that ends before it starts and unknown formats', () => {
+    expect(validateStatement({ from: '2024-02-01', to: '2024-01-01' }).error.details[0].type).toBe('date.min');
+    expect(validateStatement({ format: 'xlsx' }).error.details[0].type).toBe('any.only');
+  });
+});
+
+describe('buildStatement', () => {
+  it('should open with the balance after the last entry before the period', async () => {
+    mockClient.ledger_Entry.findFirst.mockResolvedValueOnce({ balance_after: D(1000) });
+    mockClient.ledger_Entry.findMany.mockResolvedValueOnce([]);
+
+    const statement = await buildStatement(mockClient, account, from, to);
+
+    expect(statement.opening_balance.toString()).toBe('1000');
+    expect(statement.closing_balance.toString()).toBe('1000');
+    expect(statement.lines).toEqual([]);
+  });
+
+  it('should name the account that collected a fee as the counterparty of the fee line', async () => {
+    mockClient.ledger_Entry.findFirst.mockResolvedValueOnce({ balance_after: D(1000) });
+    mockClient.ledger_Entry.findMany
+      .mockResolvedValueOnce([
+        entry(20, { transaction_id: 7, transaction: transfer, direction: 'debit', amount: D(200), balance_after: D(800), description: 'Transfer from account 1 to account 2' }),
+        entry(22, { transaction_id: 7, transaction: transfer, direction: 'debit', amount: D(5), balance_after: D(795), description: 'Transfer fee for transaction 7' }),
+      ])
+      .mockResolvedValueOnce([{ transaction_id: 7, account: { user: { name: 'Bank Fee Revenue' } } }]);
+
+    const statement = await buildStatement(mockClient, account, from, to);
+
+    expect(statement.lines.map((line) => [line.counterparty, line.amount.toString()])).toEqual([['Jane Doe', '-200'], ['Bank Fee Revenue', '-5']]);
+    expect(mockClient.ledger_Entry.findMany.mock.calls[1][0].where).toEqual({
+      transaction_id: { in: [7] },
+      direction: 'credit',
+      description: { in: ['Transfer fee for transaction 7'] },
+    });
+    expect(statement.closing_balance.toString()).toBe('795');
+  });
+
+  it('should fall back to the bank when no account collected the fee', async () => {
+    mockClient.ledger_Entry.findFirst.mockResolvedValueOnce(null);
+    mockClient.ledger_Entry.findMany
+      .mockResolvedValueOnce([
+        entry(22, { transaction_id: 7, transaction: transfer, direction: 'debit', amount: D(5), balance_after: D(795), description: 'Transfer fee for transaction 7' }),
+      ])
+      .mockResolvedValueOnce([{ transaction_id: 7, account: null }]);
+
+    const statement = await buildStatement(mockClient, account, from, to);
+
+    expect(statement.opening_balance.toString()).toBe('0');
+    expect(statement.lines[0].counterparty).toBe('Bank');
+  });
+
+  it('should describe cash and opening balance lines', async () => {
+    mockClient.ledger_Entry.findFirst.mockResolvedValueOnce(null);
+    mockClient.ledger_Entry.findMany.mockResolvedValueOnce([
+      entry(1, { transaction_id: null, transaction: null, direction: 'credit', amount: D(1000), balance_after: D(1000), description: 'Opening balance' }),
+      entry(2, { transaction_id: 8, transaction: { type: 'withdrawal', sourceAccount: account, destinationAccount: null }, direction: 'debit', amount: D(50), balance_after: D(950), description: 'Cash withdrawal from account 1' }),
+    ]);
+
+    const statement = await buildStatement(mockClient, account, from, to);
+
+    expect(statement.lines.map((line) => line.counterparty)).toEqual(['Bank', 'Cash withdrawal']);
+    expect(mockClient.ledger_Entry.findMany).toHaveBeenCalledTimes(1); // no fee lines, nothing more to look up
+  });
+});
+
+describe('renderStatementCsv', () => {
+  it('should render the balances around the lines and neutralise formulas', () => {
+    const csv = renderStatementCsv({
+      opening_balance: D(1000),
+      closing_balance: D(800),
+      lines: [{ date: new Date('2024-11-10T09:00:00Z'), transaction_id: 7, description: '=HYPERLINK("x")', counterparty: 'Doe, Jane', amount: D(-200), balance: D(800) }],
+    });
+
+    expect(csv.split('\r\n')).toEqual([
+      'Date,Transaction ID,Description,Counterparty,Amount,Balance',
+      ',,Opening balance,,,1000.00',
+      `2024-11-10T09:00:00.000Z,7,"'=HYPERLINK(""x"")","Doe, Jane",-200.00,800.00`,
+      ',,Closing balance,,,800.00',
+      '',
+    ]);
+    expect(csvField(null)).toBe('');
+  });
+});
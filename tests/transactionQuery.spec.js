@@ -0,0 +1,103 @@
+import { jest } from '@jest/globals';
+import { buildTransactionFilters, paginateTransactions } from '../services/transactionQuery.js';
+import validateTransactionQuery from '../validation/transactionQuery.js';
+
+const mockClient = {
+  transaction: {
+    findMany: jest.fn(),
+  },
+};
+
+const rows = (...ids) => ids.map((id) => ({ id }));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('buildTransactionFilters', () => {
+  it('should filter by direction against the given accounts', () => {
+    expect(buildTransactionFilters({ direction: 'incoming' }, [1, 2])).toEqual([
+      { destination_account_id: { in: [1, 2] } },
+    ]);
+    expect(buildTransactionFilters({ direction: 'outgoing' }, [1])).toEqual([
+      { source_account_id: { in: [1] } },
+    ]);
+  });
+
+  it('should make a plain "to" date cover the whole day', () => {
+    const [filter] = buildTransactionFilters({ to: '2024-10-31' }, []);
+
+    expect(filter.created_at.lt).toEqual(new Date('2024-11-01T00:00:00.000Z'));
+  });
+});
+
+describe('validateTransactionQuery', () => {
+  it('should accept ranges open at either end', () => {
+    expect(validateTransactionQuery({ max_amount: '100' }).error).toBeUndefined();
+    expect(validateTransactionQuery({ min_amount: '100' }).error).toBeUndefined();
+    expect(validateTransactionQuery({ to: '2024-01-01' }).error).toBeUndefined();
+    expect(validateTransactionQuery({ from: '2024-01-01' }).error).toBeUndefined();
+    expect(buildTransactionFilters(validateTransactionQuery({ max_amount: '100' }).value, [])).toEqual([{ amount: { lte: 100 } }]);
+  });
+
+  it('should filter by every transaction type', () => {
+    expect(validateTransactionQuery({ type: 'capture' }).error).toBeUndefined();
+    expect(validateTransactionQuery({ type: 'interest' }).error).toBeUndefined();
+  });
+
+  it('should reject a range that ends before it starts', () => {
+    expect(validateTransactionQuery({ min_amount: '50', max_amount: '10' }).error.details[0].type).toBe('number.min');
+    expect(validateTransactionQuery({ from: '2024-02-01', to: '2024-01-01' }).error.details[0].type).toBe('date.min');
+    expect(validateTransactionQuery({ max_amount: '-1' }).error.details[0].type).toBe('number.min');
+  });
+
+  it('should reject amounts with more than 2 decimal places', () => {
+    expect(validateTransactionQuery({ min_amount: '10.005' }).error.details[0].type).toBe('number.multiple');
+    expect(validateTransactionQuery({ min_amount: '10.5', max_amount: '10.75' }).error).toBeUndefined();
+  });
+});
+
+describe('paginateTransactions', () => {
+  it('should return a next cursor when there are more rows', async () => {
+    mockClient.transaction.findMany.mockResolvedValueOnce(rows(1, 2, 3));
+
+    const result = await paginateTransactions(mockClient, {}, { sort: 'id', limit: 2 });
+
+    expect(mockClient.transaction.findMany.mock.calls[0][0]).toMatchObject({ orderBy: [{ id: 'asc' }], take: 3 });
+    expect(result.transactions).toEqual(rows(1, 2));
+    expect(result.pagination.prev_cursor).toBeNull();
+
+    // following the next cursor continues after the last row of the page
+    mockClient.transaction.findMany.mockResolvedValueOnce(rows(3));
+    const nextPage = await paginateTransactions(mockClient, {}, { sort: 'id', limit: 2, cursor: result.pagination.next_cursor });
+
+    expect(mockClient.transaction.findMany.mock.calls[1][0]).toMatchObject({ cursor: { id: 2 }, skip: 1, take: 3 });
+    expect(nextPage.transactions).toEqual(rows(3));
+    expect(nextPage.pagination.next_cursor).toBeNull();
+    expect(nextPage.pagination.prev_cursor).not.toBeNull();
+  });
+
+  it('should read backwards from a prev cursor', async () => {
+    mockClient.transaction.findMany.mockResolvedValueOnce(rows(3));
+    const page = await paginateTransactions(mockClient, {}, { sort: '-created_at', limit: 2, cursor: Buffer.from(JSON.stringify({ id: 4, direction: 'next' })).toString('base64url') });
+
+    mockClient.transaction.findMany.mockResolvedValueOnce(rows(1, 2, 3));
+    const prevPage = await paginateTransactions(mockClient, {}, { sort: '-created_at', limit: 2, cursor: page.pagination.prev_cursor });
+
+    expect(mockClient.transaction.findMany.mock.calls[1][0]).toMatchObject({
+      orderBy: [{ created_at: 'desc' }, { id: 'desc' }],
+      cursor: { id: 3 },
+      take: -3,
+    });
+    expect(prevPage.transactions).toEqual(rows(2, 3));
+    expect(prevPage.pagination.prev_cursor).not.toBeNull();
+    expect(prevPage.pagination.next_cursor).not.toBeNull();
+  });
+
+  it('should reject a malformed cursor', async () => {
+    const result = await paginateTransactions(mockClient, {}, { sort: 'id', limit: 2, cursor: 'not-a-cursor' });
+
+    expect(result.error.code).toBe(400);
+    expect(mockClient.transaction.findMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,521 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import { Prisma } from '@prisma/client';
+
+// The routes run against a small in-memory stand-in for the database: accounts and transactions are kept in
+// maps, balance updates and status changes are applied to them, and the raw locking queries are recorded.
+const D = (value) => new Prisma.Decimal(value);
+
+let accounts, transactions, ledgerEntries, statusChanges, holds, approvals, nextTransactionId;
+
+function withoutStatusHistory({ statusHistory, ...data }){
+  return data;
+}
+
+function lockedIds(values){ // Prisma.join(ids) arrives as a single Sql value
+  return values.flatMap((value) => Array.isArray(value?.values) ? value.values : [value]);
+}
+
+const mockPrisma = {
+  $transaction: jest.fn((fn) => fn(mockPrisma)),
+  $executeRaw: jest.fn(() => Promise.resolve(1)),
+  $queryRaw: jest.fn((strings, ...values) => {
+    const sql = strings.join('?');
+    const ids = lockedIds(values);
+
+    if(/FROM users/.test(sql)){
+      return Promise.resolve([{ id: ids[0] }]);
+    } else if(/FROM bank_accounts/.test(sql)){
+      return Promise.resolve([...accounts.values()].filter((account) => ids.includes(account.id)).sort((a, b) => a.id - b.id).map((account) => ({ ...account })));
+    } else if(/FROM transactions/.test(sql)){
+      return Promise.resolve(ids.filter((id) => transactions.has(id)).map((id) => ({ id })));
+    }
+    return Promise.resolve([]);
+  }),
+  bank_Account: {
+    findUnique: jest.fn(({ where }) => Promise.resolve(accounts.get(where.id) ?? null)),
+    findMany: jest.fn(({ where }) => Promise.resolve([...accounts.values()].filter((account) => account.user_id === where.holders.some.user_id))),
+    update: jest.fn(({ where, data }) => {
+      const account = accounts.get(where.id);
+      account.balance = data.balance.increment ? D(account.balance).plus(data.balance.increment) : D(account.balance).minus(data.balance.decrement);
+      return Promise.resolve({ ...account });
+    }),
+  },
+  account_Holder: {
+    findUnique: jest.fn(({ where }) => {
+      const { account_id, user_id } = where.account_id_user_id;
+      return Promise.resolve(accounts.get(account_id)?.user_id === user_id ? { role: 'owner', status: 'active' } : null);
+    }),
+    findMany: jest.fn(() => Promise.resolve([])),
+  },
+  transaction: {
+    findUnique: jest.fn(({ where, include }) => {
+      if(!transactions.has(where.id)){
+        return Promise.resolve(null);
+      }
+      const transaction = { ...transactions.get(where.id) };
+      return Promise.resolve(include?.approval ? { ...transaction, approval: approvals.get(where.id) ? { ...approvals.get(where.id) } : null } : transaction);
+    }),
+    create: jest.fn(({ data }) => {
+      const transaction = { id: nextTransactionId++, type: 'transfer', fee: D(0), failure_reason: null, reversal_of_id: null, destination_amount: null, exchange_rate: null, created_at: new Date('2024-11-14T09:00:00Z'), ...withoutStatusHistory(data) };
+      transactions.set(transaction.id, transaction);
+      statusChanges.push([transaction.id, null, data.status]);
+      return Promise.resolve({ ...transaction });
+    }),
+    update: jest.fn(({ where, data }) => {
+      const transaction = transactions.get(where.id);
+      const { from_status, to_status } = data.statusHistory.create;
+      Object.assign(transaction, withoutStatusHistory(data), { failure_reason: data.failure_reason ?? transaction.failure_reason });
+      statusChanges.push([transaction.id, from_status, to_status]);
+      return Promise.resolve({ ...transaction });
+    }),
+    findMany: jest.fn(() => Promise.resolve([...transactions.values()])),
+    count: jest.fn(() => Promise.resolve(0)),
+    aggregate: jest.fn(() => Promise.resolve({ _sum: { amount: null }, _avg: { amount: null }, _count: 0 })),
+  },
+  ledger_Entry: {
+    createMany: jest.fn(({ data }) => {
+      ledgerEntries.push(...data);
+      return Promise.resolve({ count: data.length });
+    }),
+  },
+  account_Hold: {
+    aggregate: jest.fn(({ where }) => {
+      const held = [...holds.values()].filter((hold) => hold.account_id === where.account_id && hold.status === 'active');
+      return Promise.resolve({ _sum: { amount: held.length > 0 ? held.reduce((sum, hold) => sum.plus(hold.amount), D(0)) : null } });
+    }),
+    findUnique: jest.fn(({ where }) => Promise.resolve([...holds.values()].find((hold) => hold.transaction_id === where.transaction_id) ?? null)),
+    update: jest.fn(({ where, data }) => Promise.resolve({ ...Object.assign(holds.get(where.id), data) })),
+  },
+  transfer_Approval: {
+    update: jest.fn(({ where, data }) => Promise.resolve({ ...Object.assign([...approvals.values()].find((approval) => approval.id === where.id), data) })),
+  },
+  profile: {
+    findUnique: jest.fn(() => Promise.resolve(null)),
+  },
+  fee_Rule: {
+    findMany: jest.fn(() => Promise.resolve([])),
+  },
+  beneficiary: {
+    findUnique: jest.fn(() => Promise.resolve(null)),
+  },
+  webhook_Subscription: {
+    findMany: jest.fn(() => Promise.resolve([])),
+  },
+  user: {
+    findUnique: jest.fn(({ where }) => Promise.resolve({ id: where.id, name: `User ${where.id}`, email: `user${where.id}@example.com`, locale: 'en' })),
+  },
+  email_Message: {
+    create: jest.fn(({ data }) => Promise.resolve({ id: 1, ...data })),
+  },
+};
+
+jest.unstable_mockModule('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma), Prisma }));
+
+process.env.JWT_SECRET_KEY = 'test-secret';
+const { default: app } = await import('../index.js');
+
+function tokenFor(user){
+  return `Bearer ${jwt.sign(user, process.env.JWT_SECRET_KEY)}`;
+}
+
+const customer = tokenFor({ id: 1, role: 'customer' });
+
+function account(id, userId, balance){
+  return { id, user_id: userId, bank_name: 'BNI', balance: D(balance), overdraft_limit: D(0), currency: 'IDR', created_at: new Date('2024-01-01T00:00:00Z') };
+}
+
+// the raw queries run so far, as SQL with ? for each value
+function rawQueries(){
+  return mockPrisma.$queryRaw.mock.calls.map(([strings]) => strings.join('?').replace(/\s+/g, ' ').trim());
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  accounts = new Map([[1, account(1, 1, 1000)], [2, account(2, 2, 500)], [3, account(3, 1, 0)]]);
+  transactions = new Map();
+  ledgerEntries = [];
+  statusChanges = [];
+  holds = new Map();
+  approvals = new Map();
+  nextTransactionId = 1;
+});
+
+describe('POST /api/v1/transactions', () => {
+  it('should move the money, post the ledger entries and complete the transfer', async () => {
+    const res = await request(app).post('/api/v1/transactions').set('Authorization', customer)
+      .send({ source_account_id: 1, destination_account_id: 2, amount: 300 });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.transaction).toMatchObject({ id: 1, status: 'completed', amount: 300, initiated_by_user_id: 1 });
+    expect(accounts.get(1).balance.toString()).toBe('700');
+    expect(accounts.get(2).balance.toString()).toBe('800');
+    expect(ledgerEntries.map(({ account_id, direction, amount }) => [account_id, direction, amount])).toEqual([[1, 'debit', 300], [2, 'credit', 300]]);
+    expect(statusChanges).toEqual([[1, null, 'pending'], [1, 'pending', 'completed']]);
+    expect(mockPrisma.email_Message.create.mock.calls.map(([{ data }]) => [data.to, data.template, data.attempt_count])).toEqual([['user1@example.com', 'transfer_sent', 0]]);
+  });
+
+  it('should lock the user and then both accounts in id order before reading the balances', async () => {
+    await request(app).post('/api/v1/transactions').set('Authorization', customer)
+      .send({ source_account_id: 3, destination_account_id: 2, amount: 0 }); // rejected by validation, nothing locked
+    expect(mockPrisma.$queryRaw).not.toHaveBeenCalled();
+
+    accounts.get(3).balance = D(100);
+    const res = await request(app).post('/api/v1/transactions').set('Authorization', customer)
+      .send({ source_account_id: 3, destination_account_id: 2, amount: 50 });
+
+    expect(res.statusCode).toBe(201);
+    expect(rawQueries()).toEqual([
+      'SELECT id FROM users WHERE id = ? FOR UPDATE',
+      'SELECT id, user_id, bank_name, balance, overdraft_limit, currency, created_at FROM bank_accounts WHERE id IN (?, ?) ORDER BY id FOR UPDATE',
+    ]);
+    expect(mockPrisma.$queryRaw.mock.calls[0].slice(1)).toEqual([1]);
+    expect(mockPrisma.$transaction).toHaveBeenCalledTimes(1); // the checks and the writes share one database transaction
+  });
+
+  it('should refuse an amount with more than 2 decimal places instead of rounding it', async () => {
+    const res = await request(app).post('/api/v1/transactions').set('Authorization', customer)
+      .send({ source_account_id: 1, destination_account_id: 2, amount: 100.005 });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.map(({ type }) => type)).toEqual(['number.multiple']);
+    expect(transactions.size).toBe(0);
+    expect(accounts.get(1).balance.toString()).toBe('1000');
+  });
+
+  it('should record a failed transfer and move nothing when the balance is insufficient', async () => {
+    const res = await request(app).post('/api/v1/transactions').set('Authorization', customer)
+      .send({ source_account_id: 1, destination_account_id: 2, amount: 1000.01 });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe('Insufficient balance');
+    expect(res.body.transaction).toMatchObject({ status: 'failed', failure_reason: 'Insufficient balance' });
+    expect(statusChanges).toEqual([[1, null, 'pending'], [1, 'pending', 'failed']]);
+    expect(accounts.get(1).balance.toString()).toBe('1000');
+    expect(accounts.get(2).balance.toString()).toBe('500');
+    expect(ledgerEntries).toEqual([]);
+  });
+
+  it('should refuse to transfer from an account the user doesn\'t hold', async () => {
+    const res = await request(app).post('/api/v1/transactions').set('Authorization', customer)
+      .send({ source_account_id: 2, destination_account_id: 1, amount: 100 });
+
+    expect(res.statusCode).toBe(403);
+    expect(transactions.size).toBe(0);
+    expect(accounts.get(2).balance.toString()).toBe('500');
+  });
+
+  it('should refuse unknown accounts and transfers to the same account', async () => {
+    let res = await request(app).post('/api/v1/transactions').set('Authorization', customer)
+      .send({ source_account_id: 1, destination_account_id: 99, amount: 100 });
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe('Invalid account id');
+
+    res = await request(app).post('/api/v1/transactions').set('Authorization', customer)
+      .send({ source_account_id: 1, destination_account_id: 1, amount: 100 });
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe('Cannot do transaction between same account');
+
+    expect(transactions.size).toBe(0);
+  });
+
+  it('should require a token', async () => {
+    const res = await request(app).post('/api/v1/transactions').send({ source_account_id: 1, destination_account_id: 2, amount: 100 });
+
+    expect(res.statusCode).toBe(401);
+  });
+});
+
+describe('POST /api/v1/transactions/deposit and /withdrawal', () => {
+  const teller = tokenFor({ id: 9, role: 'admin' });
+
+  it('should only let admins record cash movements', async () => {
+    let res = await request(app).post('/api/v1/transactions/deposit').set('Authorization', customer).send({ destination_account_id: 1, amount: 100 });
+    expect(res.statusCode).toBe(403);
+
+    res = await request(app).post('/api/v1/transactions/withdrawal').set('Authorization', customer).send({ source_account_id: 1, amount: 100 });
+    expect(res.statusCode).toBe(403);
+
+    expect(transactions.size).toBe(0);
+  });
+
+  it('should credit a deposit against the bank\'s books after locking the account', async () => {
+    const res = await request(app).post('/api/v1/transactions/deposit').set('Authorization', teller).send({ destination_account_id: 2, amount: 250 });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.transaction).toMatchObject({ type: 'deposit', status: 'completed', destination_account_id: 2 });
+    expect(res.body.destination_account.balance).toBe('750');
+    expect(ledgerEntries.map(({ account_id, direction }) => [account_id, direction])).toEqual([[null, 'debit'], [2, 'credit']]);
+    expect(rawQueries()).toEqual(['SELECT id, currency FROM bank_accounts WHERE id = ? FOR UPDATE']);
+    expect(statusChanges).toEqual([[1, null, 'pending'], [1, 'pending', 'completed']]);
+  });
+
+  it('should pay out a withdrawal from the account\'s balance', async () => {
+    const res = await request(app).post('/api/v1/transactions/withdrawal').set('Authorization', teller).send({ source_account_id: 1, amount: 1000 });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.transaction).toMatchObject({ type: 'withdrawal', status: 'completed', source_account_id: 1 });
+    expect(accounts.get(1).balance.toString()).toBe('0');
+    expect(ledgerEntries.map(({ account_id, direction }) => [account_id, direction])).toEqual([[1, 'debit'], [null, 'credit']]);
+    expect(rawQueries()).toEqual(['SELECT id, balance, overdraft_limit, currency FROM bank_accounts WHERE id = ? FOR UPDATE']);
+  });
+
+  it('should record a failed withdrawal and pay nothing out when the balance is insufficient', async () => {
+    mockPrisma.account_Hold.aggregate.mockResolvedValueOnce({ _sum: { amount: D(100) } }); // 900 of the 1000 can be spent
+
+    const res = await request(app).post('/api/v1/transactions/withdrawal').set('Authorization', teller).send({ source_account_id: 1, amount: 950 });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe('Insufficient balance');
+    expect(res.body.transaction).toMatchObject({ type: 'withdrawal', status: 'failed' });
+    expect(statusChanges).toEqual([[1, null, 'pending'], [1, 'pending', 'failed']]);
+    expect(accounts.get(1).balance.toString()).toBe('1000');
+    expect(ledgerEntries).toEqual([]);
+  });
+
+  it('should refuse unknown accounts and invalid amounts', async () => {
+    let res = await request(app).post('/api/v1/transactions/deposit').set('Authorization', teller).send({ destination_account_id: 99, amount: 100 });
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe('Invalid account id');
+
+    res = await request(app).post('/api/v1/transactions/withdrawal').set('Authorization', teller).send({ source_account_id: 99, amount: 100 });
+    expect(res.statusCode).toBe(409);
+
+    res = await request(app).post('/api/v1/transactions/deposit').set('Authorization', teller).send({ destination_account_id: 1, amount: -5 });
+    expect(res.statusCode).toBe(400);
+
+    expect(transactions.size).toBe(0);
+  });
+});
+
+describe('POST /api/v1/transactions/:transaction/reverse', () => {
+  const admin = tokenFor({ id: 9, role: 'admin' });
+
+  // account 1 sent 300 to account 2, both balances already reflect it
+  function seedTransfer(overrides = {}){
+    const transfer = { id: 50, type: 'transfer', status: 'completed', source_account_id: 1, destination_account_id: 2, amount: D(300), fee: D(0), currency: 'IDR', destination_amount: null, destination_currency: null, exchange_rate: null, reversal_of_id: null, failure_reason: null, ...overrides };
+    transactions.set(transfer.id, transfer);
+    accounts.get(1).balance = D(700);
+    accounts.get(2).balance = D(800);
+    return transfer;
+  }
+
+  it('should move the money back and mark the original reversed', async () => {
+    seedTransfer();
+
+    const res = await request(app).post('/api/v1/transactions/50/reverse').set('Authorization', admin).send({});
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.original_transaction).toMatchObject({ id: 50, status: 'reversed', failure_reason: null });
+    expect(res.body.reversal_transaction).toMatchObject({ id: 1, type: 'reversal', reversal_of_id: 50, status: 'completed', source_account_id: 2, destination_account_id: 1 });
+    expect(accounts.get(1).balance.toString()).toBe('1000');
+    expect(accounts.get(2).balance.toString()).toBe('500');
+    expect(statusChanges).toEqual([[1, null, 'pending'], [1, 'pending', 'completed'], [50, 'completed', 'reversed']]);
+    expect(rawQueries()).toEqual([
+      'SELECT id FROM transactions WHERE id = ? FOR UPDATE',
+      'SELECT id, balance FROM bank_accounts WHERE id IN (?) ORDER BY id FOR UPDATE',
+    ]);
+  });
+
+  it('should refund part of the amount', async () => {
+    seedTransfer();
+
+    const res = await request(app).post('/api/v1/transactions/50/reverse').set('Authorization', admin).send({ amount: 100 });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.reversal_transaction.amount).toBe('100');
+    expect(accounts.get(1).balance.toString()).toBe('800');
+    expect(accounts.get(2).balance.toString()).toBe('700');
+  });
+
+  it('should refund the amount but not the fee', async () => {
+    seedTransfer({ fee: D(5) });
+    accounts.get(1).balance = D(695);
+
+    const res = await request(app).post('/api/v1/transactions/50/reverse').set('Authorization', admin).send({});
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.reversal_transaction).toMatchObject({ amount: '300', fee: '0' });
+    expect(accounts.get(1).balance.toString()).toBe('995');
+  });
+
+  it('should not reverse a reversal, nor the same transaction twice', async () => {
+    seedTransfer();
+    await request(app).post('/api/v1/transactions/50/reverse').set('Authorization', admin).send({});
+
+    let res = await request(app).post('/api/v1/transactions/1/reverse').set('Authorization', admin).send({});
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe(`A reversal transaction can't be reversed`);
+
+    res = await request(app).post('/api/v1/transactions/50/reverse').set('Authorization', admin).send({});
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe('Transaction with id 50 has already been reversed');
+
+    expect(accounts.get(1).balance.toString()).toBe('1000'); // reversed once only
+    expect(transactions.size).toBe(2);
+  });
+
+  it('should only reverse completed transactions', async () => {
+    for(const status of ['pending', 'failed']){
+      seedTransfer({ status });
+
+      const res = await request(app).post('/api/v1/transactions/50/reverse').set('Authorization', admin).send({});
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.message).toBe(`Transaction with id 50 is ${status} and can't be reversed`);
+    }
+    expect(statusChanges).toEqual([]);
+  });
+
+  it('should not reverse interest, nor a capture that moved the money out of the bank', async () => {
+    seedTransfer({ type: 'interest', destination_account_id: null });
+
+    let res = await request(app).post('/api/v1/transactions/50/reverse').set('Authorization', admin).send({});
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe(`Transactions of type interest can't be reversed`);
+
+    seedTransfer({ type: 'capture', destination_account_id: null });
+
+    res = await request(app).post('/api/v1/transactions/50/reverse').set('Authorization', admin).send({});
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe(`Transactions of type capture without a destination account can't be reversed`);
+
+    expect(statusChanges).toEqual([]);
+    expect(ledgerEntries).toEqual([]);
+  });
+
+  it('should refuse more than the original amount, or more than the receiver has left', async () => {
+    seedTransfer();
+
+    let res = await request(app).post('/api/v1/transactions/50/reverse').set('Authorization', admin).send({ amount: 300.01 });
+    expect(res.statusCode).toBe(400);
+
+    accounts.get(2).balance = D(200); // the receiver has spent most of it
+    res = await request(app).post('/api/v1/transactions/50/reverse').set('Authorization', admin).send({});
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe('Insufficient balance in account 2 to reverse this transaction');
+
+    expect(transactions.get(50).status).toBe('completed');
+    expect(ledgerEntries).toEqual([]);
+  });
+
+  it('should answer 404 for an unknown transaction and 403 to customers', async () => {
+    let res = await request(app).post('/api/v1/transactions/404/reverse').set('Authorization', admin).send({});
+    expect(res.statusCode).toBe(404);
+
+    seedTransfer();
+    res = await request(app).post('/api/v1/transactions/50/reverse').set('Authorization', customer).send({});
+    expect(res.statusCode).toBe(403);
+    expect(transactions.get(50).status).toBe('completed');
+  });
+});
+
+describe('POST /api/v1/transactions/:transaction/approve and /reject', () => {
+  const maker = tokenFor({ id: 9, role: 'admin' });
+  const checker = tokenFor({ id: 8, role: 'admin' });
+
+  // admin 9 made a transfer of 300 from account 1 to account 2, waiting for approval with its funds on hold
+  function seedHeldTransfer(){
+    transactions.set(60, { id: 60, type: 'transfer', status: 'pending', source_account_id: 1, destination_account_id: 2, amount: D(300), fee: D(0), currency: 'IDR', destination_amount: null, exchange_rate: null, reversal_of_id: null, failure_reason: null, created_at: new Date('2024-11-14T09:00:00Z') });
+    approvals.set(60, { id: 4, transaction_id: 60, maker_id: 9, status: 'pending' });
+    holds.set(7, { id: 7, account_id: 1, transaction_id: 60, amount: D(300), status: 'active' });
+  }
+
+  it('should settle an approved transfer and capture its hold', async () => {
+    seedHeldTransfer();
+
+    const res = await request(app).post('/api/v1/transactions/60/approve').set('Authorization', checker).send({ reason: 'Verified by phone' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.transaction).toMatchObject({ id: 60, status: 'completed' });
+    expect(res.body.approval).toMatchObject({ status: 'approved', checker_id: 8, decision_reason: 'Verified by phone' });
+    expect(holds.get(7)).toMatchObject({ status: 'captured', captured_amount: D(300) });
+    expect(accounts.get(1).balance.toString()).toBe('700');
+    expect(accounts.get(2).balance.toString()).toBe('800');
+    expect(statusChanges).toEqual([[60, 'pending', 'completed']]);
+  });
+
+  it('should not let the admin who made the transfer approve or reject it', async () => {
+    seedHeldTransfer();
+
+    const approved = await request(app).post('/api/v1/transactions/60/approve').set('Authorization', maker).send({});
+    const rejected = await request(app).post('/api/v1/transactions/60/reject').set('Authorization', maker).send({ reason: 'Changed my mind' });
+
+    expect([approved.statusCode, rejected.statusCode]).toEqual([403, 403]);
+    expect(approvals.get(60).status).toBe('pending');
+    expect(holds.get(7).status).toBe('active');
+    expect(accounts.get(1).balance.toString()).toBe('1000');
+  });
+
+  it('should fail a rejected transfer and release its hold without moving any money', async () => {
+    seedHeldTransfer();
+
+    const res = await request(app).post('/api/v1/transactions/60/reject').set('Authorization', checker).send({ reason: 'Customer did not confirm' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.transaction).toMatchObject({ id: 60, status: 'failed', failure_reason: 'Rejected by admin 8: Customer did not confirm' });
+    expect(holds.get(7).status).toBe('released');
+    expect(ledgerEntries).toEqual([]);
+    expect(accounts.get(1).balance.toString()).toBe('1000');
+  });
+
+  it('should leave the transfer pending when the balance dropped below it while waiting', async () => {
+    seedHeldTransfer();
+    accounts.get(1).balance = D(200); // e.g. a reversal took money out after the hold was placed
+
+    const res = await request(app).post('/api/v1/transactions/60/approve').set('Authorization', checker).send({});
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe('Insufficient balance in account 1 to settle this transfer');
+    expect(transactions.get(60).status).toBe('pending');
+    expect(approvals.get(60).status).toBe('pending');
+    expect(holds.get(7).status).toBe('active');
+    expect(ledgerEntries).toEqual([]);
+  });
+
+  it('should refuse a transfer that was already decided or never needed approval', async () => {
+    seedHeldTransfer();
+    approvals.get(60).status = 'rejected';
+    transactions.set(61, { id: 61, type: 'transfer', status: 'completed' });
+
+    const decided = await request(app).post('/api/v1/transactions/60/approve').set('Authorization', checker).send({});
+    const notHeld = await request(app).post('/api/v1/transactions/61/approve').set('Authorization', checker).send({});
+    const unknown = await request(app).post('/api/v1/transactions/62/approve').set('Authorization', checker).send({});
+
+    expect([decided.statusCode, notHeld.statusCode, unknown.statusCode]).toEqual([409, 409, 404]);
+    expect(decided.body.message).toBe('Transaction with id 60 has already been rejected');
+  });
+
+  it('should only let admins decide', async () => {
+    seedHeldTransfer();
+
+    const res = await request(app).post('/api/v1/transactions/60/approve').set('Authorization', customer).send({});
+
+    expect(res.statusCode).toBe(403);
+    expect(approvals.get(60).status).toBe('pending');
+  });
+});
+
+describe('GET /api/v1/transactions', () => {
+  function seed(transaction){
+    transactions.set(transaction.id, { type: 'transfer', status: 'completed', fee: D(0), destination_amount: null, currency: 'IDR', ...transaction });
+  }
+
+  it('should count the fee of outgoing transfers in the signed amount', async () => {
+    seed({ id: 1, source_account_id: 1, destination_account_id: 2, amount: D(300), fee: D(5) }); // sent by the user
+    seed({ id: 2, source_account_id: 2, destination_account_id: 1, amount: D(100), fee: D(5) }); // received, the payer paid the fee
+    seed({ id: 3, source_account_id: 1, destination_account_id: 3, amount: D(50), fee: D(2) }); // between the user's own accounts
+    seed({ id: 4, type: 'deposit', source_account_id: null, destination_account_id: 3, amount: D(20) });
+
+    const res = await request(app).get('/api/v1/transactions').set('Authorization', customer);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.transactions_data.map(({ id, fee, signed_amount }) => [id, fee, signed_amount])).toEqual([
+      [1, '5', '-305'],
+      [2, '5', '100'],
+      [3, '2', '-2'],
+      [4, '0', '20'],
+    ]);
+  });
+});
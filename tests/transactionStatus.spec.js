@@ -0,0 +1,149 @@
+import { jest } from '@jest/globals';
+import { isTransitionAllowed, updateTransactionStatus, recordFailedTransaction } from '../services/transactionStatus.js';
+
+const mockTx = {
+  transaction: {
+    create: jest.fn(),
+    update: jest.fn(),
+  },
+  account_Holder: {
+    findMany: jest.fn().mockResolvedValue([]),
+  },
+  webhook_Subscription: {
+    findMany: jest.fn().mockResolvedValue([]),
+  },
+  webhook_Delivery: {
+    createMany: jest.fn().mockResolvedValue({ count: 1 }),
+  },
+  bank_Account: {
+    findUnique: jest.fn(),
+  },
+  user: {
+    findUnique: jest.fn(),
+  },
+  email_Message: {
+    create: jest.fn(),
+  },
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('isTransitionAllowed', () => {
+  it('should allow the lifecycle pending -> completed -> reversed', () => {
+    expect(isTransitionAllowed('pending', 'completed')).toBe(true);
+    expect(isTransitionAllowed('pending', 'failed')).toBe(true);
+    expect(isTransitionAllowed('completed', 'reversed')).toBe(true);
+  });
+
+  it('should reject moves out of a final status', () => {
+    expect(isTransitionAllowed('failed', 'completed')).toBe(false);
+    expect(isTransitionAllowed('reversed', 'completed')).toBe(false);
+    expect(isTransitionAllowed('pending', 'reversed')).toBe(false);
+    expect(isTransitionAllowed('unknown', 'completed')).toBe(false);
+  });
+});
+
+describe('updateTransactionStatus', () => {
+  it('should update the status and record the change in the history', async () => {
+    mockTx.transaction.update.mockResolvedValueOnce({ id: 1, status: 'completed' });
+
+    await updateTransactionStatus(mockTx, { id: 1, status: 'pending' }, 'completed');
+
+    expect(mockTx.transaction.update).toHaveBeenCalledWith({
+      where: { id: 1 },
+      data: {
+        status: 'completed',
+        failure_reason: undefined,
+        statusHistory: {
+          create: { from_status: 'pending', to_status: 'completed', reason: null },
+        },
+      },
+    });
+  });
+
+  it('should throw on a transition that is not allowed', async () => {
+    await expect(updateTransactionStatus(mockTx, { id: 1, status: 'failed' }, 'completed'))
+      .rejects.toMatchObject({ code: 'INVALID_STATUS_TRANSITION' });
+    expect(mockTx.transaction.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('recordFailedTransaction', () => {
+  it('should create a pending transaction and fail it with the reason', async () => {
+    mockTx.transaction.create.mockResolvedValueOnce({ id: 2, status: 'pending' });
+    mockTx.transaction.update.mockResolvedValueOnce({ id: 2, status: 'failed', failure_reason: 'Insufficient balance' });
+
+    const transaction = await recordFailedTransaction(mockTx, { amount: 100 }, 'Insufficient balance');
+
+    expect(mockTx.transaction.create.mock.calls[0][0].data).toMatchObject({ amount: 100, status: 'pending' });
+    expect(mockTx.transaction.update.mock.calls[0][0].data).toMatchObject({ status: 'failed', failure_reason: 'Insufficient balance' });
+    expect(transaction.status).toBe('failed');
+  });
+});
+
+describe('transaction webhook events', () => {
+  it('should only tell the payer about a failed transfer, without the fraud details', async () => {
+    const reason = 'Blocked by fraud checks: Amount is 12x the average transfer of 50000';
+    mockTx.transaction.create.mockResolvedValueOnce({ id: 3, status: 'pending', source_account_id: 1, destination_account_id: 2 });
+    mockTx.transaction.update.mockResolvedValueOnce({ id: 3, status: 'failed', source_account_id: 1, destination_account_id: 2, failure_reason: reason });
+    mockTx.webhook_Subscription.findMany.mockResolvedValueOnce([]).mockResolvedValueOnce([{ id: 10 }]);
+
+    await recordFailedTransaction(mockTx, { source_account_id: 1, destination_account_id: 2 }, reason);
+
+    expect(mockTx.account_Holder.findMany.mock.calls.map(([args]) => args.where.account_id)).toEqual([{ in: [1] }, { in: [1] }]);
+    expect(mockTx.webhook_Delivery.createMany.mock.calls[0][0].data[0].payload.data.failure_reason).toBe('Blocked by fraud checks');
+  });
+
+  it('should tell both sides about a completed transfer', async () => {
+    mockTx.transaction.update.mockResolvedValueOnce({ id: 4, status: 'completed', source_account_id: 1, destination_account_id: 2 });
+
+    await updateTransactionStatus(mockTx, { id: 4, status: 'pending' }, 'completed');
+
+    expect(mockTx.account_Holder.findMany.mock.calls[0][0].where.account_id).toEqual({ in: [1, 2] });
+  });
+});
+
+describe('transfer emails', () => {
+  const transfer = { id: 5, type: 'transfer', source_account_id: 1, destination_account_id: 2, amount: 250000, fee: 2500, currency: 'IDR', created_at: new Date('2024-11-14T09:00:00Z') };
+
+  it('should queue the email to whoever made the transfer in the transaction that completes it', async () => {
+    mockTx.transaction.update.mockResolvedValueOnce({ ...transfer, initiated_by_user_id: 8, status: 'completed' });
+    mockTx.bank_Account.findUnique
+      .mockResolvedValueOnce({ id: 1, user_id: 7, currency: 'IDR' })
+      .mockResolvedValueOnce({ id: 2, bank_account_number: '2222222222' });
+    mockTx.user.findUnique.mockResolvedValueOnce({ id: 8, name: 'Jane Doe', email: 'jane@example.com', locale: 'en' });
+
+    await updateTransactionStatus(mockTx, { ...transfer, status: 'pending' }, 'completed');
+
+    expect(mockTx.user.findUnique.mock.calls[0][0].where).toEqual({ id: 8 }); // a co-owner of account 1, not its owner
+    expect(mockTx.email_Message.create).toHaveBeenCalledTimes(1);
+    expect(mockTx.email_Message.create.mock.calls[0][0].data).toMatchObject({ user_id: 8, to: 'jane@example.com', template: 'transfer_sent', attempt_count: 0 });
+    expect(mockTx.email_Message.create.mock.calls[0][0].data.text).toContain('2222222222');
+  });
+
+  it('should email the owner about a transfer made before its initiator was recorded', async () => {
+    mockTx.transaction.update.mockResolvedValueOnce({ ...transfer, initiated_by_user_id: null, status: 'completed' });
+    mockTx.bank_Account.findUnique
+      .mockResolvedValueOnce({ id: 1, user_id: 7, currency: 'IDR' })
+      .mockResolvedValueOnce({ id: 2, bank_account_number: '2222222222' });
+    mockTx.user.findUnique.mockResolvedValueOnce({ id: 7, name: 'John Doe', email: 'john@example.com', locale: 'en' });
+
+    await updateTransactionStatus(mockTx, { ...transfer, status: 'pending' }, 'completed');
+
+    expect(mockTx.user.findUnique.mock.calls[0][0].where).toEqual({ id: 7 });
+    expect(mockTx.email_Message.create.mock.calls[0][0].data.to).toBe('john@example.com');
+  });
+
+  it('should not email about other status changes or other types of transaction', async () => {
+    mockTx.transaction.update
+      .mockResolvedValueOnce({ ...transfer, status: 'failed' })
+      .mockResolvedValueOnce({ ...transfer, type: 'deposit', status: 'completed' });
+
+    await updateTransactionStatus(mockTx, { ...transfer, status: 'pending' }, 'failed', 'Insufficient balance');
+    await updateTransactionStatus(mockTx, { ...transfer, type: 'deposit', status: 'pending' }, 'completed');
+
+    expect(mockTx.email_Message.create).not.toHaveBeenCalled();
+  });
+});
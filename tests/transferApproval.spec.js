@@ -0,0 +1,30 @@
+import { getApprovalThreshold, requiresApproval } from '../services/transferApproval.js';
+
+const originalThreshold = process.env.TRANSFER_APPROVAL_THRESHOLD;
+
+beforeEach(() => {
+  delete process.env.TRANSFER_APPROVAL_THRESHOLD;
+});
+
+afterAll(() => {
+  if(originalThreshold === undefined){
+    delete process.env.TRANSFER_APPROVAL_THRESHOLD;
+  } else {
+    process.env.TRANSFER_APPROVAL_THRESHOLD = originalThreshold;
+  }
+});
+
+describe('requiresApproval', () => {
+  it('should use the default threshold when none is configured', () => {
+    expect(getApprovalThreshold().toString()).toBe('100000000');
+    expect(requiresApproval(100000000)).toBe(false);
+    expect(requiresApproval('100000000.01')).toBe(true);
+  });
+
+  it('should use the configured threshold', () => {
+    process.env.TRANSFER_APPROVAL_THRESHOLD = '5000000';
+
+    expect(requiresApproval(5000000)).toBe(false);
+    expect(requiresApproval(5000001)).toBe(true);
+  });
+});
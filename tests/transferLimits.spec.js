@@ -0,0 +1,119 @@
+import { jest } from '@jest/globals';
+import { Prisma } from '@prisma/client';
+import { checkTransferLimits } from '../services/transferLimits.js';
+
+const mockTx = {
+  profile: {
+    findUnique: jest.fn(),
+  },
+  transfer_Limit: {
+    findUnique: jest.fn(),
+  },
+  transaction: {
+    groupBy: jest.fn(),
+    count: jest.fn(),
+  },
+  exchange_Rate: {
+    findFirst: jest.fn(),
+  },
+};
+
+const silverLimits = {
+  identity_type: 'Silver',
+  max_single_amount: new Prisma.Decimal(10000000),
+  daily_total_amount: new Prisma.Decimal(25000000),
+  monthly_count: 100,
+  currency: 'IDR',
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockTx.profile.findUnique.mockResolvedValue({ user_id: 1, identity_type: 'Silver' });
+  mockTx.transfer_Limit.findUnique.mockResolvedValue(silverLimits);
+  mockTx.transaction.groupBy.mockResolvedValue([]);
+  mockTx.exchange_Rate.findFirst.mockResolvedValue(null);
+  mockTx.transaction.count.mockResolvedValue(0);
+});
+
+describe('checkTransferLimits', () => {
+  it('should allow a transfer within every limit', async () => {
+    expect(await checkTransferLimits(mockTx, 1, 5000000, 'IDR')).toBeNull();
+  });
+
+  it('should not limit users without a profile', async () => {
+    mockTx.profile.findUnique.mockResolvedValueOnce(null);
+
+    expect(await checkTransferLimits(mockTx, 1, 999999999, 'IDR')).toBeNull();
+    expect(mockTx.transfer_Limit.findUnique).not.toHaveBeenCalled();
+  });
+
+  it('should reject a transfer over the single transfer limit', async () => {
+    const error = await checkTransferLimits(mockTx, 1, 10000001, 'IDR');
+
+    expect(error.code).toBe(409);
+    expect(error.limit.type).toBe('max_single_amount');
+  });
+
+  it('should count a co-owner\'s transfers from a joint account against the co-owner', async () => {
+    // user 2 co-owns user 1's account, only the transfers user 2 made count towards user 2's limits
+    mockTx.profile.findUnique.mockResolvedValueOnce({ user_id: 2, identity_type: 'Silver' });
+    mockTx.transaction.groupBy.mockResolvedValueOnce([{ currency: 'IDR', _sum: { amount: new Prisma.Decimal(24000000) } }]);
+
+    const error = await checkTransferLimits(mockTx, 2, 2000000, 'IDR');
+
+    expect(error.limit.type).toBe('daily_total_amount');
+    expect(mockTx.transaction.groupBy.mock.calls[0][0].where).toMatchObject({ initiated_by_user_id: 2 });
+    expect(mockTx.transaction.groupBy.mock.calls[0][0].where).not.toHaveProperty('sourceAccount');
+  });
+
+  it('should reject a transfer over what is left of the daily limit', async () => {
+    mockTx.transaction.groupBy.mockResolvedValueOnce([{ currency: 'IDR', _sum: { amount: new Prisma.Decimal(20000000) } }]);
+
+    const error = await checkTransferLimits(mockTx, 1, 6000000, 'IDR');
+
+    expect(error.limit.type).toBe('daily_total_amount');
+    expect(error.limit.remaining.toString()).toBe('5000000');
+    expect(mockTx.transaction.groupBy.mock.calls[0][0].where).toMatchObject({ type: 'transfer', status: { not: 'failed' }, initiated_by_user_id: 1 });
+  });
+
+  it('should reject a transfer once the monthly count is reached', async () => {
+    mockTx.transaction.count.mockResolvedValueOnce(100);
+
+    const error = await checkTransferLimits(mockTx, 1, 1000, 'IDR');
+
+    expect(error.limit).toMatchObject({ type: 'monthly_count', used: 100, remaining: 0 });
+  });
+
+  it('should skip limits that are null', async () => {
+    mockTx.transfer_Limit.findUnique.mockResolvedValueOnce({ identity_type: 'Platinum', max_single_amount: null, daily_total_amount: null, monthly_count: null, currency: 'IDR' });
+
+    expect(await checkTransferLimits(mockTx, 1, 999999999, 'IDR')).toBeNull();
+    expect(mockTx.transaction.groupBy).not.toHaveBeenCalled();
+    expect(mockTx.transaction.count).not.toHaveBeenCalled();
+  });
+
+  it('should convert transfers in other currencies to the tier\'s currency', async () => {
+    // 1 USD = 15000 IDR
+    mockTx.exchange_Rate.findFirst.mockImplementation(({ where }) => Promise.resolve(where.base_currency === 'USD' ? { rate: new Prisma.Decimal(15000), spread_percent: new Prisma.Decimal(1) } : null));
+
+    let error = await checkTransferLimits(mockTx, 1, 700, 'USD');
+    expect(error.limit).toMatchObject({ type: 'max_single_amount', currency: 'IDR' }); // 10500000 IDR
+
+    // 10000000 IDR and 1000 USD (15000000 IDR) already sent today leave nothing
+    mockTx.transaction.groupBy.mockResolvedValueOnce([
+      { currency: 'IDR', _sum: { amount: new Prisma.Decimal(10000000) } },
+      { currency: 'USD', _sum: { amount: new Prisma.Decimal(1000) } },
+    ]);
+    error = await checkTransferLimits(mockTx, 1, 1000, 'IDR');
+
+    expect(error.limit.type).toBe('daily_total_amount');
+    expect(error.limit.used.toString()).toBe('25000000');
+    expect(mockTx.transaction.groupBy.mock.calls[0][0].by).toEqual(['currency']);
+  });
+
+  it('should reject a transfer when there is no rate to the tier\'s currency', async () => {
+    const error = await checkTransferLimits(mockTx, 1, 100, 'EUR');
+
+    expect(error).toEqual({ code: 409, message: 'No exchange rate from EUR to IDR to check the transfer limits' });
+  });
+});
@@ -0,0 +1,106 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import { Prisma } from '@prisma/client';
+
+// URLs are IP literals, so checking them doesn't need a DNS server
+const mockPrisma = {
+  webhook_Subscription: {
+    create: jest.fn(({ data }) => Promise.resolve({ id: 1, is_active: true, ...data })),
+    findUnique: jest.fn(),
+    update: jest.fn(({ where, data }) => Promise.resolve({ id: where.id, user_id: 1, ...data })),
+  },
+  webhook_Delivery: {
+    updateMany: jest.fn(),
+    findFirst: jest.fn(),
+  },
+};
+
+jest.unstable_mockModule('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma), Prisma }));
+
+process.env.JWT_SECRET_KEY = 'test-secret';
+const { default: app } = await import('../index.js');
+
+const customer = `Bearer ${jwt.sign({ id: 1, role: 'customer' }, process.env.JWT_SECRET_KEY)}`;
+
+const subscription = { id: 1, user_id: 1, url: 'https://93.184.216.34/hooks', events: ['transaction.completed'], is_active: true };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('POST /api/v1/webhooks', () => {
+  it('should save the subscription and show its signing secret', async () => {
+    const res = await request(app).post('/api/v1/webhooks').set('Authorization', customer)
+      .send({ url: 'https://93.184.216.34/hooks', events: ['transaction.completed'] });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.webhook).toMatchObject({ user_id: 1, url: 'https://93.184.216.34/hooks', events: ['transaction.completed'] });
+    expect(res.body.webhook.secret).toEqual(expect.any(String));
+  });
+
+  it('should refuse URLs that point into a private network', async () => {
+    const loopback = await request(app).post('/api/v1/webhooks').set('Authorization', customer)
+      .send({ url: 'http://127.0.0.1:5432/', events: ['transaction.completed'] });
+    const metadata = await request(app).post('/api/v1/webhooks').set('Authorization', customer)
+      .send({ url: 'http://169.254.169.254/latest/meta-data', events: ['transaction.completed'] });
+
+    expect([loopback.statusCode, metadata.statusCode]).toEqual([400, 400]);
+    expect(metadata.body.message).toBe('Webhook URLs must point to a public address, 169.254.169.254 resolves to 169.254.169.254');
+    expect(mockPrisma.webhook_Subscription.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('PUT /api/v1/webhooks/:subscriptionId', () => {
+  it('should update the subscription', async () => {
+    mockPrisma.webhook_Subscription.findUnique.mockResolvedValueOnce(subscription);
+
+    const res = await request(app).put('/api/v1/webhooks/1').set('Authorization', customer).send({ is_active: false });
+
+    expect(res.statusCode).toBe(200);
+    expect(mockPrisma.webhook_Subscription.update.mock.calls[0][0].data).toEqual({ is_active: false });
+  });
+
+  it('should refuse a private URL and someone else\'s subscription', async () => {
+    mockPrisma.webhook_Subscription.findUnique
+      .mockResolvedValueOnce(subscription)
+      .mockResolvedValueOnce({ ...subscription, user_id: 2 });
+
+    const privateUrl = await request(app).put('/api/v1/webhooks/1').set('Authorization', customer).send({ url: 'http://10.0.0.5/hooks' });
+    const othersWebhook = await request(app).put('/api/v1/webhooks/1').set('Authorization', customer).send({ is_active: false });
+
+    expect(privateUrl.statusCode).toBe(400);
+    expect(othersWebhook.statusCode).toBe(403);
+    expect(mockPrisma.webhook_Subscription.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/v1/webhooks/:subscriptionId/deliveries/:deliveryId/redeliver', () => {
+  it('should queue a finished delivery to be sent again', async () => {
+    mockPrisma.webhook_Subscription.findUnique.mockResolvedValueOnce(subscription);
+    mockPrisma.webhook_Delivery.updateMany.mockResolvedValueOnce({ count: 1 });
+    mockPrisma.webhook_Delivery.findFirst.mockResolvedValueOnce({ id: 3, subscription_id: 1, status: 'pending', attempt_count: 0 });
+
+    const res = await request(app).post('/api/v1/webhooks/1/deliveries/3/redeliver').set('Authorization', customer);
+
+    expect(res.statusCode).toBe(202);
+    expect(mockPrisma.webhook_Delivery.updateMany.mock.calls[0][0].where).toEqual({ id: 3, subscription_id: 1, status: { in: ['delivered', 'failed'] } });
+    expect(mockPrisma.webhook_Delivery.updateMany.mock.calls[0][0].data).toMatchObject({ status: 'pending', attempt_count: 0 });
+  });
+
+  it('should refuse a delivery that is already queued, and someone else\'s webhook', async () => {
+    mockPrisma.webhook_Subscription.findUnique
+      .mockResolvedValueOnce(subscription)
+      .mockResolvedValueOnce({ ...subscription, user_id: 2 });
+    mockPrisma.webhook_Delivery.updateMany.mockResolvedValueOnce({ count: 0 });
+    mockPrisma.webhook_Delivery.findFirst.mockResolvedValueOnce({ id: 3, subscription_id: 1, status: 'pending' });
+
+    const queued = await request(app).post('/api/v1/webhooks/1/deliveries/3/redeliver').set('Authorization', customer);
+    const othersWebhook = await request(app).post('/api/v1/webhooks/1/deliveries/3/redeliver').set('Authorization', customer);
+
+    expect(queued.statusCode).toBe(409);
+    expect(queued.body.message).toBe('Delivery with id 3 is already queued');
+    expect(othersWebhook.statusCode).toBe(403);
+    expect(mockPrisma.webhook_Delivery.updateMany).toHaveBeenCalledTimes(1);
+  });
+});
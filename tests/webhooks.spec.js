@@ -0,0 +1,155 @@
+import { jest } from '@jest/globals';
+import { Prisma } from '@prisma/client';
+import { getRetryDelay, getWebhookMaxAttempts, buildSignatureHeader, signWebhookPayload, verifyWebhookSignature, enqueueWebhookEvent } from '../services/webhooks.js';
+import { isPublicAddress, checkWebhookUrl } from '../services/webhookUrls.js';
+
+const mockClient = {
+  account_Holder: {
+    findMany: jest.fn(),
+  },
+  webhook_Subscription: {
+    findMany: jest.fn(),
+  },
+  webhook_Delivery: {
+    createMany: jest.fn(),
+  },
+};
+
+const originalMaxAttempts = process.env.WEBHOOK_MAX_ATTEMPTS;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  delete process.env.WEBHOOK_MAX_ATTEMPTS;
+});
+
+afterAll(() => {
+  if(originalMaxAttempts === undefined){
+    delete process.env.WEBHOOK_MAX_ATTEMPTS;
+  } else {
+    process.env.WEBHOOK_MAX_ATTEMPTS = originalMaxAttempts;
+  }
+});
+
+describe('getRetryDelay', () => {
+  it('should double the delay after each failed attempt', () => {
+    expect(getRetryDelay(1)).toBe(30 * 1000);
+    expect(getRetryDelay(2)).toBe(60 * 1000);
+    expect(getRetryDelay(5)).toBe(8 * 60 * 1000);
+  });
+
+  it('should not wait more than 6 hours', () => {
+    expect(getRetryDelay(20)).toBe(6 * 60 * 60 * 1000);
+  });
+});
+
+describe('getWebhookMaxAttempts', () => {
+  it('should default to 10 and read WEBHOOK_MAX_ATTEMPTS', () => {
+    expect(getWebhookMaxAttempts()).toBe(10);
+
+    process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+    expect(getWebhookMaxAttempts()).toBe(3);
+
+    process.env.WEBHOOK_MAX_ATTEMPTS = 'abc';
+    expect(getWebhookMaxAttempts()).toBe(10);
+  });
+});
+
+describe('webhook signatures', () => {
+  const secret = 'whsec_test';
+  const body = JSON.stringify({ id: 'evt', type: 'transaction.completed' });
+  const now = new Date('2024-11-13T09:00:00Z');
+
+  it('should sign the timestamp and the body with HMAC-SHA256', () => {
+    const header = buildSignatureHeader(secret, body, now);
+
+    expect(header).toBe(`t=1731488400,v1=${signWebhookPayload(secret, 1731488400, body)}`);
+    expect(signWebhookPayload(secret, 1731488400, body)).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it('should verify a fresh signature of the same body', () => {
+    const header = buildSignatureHeader(secret, body, now);
+
+    expect(verifyWebhookSignature(secret, header, body, { now: new Date('2024-11-13T09:04:00Z') })).toBe(true);
+  });
+
+  it('should reject another body, another secret or an old timestamp', () => {
+    const header = buildSignatureHeader(secret, body, now);
+
+    expect(verifyWebhookSignature(secret, header, `${body} `, { now })).toBe(false);
+    expect(verifyWebhookSignature('whsec_other', header, body, { now })).toBe(false);
+    expect(verifyWebhookSignature(secret, header, body, { now: new Date('2024-11-13T09:06:00Z') })).toBe(false);
+    expect(verifyWebhookSignature(secret, 'v1=abc', body, { now })).toBe(false);
+    expect(verifyWebhookSignature(secret, undefined, body, { now })).toBe(false);
+  });
+});
+
+describe('enqueueWebhookEvent', () => {
+  const now = new Date('2024-11-13T09:00:00Z');
+
+  it('should queue one delivery per matching subscription with the same event id', async () => {
+    mockClient.account_Holder.findMany.mockResolvedValueOnce([{ user_id: 1 }, { user_id: 2 }, { user_id: 2 }]); // user 2 co-owns both accounts
+    mockClient.webhook_Subscription.findMany.mockResolvedValueOnce([{ id: 10 }, { id: 11 }]);
+    mockClient.webhook_Delivery.createMany.mockResolvedValueOnce({ count: 2 });
+
+    const transaction = { id: 5, status: 'completed', amount: new Prisma.Decimal('1500.50'), source_account_id: 1, destination_account_id: 2 };
+    const count = await enqueueWebhookEvent(mockClient, 'transaction.completed', transaction, [1, 2], now);
+
+    expect(count).toBe(2);
+
+    const where = mockClient.webhook_Subscription.findMany.mock.calls[0][0].where;
+    expect(where.events).toEqual({ has: 'transaction.completed' });
+    expect(where.OR).toEqual([{ user_id: { in: [1, 2] } }, { user: { role: 'admin' } }]);
+
+    const deliveries = mockClient.webhook_Delivery.createMany.mock.calls[0][0].data;
+    expect(deliveries.map((delivery) => delivery.subscription_id)).toEqual([10, 11]);
+    expect(deliveries[0].event_id).toBe(deliveries[1].event_id);
+    expect(deliveries[0].payload).toEqual({
+      id: deliveries[0].event_id,
+      type: 'transaction.completed',
+      created_at: '2024-11-13T09:00:00.000Z',
+      data: { id: 5, status: 'completed', amount: '1500.5', source_account_id: 1, destination_account_id: 2 },
+    });
+  });
+
+  it('should only reach admins when the event has no customer account', async () => {
+    mockClient.webhook_Subscription.findMany.mockResolvedValueOnce([]);
+
+    const count = await enqueueWebhookEvent(mockClient, 'transaction.created', { id: 6 }, [null, undefined], now);
+
+    expect(count).toBe(0);
+    expect(mockClient.account_Holder.findMany).not.toHaveBeenCalled();
+    expect(mockClient.webhook_Subscription.findMany.mock.calls[0][0].where.OR[0]).toEqual({ user_id: { in: [] } });
+    expect(mockClient.webhook_Delivery.createMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('webhook URLs', () => {
+  function lookupTo(...addresses){
+    return jest.fn().mockResolvedValue(addresses.map((address) => ({ address, family: address.includes(':') ? 6 : 4 })));
+  }
+
+  it('should only treat public addresses as public', () => {
+    expect(['8.8.8.8', '2606:4700:4700::1111'].map(isPublicAddress)).toEqual([true, true]);
+    expect(['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '100.64.0.1', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1'].map(isPublicAddress))
+      .toEqual(new Array(11).fill(false));
+  });
+
+  it('should accept a URL whose host resolves to public addresses', async () => {
+    const lookup = lookupTo('93.184.216.34');
+
+    expect(await checkWebhookUrl('https://partner.example.com/hooks', lookup)).toBeNull();
+    expect(lookup).toHaveBeenCalledWith('partner.example.com', { all: true });
+  });
+
+  it('should refuse a URL when any address of its host is internal', async () => {
+    expect(await checkWebhookUrl('http://metadata.internal/latest', lookupTo('93.184.216.34', '169.254.169.254')))
+      .toBe('Webhook URLs must point to a public address, metadata.internal resolves to 169.254.169.254');
+    expect(await checkWebhookUrl('http://[::1]:3000/', lookupTo('::1'))).toMatch(/::1 resolves to ::1$/);
+  });
+
+  it('should refuse a host that can not be resolved', async () => {
+    const lookup = jest.fn().mockRejectedValue(new Error('getaddrinfo ENOTFOUND'));
+
+    expect(await checkWebhookUrl('http://unknown.invalid/', lookup)).toBe(`The host unknown.invalid can't be resolved`);
+  });
+});
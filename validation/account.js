@@ -5,6 +5,7 @@ function validateAccount(account){
         user_id: Joi.number().positive().required(),
         bank_name: Joi.string().required(),
         bank_account_number: Joi.string().min(10).required(),
+        currency: Joi.string().pattern(/^[A-Z]{3}$/).message('"currency" must be a 3-letter ISO 4217 code like IDR or USD'),
     }).options({abortEarly: false});
 
     return JoiSchema.validate(account)
@@ -0,0 +1,13 @@
+import Joi from "joi";
+
+// the owner role can't be given away, an account has exactly one owner
+function validateAccountHolderInvite(invite){
+    const JoiSchema = Joi.object({
+        email: Joi.string().email().required(),
+        role: Joi.string().valid('co_owner', 'viewer').required(),
+    }).options({abortEarly: false});
+
+    return JoiSchema.validate(invite)
+}
+
+export default validateAccountHolderInvite;
@@ -0,0 +1,15 @@
+import Joi from "joi";
+
+function validateApprovalDecision(decision){
+    const JoiSchema = Joi.object({
+        decision: Joi.string().valid('approved', 'rejected').required(),
+        reason: Joi.string().max(255).when('decision', {
+            is: 'rejected',
+            then: Joi.required()
+        }),
+    }).options({abortEarly: false});
+
+    return JoiSchema.validate(decision)
+}
+
+export default validateApprovalDecision;
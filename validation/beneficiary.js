@@ -0,0 +1,12 @@
+import Joi from "joi";
+
+function validateBeneficiary(beneficiary){
+    const JoiSchema = Joi.object({
+        bank_account_number: Joi.string().min(10).required(),
+        nickname: Joi.string().trim().max(50).required(),
+    }).options({abortEarly: false});
+
+    return JoiSchema.validate(beneficiary)
+}
+
+export default validateBeneficiary;
@@ -0,0 +1,11 @@
+import Joi from "joi";
+
+function validateBeneficiaryUpdate(beneficiary){
+    const JoiSchema = Joi.object({
+        nickname: Joi.string().trim().max(50).required(), // the account can't change, save a new beneficiary instead
+    }).options({abortEarly: false});
+
+    return JoiSchema.validate(beneficiary)
+}
+
+export default validateBeneficiaryUpdate;
@@ -0,0 +1,12 @@
+import Joi from "joi";
+
+function validateDeposit(deposit){
+    const JoiSchema = Joi.object({
+        destination_account_id: Joi.number().positive().required(),
+        amount: Joi.number().multiple(0.01).positive().required(),
+    }).options({abortEarly: false});
+
+    return JoiSchema.validate(deposit)
+}
+
+export default validateDeposit;
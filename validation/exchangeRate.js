@@ -0,0 +1,15 @@
+import Joi from "joi";
+
+function validateExchangeRate(exchangeRate){
+    const JoiSchema = Joi.object({
+        base_currency: Joi.string().pattern(/^[A-Z]{3}$/).required(),
+        quote_currency: Joi.string().pattern(/^[A-Z]{3}$/).invalid(Joi.ref('base_currency')).required(),
+        rate: Joi.number().positive().required(),
+        spread_percent: Joi.number().multiple(0.01).min(0).max(100),
+        effective_at: Joi.date().iso(),
+    }).options({abortEarly: false});
+
+    return JoiSchema.validate(exchangeRate)
+}
+
+export default validateExchangeRate;
@@ -0,0 +1,23 @@
+import Joi from "joi";
+
+function validateFeeRule(feeRule){
+    const JoiSchema = Joi.object({
+        name: Joi.string().required(),
+        scope: Joi.string().valid('all', 'inter_bank', 'intra_bank'),
+        identity_type: Joi.string().valid('Silver', 'Gold', 'Platinum').allow(null),
+        currency: Joi.string().pattern(/^[A-Z]{3}$/).allow(null).message('"currency" must be a 3-letter ISO 4217 code like IDR or USD'),
+        flat_amount: Joi.number().multiple(0.01).min(0),
+        percent: Joi.number().multiple(0.01).min(0).max(100),
+        min_fee: Joi.number().multiple(0.01).min(0).allow(null),
+        max_fee: Joi.when('min_fee', {
+            is: Joi.number().required(),
+            then: Joi.number().multiple(0.01).min(Joi.ref('min_fee')),
+            otherwise: Joi.number().multiple(0.01).min(0)
+        }).allow(null),
+        is_active: Joi.boolean(),
+    }).options({abortEarly: false});
+
+    return JoiSchema.validate(feeRule)
+}
+
+export default validateFeeRule;
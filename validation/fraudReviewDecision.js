@@ -0,0 +1,15 @@
+import Joi from "joi";
+
+function validateFraudReviewDecision(decision){
+    const JoiSchema = Joi.object({
+        decision: Joi.string().valid('cleared', 'confirmed').required(),
+        note: Joi.string().max(255).when('decision', {
+            is: 'confirmed',
+            then: Joi.required()
+        }),
+    }).options({abortEarly: false});
+
+    return JoiSchema.validate(decision)
+}
+
+export default validateFraudReviewDecision;
@@ -0,0 +1,15 @@
+import Joi from "joi";
+
+function validateHold(hold){
+    const JoiSchema = Joi.object({
+        account_id: Joi.number().positive().required(),
+        destination_account_id: Joi.number().positive().invalid(Joi.ref('account_id')), // where a capture sends the money, optional
+        amount: Joi.number().multiple(0.01).positive().required(),
+        description: Joi.string().max(255),
+        expires_at: Joi.date().iso().greater('now'), // defaults to 7 days from now
+    }).options({abortEarly: false});
+
+    return JoiSchema.validate(hold)
+}
+
+export default validateHold;
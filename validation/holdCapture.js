@@ -0,0 +1,11 @@
+import Joi from "joi";
+
+function validateHoldCapture(capture){
+    const JoiSchema = Joi.object({
+        amount: Joi.number().multiple(0.01).positive(), // optional, defaults to the full held amount
+    }).options({abortEarly: false});
+
+    return JoiSchema.validate(capture)
+}
+
+export default validateHoldCapture;
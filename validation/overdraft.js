@@ -0,0 +1,12 @@
+import Joi from "joi";
+
+function validateOverdraft(overdraft){
+    const JoiSchema = Joi.object({
+        overdraft_limit: Joi.number().multiple(0.01).min(0).required(), // 0 turns the overdraft off
+        overdraft_interest_rate: Joi.number().multiple(0.01).min(0).max(100), // yearly percentage, keeps the current rate when left out
+    }).options({abortEarly: false});
+
+    return JoiSchema.validate(overdraft)
+}
+
+export default validateOverdraft;
@@ -0,0 +1,15 @@
+import Joi from "joi";
+
+function validatePaymentRequest(paymentRequest){
+    const JoiSchema = Joi.object({
+        requester_account_id: Joi.number().positive().required(), // where the money is paid into
+        payer_account_number: Joi.string().min(10).required(),
+        amount: Joi.number().multiple(0.01).positive().required(),
+        note: Joi.string().max(255),
+        expires_at: Joi.date().iso().greater('now'), // defaults to 7 days from now
+    }).options({abortEarly: false});
+
+    return JoiSchema.validate(paymentRequest)
+}
+
+export default validatePaymentRequest;
@@ -0,0 +1,11 @@
+import Joi from "joi";
+
+function validateReversal(reversal){
+    const JoiSchema = Joi.object({
+        amount: Joi.number().multiple(0.01).positive(), // optional, defaults to the full amount of the original transaction
+    }).options({abortEarly: false});
+
+    return JoiSchema.validate(reversal)
+}
+
+export default validateReversal;
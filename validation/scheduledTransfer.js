@@ -0,0 +1,19 @@
+import Joi from "joi";
+
+import { isValidCronExpression } from '../services/cron.js';
+
+function validateScheduledTransfer(scheduledTransfer){
+    const JoiSchema = Joi.object({
+        source_account_id: Joi.number().positive().required(),
+        destination_account_id: Joi.number().positive().required(),
+        amount: Joi.number().multiple(0.01).positive().required(),
+        run_at: Joi.date().iso().greater('now'), // for a one-off transfer
+        cron: Joi.string().custom((value, helpers) => { // for a recurring transfer
+            return isValidCronExpression(value) ? value : helpers.message('"cron" must be a valid 5-field cron expression');
+        }),
+    }).xor('run_at', 'cron').options({abortEarly: false});
+
+    return JoiSchema.validate(scheduledTransfer)
+}
+
+export default validateScheduledTransfer;
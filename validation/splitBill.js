@@ -0,0 +1,16 @@
+import Joi from "joi";
+
+function validateSplitBill(splitBill){
+    const JoiSchema = Joi.object({
+        requester_account_id: Joi.number().positive().required(), // where the money is paid into
+        payer_account_numbers: Joi.array().items(Joi.string().min(10)).min(1).max(20).unique().required(),
+        total_amount: Joi.number().multiple(0.01).positive().required(),
+        include_requester: Joi.boolean().default(true), // whether the requester pays a share of the bill too
+        note: Joi.string().max(255),
+        expires_at: Joi.date().iso().greater('now'), // defaults to 7 days from now
+    }).options({abortEarly: false});
+
+    return JoiSchema.validate(splitBill)
+}
+
+export default validateSplitBill;
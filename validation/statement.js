@@ -0,0 +1,13 @@
+import Joi from "joi";
+
+function validateStatement(statement){
+    const JoiSchema = Joi.object({
+        from: Joi.date().iso().raw(),
+        to: Joi.date().iso().when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }).raw(),
+        format: Joi.string().valid('csv', 'pdf').default('csv'),
+    }).options({abortEarly: false});
+
+    return JoiSchema.validate(statement)
+}
+
+export default validateStatement;
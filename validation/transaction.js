@@ -3,11 +3,13 @@ import Joi from "joi";
 function validateTransaction(transaction){
     const JoiSchema = Joi.object({
         source_account_id: Joi.number().positive().required(),
-        destination_account_id: Joi.number().positive().required(),
-        amount: Joi.number().positive().required(),
-    }).options({abortEarly: false});
+        destination_account_id: Joi.number().positive(),
+        destination_account_number: Joi.string().min(10),
+        beneficiary_id: Joi.number().positive(),
+        amount: Joi.number().multiple(0.01).positive().required(),
+    }).xor('destination_account_id', 'destination_account_number', 'beneficiary_id').options({abortEarly: false});
 
     return JoiSchema.validate(transaction)
 }
 
-export default validateTransaction;
\ No newline at end of file
+export default validateTransaction;
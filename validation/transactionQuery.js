@@ -0,0 +1,21 @@
+import Joi from "joi";
+
+function validateTransactionQuery(query){
+    const JoiSchema = Joi.object({
+        account_id: Joi.number().integer().positive(),
+        direction: Joi.string().valid('incoming', 'outgoing'),
+        type: Joi.string().valid('transfer', 'deposit', 'withdrawal', 'reversal', 'capture', 'interest'),
+        status: Joi.string().valid('pending', 'completed', 'failed', 'reversed'),
+        min_amount: Joi.number().multiple(0.01).min(0),
+        max_amount: Joi.number().multiple(0.01).min(0).when('min_amount', { is: Joi.exist(), then: Joi.number().multiple(0.01).min(Joi.ref('min_amount')) }), // either end of a range can be left open
+        from: Joi.date().iso().raw(),
+        to: Joi.date().iso().when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }).raw(),
+        sort: Joi.string().valid('id', '-id', 'created_at', '-created_at', 'amount', '-amount').default('id'),
+        limit: Joi.number().integer().min(1).max(100).default(20),
+        cursor: Joi.string(),
+    }).options({abortEarly: false});
+
+    return JoiSchema.validate(query)
+}
+
+export default validateTransactionQuery;
@@ -0,0 +1,15 @@
+import Joi from "joi";
+
+function validateTransferLimit(transferLimit){
+    const JoiSchema = Joi.object({
+        identity_type: Joi.string().valid('Silver', 'Gold', 'Platinum').required(),
+        max_single_amount: Joi.number().multiple(0.01).positive().allow(null).required(),
+        daily_total_amount: Joi.number().multiple(0.01).positive().allow(null).required(),
+        monthly_count: Joi.number().integer().positive().allow(null).required(),
+        currency: Joi.string().pattern(/^[A-Z]{3}$/).default('IDR').message('"currency" must be a 3-letter ISO 4217 code like IDR or USD'),
+    }).options({abortEarly: false});
+
+    return JoiSchema.validate(transferLimit)
+}
+
+export default validateTransferLimit;
@@ -8,6 +8,7 @@ function validateUser(user){
         identity_type: Joi.string().valid('Silver').valid('Gold').valid('Platinum').required(),
         identity_number: Joi.string().required(),
         address: Joi.string().required(),
+        locale: Joi.string().valid('en', 'id'), // the language of the user's emails
     }).options({abortEarly: false});
 
     return JoiSchema.validate(user)
@@ -0,0 +1,15 @@
+import Joi from "joi";
+
+import { webhookEvents } from '../services/webhooks.js';
+
+function validateWebhookSubscription(subscription){
+    const JoiSchema = Joi.object({
+        url: Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(2048).required(),
+        events: Joi.array().items(Joi.string().valid(...webhookEvents)).min(1).unique().required(),
+        description: Joi.string().trim().max(255),
+    }).options({abortEarly: false});
+
+    return JoiSchema.validate(subscription)
+}
+
+export default validateWebhookSubscription;
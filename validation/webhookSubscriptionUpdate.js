@@ -0,0 +1,16 @@
+import Joi from "joi";
+
+import { webhookEvents } from '../services/webhooks.js';
+
+function validateWebhookSubscriptionUpdate(subscription){
+    const JoiSchema = Joi.object({
+        url: Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(2048),
+        events: Joi.array().items(Joi.string().valid(...webhookEvents)).min(1).unique(),
+        description: Joi.string().trim().max(255).allow(null),
+        is_active: Joi.boolean(),
+    }).min(1).options({abortEarly: false});
+
+    return JoiSchema.validate(subscription)
+}
+
+export default validateWebhookSubscriptionUpdate;
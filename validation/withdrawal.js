@@ -0,0 +1,12 @@
+import Joi from "joi";
+
+function validateWithdrawal(withdrawal){
+    const JoiSchema = Joi.object({
+        source_account_id: Joi.number().positive().required(),
+        amount: Joi.number().multiple(0.01).positive().required(),
+    }).options({abortEarly: false});
+
+    return JoiSchema.validate(withdrawal)
+}
+
+export default validateWithdrawal;